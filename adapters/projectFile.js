@@ -0,0 +1,333 @@
+/**
+ * MLPA Prototype - Project File Adapter
+ *
+ * Pure serialization, migration and validation of the native project
+ * format (.mlpa.json). NO DOM access. NO state mutation. NO file I/O.
+ * app.js reads/downloads files; this module only converts data.
+ */
+
+// ============================================================================
+// PROJECT SCHEMA LOCK: mlpa-project v3
+// Document: { format, schema_version, saved_at, name,
+//             canvas: { pan: {x, y}, zoom, active_scale_id },
+//             scales: Scale[] (full contract, see state/stateManager.js),
+//             versions: { [scale_id]: ScaleVersion[] } (see state/versionHistory.js) }
+// Any change to this shape MUST bump PROJECT_SCHEMA_VERSION and add a
+// migration from the previous version to MIGRATIONS below.
+// ============================================================================
+
+const PROJECT_FORMAT = 'mlpa-project';
+const PROJECT_SCHEMA_VERSION = 3;
+const PROJECT_FILE_EXTENSION = '.mlpa.json';
+
+// ============================================================================
+// SERIALIZATION (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Build a project document from the current graph.
+ * Scales are deep-copied so the document never aliases live state.
+ *
+ * @param {Object} source
+ * @param {Iterable<Scale>} source.scales - All scales in the graph
+ * @param {{x: number, y: number}} [source.pan] - Canvas viewport offset
+ * @param {number} [source.zoom] - Canvas viewport scale (default 1)
+ * @param {string|null} [source.activeScaleId] - Active scale in the editor
+ * @param {string} [source.name] - Project name (defaults to the root scale name)
+ * @param {Object<string, ScaleVersion[]>} [source.versions] - Version history per scale
+ * @returns {Object} Project document (current schema version)
+ */
+function serializeProject({ scales, pan, zoom, activeScaleId, name, versions }) {
+    const scaleList = JSON.parse(JSON.stringify(Array.from(scales)));
+    const rootScale = scaleList.find(s => s.is_root || !s.parent_scale_id);
+
+    return {
+        format: PROJECT_FORMAT,
+        schema_version: PROJECT_SCHEMA_VERSION,
+        saved_at: new Date().toISOString(),
+        name: name || rootScale?.scale_name || 'Proyek MLPA',
+        canvas: {
+            pan: { x: pan?.x || 0, y: pan?.y || 0 },
+            zoom: zoom || 1,
+            active_scale_id: activeScaleId || null
+        },
+        scales: scaleList,
+        versions: JSON.parse(JSON.stringify(versions || {}))
+    };
+}
+
+/**
+ * Serialize a project document to file text.
+ *
+ * @param {Object} project - Project document
+ * @returns {string} JSON text
+ */
+function stringifyProject(project) {
+    return JSON.stringify(project, null, 2);
+}
+
+/**
+ * Parse project file text: JSON → migrate → validate.
+ *
+ * @param {string} text - File content
+ * @returns {{ valid: boolean, project?: Object, error?: string }}
+ */
+function parseProject(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, error: 'Berkas bukan JSON yang valid' };
+    }
+
+    return readProjectData(data);
+}
+
+/**
+ * Read an already-parsed document (file or stored session): migrate → validate.
+ *
+ * @param {Object} data - Project document of any known version
+ * @returns {{ valid: boolean, project?: Object, error?: string }}
+ */
+function readProjectData(data) {
+    if (!data || typeof data !== 'object') {
+        return { valid: false, error: 'Berkas proyek kosong' };
+    }
+    if (data.format !== undefined && data.format !== PROJECT_FORMAT) {
+        return { valid: false, error: `Format tidak dikenal: ${data.format}` };
+    }
+
+    const migrated = migrateProject(data);
+    if (!migrated.valid) return migrated;
+
+    const validation = validateProject(migrated.project);
+    if (!validation.valid) return validation;
+
+    return { valid: true, project: migrated.project };
+}
+
+// ============================================================================
+// MIGRATIONS (PURE FUNCTIONS)
+// ============================================================================
+// MIGRATIONS[n] converts a version-n document into version n+1.
+// Documents without schema_version are version 0.
+
+/**
+ * v0 → v1
+ * v0 is the unversioned session snapshot written by PersistenceService
+ * before the project format existed:
+ *   { scales, pan, activeScaleId, selectedScaleId, answers, currentItemIndex }
+ * Also fills tree/rubric fields that early scales did not always carry.
+ * @private
+ */
+function migrateV0ToV1(data) {
+    const scales = (data.scales || []).map(scale => {
+        const isRoot = scale.is_root === true || !scale.parent_scale_id;
+        return {
+            ...scale,
+            parent_scale_id: isRoot ? null : scale.parent_scale_id,
+            is_root: isRoot,
+            expanded: scale.expanded === true,
+            depth: typeof scale.depth === 'number' ? scale.depth : (isRoot ? 0 : 1),
+            ...(isRoot ? {} : {
+                branch_index: typeof scale.branch_index === 'number' ? scale.branch_index : 0,
+                positionLocked: true
+            }),
+            dimensions: (scale.dimensions || []).map(dim => ({
+                ...dim,
+                items: (dim.items || []).map(item => ({
+                    ...item,
+                    origin_item_id: item.origin_item_id || item.item_id,
+                    baseline_rubric: item.baseline_rubric || [],
+                    current_rubric: item.current_rubric || item.baseline_rubric || [],
+                    dimension: item.dimension || dim.name
+                }))
+            }))
+        };
+    });
+
+    const rootScale = scales.find(s => s.is_root);
+
+    const migrated = {
+        format: PROJECT_FORMAT,
+        schema_version: 1,
+        saved_at: data.saved_at || new Date().toISOString(),
+        name: data.name || rootScale?.scale_name || 'Proyek MLPA',
+        canvas: {
+            pan: { x: data.pan?.x || 0, y: data.pan?.y || 0 },
+            active_scale_id: data.activeScaleId || null
+        },
+        scales
+    };
+
+    // Session-only preview state travels alongside the project (see app.js)
+    if (data.selectedScaleId !== undefined || data.answers !== undefined) {
+        migrated.preview = {
+            selected_scale_id: data.selectedScaleId || null,
+            answers: data.answers || {},
+            current_item_index: data.currentItemIndex || 0
+        };
+    }
+
+    return migrated;
+}
+
+/**
+ * v1 → v2
+ * v2 adds the canvas zoom factor; v1 canvases were always at 100%.
+ * @private
+ */
+function migrateV1ToV2(data) {
+    return {
+        ...data,
+        schema_version: 2,
+        canvas: {
+            ...data.canvas,
+            zoom: 1
+        }
+    };
+}
+
+/**
+ * v2 → v3
+ * v3 saves the version history; v2 documents start without one (VersionHistory
+ * records their current content as the first version).
+ * @private
+ */
+function migrateV2ToV3(data) {
+    return {
+        ...data,
+        schema_version: 3,
+        versions: {}
+    };
+}
+
+const MIGRATIONS = {
+    0: migrateV0ToV1,
+    1: migrateV1ToV2,
+    2: migrateV2ToV3
+};
+
+/**
+ * Bring a document of any known version up to PROJECT_SCHEMA_VERSION.
+ *
+ * @param {Object} data - Parsed project document (any version)
+ * @returns {{ valid: boolean, project?: Object, error?: string }}
+ */
+function migrateProject(data) {
+    let version = typeof data.schema_version === 'number' ? data.schema_version : 0;
+
+    if (version > PROJECT_SCHEMA_VERSION) {
+        return {
+            valid: false,
+            error: `Versi proyek ${version} lebih baru dari versi aplikasi (${PROJECT_SCHEMA_VERSION})`
+        };
+    }
+
+    let project = data;
+    while (version < PROJECT_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            return { valid: false, error: `Tidak ada migrasi dari versi ${version}` };
+        }
+        project = migrate(project);
+        version = project.schema_version;
+    }
+
+    return { valid: true, project };
+}
+
+// ============================================================================
+// VALIDATION (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Validate a current-version project document.
+ * Structural checks always run; Invariants checks run when available (DEV).
+ *
+ * @param {Object} project - Project document
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateProject(project) {
+    if (!Array.isArray(project.scales) || project.scales.length === 0) {
+        return { valid: false, error: 'Proyek tidak berisi skala' };
+    }
+
+    const ids = new Set();
+    for (const scale of project.scales) {
+        if (!scale || typeof scale.scale_id !== 'string') {
+            return { valid: false, error: 'Skala tanpa scale_id' };
+        }
+        if (ids.has(scale.scale_id)) {
+            return { valid: false, error: `scale_id ganda: ${scale.scale_id}` };
+        }
+        ids.add(scale.scale_id);
+    }
+
+    for (const scale of project.scales) {
+        if (scale.parent_scale_id && !ids.has(scale.parent_scale_id)) {
+            return { valid: false, error: `Induk tidak ditemukan untuk ${scale.scale_id}` };
+        }
+    }
+
+    if (!project.scales.some(s => s.is_root)) {
+        return { valid: false, error: 'Proyek tidak memiliki skala asal (root)' };
+    }
+
+    // Individual versions are checked by VersionHistory.restoreVersions
+    if (!project.versions || typeof project.versions !== 'object' || Array.isArray(project.versions)) {
+        return { valid: false, error: 'Riwayat versi tidak valid' };
+    }
+
+    const invariants = typeof window !== 'undefined' ? window.Invariants : null;
+    if (invariants) {
+        try {
+            project.scales.forEach(scale => {
+                invariants.validateScale(scale);
+                invariants.validateBranchedScale(scale);
+                scale.dimensions.forEach(dim => {
+                    invariants.validateDimension(dim);
+                    dim.items.forEach(item => invariants.validateItem(item));
+                });
+            });
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    return { valid: true };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Browser global export
+if (typeof window !== 'undefined') {
+    window.ProjectFile = {
+        PROJECT_FORMAT,
+        PROJECT_SCHEMA_VERSION,
+        PROJECT_FILE_EXTENSION,
+        serializeProject,
+        stringifyProject,
+        parseProject,
+        readProjectData,
+        migrateProject,
+        validateProject
+    };
+}
+
+// CommonJS export (for future module systems)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROJECT_FORMAT,
+        PROJECT_SCHEMA_VERSION,
+        PROJECT_FILE_EXTENSION,
+        serializeProject,
+        stringifyProject,
+        parseProject,
+        readProjectData,
+        migrateProject,
+        validateProject
+    };
+}
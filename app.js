@@ -24,6 +24,8 @@
   //   branch_index?: number
   //   position: { x: number, y: number }
   //   positionLocked?: boolean
+  //   positionPinned?: boolean
+  //   subtreeCollapsed?: boolean
   //   dimensions: Dimension[]
   //
   // FlatItem Interface (FROZEN - for preview):
@@ -40,6 +42,7 @@
     appActive: false,
     sidebarCollapsed: false,
     previewMode: false,
+    activeProject: null,         // { project_id, name, created_at } of the open workspace project
 
     // === CATEGORY 2: Preview State ===
     items: [],                   // FlatItem[] - CONTRACT: see above
@@ -49,12 +52,9 @@
     selectedScaleId: null,
 
     // === CATEGORY 3: Canvas State ===
-    canvasState: {
-      scales: new Map(),         // CONTRACT: Map<string, Scale>
-      connections: [],           // Visual only, derived from parent_scale_id
-      pan: { x: 0, y: 0 },      // Canvas viewport offset
-      activeScaleId: 'skala-asli'
-    }
+    // Owned by StateManager (loaded/unloaded per workspace project)
+    // scales: Map<string, Scale>, connections, pan, activeScaleId, branching flags
+    canvasState: window.StateManager.getCanvasState()
   };
 
   // ==================== DOM ELEMENTS ====================
@@ -102,513 +102,898 @@
   // ==================== INITIALIZATION ====================
 
   function init() {
+    // All scale mutations go through ScaleStore (validation + undo history)
+    window.ScaleStore.init(state.canvasState);
+    window.VersionHistory.init(window.ScaleStore);
+
     cacheElements();
     bindEvents();
+    initStoreSubscriptions();
+    initTabSync();
     initOfflineDetection();
     initUploadErrorModal();
+    initPersistence();
     showScreen(1);
+    offerSessionRestore();
   }
 
-  // ==================== NETWORK RESILIENCE ====================
+  // ==================== STORE SUBSCRIPTIONS ====================
+  // Views re-render from ScaleStore change events instead of every mutation
+  // path calling renderAll. Events are batched: one render per tick.
 
-  function initOfflineDetection() {
-    const overlay = document.getElementById('offline-overlay');
+  let pendingStoreEvents = [];
 
-    // Check initial state
-    if (!navigator.onLine) {
-      overlay?.classList.remove('hidden');
+  function initStoreSubscriptions() {
+    window.ScaleStore.subscribe(event => {
+      if (pendingStoreEvents.length === 0) {
+        queueMicrotask(flushStoreEvents);
+      }
+      pendingStoreEvents.push(event);
+    });
+  }
+
+  function flushStoreEvents() {
+    const events = pendingStoreEvents;
+    pendingStoreEvents = [];
+    if (events.length === 0) return;
+
+    applyPreviewChange(events);
+
+    if (elements.scaleSelectorModal?.classList.contains('open')) {
+      renderScaleSelectorGraph();
     }
 
-    // Listen for network changes
-    window.addEventListener('online', () => {
-      console.log('[MLPA] Network: Back online');
-      overlay?.classList.add('hidden');
-    });
+    if (elements.compareModal?.classList.contains('open')) {
+      renderCompare();
+    }
 
-    window.addEventListener('offline', () => {
-      console.log('[MLPA] Network: Went offline');
-      overlay?.classList.remove('hidden');
-    });
+    flowEditor.handleStoreChanges(events);
   }
 
-  function initUploadErrorModal() {
-    const modal = document.getElementById('upload-error-modal');
-    const mockBtn = document.getElementById('upload-error-mock');
-    const closeBtn = document.getElementById('upload-error-close');
+  // DELEGATED to PreviewController (controllers/previewController.js)
+  function applyPreviewChange(events) {
+    const change = window.PreviewController.resolveStoreChange(
+      events,
+      state.selectedScaleId,
+      state.canvasState.scales
+    );
+
+    if (change.action === 'reselect') {
+      selectScale(change.scaleId);
+    } else if (change.action === 'refresh') {
+      refreshPreviewScale(change.scaleId);
+    }
+  }
 
-    mockBtn?.addEventListener('click', () => {
-      hideUploadErrorModal();
-      handleLoadMock();
+  // Rebuild preview items for an edited scale without discarding answers
+  function refreshPreviewScale(scaleId) {
+    const scale = state.canvasState.scales.get(scaleId);
+    if (!scale) return;
+
+    state.items = getScaleItems(scale);
+    state.currentItemIndex = Math.min(state.currentItemIndex, Math.max(state.items.length - 1, 0));
+
+    if (elements.scaleSelectorLabel) {
+      elements.scaleSelectorLabel.textContent = scale.scale_name;
+    }
+    updateQuestionnaireUI();
+  }
+
+  // ==================== CROSS-TAB SYNC ====================
+  // Tabs on the same project exchange ScaleStore writes (TabSyncService).
+  // Remote writes come back through ScaleStore with source 'remote', so the
+  // subscribers above re-render them; they are neither re-sent nor autosaved.
+
+  function initTabSync() {
+    window.TabSyncService.init({
+      onRemoteChange: applyRemoteChange,
+      onLockChange: (scaleId, locked) => {
+        window.CanvasStateOps.setBranchingLockedElsewhere(state.canvasState, scaleId, locked);
+      }
     });
 
-    closeBtn?.addEventListener('click', () => {
-      hideUploadErrorModal();
+    window.ScaleStore.subscribe(event => {
+      // Loads are per tab (opening a project); other tabs already have that graph
+      if (event.source === 'load' || event.source === 'remote') return;
+      if (event.type === window.ScaleStore.EVENTS.CLEARED) return;
+
+      window.TabSyncService.publishChange(event, window.ScaleStore.exportScales(event.scaleIds));
     });
   }
 
-  function showUploadErrorModal(message) {
-    const modal = document.getElementById('upload-error-modal');
-    const messageEl = document.getElementById('upload-error-message');
+  function applyRemoteChange(change) {
+    // An open item edit would write its stale text back over the remote version
+    const editItem = flowEditor.activeEditItem;
+    const editScaleId = editItem?.closest('.flow-box')?.dataset.scaleId;
+    const touchesEdit = change.entries.some(([scaleId]) => scaleId === editScaleId) &&
+      (change.type !== window.ScaleStore.EVENTS.ITEM_UPDATED || change.itemId === editItem.dataset.itemId);
 
-    if (messageEl) messageEl.textContent = message;
-    modal?.classList.remove('hidden');
-  }
+    if (touchesEdit) {
+      flowEditor.cancelActiveEdit();
+      flowEditor.showNotification('Item ini diubah di tab lain');
+    }
 
-  function hideUploadErrorModal() {
-    const modal = document.getElementById('upload-error-modal');
-    modal?.classList.add('hidden');
+    if (window.ScaleStore.applyRemoteChange(change)) {
+      console.log('[MLPA] Remote change applied:', change.type, change.entries.map(([scaleId]) => scaleId));
+    }
   }
 
-  function cacheElements() {
-    // Welcome screen
-    elements.screens = document.querySelectorAll('.screen');
-    elements.uploadZone = document.getElementById('upload-zone');
-    elements.fileInput = document.getElementById('file-input');
-    elements.fullscreenBtn = document.getElementById('fullscreen-btn');
-    elements.errorMessage = document.getElementById('error-message');
-    elements.testMockBtn = document.getElementById('test-mock-btn');
+  // ==================== SESSION PERSISTENCE ====================
 
-    // App container
-    elements.appContainer = document.getElementById('app-container');
-    elements.sidebar = document.getElementById('sidebar');
-    elements.sidebarToggle = document.getElementById('sidebar-toggle');
-    elements.sidebarToggleTooltip = document.querySelector('.sidebar-toggle-tooltip');
-    elements.sidebarShowBtn = document.getElementById('sidebar-show-btn');
-    elements.navItems = document.querySelectorAll('.nav-item');
-    elements.mainContent = document.getElementById('main-content');
+  function initPersistence() {
+    window.PersistenceService.init(buildSessionSnapshot);
 
-    // Preview toggle
-    elements.previewToggle = document.getElementById('preview-toggle');
+    // Every scale write (including undo/redo/load) schedules an autosave.
+    // Writes from other tabs are already saved by the tab that made them.
+    window.ScaleStore.subscribe(event => {
+      if (event.source !== 'remote') requestAutosave();
+    });
 
-    // Questionnaire
-    elements.questionnaire = document.getElementById('questionnaire');
-    elements.itemCounter = document.getElementById('item-counter');
-    elements.itemText = document.getElementById('item-text');
-    elements.likertDots = document.querySelectorAll('.likert-dot');
-    elements.prevBtn = document.getElementById('prev-btn');
-    elements.nextBtn = document.getElementById('next-btn');
+    // Best-effort final write when the tab goes away
+    window.addEventListener('pagehide', () => window.PersistenceService.flush());
+  }
 
-    // Completion
-    elements.completion = document.getElementById('completion');
-    elements.finalScore = document.getElementById('final-score');
-    elements.maxScore = document.getElementById('max-score');
-    elements.resetBtn = document.getElementById('reset-btn');
+  // Record of the open project (null = no project open or nothing worth saving)
+  // Same document as a project file, plus workspace fields and preview state
+  function buildSessionSnapshot() {
+    if (!state.activeProject || state.canvasState.scales.size === 0) return null;
 
-    // Preview return button
-    elements.previewReturn = document.getElementById('preview-return');
+    return {
+      ...buildProjectDocument(),
+      project_id: state.activeProject.project_id,
+      created_at: state.activeProject.created_at,
+      preview: {
+        selected_scale_id: state.selectedScaleId,
+        answers: { ...state.answers },
+        current_item_index: state.currentItemIndex
+      }
+    };
+  }
 
-    // Scale selector
-    elements.scaleSelectorBtn = document.getElementById('scale-selector-btn');
-    elements.scaleSelectorLabel = document.getElementById('scale-selector-label');
-    elements.scaleSelectorModal = document.getElementById('scale-selector-modal');
-    elements.scaleSelectorClose = document.getElementById('scale-selector-close');
-    elements.scaleSelectorBackdrop = document.querySelector('.scale-selector-backdrop');
-    elements.scaleSelectorNodes = document.getElementById('scale-selector-nodes');
-    elements.scaleSelectorConnections = document.getElementById('scale-selector-connections');
+  function requestAutosave() {
+    window.PersistenceService.requestSave();
+  }
 
-    // Inner screens
-    elements.innerScreens = document.querySelectorAll('.inner-screen');
+  // ==================== PROJECT FILES (.mlpa.json) ====================
+
+  function buildProjectDocument() {
+    return window.ProjectFile.serializeProject({
+      scales: state.canvasState.scales.values(),
+      pan: state.canvasState.pan,
+      zoom: state.canvasState.zoom,
+      activeScaleId: state.canvasState.activeScaleId,
+      name: state.activeProject?.name,
+      versions: window.VersionHistory.exportVersions(state.canvasState.scales.keys())
+    });
   }
 
-  function bindEvents() {
-    // Upload zone interactions
-    if (elements.uploadZone) {
-      elements.uploadZone.addEventListener('click', handleUploadClick);
-      elements.uploadZone.addEventListener('keydown', handleUploadKeydown);
-      elements.uploadZone.addEventListener('dragenter', handleDragEnter);
-      elements.uploadZone.addEventListener('dragover', handleDragOver);
-      elements.uploadZone.addEventListener('dragleave', handleDragLeave);
-      elements.uploadZone.addEventListener('drop', handleDrop);
+  /**
+   * Replace the current graph with a validated project document.
+   * @returns {boolean} Success
+   */
+  function loadProject(project) {
+    try {
+      window.ScaleStore.loadScales(project.scales);
+    } catch (error) {
+      console.error('[MLPA] Project rejected by invariants:', error);
+      return false;
     }
 
-    // File input change
-    if (elements.fileInput) {
-      elements.fileInput.addEventListener('change', handleFileSelect);
-    }
+    // The load recorded a first version of every scale; put the saved history back
+    window.VersionHistory.restoreVersions(project.versions);
 
-    // Fullscreen button
-    if (elements.fullscreenBtn) {
-      elements.fullscreenBtn.addEventListener('click', toggleFullscreen);
-    }
+    window.StateManager.loadCanvasState(project.canvas);
 
-    // Test Mock Data button
-    if (elements.testMockBtn) {
-      elements.testMockBtn.addEventListener('click', handleLoadMock);
-    }
+    // Preview: reselect scale, then put answers back (selectScale resets them)
+    const preview = project.preview;
+    const rootScale = window.ScaleGraph.getRootScale(state.canvasState.scales);
+    const selectedId = preview && state.canvasState.scales.has(preview.selected_scale_id)
+      ? preview.selected_scale_id
+      : rootScale?.scale_id;
+    selectScale(selectedId);
 
-    // Sidebar toggle
-    if (elements.sidebarToggle) {
-      elements.sidebarToggle.addEventListener('click', toggleSidebar);
+    if (preview) {
+      state.answers = preview.answers || {};
+      state.currentItemIndex = Math.min(preview.current_item_index || 0, Math.max(state.items.length - 1, 0));
+      updateQuestionnaireUI();
+      checkCompletion();
     }
 
-    // Sidebar show button (when collapsed)
-    if (elements.sidebarShowBtn) {
-      elements.sidebarShowBtn.addEventListener('click', toggleSidebar);
-    }
+    return true;
+  }
 
-    // Navigation items
-    elements.navItems.forEach(item => {
-      item.addEventListener('click', () => {
-        const screenNum = parseInt(item.dataset.screen);
-        switchInnerScreen(screenNum);
-        updateNavActive(item);
-      });
-    });
+  function isProjectFile(file) {
+    return file.name.toLowerCase().endsWith('.json');
+  }
 
-    // Preview toggle
-    if (elements.previewToggle) {
-      elements.previewToggle.addEventListener('click', togglePreviewMode);
-    }
+  function saveProjectFile() {
+    if (state.canvasState.scales.size === 0) return;
 
-    // Preview return button
-    if (elements.previewReturn) {
-      elements.previewReturn.addEventListener('click', togglePreviewMode);
-    }
+    const project = buildProjectDocument();
+    const filename = (flowEditor.sanitizeFilename(project.name) || 'proyek-mlpa') +
+      window.ProjectFile.PROJECT_FILE_EXTENSION;
 
-    // Likert dots
-    elements.likertDots.forEach(dot => {
-      dot.addEventListener('click', () => handleLikertSelect(dot));
-    });
+    const blob = new Blob([window.ProjectFile.stringifyProject(project)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
 
-    // Navigation arrows
-    if (elements.prevBtn) {
-      elements.prevBtn.addEventListener('click', goToPrevItem);
+    console.log('[MLPA] Project saved:', filename);
+  }
+
+  async function openProjectFile(file) {
+    let text;
+    try {
+      text = await readFileAsText(file);
+    } catch (error) {
+      alert('Gagal membuka proyek: ' + error.message);
+      return;
     }
-    if (elements.nextBtn) {
-      elements.nextBtn.addEventListener('click', goToNextItem);
+
+    const result = window.ProjectFile.parseProject(text);
+    if (!result.valid) {
+      console.warn('[MLPA] Project file rejected:', result.error);
+      alert('Gagal membuka proyek: ' + result.error);
+      return;
     }
 
-    // Reset button
-    if (elements.resetBtn) {
-      elements.resetBtn.addEventListener('click', resetQuestionnaire);
+    // Checked after the read: a branch may have started meanwhile
+    if (state.canvasState.isBranchingInProgress) {
+      alert('Tunggu hingga pembuatan cabang selesai.');
+      return;
     }
 
-    // Scale selector
-    if (elements.scaleSelectorBtn) {
-      elements.scaleSelectorBtn.addEventListener('click', openScaleSelector);
+    // Imported files become a workspace project of their own
+    const loaded = await loadIntoWorkspace(result.project.name, () => loadProject(result.project));
+    if (!loaded) {
+      alert('Gagal membuka proyek: struktur skala tidak valid.');
+      return;
     }
-    if (elements.scaleSelectorClose) {
-      elements.scaleSelectorClose.addEventListener('click', closeScaleSelector);
+
+    console.log('[MLPA] Project imported:', result.project.name);
+
+    // Re-enter the current inner screen so the flow editor re-renders
+    showScreen(state.currentScreen >= 2 ? state.currentScreen : 2);
+  }
+
+  function handleProjectFileSelect(e) {
+    const file = e.target?.files?.[0];
+    if (file) {
+      openProjectFile(file);
     }
-    if (elements.scaleSelectorBackdrop) {
-      elements.scaleSelectorBackdrop.addEventListener('click', closeScaleSelector);
+    e.target.value = '';
+  }
+
+  // ==================== PROJECT MERGE (three-way) ====================
+  // The open project is "ours", a colleague's project file is "theirs", and an
+  // optional base file is the version both started from. ScaleMerge does the
+  // merge; the result replaces the graph as one undoable ScaleStore write.
+
+  const mergeSession = {
+    theirs: null,        // Parsed project document
+    base: null,          // Parsed project document (optional)
+    plan: null,          // MergePlan
+    choices: {},         // conflict_id → 'ours' | 'theirs'
+    oursSnapshot: null   // Graph the plan was computed from (stale check)
+  };
+
+  function openMergeModal() {
+    if (!elements.mergeModal) return;
+    if (state.canvasState.scales.size === 0) {
+      alert('Buka atau unggah proyek terlebih dahulu.');
+      return;
     }
-    // Escape key to close modal
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && elements.scaleSelectorModal?.classList.contains('open')) {
-        closeScaleSelector();
-      }
-    });
 
-    // Fullscreen change event
-    document.addEventListener('fullscreenchange', updateFullscreenState);
-    document.addEventListener('webkitfullscreenchange', updateFullscreenState);
+    mergeSession.theirs = null;
+    mergeSession.base = null;
+    mergeSession.plan = null;
+    mergeSession.choices = {};
+    if (elements.mergeTheirsInput) elements.mergeTheirsInput.value = '';
+    if (elements.mergeBaseInput) elements.mergeBaseInput.value = '';
+
+    renderMergeResult();
+    elements.mergeModal.classList.add('open');
   }
 
-  // ==================== SCREEN NAVIGATION ====================
+  function closeMergeModal() {
+    elements.mergeModal?.classList.remove('open');
+  }
 
-  function showScreen(screenNumber) {
-    if (screenNumber < 1 || screenNumber > state.totalScreens) return;
+  async function handleMergeFileChange(e, slot) {
+    const file = e.target?.files?.[0];
+    mergeSession[slot] = null;
 
-    state.currentScreen = screenNumber;
+    if (file) {
+      try {
+        const result = window.ProjectFile.parseProject(await readFileAsText(file));
+        if (result.valid) {
+          mergeSession[slot] = result.project;
+        } else {
+          alert('Berkas tidak dapat digabungkan: ' + result.error);
+          e.target.value = '';
+        }
+      } catch (error) {
+        alert('Gagal membaca berkas: ' + error.message);
+        e.target.value = '';
+      }
+    }
 
-    // Handle welcome screen
-    const welcomeScreen = document.getElementById('screen-1');
-    if (screenNumber === 1) {
-      welcomeScreen?.classList.add('active');
-      elements.appContainer?.classList.remove('active');
-      state.appActive = false;
-    } else {
-      welcomeScreen?.classList.remove('active');
-      elements.appContainer?.classList.add('active');
-      state.appActive = true;
-      switchInnerScreen(screenNumber);
+    computeMergePlan();
+  }
+
+  function computeMergePlan() {
+    mergeSession.choices = {};
+    mergeSession.plan = null;
+
+    if (mergeSession.theirs) {
+      const ours = Array.from(state.canvasState.scales.values());
+      mergeSession.oursSnapshot = JSON.stringify(ours);
+      mergeSession.plan = window.ScaleMerge.mergeProjects(
+        ours,
+        mergeSession.theirs.scales,
+        mergeSession.base ? mergeSession.base.scales : null
+      );
     }
+
+    renderMergeResult();
   }
 
-  function switchInnerScreen(screenNumber) {
-    elements.innerScreens?.forEach((screen, index) => {
-      const isActive = index + 2 === screenNumber; // +2 because inner screens start at 2
-      screen.classList.toggle('active', isActive);
-    });
-    state.currentScreen = screenNumber;
+  function renderMergeResult() {
+    const { plan } = mergeSession;
 
-    // Initialize flow editor when switching to screen 3
-    if (screenNumber === 3 && typeof flowEditor !== 'undefined') {
-      flowEditor.init();
-      flowEditor.renderAll();
+    if (elements.mergeResult) {
+      elements.mergeResult.innerHTML = plan
+        ? window.MergeRenderer.createMergeSummaryHtml(plan) +
+          window.MergeRenderer.createMergeConflictsHtml(plan.conflicts, mergeSession.choices)
+        : '<p class="merge-note">Pilih berkas proyek rekan untuk melihat hasil gabungan.</p>';
+    }
+    if (elements.mergeApplyBtn) {
+      elements.mergeApplyBtn.disabled = !plan?.valid;
     }
   }
 
-  function updateNavActive(activeItem) {
-    elements.navItems.forEach(item => item.classList.remove('active'));
-    activeItem.classList.add('active');
+  function handleMergeChoice(e) {
+    const input = e.target;
+    if (input?.type !== 'radio') return;
+
+    mergeSession.choices[input.name] = input.value;
+    input.closest('.merge-conflict')?.querySelectorAll('.merge-option').forEach(option => {
+      option.classList.toggle('selected', option.contains(input));
+    });
   }
 
-  // Expose for external use
-  window.goToScreen = showScreen;
-  window.getAppState = () => ({ ...state });
+  function applyMerge() {
+    const { plan } = mergeSession;
+    if (!plan?.valid) return;
 
-  // ==================== SIDEBAR ====================
+    if (state.canvasState.isBranchingInProgress) {
+      alert('Tunggu hingga pembuatan cabang selesai.');
+      return;
+    }
 
-  function toggleSidebar() {
-    state.sidebarCollapsed = !state.sidebarCollapsed;
-    elements.sidebar?.classList.toggle('collapsed', state.sidebarCollapsed);
+    // The graph changed since the plan was made (edit, other tab): review again
+    if (JSON.stringify(Array.from(state.canvasState.scales.values())) !== mergeSession.oursSnapshot) {
+      computeMergePlan();
+      alert('Proyek berubah sejak gabungan dihitung. Tinjau kembali hasilnya.');
+      return;
+    }
 
-    // Update tooltip text
-    if (elements.sidebarToggleTooltip) {
-      elements.sidebarToggleTooltip.textContent = state.sidebarCollapsed
-        ? 'Tampilkan sidebar'
-        : 'Sembunyikan sidebar';
+    const scales = window.ScaleMerge.resolveMerge(plan, mergeSession.choices);
+    const validation = window.ScaleMerge.validateMergedScales(scales);
+    if (!validation.valid) {
+      console.error('[MLPA] Merge result rejected:', validation.error);
+      alert('Hasil gabungan tidak valid: ' + validation.error);
+      return;
+    }
+
+    flowEditor.cancelActiveEdit();
+    try {
+      window.ScaleStore.replaceScales(scales, { label: `Gabungkan "${mergeSession.theirs.name || 'berkas proyek'}"` });
+    } catch (error) {
+      console.error('[MLPA] Merge result rejected by invariants:', error);
+      alert('Hasil gabungan tidak valid: ' + error.message);
+      return;
     }
+
+    closeMergeModal();
+    flowEditor.showNotification('Proyek digabungkan');
+    console.log('[MLPA] Projects merged:', plan.report);
   }
 
-  // ==================== PREVIEW MODE ====================
+  // ==================== COMPARE (two scales side by side) ====================
+  // Items are aligned by lineage (ScaleCompare.compareScales); the modal
+  // re-renders on store events, so it stays current while another tab edits.
 
-  function togglePreviewMode() {
-    state.previewMode = !state.previewMode;
-    document.body.classList.toggle('preview-mode', state.previewMode);
-    elements.previewToggle?.classList.toggle('active', state.previewMode);
+  const compareSession = {
+    leftId: null,
+    rightId: null,
+    hideUnchanged: false
+  };
+
+  // Every scale, each root followed by its subtree (orphans last)
+  function listScalesInTreeOrder() {
+    const scales = state.canvasState.scales;
+    const ordered = [];
+    window.ScaleGraph.findRoots(scales).forEach(rootId => {
+      ordered.push(rootId, ...window.ScaleGraph.getDescendants(scales, rootId));
+    });
+    const listed = new Set(ordered);
+    scales.forEach((scale, id) => {
+      if (!listed.has(id)) ordered.push(id);
+    });
+    return ordered.map(id => scales.get(id));
   }
 
-  // ==================== UPLOAD HANDLERS ====================
+  /**
+   * Open the compare modal. Defaults: right = the given or active scale,
+   * left = its parent (or another scale when it is a root).
+   */
+  function openCompareModal(leftId = null, rightId = null) {
+    if (!elements.compareModal) return;
+    const scales = state.canvasState.scales;
+    if (scales.size < 2) {
+      alert('Dibutuhkan minimal dua skala untuk dibandingkan.');
+      return;
+    }
 
-  function handleUploadClick(e) {
-    // Don't open file picker if clicking the mock data button
-    if (e.target.closest('#test-mock-btn')) {
+    const ordered = listScalesInTreeOrder();
+    const right = scales.get(rightId) || scales.get(state.canvasState.activeScaleId) || ordered[1];
+    const left = scales.get(leftId) ||
+      window.ScaleGraph.getParent(scales, right.scale_id) ||
+      ordered.find(scale => scale.scale_id !== right.scale_id);
+
+    compareSession.leftId = left.scale_id;
+    compareSession.rightId = right.scale_id;
+
+    renderCompare();
+    elements.compareModal.classList.add('open');
+  }
+
+  function closeCompareModal() {
+    elements.compareModal?.classList.remove('open');
+  }
+
+  function renderCompare() {
+    const scales = state.canvasState.scales;
+
+    // A compared scale was deleted (undo, other tab): close rather than guess
+    if (!scales.has(compareSession.leftId) || !scales.has(compareSession.rightId)) {
+      closeCompareModal();
       return;
     }
-    if (!state.isProcessing) {
-      clearError();
-      elements.fileInput?.click();
+
+    const ordered = listScalesInTreeOrder();
+    if (elements.compareLeft) {
+      elements.compareLeft.innerHTML = window.CompareRenderer.createCompareOptionsHtml(ordered, compareSession.leftId);
     }
-  }
+    if (elements.compareRight) {
+      elements.compareRight.innerHTML = window.CompareRenderer.createCompareOptionsHtml(ordered, compareSession.rightId);
+    }
+    if (!elements.compareResult) return;
 
-  function handleUploadKeydown(e) {
-    if ((e.key === 'Enter' || e.key === ' ') && !state.isProcessing) {
-      e.preventDefault();
-      clearError();
-      elements.fileInput?.click();
+    if (compareSession.leftId === compareSession.rightId) {
+      elements.compareResult.innerHTML = '<p class="merge-note">Pilih dua skala yang berbeda.</p>';
+      return;
     }
+
+    const comparison = window.ScaleCompare.compareScales(scales, compareSession.leftId, compareSession.rightId);
+    elements.compareResult.innerHTML = window.CompareRenderer.createCompareHtml(comparison, {
+      left: scales.get(compareSession.leftId).scale_name,
+      right: scales.get(compareSession.rightId).scale_name,
+      ancestor: comparison.common_ancestor_id ? scales.get(comparison.common_ancestor_id).scale_name : null
+    }, { hideUnchanged: compareSession.hideUnchanged });
   }
 
-  let dragCounter = 0;
+  // ==================== IMAGE EXPORT (SVG / PNG) ====================
+  // CanvasImageLayout (layout/canvasImageLayout.js) places the boxes from the
+  // scales alone and CanvasImageRenderer draws a standalone SVG, so culled or
+  // collapsed boxes export like any other. PNG is that SVG rasterized.
 
-  function handleDragEnter(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    dragCounter++;
-    elements.uploadZone.classList.add('drag-over');
-    clearError();
+  const IMAGE_EXPORT_PNG_SCALE = 2;           // Device pixels per SVG pixel
+  const IMAGE_EXPORT_MAX_PIXELS = 100000000;  // Below browser canvas area limits
+  const IMAGE_EXPORT_MAX_SIDE = 16384;        // Below browser canvas side limits
+
+  function openImageExportModal(scope = null) {
+    if (!elements.imageExportModal) return;
+    if (state.canvasState.scales.size === 0) {
+      alert('Buka atau unggah proyek terlebih dahulu.');
+      return;
+    }
+
+    const selectedCount = flowEditor.multiSelection.size;
+    if (elements.imageExportScopeSelection) {
+      elements.imageExportScopeSelection.disabled = selectedCount === 0;
+    }
+    if (elements.imageExportSelectionLabel) {
+      elements.imageExportSelectionLabel.textContent = selectedCount > 0
+        ? `Skala terpilih (${selectedCount})`
+        : 'Skala terpilih (belum ada pilihan)';
+    }
+
+    const chosenScope = selectedCount > 0 ? (scope || 'selection') : 'all';
+    const scopeInput = elements.imageExportModal.querySelector(`input[name="image-export-scope"][value="${chosenScope}"]`);
+    if (scopeInput) scopeInput.checked = true;
+
+    elements.imageExportModal.classList.add('open');
   }
 
-  function handleDragOver(e) {
-    e.preventDefault();
-    e.stopPropagation();
+  function closeImageExportModal() {
+    elements.imageExportModal?.classList.remove('open');
   }
 
-  function handleDragLeave(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    dragCounter--;
-    if (dragCounter === 0) {
-      elements.uploadZone.classList.remove('drag-over');
+  async function exportCanvasImage(format) {
+    const modal = elements.imageExportModal;
+    const scope = modal?.querySelector('input[name="image-export-scope"]:checked')?.value || 'all';
+    const mode = modal?.querySelector('input[name="image-export-mode"]:checked')?.value || 'compact';
+    const scaleIds = scope === 'selection' ? Array.from(flowEditor.multiSelection) : null;
+
+    const layout = window.CanvasImageLayout.computeCanvasImageLayout(state.canvasState.scales, scaleIds, mode);
+    if (!layout) {
+      alert('Tidak ada skala untuk diekspor.');
+      return;
     }
-  }
 
-  function handleDrop(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    dragCounter = 0;
-    elements.uploadZone.classList.remove('drag-over');
+    const projectName = state.activeProject?.name || 'Pohon Skala MLPA';
+    const svg = window.CanvasImageRenderer.createCanvasImageSvg(layout, { title: projectName });
+    const filename = (flowEditor.sanitizeFilename(projectName) || 'pohon-skala') +
+      (scope === 'selection' ? '-terpilih' : '') +
+      (mode === 'detailed' ? '-rinci' : '-ringkas');
 
-    const files = e.dataTransfer?.files;
-    if (files && files.length > 0) {
-      handleFiles(files);
+    if (format === 'svg') {
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }), `${filename}.svg`);
+      closeImageExportModal();
+      return;
     }
-  }
 
-  function handleFileSelect(e) {
-    const files = e.target?.files;
-    if (files && files.length > 0) {
-      handleFiles(files);
+    try {
+      const png = await rasterizeSvg(svg, layout.width, layout.height);
+      downloadBlob(png, `${filename}.png`);
+      closeImageExportModal();
+    } catch (error) {
+      console.error('[MLPA] PNG export failed:', error);
+      alert('Gagal membuat PNG: ' + error.message + '. Coba unduh SVG.');
     }
-    e.target.value = '';
   }
 
-  // ==================== FILE VALIDATION ====================
+  // Draw the SVG on a canvas (scaled down when the graph is too large for one)
+  function rasterizeSvg(svg, width, height) {
+    const scale = Math.min(
+      IMAGE_EXPORT_PNG_SCALE,
+      IMAGE_EXPORT_MAX_SIDE / Math.max(width, height),
+      Math.sqrt(IMAGE_EXPORT_MAX_PIXELS / (width * height))
+    );
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
 
-  function isCSVFile(file) {
-    return file.name.toLowerCase().endsWith('.csv');
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => {
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('gambar terlalu besar'));
+          }
+        }, 'image/png');
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('SVG tidak dapat dimuat'));
+      };
+      image.src = url;
+    });
   }
 
-  function showError(message) {
-    if (elements.errorMessage) {
-      elements.errorMessage.textContent = message;
-      elements.errorMessage.classList.add('visible');
-      elements.uploadZone?.classList.add('has-error');
-    }
+  function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
   }
 
-  function clearError() {
-    if (elements.errorMessage) {
-      elements.errorMessage.textContent = '';
-      elements.errorMessage.classList.remove('visible');
-      elements.uploadZone?.classList.remove('has-error');
-    }
+  // ==================== WORKSPACE (named local projects) ====================
+  // The open project autosaves into its own record (see buildSessionSnapshot).
+  // Switching flushes the outgoing project, then ScaleStore + StateManager load
+  // the incoming one. Nothing is ever replaced in place.
+
+  // Call after every change of state.activeProject
+  function handleActiveProjectChange() {
+    updateWorkspaceLabel();
+    window.TabSyncService.setProjectId(state.activeProject?.project_id || null);
   }
 
-  // ==================== CSV PARSING ====================
-  // Delegated to CSVIngest module (adapters/csvIngest.js)
+  function updateWorkspaceLabel() {
+    if (!elements.workspaceCurrentName) return;
+    const name = state.activeProject?.name || 'Proyek';
+    elements.workspaceCurrentName.textContent = name;
+    elements.workspaceBtn?.setAttribute('title', `Proyek: ${name}`);
+  }
 
-  function parseCSV(text) {
-    // Delegate to pure module function
-    return window.CSVIngest.parseCSV(text);
+  async function activateProject(record) {
+    state.activeProject = {
+      project_id: record.project_id,
+      name: record.name,
+      created_at: record.created_at || null
+    };
+    handleActiveProjectChange();
+    await window.WorkspaceService.setActiveProjectId(record.project_id);
   }
 
-  function parseCSVLine(line, delimiter = ',') {
-    // Delegate to pure module function
-    return window.CSVIngest.parseCSVLine(line, delimiter);
+  // Store pending work of the open project, then detach from it
+  async function leaveCurrentProject() {
+    if (!state.activeProject) return;
+    await window.PersistenceService.flush();
+    state.activeProject = null;
+    handleActiveProjectChange();
   }
 
-  // ==================== FILE PROCESSING ====================
+  function closeCurrentGraph() {
+    flowEditor.closeBranchingPopup();
+    flowEditor.closeVersionPanel();
+    flowEditor.closeMetadataPanel();
+    flowEditor.closeIntentPanel();
+    window.ScaleStore.clear();
+    window.StateManager.unloadCanvasState();
 
-  // Upload loading state management
-  let uploadLoadingInterval = null;
+    state.selectedScaleId = null;
+    state.items = [];
+    state.currentItemIndex = 0;
+    state.answers = {};
+    state.isCompleted = false;
+    if (elements.scaleSelectorLabel) {
+      elements.scaleSelectorLabel.textContent = 'Pilih Skala';
+    }
+  }
 
-  function showUploadLoading() {
-    const uploadZone = document.getElementById('upload-zone');
-    const loadingText = document.getElementById('upload-loading-text');
+  /**
+   * Load a new graph (upload, mock data, file import) as its own project.
+   * A project created from the switcher is still empty and gets filled instead.
+   *
+   * Refused while a branch is being generated: unloading the canvas would end
+   * the run, and its result would land in the newly loaded graph.
+   *
+   * @param {string} name - Name for a newly created project
+   * @param {Function} load - () => boolean, loads the graph via ScaleStore
+   * @returns {Promise<boolean>} Success
+   */
+  async function loadIntoWorkspace(name, load) {
+    if (state.canvasState.isBranchingInProgress) {
+      alert('Tunggu hingga pembuatan cabang selesai.');
+      return false;
+    }
 
-    uploadZone?.classList.add('processing');
+    const fillActive = Boolean(state.activeProject) && state.canvasState.scales.size === 0;
+    const previous = state.activeProject;
 
-    // Animated dots
-    let dotCount = 0;
-    if (loadingText) {
-      loadingText.textContent = 'Memproses skala.';
-      uploadLoadingInterval = setInterval(() => {
-        dotCount = (dotCount + 1) % 3;
-        const dots = '.'.repeat(dotCount + 1);
-        loadingText.textContent = 'Memproses skala' + dots;
-      }, 400);
+    if (!fillActive) {
+      await leaveCurrentProject();
     }
-  }
+    const outgoingCanvas = window.StateManager.unloadCanvasState();
 
-  function hideUploadLoading() {
-    const uploadZone = document.getElementById('upload-zone');
-    uploadZone?.classList.remove('processing');
+    let loaded = false;
+    try {
+      loaded = load();
+    } finally {
+      if (!loaded) {
+        // Nothing was replaced (invariants reject before mutating): reattach
+        window.StateManager.loadCanvasState({
+          pan: outgoingCanvas.pan,
+          zoom: outgoingCanvas.zoom,
+          active_scale_id: outgoingCanvas.activeScaleId
+        });
+        state.activeProject = previous;
+        handleActiveProjectChange();
+      }
+    }
+    if (!loaded) return false;
 
-    if (uploadLoadingInterval) {
-      clearInterval(uploadLoadingInterval);
-      uploadLoadingInterval = null;
+    if (!fillActive) {
+      const record = await window.WorkspaceService.createProject(name);
+      if (record) {
+        await activateProject(record);
+      } else {
+        console.warn('[MLPA] Project could not be stored, working unsaved');
+      }
     }
+
+    // Write the full graph into the (new or filled) project now
+    await window.PersistenceService.flush();
+    return true;
   }
 
-  async function handleFiles(files) {
-    const file = files[0];
+  /**
+   * Open a workspace project (empty projects land on the upload screen).
+   *
+   * @param {string} projectId - Project ID
+   * @returns {Promise<boolean>} Success
+   */
+  async function switchProject(projectId) {
+    if (state.canvasState.isBranchingInProgress) {
+      alert('Tunggu hingga pembuatan cabang selesai.');
+      return false;
+    }
+    if (state.activeProject?.project_id === projectId) return true;
 
-    if (!isCSVFile(file)) {
-      showError('Format tidak didukung. Gunakan file CSV.');
-      return;
+    flowEditor.cancelActiveEdit();
+
+    const result = await window.WorkspaceService.openProject(projectId);
+    if (!result.found) {
+      alert('Proyek tidak ditemukan.');
+      return false;
+    }
+    if (result.error) {
+      console.error('[MLPA] Stored project is invalid:', result.error);
+      showUploadErrorModal('Proyek tersimpan tidak dapat dibuka. Silakan unggah ulang skala.');
+      return false;
     }
 
-    clearError();
-    state.isProcessing = true;
-    showUploadLoading();
+    await leaveCurrentProject();
+    closeCurrentGraph();
 
-    try {
-      const content = await readFileAsText(file);
-      state.csvRaw = content;
+    if (result.project && !loadProject(result.project)) {
+      showUploadErrorModal('Proyek tersimpan tidak dapat dibuka. Silakan unggah ulang skala.');
+      showScreen(1);
+      return false;
+    }
 
-      console.log('[MLPA] CSV file loaded:', file.name);
+    await activateProject(result.record);
+    console.log('[MLPA] Project opened:', result.record.name);
 
-      // Parse CSV to JSON
-      const parsed = parseCSV(content);
-      state.csvData = parsed;
+    if (result.project) {
+      showScreen(state.currentScreen >= 2 ? state.currentScreen : 2);
+    } else {
+      showScreen(1);
+    }
+    return true;
+  }
 
-      console.log('[MLPA] Parsed CSV:', parsed);
+  async function openWorkspaceModal() {
+    if (!elements.workspaceModal) return;
 
-      let rootScale;
+    // Make the open project's entry current before listing
+    await window.PersistenceService.flush();
+    await renderWorkspaceList();
 
-      // Try GPT structuring if configured
-      if (typeof OpenAIAPI !== 'undefined' && OpenAIAPI.isConfigured()) {
-        console.log('[MLPA] Calling GPT for scale structuring...');
-        const structured = await OpenAIAPI.structureCSVToScale(parsed.items, file.name);
-        console.log('[MLPA] GPT structuring result:', structured);
+    elements.workspaceModal.classList.add('open');
+  }
 
-        // Check sanity-check result
-        if (structured && structured.is_valid_scale === false) {
-          console.warn('[MLPA] CSV rejected - not a valid scale');
-          hideUploadLoading();
-          const reason = structured.rejection_reason || 'Skala tidak terdeteksi dalam CSV ini.';
-          showUploadErrorModal(reason);
-          return;
-        }
+  function closeWorkspaceModal() {
+    elements.workspaceModal?.classList.remove('open');
+  }
 
-        // Ask user confirmation if GPT needs to group items into dimensions
-        if (structured && structured.has_dimensions === false) {
-          console.log('[MLPA] CSV has no dimensions - asking user confirmation');
-          hideUploadLoading();
+  async function renderWorkspaceList() {
+    if (!elements.workspaceList) return;
 
-          // Show confirmation modal and wait for user decision
-          const userConfirmed = await showDimensionConfirmModal();
+    const projects = await window.WorkspaceService.listProjects();
+    elements.workspaceList.innerHTML = window.WorkspaceRenderer.createProjectListHtml(
+      projects,
+      state.activeProject?.project_id || null
+    );
+  }
 
-          if (!userConfirmed) {
-            console.log('[MLPA] User declined dimension grouping');
-            return; // User cancelled, stay on upload screen
-          }
+  async function createEmptyProject() {
+    const name = prompt('Nama proyek baru:', window.WorkspaceService.DEFAULT_PROJECT_NAME);
+    if (name === null) return;
 
-          console.log('[MLPA] User confirmed dimension grouping');
-          showUploadLoading(); // Show loading again while we build the scale
-        }
+    const record = await window.WorkspaceService.createProject(name.trim());
+    if (!record) {
+      alert('Gagal membuat proyek.');
+      return;
+    }
 
-        if (structured && structured.dimensions && structured.dimensions.length > 0) {
-          rootScale = buildScaleFromGPT(structured, file.name);
-        } else {
-          console.warn('[MLPA] GPT structuring invalid, using fallback');
-          rootScale = createFallbackScale(parsed.items, file.name);
+    closeWorkspaceModal();
+    await switchProject(record.project_id);
+  }
+
+  async function handleWorkspaceListClick(e) {
+    const button = e.target.closest('[data-action]');
+    const row = button?.closest('.workspace-project');
+    if (!row) return;
+
+    const projectId = row.dataset.projectId;
+    const name = row.querySelector('.workspace-project-name')?.textContent || '';
+    const isActive = state.activeProject?.project_id === projectId;
+
+    switch (button.dataset.action) {
+      case 'open':
+        closeWorkspaceModal();
+        await switchProject(projectId);
+        break;
+
+      case 'rename': {
+        const newName = prompt('Nama proyek:', name);
+        if (newName === null || !newName.trim()) return;
+
+        if (isActive) await window.PersistenceService.flush();
+        const record = await window.WorkspaceService.renameProject(projectId, newName);
+        if (record && isActive) {
+          state.activeProject.name = record.name;
+          updateWorkspaceLabel();
         }
-      } else {
-        console.log('[MLPA] OpenAI API not configured, using fallback');
-        rootScale = createFallbackScale(parsed.items, file.name);
+        await renderWorkspaceList();
+        break;
       }
 
-      // Clear existing scales (single CSV policy)
-      state.canvasState.scales.clear();
+      case 'duplicate':
+        if (isActive) await window.PersistenceService.flush();
+        if (!await window.WorkspaceService.duplicateProject(projectId)) {
+          alert('Gagal menduplikasi proyek.');
+        }
+        await renderWorkspaceList();
+        break;
 
-      // Add to scale graph
-      state.canvasState.scales.set(rootScale.scale_id, rootScale);
-      state.canvasState.activeScaleId = rootScale.scale_id;
+      case 'delete':
+        if (!confirm(`Hapus proyek "${name}"? Tindakan ini tidak dapat dibatalkan.`)) return;
 
-      // Initialize preview via selectScale
-      selectScale(rootScale.scale_id);
+        if (isActive) {
+          if (state.canvasState.isBranchingInProgress) {
+            alert('Tunggu hingga pembuatan cabang selesai.');
+            return;
+          }
+          // Detach first so no autosave recreates the record
+          window.PersistenceService.cancelPendingSave();
+          state.activeProject = null;
+          handleActiveProjectChange();
+          flowEditor.cancelActiveEdit();
+          closeCurrentGraph();
+        }
 
-      console.log('[MLPA] Scale created and selected:', rootScale.scale_id);
+        await window.WorkspaceService.deleteProject(projectId);
+        await renderWorkspaceList();
 
-      // Hide loading before transition
-      hideUploadLoading();
+        if (isActive) {
+          closeWorkspaceModal();
+          showScreen(1);
+        }
+        break;
+    }
+  }
 
-      // Transition to main app
-      showScreen(2);
+  async function offerSessionRestore() {
+    // Pre-workspace autosaves become a project once
+    await window.WorkspaceService.migrateLegacySession();
 
-    } catch (error) {
-      console.error('[MLPA] File processing error:', error);
-      hideUploadLoading();
+    const projectId = await window.WorkspaceService.getActiveProjectId();
+    if (!projectId) return;
 
-      // Show structured error message in modal
-      const errorMessage = error.message || error.type || 'Terjadi kesalahan. Coba lagi.';
-      showUploadErrorModal(errorMessage);
-    } finally {
-      state.isProcessing = false;
+    const result = await window.WorkspaceService.openProject(projectId);
+    if (!result.found || (!result.project && !result.error)) return;
+
+    const userConfirmed = await showRestoreSessionModal(result.record);
+    if (!userConfirmed) {
+      console.log('[MLPA] User declined session restore');
+      // The project stays in the workspace; only forget it as "last open"
+      window.WorkspaceService.setActiveProjectId(null);
+      return;
     }
+
+    await switchProject(projectId);
   }
 
-  // Show dimension confirmation modal and return promise
-  function showDimensionConfirmModal() {
+  // Show restore-session modal and return promise
+  function showRestoreSessionModal(session) {
     return new Promise((resolve) => {
-      const modal = document.getElementById('dimension-confirm-modal');
-      const yesBtn = document.getElementById('dimension-confirm-yes');
-      const noBtn = document.getElementById('dimension-confirm-no');
+      const modal = document.getElementById('restore-session-modal');
+      const messageEl = document.getElementById('restore-session-message');
+      const yesBtn = document.getElementById('restore-session-yes');
+      const noBtn = document.getElementById('restore-session-no');
+
+      if (messageEl) {
+        const savedAt = session.saved_at
+          ? new Date(session.saved_at).toLocaleString('id-ID')
+          : 'waktu tidak diketahui';
+        messageEl.textContent = `Proyek "${session.name}" dengan ${session.scales.length} skala tersimpan ` +
+          `(${savedAt}). Lanjutkan proyek tersebut atau mulai dengan unggahan baru?`;
+      }
 
       modal.classList.remove('hidden');
 
@@ -631,1418 +1016,4249 @@
     });
   }
 
-  /**
-   * Build Scale object from GPT structuring result
-   */
-  function buildScaleFromGPT(gptResult, filename) {
-    return {
-      scale_id: 'imported-scale',
-      scale_name: gptResult.scale_name || filename.replace(/\.csv$/i, ''),
-      parent_scale_id: null,
-      is_root: true,
-      expanded: false,
-      depth: 0,
-      position: { x: 100, y: 250 },
-      dimensions: gptResult.dimensions.map(dim => ({
-        name: dim.name,
-        items: dim.items.map((item, i) => ({
-          item_id: item.item_id || `imported-${i + 1}`,
-          origin_item_id: item.item_id || `imported-${i + 1}`,
-          text: item.text,
-          baseline_rubric: item.baseline_rubric || [],
-          current_rubric: item.baseline_rubric || [],
-          dimension: dim.name
-        }))
-      }))
-    };
-  }
+  // ==================== NETWORK RESILIENCE ====================
 
-  /**
-   * Create fallback Scale when GPT is unavailable
-   */
-  function createFallbackScale(parsedItems, filename) {
-    const scaleName = filename
-      .replace(/\.csv$/i, '')
-      .replace(/[_-]/g, ' ')
-      .replace(/\b\w/g, l => l.toUpperCase()) || 'Skala Impor';
+  function initOfflineDetection() {
+    const overlay = document.getElementById('offline-overlay');
 
-    return {
-      scale_id: 'imported-scale',
-      scale_name: scaleName,
-      parent_scale_id: null,
-      is_root: true,
-      expanded: false,
-      depth: 0,
-      position: { x: 100, y: 250 },
-      dimensions: [{
-        name: 'Item Impor',
-        items: parsedItems.map((item, i) => ({
-          item_id: item.item_id || `imported-${i + 1}`,
-          origin_item_id: item.item_id || `imported-${i + 1}`,
-          text: item.item_text || item.text || Object.values(item).find(v => typeof v === 'string' && v.length > 10) || '',
-          baseline_rubric: [],
-          current_rubric: [],
-          dimension: 'Item Impor'
-        }))
-      }]
-    };
-  }
+    // Check initial state
+    if (!navigator.onLine) {
+      overlay?.classList.remove('hidden');
+    }
 
-  function readFileAsText(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = (e) => resolve(e.target.result);
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsText(file);
+    // Listen for network changes
+    window.addEventListener('online', () => {
+      console.log('[MLPA] Network: Back online');
+      overlay?.classList.add('hidden');
+    });
+
+    window.addEventListener('offline', () => {
+      console.log('[MLPA] Network: Went offline');
+      overlay?.classList.remove('hidden');
     });
   }
 
-  // ==================== QUESTIONNAIRE ====================
+  function initUploadErrorModal() {
+    const modal = document.getElementById('upload-error-modal');
+    const mockBtn = document.getElementById('upload-error-mock');
+    const closeBtn = document.getElementById('upload-error-close');
 
-  function initQuestionnaire() {
-    state.currentItemIndex = 0;
-    state.answers = {};
-    state.isCompleted = false;
+    mockBtn?.addEventListener('click', () => {
+      hideUploadErrorModal();
+      handleLoadMock();
+    });
 
-    // Show questionnaire, hide completion
-    elements.questionnaire?.classList.remove('hidden');
-    elements.completion?.classList.add('hidden');
+    closeBtn?.addEventListener('click', () => {
+      hideUploadErrorModal();
+    });
+  }
 
-    updateQuestionnaireUI();
+  function showUploadErrorModal(message) {
+    const modal = document.getElementById('upload-error-modal');
+    const messageEl = document.getElementById('upload-error-message');
+
+    if (messageEl) messageEl.textContent = message;
+    modal?.classList.remove('hidden');
   }
 
-  function updateQuestionnaireUI() {
-    if (!state.items || state.items.length === 0) {
-      elements.itemText.textContent = 'Tidak ada item untuk ditampilkan';
-      return;
-    }
+  function hideUploadErrorModal() {
+    const modal = document.getElementById('upload-error-modal');
+    modal?.classList.add('hidden');
+  }
 
-    const item = state.items[state.currentItemIndex];
-    const total = state.items.length;
+  function cacheElements() {
+    // Welcome screen
+    elements.screens = document.querySelectorAll('.screen');
+    elements.uploadZone = document.getElementById('upload-zone');
+    elements.fileInput = document.getElementById('file-input');
+    elements.fullscreenBtn = document.getElementById('fullscreen-btn');
+    elements.errorMessage = document.getElementById('error-message');
+    elements.testMockBtn = document.getElementById('test-mock-btn');
 
-    // Update counter
-    if (elements.itemCounter) {
-      elements.itemCounter.textContent = `Item ${state.currentItemIndex + 1} / ${total}`;
-    }
+    // App container
+    elements.appContainer = document.getElementById('app-container');
+    elements.sidebar = document.getElementById('sidebar');
+    elements.sidebarToggle = document.getElementById('sidebar-toggle');
+    elements.sidebarToggleTooltip = document.querySelector('.sidebar-toggle-tooltip');
+    elements.sidebarShowBtn = document.getElementById('sidebar-show-btn');
+    elements.navItems = document.querySelectorAll('.nav-item');
+    elements.mainContent = document.getElementById('main-content');
 
-    // Update item text - try common column names
-    const textValue = item.item_text || item.text || item.question || item.pernyataan ||
-      Object.values(item).find(v => typeof v === 'string' && v.length > 10) ||
-      Object.values(item)[1] || 'No text available';
+    // Preview toggle
+    elements.previewToggle = document.getElementById('preview-toggle');
 
-    if (elements.itemText) {
-      elements.itemText.textContent = textValue;
-    }
+    // Questionnaire
+    elements.questionnaire = document.getElementById('questionnaire');
+    elements.itemCounter = document.getElementById('item-counter');
+    elements.itemText = document.getElementById('item-text');
+    elements.likertDots = document.querySelectorAll('.likert-dot');
+    elements.prevBtn = document.getElementById('prev-btn');
+    elements.nextBtn = document.getElementById('next-btn');
 
-    // Update Likert selection state
-    updateLikertUI();
+    // Completion
+    elements.completion = document.getElementById('completion');
+    elements.finalScore = document.getElementById('final-score');
+    elements.maxScore = document.getElementById('max-score');
+    elements.resetBtn = document.getElementById('reset-btn');
 
-    // Update navigation buttons
-    updateNavButtons();
-  }
+    // Preview return button
+    elements.previewReturn = document.getElementById('preview-return');
 
-  function updateLikertUI() {
-    const currentAnswer = state.answers[state.currentItemIndex];
+    // Scale selector
+    elements.scaleSelectorBtn = document.getElementById('scale-selector-btn');
+    elements.scaleSelectorLabel = document.getElementById('scale-selector-label');
+    elements.scaleSelectorModal = document.getElementById('scale-selector-modal');
+    elements.scaleSelectorClose = document.getElementById('scale-selector-close');
+    elements.scaleSelectorBackdrop = document.querySelector('.scale-selector-backdrop');
+    elements.scaleSelectorNodes = document.getElementById('scale-selector-nodes');
+    elements.scaleSelectorConnections = document.getElementById('scale-selector-connections');
 
-    elements.likertDots.forEach(dot => {
-      const value = parseInt(dot.dataset.value);
-      dot.classList.toggle('selected', value === currentAnswer);
-    });
-  }
+    // Project file actions
+    elements.projectOpenBtn = document.getElementById('project-open-btn');
+    elements.projectSaveBtn = document.getElementById('project-save-btn');
+    elements.projectFileInput = document.getElementById('project-file-input');
+
+    // Project merge
+    elements.projectMergeBtn = document.getElementById('project-merge-btn');
+    elements.mergeModal = document.getElementById('merge-modal');
+    elements.mergeBackdrop = document.getElementById('merge-backdrop');
+    elements.mergeClose = document.getElementById('merge-close');
+    elements.mergeTheirsInput = document.getElementById('merge-theirs-input');
+    elements.mergeBaseInput = document.getElementById('merge-base-input');
+    elements.mergeResult = document.getElementById('merge-result');
+    elements.mergeApplyBtn = document.getElementById('merge-apply-btn');
+
+    // Scale comparison
+    elements.compareBtn = document.getElementById('compare-btn');
+    elements.compareModal = document.getElementById('compare-modal');
+    elements.compareBackdrop = document.getElementById('compare-backdrop');
+    elements.compareClose = document.getElementById('compare-close');
+    elements.compareLeft = document.getElementById('compare-left');
+    elements.compareRight = document.getElementById('compare-right');
+    elements.compareSwap = document.getElementById('compare-swap');
+    elements.compareHideUnchanged = document.getElementById('compare-hide-unchanged');
+    elements.compareResult = document.getElementById('compare-result');
+
+    // Image export (SVG/PNG)
+    elements.exportImageBtn = document.getElementById('export-image-btn');
+    elements.imageExportModal = document.getElementById('image-export-modal');
+    elements.imageExportBackdrop = document.getElementById('image-export-backdrop');
+    elements.imageExportClose = document.getElementById('image-export-close');
+    elements.imageExportScopeSelection = document.getElementById('image-export-scope-selection');
+    elements.imageExportSelectionLabel = document.getElementById('image-export-selection-label');
+    elements.imageExportSvg = document.getElementById('image-export-svg');
+    elements.imageExportPng = document.getElementById('image-export-png');
+
+    // Workspace (project switcher)
+    elements.workspaceBtn = document.getElementById('workspace-btn');
+    elements.workspaceCurrentName = document.getElementById('workspace-current-name');
+    elements.welcomeWorkspaceBtn = document.getElementById('welcome-workspace-btn');
+    elements.workspaceModal = document.getElementById('workspace-modal');
+    elements.workspaceBackdrop = document.getElementById('workspace-backdrop');
+    elements.workspaceClose = document.getElementById('workspace-close');
+    elements.workspaceNewBtn = document.getElementById('workspace-new-btn');
+    elements.workspaceList = document.getElementById('workspace-list');
 
-  function updateNavButtons() {
-    if (elements.prevBtn) {
-      elements.prevBtn.disabled = state.currentItemIndex === 0;
-    }
-    if (elements.nextBtn) {
-      elements.nextBtn.disabled = state.currentItemIndex >= state.items.length - 1;
-    }
+    // Inner screens
+    elements.innerScreens = document.querySelectorAll('.inner-screen');
   }
 
-  function handleLikertSelect(dot) {
-    const value = parseInt(dot.dataset.value);
-    state.answers[state.currentItemIndex] = value;
+  function bindEvents() {
+    // Upload zone interactions
+    if (elements.uploadZone) {
+      elements.uploadZone.addEventListener('click', handleUploadClick);
+      elements.uploadZone.addEventListener('keydown', handleUploadKeydown);
+      elements.uploadZone.addEventListener('dragenter', handleDragEnter);
+      elements.uploadZone.addEventListener('dragover', handleDragOver);
+      elements.uploadZone.addEventListener('dragleave', handleDragLeave);
+      elements.uploadZone.addEventListener('drop', handleDrop);
+    }
 
-    console.log('[MLPA] Answer recorded:', state.currentItemIndex + 1, '=', value);
+    // File input change
+    if (elements.fileInput) {
+      elements.fileInput.addEventListener('change', handleFileSelect);
+    }
 
-    // Update UI
-    updateLikertUI();
+    // Fullscreen button
+    if (elements.fullscreenBtn) {
+      elements.fullscreenBtn.addEventListener('click', toggleFullscreen);
+    }
 
-    // Auto-advance after brief delay
-    setTimeout(() => {
-      if (state.currentItemIndex < state.items.length - 1) {
-        goToNextItem();
-      } else {
-        // Check if all items answered
-        checkCompletion();
-      }
-    }, 300);
-  }
+    // Test Mock Data button
+    if (elements.testMockBtn) {
+      elements.testMockBtn.addEventListener('click', handleLoadMock);
+    }
 
-  function goToPrevItem() {
-    if (state.currentItemIndex > 0) {
-      state.currentItemIndex--;
-      updateQuestionnaireUI();
+    // Sidebar toggle
+    if (elements.sidebarToggle) {
+      elements.sidebarToggle.addEventListener('click', toggleSidebar);
     }
-  }
 
-  function goToNextItem() {
-    if (state.currentItemIndex < state.items.length - 1) {
-      state.currentItemIndex++;
-      updateQuestionnaireUI();
+    // Sidebar show button (when collapsed)
+    if (elements.sidebarShowBtn) {
+      elements.sidebarShowBtn.addEventListener('click', toggleSidebar);
     }
-  }
 
-  function checkCompletion() {
-    const answeredCount = Object.keys(state.answers).length;
-    const totalItems = state.items.length;
+    // Navigation items
+    elements.navItems.forEach(item => {
+      item.addEventListener('click', () => {
+        const screenNum = parseInt(item.dataset.screen);
+        switchInnerScreen(screenNum);
+        updateNavActive(item);
+      });
+    });
 
-    if (answeredCount >= totalItems) {
-      showCompletion();
+    // Project open/save
+    if (elements.projectOpenBtn) {
+      elements.projectOpenBtn.addEventListener('click', () => elements.projectFileInput?.click());
+    }
+    if (elements.projectSaveBtn) {
+      elements.projectSaveBtn.addEventListener('click', saveProjectFile);
+    }
+    if (elements.projectFileInput) {
+      elements.projectFileInput.addEventListener('change', handleProjectFileSelect);
     }
-  }
 
-  function showCompletion() {
-    state.isCompleted = true;
+    // Project merge
+    elements.projectMergeBtn?.addEventListener('click', openMergeModal);
+    elements.mergeClose?.addEventListener('click', closeMergeModal);
+    elements.mergeBackdrop?.addEventListener('click', closeMergeModal);
+    elements.mergeTheirsInput?.addEventListener('change', e => handleMergeFileChange(e, 'theirs'));
+    elements.mergeBaseInput?.addEventListener('change', e => handleMergeFileChange(e, 'base'));
+    elements.mergeResult?.addEventListener('change', handleMergeChoice);
+    elements.mergeApplyBtn?.addEventListener('click', applyMerge);
+
+    // Scale comparison
+    elements.compareBtn?.addEventListener('click', () => openCompareModal());
+    elements.compareClose?.addEventListener('click', closeCompareModal);
+    elements.compareBackdrop?.addEventListener('click', closeCompareModal);
+    elements.compareLeft?.addEventListener('change', e => {
+      compareSession.leftId = e.target.value;
+      renderCompare();
+    });
+    elements.compareRight?.addEventListener('change', e => {
+      compareSession.rightId = e.target.value;
+      renderCompare();
+    });
+    elements.compareSwap?.addEventListener('click', () => {
+      [compareSession.leftId, compareSession.rightId] = [compareSession.rightId, compareSession.leftId];
+      renderCompare();
+    });
+    elements.compareHideUnchanged?.addEventListener('change', e => {
+      compareSession.hideUnchanged = e.target.checked;
+      renderCompare();
+    });
 
-    // Calculate total score (sum of all answers)
-    const answers = Object.values(state.answers);
-    const totalScore = answers.reduce((a, b) => a + b, 0);
-    const maxScore = state.items.length * 5; // 5 is max Likert value
+    // Image export
+    elements.exportImageBtn?.addEventListener('click', () => openImageExportModal());
+    elements.imageExportClose?.addEventListener('click', closeImageExportModal);
+    elements.imageExportBackdrop?.addEventListener('click', closeImageExportModal);
+    elements.imageExportSvg?.addEventListener('click', () => exportCanvasImage('svg'));
+    elements.imageExportPng?.addEventListener('click', () => exportCanvasImage('png'));
+
+    // Workspace switcher
+    elements.workspaceBtn?.addEventListener('click', openWorkspaceModal);
+    elements.welcomeWorkspaceBtn?.addEventListener('click', openWorkspaceModal);
+    elements.workspaceClose?.addEventListener('click', closeWorkspaceModal);
+    elements.workspaceBackdrop?.addEventListener('click', closeWorkspaceModal);
+    elements.workspaceNewBtn?.addEventListener('click', createEmptyProject);
+    elements.workspaceList?.addEventListener('click', handleWorkspaceListClick);
 
-    if (elements.finalScore) {
-      elements.finalScore.textContent = totalScore;
+    // Preview toggle
+    if (elements.previewToggle) {
+      elements.previewToggle.addEventListener('click', togglePreviewMode);
     }
-    if (elements.maxScore) {
-      elements.maxScore.textContent = maxScore;
+
+    // Preview return button
+    if (elements.previewReturn) {
+      elements.previewReturn.addEventListener('click', togglePreviewMode);
     }
 
-    // Show completion, hide questionnaire
-    elements.questionnaire?.classList.add('hidden');
-    elements.completion?.classList.remove('hidden');
+    // Likert dots
+    elements.likertDots.forEach(dot => {
+      dot.addEventListener('click', () => handleLikertSelect(dot));
+    });
 
-    console.log('[MLPA] Questionnaire completed. Score:', totalScore, '/', maxScore);
-  }
-
-  function resetQuestionnaire() {
-    console.log('[MLPA] Resetting questionnaire...');
+    // Navigation arrows
+    if (elements.prevBtn) {
+      elements.prevBtn.addEventListener('click', goToPrevItem);
+    }
+    if (elements.nextBtn) {
+      elements.nextBtn.addEventListener('click', goToNextItem);
+    }
 
-    // Reset state
-    state.currentItemIndex = 0;
-    state.answers = {};
-    state.isCompleted = false;
+    // Reset button
+    if (elements.resetBtn) {
+      elements.resetBtn.addEventListener('click', resetQuestionnaire);
+    }
 
-    // Hide completion, show questionnaire
-    elements.completion?.classList.add('hidden');
-    elements.questionnaire?.classList.remove('hidden');
+    // Scale selector
+    if (elements.scaleSelectorBtn) {
+      elements.scaleSelectorBtn.addEventListener('click', openScaleSelector);
+    }
+    if (elements.scaleSelectorClose) {
+      elements.scaleSelectorClose.addEventListener('click', closeScaleSelector);
+    }
+    if (elements.scaleSelectorBackdrop) {
+      elements.scaleSelectorBackdrop.addEventListener('click', closeScaleSelector);
+    }
+    // Escape key to close modal
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && elements.scaleSelectorModal?.classList.contains('open')) {
+        closeScaleSelector();
+      }
+      if (e.key === 'Escape' && elements.workspaceModal?.classList.contains('open')) {
+        closeWorkspaceModal();
+      }
+      if (e.key === 'Escape' && elements.mergeModal?.classList.contains('open')) {
+        closeMergeModal();
+      }
+      if (e.key === 'Escape' && elements.imageExportModal?.classList.contains('open')) {
+        closeImageExportModal();
+      }
+    });
 
-    // Update UI
-    updateQuestionnaireUI();
+    // Undo/redo shortcuts (flow editor only)
+    document.addEventListener('keydown', handleHistoryShortcut);
 
-    console.log('[MLPA] Questionnaire reset complete');
+    // Fullscreen change event
+    document.addEventListener('fullscreenchange', updateFullscreenState);
+    document.addEventListener('webkitfullscreenchange', updateFullscreenState);
   }
 
-  // ==================== SCALE SELECTOR ====================
-
-  function openScaleSelector() {
-    if (!elements.scaleSelectorModal) return;
-
-    // Render the graph before opening
-    renderScaleSelectorGraph();
+  // ==================== SCREEN NAVIGATION ====================
 
-    // Open modal
-    elements.scaleSelectorModal.classList.add('open');
-    elements.scaleSelectorBtn?.classList.add('open');
-  }
+  function showScreen(screenNumber) {
+    if (screenNumber < 1 || screenNumber > state.totalScreens) return;
 
-  function closeScaleSelector() {
-    if (!elements.scaleSelectorModal) return;
+    state.currentScreen = screenNumber;
 
-    elements.scaleSelectorModal.classList.remove('open');
-    elements.scaleSelectorBtn?.classList.remove('open');
+    // Handle welcome screen
+    const welcomeScreen = document.getElementById('screen-1');
+    if (screenNumber === 1) {
+      welcomeScreen?.classList.add('active');
+      elements.appContainer?.classList.remove('active');
+      state.appActive = false;
+    } else {
+      welcomeScreen?.classList.remove('active');
+      elements.appContainer?.classList.add('active');
+      state.appActive = true;
+      switchInnerScreen(screenNumber);
+    }
   }
 
-  function renderScaleSelectorGraph() {
-    if (!elements.scaleSelectorNodes || !elements.scaleSelectorConnections) return;
+  function switchInnerScreen(screenNumber) {
+    elements.innerScreens?.forEach((screen, index) => {
+      const isActive = index + 2 === screenNumber; // +2 because inner screens start at 2
+      screen.classList.toggle('active', isActive);
+    });
+    state.currentScreen = screenNumber;
 
-    const scales = state.canvasState.scales;
-    if (scales.size === 0) {
-      elements.scaleSelectorNodes.innerHTML = '<p style="color: var(--color-text-muted); text-align: center;">Tidak ada skala tersedia</p>';
-      elements.scaleSelectorConnections.innerHTML = '';
-      return;
+    // Initialize flow editor when switching to screen 3
+    if (screenNumber === 3 && typeof flowEditor !== 'undefined') {
+      flowEditor.init();
+      flowEditor.renderAll();
     }
+  }
 
-    // Build tree structure from parent_scale_id relationships
-    const tree = buildScaleTree(scales);
-
-    // Render nodes with tree layout (indentation based on depth)
-    let nodesHtml = '';
-    const nodePositions = new Map(); // For connector rendering
-    let nodeIndex = 0;
-
-    function renderNode(scaleId, depth) {
-      const scale = scales.get(scaleId);
-      if (!scale) return;
-
-      const isSelected = state.selectedScaleId === scaleId;
-      const indent = depth * 32; // 32px indent per depth level
+  function updateNavActive(activeItem) {
+    elements.navItems.forEach(item => item.classList.remove('active'));
+    activeItem.classList.add('active');
+  }
 
-      nodesHtml += `
-        <div class="scale-node ${isSelected ? 'selected' : ''}" 
-             data-scale-id="${scaleId}" 
-             style="margin-left: ${indent}px;">
-          <span class="scale-node-dot"></span>
-          <span class="scale-node-name">${scale.scale_name}</span>
-          ${depth > 0 ? `<span class="scale-node-depth">Cabang</span>` : '<span class="scale-node-depth">Asal</span>'}
-        </div>
-      `;
+  // ==================== UNDO / REDO ====================
 
-      nodePositions.set(scaleId, { index: nodeIndex, depth });
-      nodeIndex++;
+  // Ctrl+Z = undo, Ctrl+Shift+Z = redo (Cmd on macOS)
+  function handleHistoryShortcut(e) {
+    if (state.currentScreen !== 3) return;
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
 
-      // Render children
-      const children = tree.get(scaleId) || [];
-      children.forEach(childId => renderNode(childId, depth + 1));
-    }
+    // Leave native text undo alone while typing (branching input, item editing)
+    if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
 
-    // Find root nodes (no parent or parent not in scales)
-    const roots = [];
-    for (const [id, scale] of scales) {
-      if (!scale.parent_scale_id || !scales.has(scale.parent_scale_id)) {
-        roots.push(id);
-      }
+    e.preventDefault();
+    if (e.shiftKey) {
+      flowEditor.redo();
+    } else {
+      flowEditor.undo();
     }
+  }
 
-    // Render from each root
-    roots.forEach(rootId => renderNode(rootId, 0));
+  // Expose for external use
+  window.goToScreen = showScreen;
+  window.getAppState = () => ({ ...state });
 
-    elements.scaleSelectorNodes.innerHTML = nodesHtml;
+  // ==================== SIDEBAR ====================
 
-    // Bind click events to nodes
-    elements.scaleSelectorNodes.querySelectorAll('.scale-node').forEach(node => {
-      node.addEventListener('click', () => {
-        const scaleId = node.dataset.scaleId;
-        selectScale(scaleId);
-      });
-    });
+  function toggleSidebar() {
+    state.sidebarCollapsed = !state.sidebarCollapsed;
+    elements.sidebar?.classList.toggle('collapsed', state.sidebarCollapsed);
 
-    // Render simple vertical connectors (optional, can be enhanced)
-    // For simplicity, we'll skip SVG connectors and rely on indentation
-    elements.scaleSelectorConnections.innerHTML = '';
+    // Update tooltip text
+    if (elements.sidebarToggleTooltip) {
+      elements.sidebarToggleTooltip.textContent = state.sidebarCollapsed
+        ? 'Tampilkan sidebar'
+        : 'Sembunyikan sidebar';
+    }
   }
 
-  // DELEGATED to ScaleGraph module (logic/scaleGraph.js)
-  function buildScaleTree(scales) {
-    return window.ScaleGraph.buildScaleTree(scales);
+  // ==================== PREVIEW MODE ====================
+
+  function togglePreviewMode() {
+    state.previewMode = !state.previewMode;
+    document.body.classList.toggle('preview-mode', state.previewMode);
+    elements.previewToggle?.classList.toggle('active', state.previewMode);
   }
 
-  function selectScale(scaleId) {
-    if (!scaleId) return;
+  // ==================== UPLOAD HANDLERS ====================
 
-    const scale = state.canvasState.scales.get(scaleId);
-    if (!scale) {
-      console.warn('[MLPA] Scale not found:', scaleId);
+  function handleUploadClick(e) {
+    // Don't open file picker if clicking the mock data / saved projects buttons
+    if (e.target.closest('.test-api-btn')) {
       return;
     }
+    if (!state.isProcessing) {
+      clearError();
+      elements.fileInput?.click();
+    }
+  }
 
-    console.log('[MLPA] Selecting scale:', scale.scale_name);
-
-    // =========================================================================
-    // PREVIEW PIPELINE (Phase 2 Contract - Explicit Flow)
-    // =========================================================================
-    // STEP 1: Update selection → STEP 2: Build flat items → STEP 3: Reset state → STEP 4: Render
-    // No hidden state coupling. Each step is explicit.
-    // =========================================================================
+  function handleUploadKeydown(e) {
+    if (e.target.closest('.test-api-btn')) return;
+    if ((e.key === 'Enter' || e.key === ' ') && !state.isProcessing) {
+      e.preventDefault();
+      clearError();
+      elements.fileInput?.click();
+    }
+  }
 
-    // STEP 1: Update selection state
-    state.selectedScaleId = scaleId;
+  let dragCounter = 0;
 
-    // STEP 2: Build flat item list (DELEGATED to ScaleTransform)
-    // Input: Scale object → Output: FlatItem[] (CONTRACT: see state definition)
-    state.items = getScaleItems(scale);
+  function handleDragEnter(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounter++;
+    elements.uploadZone.classList.add('drag-over');
+    clearError();
+  }
 
-    // STEP 3: Reset questionnaire state
-    state.currentItemIndex = 0;
-    state.answers = {};
-    state.isCompleted = false;
+  function handleDragOver(e) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
 
-    // STEP 4: Render UI
-    if (elements.scaleSelectorLabel) {
-      elements.scaleSelectorLabel.textContent = scale.scale_name;
+  function handleDragLeave(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounter--;
+    if (dragCounter === 0) {
+      elements.uploadZone.classList.remove('drag-over');
     }
-    elements.completion?.classList.add('hidden');
-    elements.questionnaire?.classList.remove('hidden');
-    updateQuestionnaireUI();
+  }
 
-    // Close modal
-    closeScaleSelector();
+  function handleDrop(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounter = 0;
+    elements.uploadZone.classList.remove('drag-over');
 
-    console.log('[MLPA] Scale selected, items loaded:', state.items.length);
+    const files = e.dataTransfer?.files;
+    if (files && files.length > 0) {
+      handleFiles(files);
+    }
   }
 
-  // DELEGATED to ScaleTransform module (logic/scaleTransform.js)
-  function getScaleItems(scale) {
-    return window.ScaleTransform.flattenScaleItems(scale);
+  function handleFileSelect(e) {
+    const files = e.target?.files;
+    if (files && files.length > 0) {
+      handleFiles(files);
+    }
+    e.target.value = '';
   }
 
-  // ==================== MOCK DATA ====================
+  // ==================== FILE VALIDATION ====================
 
-  // Mock items with proper structure (dual rubric, origin mapping)
-  const MOCK_ITEMS = [
+  function isCSVFile(file) {
+    return file.name.toLowerCase().endsWith('.csv');
+  }
+
+  function showError(message) {
+    if (elements.errorMessage) {
+      elements.errorMessage.textContent = message;
+      elements.errorMessage.classList.add('visible');
+      elements.uploadZone?.classList.add('has-error');
+    }
+  }
+
+  function clearError() {
+    if (elements.errorMessage) {
+      elements.errorMessage.textContent = '';
+      elements.errorMessage.classList.remove('visible');
+      elements.uploadZone?.classList.remove('has-error');
+    }
+  }
+
+  // ==================== CSV PARSING ====================
+  // Delegated to CSVIngest module (adapters/csvIngest.js)
+
+  function parseCSV(text) {
+    // Delegate to pure module function
+    return window.CSVIngest.parseCSV(text);
+  }
+
+  function parseCSVLine(line, delimiter = ',') {
+    // Delegate to pure module function
+    return window.CSVIngest.parseCSVLine(line, delimiter);
+  }
+
+  // ==================== FILE PROCESSING ====================
+
+  // Upload loading state management
+  let uploadLoadingInterval = null;
+
+  function showUploadLoading() {
+    const uploadZone = document.getElementById('upload-zone');
+    const loadingText = document.getElementById('upload-loading-text');
+
+    uploadZone?.classList.add('processing');
+
+    // Animated dots
+    let dotCount = 0;
+    if (loadingText) {
+      loadingText.textContent = 'Memproses skala.';
+      uploadLoadingInterval = setInterval(() => {
+        dotCount = (dotCount + 1) % 3;
+        const dots = '.'.repeat(dotCount + 1);
+        loadingText.textContent = 'Memproses skala' + dots;
+      }, 400);
+    }
+  }
+
+  function hideUploadLoading() {
+    const uploadZone = document.getElementById('upload-zone');
+    uploadZone?.classList.remove('processing');
+
+    if (uploadLoadingInterval) {
+      clearInterval(uploadLoadingInterval);
+      uploadLoadingInterval = null;
+    }
+  }
+
+  /**
+   * CSV file → root scale: GPT structuring when configured, fallback otherwise.
+   * Asks for confirmation when GPT has to group items into dimensions.
+   *
+   * @param {File} file - CSV file
+   * @param {Object} options
+   * @param {string} options.scaleId - ID for the new root
+   * @param {Function} [options.pauseLoading] - Called before the confirmation modal opens
+   * @param {Function} [options.resumeLoading] - Called after the user confirms
+   * @returns {Promise<{ scale?: Scale, rejected?: string, cancelled?: boolean }>}
+   */
+  async function structureCSVFile(file, { scaleId, pauseLoading, resumeLoading }) {
+    const content = await readFileAsText(file);
+    state.csvRaw = content;
+
+    console.log('[MLPA] CSV file loaded:', file.name);
+
+    // Parse CSV to JSON
+    const parsed = parseCSV(content);
+    state.csvData = parsed;
+
+    console.log('[MLPA] Parsed CSV:', parsed);
+
+    // Try GPT structuring if configured
+    if (typeof OpenAIAPI === 'undefined' || !OpenAIAPI.isConfigured()) {
+      console.log('[MLPA] OpenAI API not configured, using fallback');
+      return { scale: createFallbackScale(parsed.items, file.name, scaleId) };
+    }
+
+    console.log('[MLPA] Calling GPT for scale structuring...');
+    const structured = await OpenAIAPI.structureCSVToScale(parsed.items, file.name);
+    console.log('[MLPA] GPT structuring result:', structured);
+
+    // Check sanity-check result
+    if (structured && structured.is_valid_scale === false) {
+      console.warn('[MLPA] CSV rejected - not a valid scale');
+      return { rejected: structured.rejection_reason || 'Skala tidak terdeteksi dalam CSV ini.' };
+    }
+
+    // Ask user confirmation if GPT needs to group items into dimensions
+    if (structured && structured.has_dimensions === false) {
+      console.log('[MLPA] CSV has no dimensions - asking user confirmation');
+      pauseLoading?.();
+
+      // Show confirmation modal and wait for user decision
+      const userConfirmed = await showDimensionConfirmModal();
+
+      if (!userConfirmed) {
+        console.log('[MLPA] User declined dimension grouping');
+        return { cancelled: true };
+      }
+
+      console.log('[MLPA] User confirmed dimension grouping');
+      resumeLoading?.(); // Show loading again while we build the scale
+    }
+
+    if (structured && structured.dimensions && structured.dimensions.length > 0) {
+      return { scale: buildScaleFromGPT(structured, file.name, scaleId) };
+    }
+
+    console.warn('[MLPA] GPT structuring invalid, using fallback');
+    return { scale: createFallbackScale(parsed.items, file.name, scaleId) };
+  }
+
+  async function handleFiles(files) {
+    const file = files[0];
+
+    if (state.canvasState.isBranchingInProgress) {
+      alert('Tunggu hingga pembuatan cabang selesai.');
+      return;
+    }
+
+    // Native project files open directly (no GPT structuring)
+    if (isProjectFile(file)) {
+      clearError();
+      await openProjectFile(file);
+      return;
+    }
+
+    if (!isCSVFile(file)) {
+      showError('Format tidak didukung. Gunakan file CSV atau proyek .mlpa.json.');
+      return;
+    }
+
+    clearError();
+    state.isProcessing = true;
+    showUploadLoading();
+
+    try {
+      const result = await structureCSVFile(file, {
+        scaleId: 'imported-scale',
+        pauseLoading: hideUploadLoading,
+        resumeLoading: showUploadLoading
+      });
+
+      if (result.rejected) {
+        hideUploadLoading();
+        showUploadErrorModal(result.rejected);
+        return;
+      }
+      if (result.cancelled) return; // User declined, stay on upload screen
+
+      const rootScale = result.scale;
+
+      // Each upload gets its own workspace project (the open one is kept)
+      const loaded = await loadIntoWorkspace(rootScale.scale_name, () => {
+        window.ScaleStore.loadScales([rootScale]);
+        state.canvasState.activeScaleId = rootScale.scale_id;
+
+        // Initialize preview via selectScale
+        selectScale(rootScale.scale_id);
+        return true;
+      });
+      if (!loaded) {
+        hideUploadLoading();
+        return;
+      }
+
+      console.log('[MLPA] Scale created and selected:', rootScale.scale_id);
+
+      // Hide loading before transition
+      hideUploadLoading();
+
+      // Transition to main app
+      showScreen(2);
+
+    } catch (error) {
+      console.error('[MLPA] File processing error:', error);
+      hideUploadLoading();
+
+      // Show structured error message in modal
+      const errorMessage = error.message || error.type || 'Terjadi kesalahan. Coba lagi.';
+      showUploadErrorModal(errorMessage);
+    } finally {
+      state.isProcessing = false;
+    }
+  }
+
+  // Show dimension confirmation modal and return promise
+  function showDimensionConfirmModal() {
+    return new Promise((resolve) => {
+      const modal = document.getElementById('dimension-confirm-modal');
+      const yesBtn = document.getElementById('dimension-confirm-yes');
+      const noBtn = document.getElementById('dimension-confirm-no');
+
+      modal.classList.remove('hidden');
+
+      const handleYes = () => {
+        modal.classList.add('hidden');
+        yesBtn.removeEventListener('click', handleYes);
+        noBtn.removeEventListener('click', handleNo);
+        resolve(true);
+      };
+
+      const handleNo = () => {
+        modal.classList.add('hidden');
+        yesBtn.removeEventListener('click', handleYes);
+        noBtn.removeEventListener('click', handleNo);
+        resolve(false);
+      };
+
+      yesBtn.addEventListener('click', handleYes);
+      noBtn.addEventListener('click', handleNo);
+    });
+  }
+
+  /**
+   * Build Scale object from GPT structuring result
+   */
+  function buildScaleFromGPT(gptResult, filename, scaleId = 'imported-scale') {
+    return {
+      scale_id: scaleId,
+      scale_name: gptResult.scale_name || filename.replace(/\.csv$/i, ''),
+      parent_scale_id: null,
+      is_root: true,
+      expanded: false,
+      depth: 0,
+      position: { x: 100, y: 250 },
+      dimensions: gptResult.dimensions.map(dim => ({
+        name: dim.name,
+        items: dim.items.map((item, i) => ({
+          item_id: item.item_id || `imported-${i + 1}`,
+          origin_item_id: item.item_id || `imported-${i + 1}`,
+          text: item.text,
+          baseline_rubric: item.baseline_rubric || [],
+          current_rubric: item.baseline_rubric || [],
+          dimension: dim.name
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Create fallback Scale when GPT is unavailable
+   */
+  function createFallbackScale(parsedItems, filename, scaleId = 'imported-scale') {
+    const scaleName = filename
+      .replace(/\.csv$/i, '')
+      .replace(/[_-]/g, ' ')
+      .replace(/\b\w/g, l => l.toUpperCase()) || 'Skala Impor';
+
+    return {
+      scale_id: scaleId,
+      scale_name: scaleName,
+      parent_scale_id: null,
+      is_root: true,
+      expanded: false,
+      depth: 0,
+      position: { x: 100, y: 250 },
+      dimensions: [{
+        name: 'Item Impor',
+        items: parsedItems.map((item, i) => ({
+          item_id: item.item_id || `imported-${i + 1}`,
+          origin_item_id: item.item_id || `imported-${i + 1}`,
+          text: item.item_text || item.text || Object.values(item).find(v => typeof v === 'string' && v.length > 10) || '',
+          baseline_rubric: [],
+          current_rubric: [],
+          dimension: 'Item Impor'
+        }))
+      }]
+    };
+  }
+
+  function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      reader.readAsText(file);
+    });
+  }
+
+  // ==================== QUESTIONNAIRE ====================
+
+  function initQuestionnaire() {
+    state.currentItemIndex = 0;
+    state.answers = {};
+    state.isCompleted = false;
+
+    // Show questionnaire, hide completion
+    elements.questionnaire?.classList.remove('hidden');
+    elements.completion?.classList.add('hidden');
+
+    updateQuestionnaireUI();
+  }
+
+  function updateQuestionnaireUI() {
+    if (!state.items || state.items.length === 0) {
+      elements.itemText.textContent = 'Tidak ada item untuk ditampilkan';
+      return;
+    }
+
+    const item = state.items[state.currentItemIndex];
+    const total = state.items.length;
+
+    // Update counter
+    if (elements.itemCounter) {
+      elements.itemCounter.textContent = `Item ${state.currentItemIndex + 1} / ${total}`;
+    }
+
+    // Update item text - try common column names
+    const textValue = item.item_text || item.text || item.question || item.pernyataan ||
+      Object.values(item).find(v => typeof v === 'string' && v.length > 10) ||
+      Object.values(item)[1] || 'No text available';
+
+    if (elements.itemText) {
+      elements.itemText.textContent = textValue;
+    }
+
+    // Update Likert selection state
+    updateLikertUI();
+
+    // Update navigation buttons
+    updateNavButtons();
+  }
+
+  function updateLikertUI() {
+    const currentAnswer = state.answers[state.currentItemIndex];
+
+    elements.likertDots.forEach(dot => {
+      const value = parseInt(dot.dataset.value);
+      dot.classList.toggle('selected', value === currentAnswer);
+    });
+  }
+
+  function updateNavButtons() {
+    if (elements.prevBtn) {
+      elements.prevBtn.disabled = state.currentItemIndex === 0;
+    }
+    if (elements.nextBtn) {
+      elements.nextBtn.disabled = state.currentItemIndex >= state.items.length - 1;
+    }
+  }
+
+  function handleLikertSelect(dot) {
+    const value = parseInt(dot.dataset.value);
+    state.answers[state.currentItemIndex] = value;
+
+    console.log('[MLPA] Answer recorded:', state.currentItemIndex + 1, '=', value);
+    requestAutosave();
+
+    // Update UI
+    updateLikertUI();
+
+    // Auto-advance after brief delay
+    setTimeout(() => {
+      if (state.currentItemIndex < state.items.length - 1) {
+        goToNextItem();
+      } else {
+        // Check if all items answered
+        checkCompletion();
+      }
+    }, 300);
+  }
+
+  function goToPrevItem() {
+    if (state.currentItemIndex > 0) {
+      state.currentItemIndex--;
+      updateQuestionnaireUI();
+    }
+  }
+
+  function goToNextItem() {
+    if (state.currentItemIndex < state.items.length - 1) {
+      state.currentItemIndex++;
+      updateQuestionnaireUI();
+    }
+  }
+
+  function checkCompletion() {
+    const answeredCount = Object.keys(state.answers).length;
+    const totalItems = state.items.length;
+
+    if (answeredCount >= totalItems) {
+      showCompletion();
+    }
+  }
+
+  function showCompletion() {
+    state.isCompleted = true;
+
+    // Calculate total score (sum of all answers)
+    const answers = Object.values(state.answers);
+    const totalScore = answers.reduce((a, b) => a + b, 0);
+    const maxScore = state.items.length * 5; // 5 is max Likert value
+
+    if (elements.finalScore) {
+      elements.finalScore.textContent = totalScore;
+    }
+    if (elements.maxScore) {
+      elements.maxScore.textContent = maxScore;
+    }
+
+    // Show completion, hide questionnaire
+    elements.questionnaire?.classList.add('hidden');
+    elements.completion?.classList.remove('hidden');
+
+    console.log('[MLPA] Questionnaire completed. Score:', totalScore, '/', maxScore);
+  }
+
+  function resetQuestionnaire() {
+    console.log('[MLPA] Resetting questionnaire...');
+
+    // Reset state
+    state.currentItemIndex = 0;
+    state.answers = {};
+    state.isCompleted = false;
+
+    // Hide completion, show questionnaire
+    elements.completion?.classList.add('hidden');
+    elements.questionnaire?.classList.remove('hidden');
+
+    // Update UI
+    updateQuestionnaireUI();
+    requestAutosave();
+
+    console.log('[MLPA] Questionnaire reset complete');
+  }
+
+  // ==================== SCALE SELECTOR ====================
+
+  function openScaleSelector() {
+    if (!elements.scaleSelectorModal) return;
+
+    // Render the graph before opening
+    renderScaleSelectorGraph();
+
+    // Open modal
+    elements.scaleSelectorModal.classList.add('open');
+    elements.scaleSelectorBtn?.classList.add('open');
+  }
+
+  function closeScaleSelector() {
+    if (!elements.scaleSelectorModal) return;
+
+    elements.scaleSelectorModal.classList.remove('open');
+    elements.scaleSelectorBtn?.classList.remove('open');
+  }
+
+  function renderScaleSelectorGraph() {
+    if (!elements.scaleSelectorNodes || !elements.scaleSelectorConnections) return;
+
+    const scales = state.canvasState.scales;
+    if (scales.size === 0) {
+      elements.scaleSelectorNodes.innerHTML = '<p style="color: var(--color-text-muted); text-align: center;">Tidak ada skala tersedia</p>';
+      elements.scaleSelectorConnections.innerHTML = '';
+      return;
+    }
+
+    // Build tree structure from parent_scale_id relationships
+    const tree = buildScaleTree(scales);
+
+    // Render nodes with tree layout (indentation based on depth)
+    let nodesHtml = '';
+    const nodePositions = new Map(); // For connector rendering
+    let nodeIndex = 0;
+
+    function renderNode(scaleId, depth) {
+      const scale = scales.get(scaleId);
+      if (!scale) return;
+
+      const isSelected = state.selectedScaleId === scaleId;
+      const indent = depth * 32; // 32px indent per depth level
+
+      nodesHtml += `
+        <div class="scale-node ${isSelected ? 'selected' : ''}" 
+             data-scale-id="${scaleId}" 
+             style="margin-left: ${indent}px;">
+          <span class="scale-node-dot"></span>
+          <span class="scale-node-name">${scale.scale_name}</span>
+          ${depth > 0 ? `<span class="scale-node-depth">Cabang</span>` : '<span class="scale-node-depth">Asal</span>'}
+        </div>
+      `;
+
+      nodePositions.set(scaleId, { index: nodeIndex, depth });
+      nodeIndex++;
+
+      // Render children
+      const children = tree.get(scaleId) || [];
+      children.forEach(childId => renderNode(childId, depth + 1));
+    }
+
+    // Find root nodes (no parent or parent not in scales), top to bottom as on the canvas
+    const roots = [];
+    for (const [id, scale] of scales) {
+      if (!scale.parent_scale_id || !scales.has(scale.parent_scale_id)) {
+        roots.push(id);
+      }
+    }
+    roots.sort((a, b) => scales.get(a).position.y - scales.get(b).position.y);
+
+    // Render from each root; several source scales get one group each
+    roots.forEach((rootId, index) => {
+      if (roots.length > 1) {
+        nodesHtml += `<div class="scale-node-group">Skala sumber ${index + 1}</div>`;
+      }
+      renderNode(rootId, 0);
+    });
+
+    elements.scaleSelectorNodes.innerHTML = nodesHtml;
+
+    // Bind click events to nodes
+    elements.scaleSelectorNodes.querySelectorAll('.scale-node').forEach(node => {
+      node.addEventListener('click', () => {
+        const scaleId = node.dataset.scaleId;
+        selectScale(scaleId);
+      });
+    });
+
+    // Render simple vertical connectors (optional, can be enhanced)
+    // For simplicity, we'll skip SVG connectors and rely on indentation
+    elements.scaleSelectorConnections.innerHTML = '';
+  }
+
+  // DELEGATED to ScaleGraph module (logic/scaleGraph.js)
+  function buildScaleTree(scales) {
+    return window.ScaleGraph.buildScaleTree(scales);
+  }
+
+  function selectScale(scaleId) {
+    if (!scaleId) return;
+
+    const scale = state.canvasState.scales.get(scaleId);
+    if (!scale) {
+      console.warn('[MLPA] Scale not found:', scaleId);
+      return;
+    }
+
+    console.log('[MLPA] Selecting scale:', scale.scale_name);
+
+    // =========================================================================
+    // PREVIEW PIPELINE (Phase 2 Contract - Explicit Flow)
+    // =========================================================================
+    // STEP 1: Update selection → STEP 2: Build flat items → STEP 3: Reset state → STEP 4: Render
+    // No hidden state coupling. Each step is explicit.
+    // =========================================================================
+
+    // STEP 1: Update selection state
+    state.selectedScaleId = scaleId;
+
+    // STEP 2: Build flat item list (DELEGATED to ScaleTransform)
+    // Input: Scale object → Output: FlatItem[] (CONTRACT: see state definition)
+    state.items = getScaleItems(scale);
+
+    // STEP 3: Reset questionnaire state
+    state.currentItemIndex = 0;
+    state.answers = {};
+    state.isCompleted = false;
+
+    // STEP 4: Render UI
+    if (elements.scaleSelectorLabel) {
+      elements.scaleSelectorLabel.textContent = scale.scale_name;
+    }
+    elements.completion?.classList.add('hidden');
+    elements.questionnaire?.classList.remove('hidden');
+    updateQuestionnaireUI();
+    flowEditor.renderMinimap();  // Highlights the previewed scale
+
+    // Close modal
+    closeScaleSelector();
+    requestAutosave();
+
+    console.log('[MLPA] Scale selected, items loaded:', state.items.length);
+  }
+
+  // DELEGATED to ScaleTransform module (logic/scaleTransform.js)
+  function getScaleItems(scale) {
+    return window.ScaleTransform.flattenScaleItems(scale);
+  }
+
+  // ==================== MOCK DATA ====================
+
+  // Mock items with proper structure (dual rubric, origin mapping)
+  const MOCK_ITEMS = [
     // === SKALA ASLI ===
     // Dimension 1: Kepercayaan Diri (items 1-3)
     {
-      item_id: '1',
+      item_id: '1',
+      origin_item_id: '1',
+      text: 'Saya merasa percaya diri dalam menghadapi tantangan baru',
+      baseline_rubric: ['Kepercayaan diri', 'Menghadapi tantangan', 'Merasa', 'Konteks: Situasi baru', 'Sudut pandang orang pertama'],
+      current_rubric: ['Kepercayaan diri', 'Menghadapi tantangan', 'Merasa', 'Konteks: Situasi baru', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri',
+      scale_group: 'asli'
+    },
+    {
+      item_id: '2',
+      origin_item_id: '2',
+      text: 'Saya merasa bernilai dan dihargai oleh orang lain',
+      baseline_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Oleh orang lain', 'Sudut pandang orang pertama'],
+      current_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Oleh orang lain', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri',
+      scale_group: 'asli'
+    },
+    {
+      item_id: '3',
+      origin_item_id: '3',
+      text: 'Saya dapat mengatasi masalah dengan baik dan tenang',
+      baseline_rubric: ['Mengatasi masalah', 'Ketenangan', 'Dapat', 'Sudut pandang orang pertama'],
+      current_rubric: ['Mengatasi masalah', 'Ketenangan', 'Dapat', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri',
+      scale_group: 'asli'
+    },
+    // Dimension 2: Regulasi Emosi (items 4-7)
+    {
+      item_id: '4',
+      origin_item_id: '4',
+      text: 'Saya mampu mengekspresikan perasaan saya dengan jelas',
+      baseline_rubric: ['Ekspresi perasaan', 'Kejelasan', 'Mampu', 'Sudut pandang orang pertama'],
+      current_rubric: ['Ekspresi perasaan', 'Kejelasan', 'Mampu', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi',
+      scale_group: 'asli'
+    },
+    {
+      item_id: '5',
+      origin_item_id: '5',
+      text: 'Saya merasa nyaman ketika berinteraksi dengan orang baru',
+      baseline_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
+      current_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi',
+      scale_group: 'asli'
+    },
+    {
+      item_id: '6',
+      origin_item_id: '6',
+      text: 'Saya dapat menerima kritik dengan sikap terbuka',
+      baseline_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Dapat', 'Sudut pandang orang pertama'],
+      current_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Dapat', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi',
+      scale_group: 'asli'
+    },
+    {
+      item_id: '7',
+      origin_item_id: '7',
+      text: 'Saya mampu mengelola stres dengan efektif',
+      baseline_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Sudut pandang orang pertama'],
+      current_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi',
+      scale_group: 'asli'
+    },
+    // Dimension 3: Optimisme (items 8-10)
+    {
+      item_id: '8',
+      origin_item_id: '8',
+      text: 'Saya merasa optimis tentang masa depan saya',
+      baseline_rubric: ['Optimisme', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
+      current_rubric: ['Optimisme', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
+      dimension: 'Optimisme',
+      scale_group: 'asli'
+    },
+    {
+      item_id: '9',
+      origin_item_id: '9',
+      text: 'Saya merasa puas dengan pencapaian hidup saya sejauh ini',
+      baseline_rubric: ['Kepuasan', 'Pencapaian Hidup', 'Merasa', 'Sudut Pandang Orang Pertama', 'Waktu: Sejauh Ini'],
+      current_rubric: ['Kepuasan', 'Pencapaian Hidup', 'Merasa', 'Sudut Pandang Orang Pertama', 'Waktu: Sejauh Ini'],
+      dimension: 'Optimisme',
+      scale_group: 'asli'
+    },
+    {
+      item_id: '10',
+      origin_item_id: '10',
+      text: 'Saya merasa memiliki tujuan hidup yang jelas',
+      baseline_rubric: ['Tujuan hidup', 'Merasa', 'Sudut pandang orang pertama'],
+      current_rubric: ['Tujuan hidup', 'Merasa', 'Sudut pandang orang pertama'],
+      dimension: 'Optimisme',
+      scale_group: 'asli'
+    },
+
+    // === SKALA GEN-Z (Branch 1) ===
+    // Dimension 1
+    {
+      item_id: 'skala-asli-branch-1-item-1',
       origin_item_id: '1',
-      text: 'Saya merasa percaya diri dalam menghadapi tantangan baru',
+      text: 'Saya berani mencoba hal baru tanpa ragu',
       baseline_rubric: ['Kepercayaan diri', 'Menghadapi tantangan', 'Merasa', 'Konteks: Situasi baru', 'Sudut pandang orang pertama'],
-      current_rubric: ['Kepercayaan diri', 'Menghadapi tantangan', 'Merasa', 'Konteks: Situasi baru', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri',
-      scale_group: 'asli'
+      current_rubric: ['Keberanian', 'Mencoba hal baru', 'Tanpa keraguan', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri & Keberanian',
+      scale_group: 'genz'
+    },
+    {
+      item_id: 'skala-asli-branch-1-item-2',
+      origin_item_id: '2',
+      text: 'Saya merasa dihargai dan berarti di lingkungan saya',
+      baseline_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Oleh orang lain', 'Sudut pandang orang pertama'],
+      current_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Konteks: Lingkungan', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri & Keberanian',
+      scale_group: 'genz'
+    },
+    {
+      item_id: 'skala-asli-branch-1-item-3',
+      origin_item_id: '3',
+      text: 'Saya bisa mengatasi masalah dengan kepala dingin dan percaya diri',
+      baseline_rubric: ['Mengatasi masalah', 'Ketenangan', 'Dapat', 'Sudut pandang orang pertama'],
+      current_rubric: ['Mengatasi masalah', 'Ketenangan', 'Kepercayaan diri', 'Bisa', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri & Keberanian',
+      scale_group: 'genz'
+    },
+    // Dimension 2
+    {
+      item_id: 'skala-asli-branch-1-item-4',
+      origin_item_id: '4',
+      text: 'Saya bisa mengekspresikan perasaan saya secara jujur dan jelas',
+      baseline_rubric: ['Ekspresi perasaan', 'Kejelasan', 'Mampu', 'Sudut pandang orang pertama'],
+      current_rubric: ['Ekspresi perasaan', 'Kejujuran', 'Kejelasan', 'Bisa', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi & Interaksi',
+      scale_group: 'genz'
+    },
+    {
+      item_id: 'skala-asli-branch-1-item-5',
+      origin_item_id: '5',
+      text: 'Saya merasa nyaman dan tidak awkward saat bertemu orang baru',
+      baseline_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
+      current_rubric: ['Kenyamanan', 'Tidak canggung', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi & Interaksi',
+      scale_group: 'genz'
+    },
+    {
+      item_id: 'skala-asli-branch-1-item-6',
+      origin_item_id: '6',
+      text: 'Saya bisa menerima kritik tanpa baper dan belajar darinya',
+      baseline_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Dapat', 'Sudut pandang orang pertama'],
+      current_rubric: ['Penerimaan kritik', 'Stabilitas emosi', 'Belajar', 'Bisa', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi & Interaksi',
+      scale_group: 'genz'
+    },
+    {
+      item_id: 'skala-asli-branch-1-item-7',
+      origin_item_id: '7',
+      text: 'Saya mampu mengatur stres agar tidak merasa overwhelmed',
+      baseline_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Sudut pandang orang pertama'],
+      current_rubric: ['Pengelolaan stres', 'Menghindari kewalahan', 'Mampu', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi & Interaksi',
+      scale_group: 'genz'
+    },
+    // Dimension 3
+    {
+      item_id: 'skala-asli-branch-1-item-8',
+      origin_item_id: '8',
+      text: 'Saya optimis tentang masa depan dan peluang yang akan datang',
+      baseline_rubric: ['Optimisme', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
+      current_rubric: ['Optimisme', 'Peluang', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
+      dimension: 'Optimisme dan Tujuan (Goals)',
+      scale_group: 'genz'
+    },
+    {
+      item_id: 'skala-asli-branch-1-item-9',
+      origin_item_id: '9',
+      text: 'Saya merasa bangga dan puas dengan pencapaian saya sejauh ini',
+      baseline_rubric: ['Kepuasan', 'Pencapaian hidup', 'Merasa', 'Waktu: Sejauh ini', 'Sudut pandang orang pertama'],
+      current_rubric: ['Kepuasan', 'Kebanggaan', 'Pencapaian', 'Merasa', 'Waktu: Sejauh ini', 'Sudut pandang orang pertama'],
+      dimension: 'Optimisme dan Tujuan (Goals)',
+      scale_group: 'genz'
+    },
+    {
+      item_id: 'skala-asli-branch-1-item-10',
+      origin_item_id: '10',
+      text: 'Saya memiliki tujuan hidup atau goals yang jelas untuk dicapai',
+      baseline_rubric: ['Tujuan hidup', 'Kejelasan', 'Memiliki', 'Sudut pandang orang pertama'],
+      current_rubric: ['Tujuan hidup', 'Goals', 'Kejelasan', 'Memiliki', 'Sudut pandang orang pertama'],
+      dimension: 'Optimisme dan Tujuan (Goals)',
+      scale_group: 'genz'
+    },
+
+    // === SKALA BOOMER (Branch 2) ===
+    // Dimension 1
+    {
+      item_id: 'skala-asli-branch-2-item-1',
+      origin_item_id: '1',
+      text: 'Saya merasa percaya diri menghadapi perubahan dan tantangan yang muncul pada usia saya',
+      baseline_rubric: ['Kepercayaan diri', 'Menghadapi tantangan', 'Merasa', 'Konteks: Situasi baru', 'Sudut pandang orang pertama'],
+      current_rubric: ['Kepercayaan diri', 'Menghadapi perubahan', 'Menghadapi tantangan', 'Merasa', 'Konteks: Usia', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri pada Usia Boomer',
+      scale_group: 'boomer'
+    },
+    {
+      item_id: 'skala-asli-branch-2-item-2',
+      origin_item_id: '2',
+      text: 'Saya merasa dihargai dan dianggap berarti oleh keluarga dan komunitas saya',
+      baseline_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Oleh orang lain', 'Sudut pandang orang pertama'],
+      current_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Konteks: Keluarga', 'Konteks: Komunitas', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri pada Usia Boomer',
+      scale_group: 'boomer'
+    },
+    {
+      item_id: 'skala-asli-branch-2-item-3',
+      origin_item_id: '3',
+      text: 'Saya mampu menyelesaikan masalah sehari-hari dan menghadapi situasi sulit dengan tenang',
+      baseline_rubric: ['Mengatasi masalah', 'Ketenangan', 'Dapat', 'Sudut pandang orang pertama'],
+      current_rubric: ['Menyelesaikan masalah', 'Menghadapi situasi sulit', 'Ketenangan', 'Mampu', 'Konteks: Sehari-hari', 'Sudut pandang orang pertama'],
+      dimension: 'Kepercayaan Diri pada Usia Boomer',
+      scale_group: 'boomer'
+    },
+    // Dimension 2
+    {
+      item_id: 'skala-asli-branch-2-item-4',
+      origin_item_id: '4',
+      text: 'Saya dapat mengungkapkan perasaan saya kepada keluarga atau teman dengan jujur dan tepat',
+      baseline_rubric: ['Ekspresi perasaan', 'Kejelasan', 'Mampu', 'Sudut pandang orang pertama'],
+      current_rubric: ['Ekspresi perasaan', 'Kejujuran', 'Ketepatan', 'Dapat', 'Konteks: Keluarga/teman', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi dan Interaksi Sosial',
+      scale_group: 'boomer'
+    },
+    {
+      item_id: 'skala-asli-branch-2-item-5',
+      origin_item_id: '5',
+      text: 'Saya merasa nyaman saat berinteraksi dengan orang baru, termasuk yang berasal dari generasi berbeda',
+      baseline_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
+      current_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Konteks: Generasi berbeda', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi dan Interaksi Sosial',
+      scale_group: 'boomer'
+    },
+    {
+      item_id: 'skala-asli-branch-2-item-6',
+      origin_item_id: '6',
+      text: 'Saya menerima masukan atau kritik dari orang lain dengan sikap terbuka dan bijaksana',
+      baseline_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Dapat', 'Sudut pandang orang pertama'],
+      current_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Kebijaksanaan', 'Menerima', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi dan Interaksi Sosial',
+      scale_group: 'boomer'
+    },
+    {
+      item_id: 'skala-asli-branch-2-item-7',
+      origin_item_id: '7',
+      text: 'Saya mampu mengelola stres terkait kesehatan, tanggung jawab keluarga, atau perubahan hidup secara efektif',
+      baseline_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Sudut pandang orang pertama'],
+      current_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Konteks: Kesehatan', 'Konteks: Keluarga', 'Konteks: Perubahan hidup', 'Sudut pandang orang pertama'],
+      dimension: 'Regulasi Emosi dan Interaksi Sosial',
+      scale_group: 'boomer'
+    },
+    // Dimension 3
+    {
+      item_id: 'skala-asli-branch-2-item-8',
+      origin_item_id: '8',
+      text: 'Saya merasa optimis tentang kualitas hidup dan kesejahteraan saya di masa mendatang',
+      baseline_rubric: ['Optimisme', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
+      current_rubric: ['Optimisme', 'Kualitas hidup', 'Kesejahteraan', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
+      dimension: 'Optimisme dan Makna Hidup',
+      scale_group: 'boomer'
+    },
+    {
+      item_id: 'skala-asli-branch-2-item-9',
+      origin_item_id: '9',
+      text: 'Saya merasa puas dan bangga dengan pencapaian hidup serta peran yang telah saya jalani',
+      baseline_rubric: ['Kepuasan', 'Pencapaian hidup', 'Merasa', 'Waktu: Sejauh ini', 'Sudut pandang orang pertama'],
+      current_rubric: ['Kepuasan', 'Kebanggaan', 'Pencapaian hidup', 'Peran', 'Merasa', 'Sudut pandang orang pertama'],
+      dimension: 'Optimisme dan Makna Hidup',
+      scale_group: 'boomer'
+    },
+    {
+      item_id: 'skala-asli-branch-2-item-10',
+      origin_item_id: '10',
+      text: 'Saya memiliki tujuan atau kegiatan yang memberi arti dan semangat pada kehidupan saya saat ini',
+      baseline_rubric: ['Tujuan hidup', 'Kejelasan', 'Memiliki', 'Sudut pandang orang pertama'],
+      current_rubric: ['Tujuan hidup', 'Kegiatan bermakna', 'Semangat', 'Memiliki', 'Waktu: Saat ini', 'Sudut pandang orang pertama'],
+      dimension: 'Optimisme dan Makna Hidup',
+      scale_group: 'boomer'
+    }
+  ];
+
+  // Mock scale structure
+  // Mock scale structure (Root only)
+  function createMockScale() {
+    // Filter items for Asli
+    const itemsAsli = MOCK_ITEMS.filter(i => i.scale_group === 'asli');
+
+    // Group items by dimension
+    const dimensions = [
+      { name: 'Kepercayaan Diri', items: itemsAsli.filter(i => i.dimension === 'Kepercayaan Diri') },
+      { name: 'Regulasi Emosi', items: itemsAsli.filter(i => i.dimension === 'Regulasi Emosi') },
+      { name: 'Optimisme', items: itemsAsli.filter(i => i.dimension === 'Optimisme') }
+    ];
+
+    return {
+      scale_id: 'skala-asli',
+      scale_name: 'Skala Asli - Skala Kepercayaan Diri',
+      parent_scale_id: null,
+      is_root: true,
+      expanded: false,
+      depth: 0,
+      position: { x: 100, y: 250 },
+      language: 'id',
+      status: 'approved',
+      tags: ['kepercayaan diri'],
+      dimensions: dimensions
+    };
+  }
+
+  async function handleLoadMock() {
+    console.log('[MLPA] Loading mock data for testing...');
+
+    // 1. Create Root Scale
+    const rootScale = createMockScale();
+
+    // 2. Create Gen-Z Branch (Branch 1) - Using standard layout logic
+    const genzPos = window.BranchPositioning.getNextBranchPosition(rootScale, 0);
+    const itemsGenz = MOCK_ITEMS.filter(i => i.scale_group === 'genz');
+    const dimsGenz = [
+      { name: 'Kepercayaan Diri & Keberanian', items: itemsGenz.filter(i => i.dimension === 'Kepercayaan Diri & Keberanian') },
+      { name: 'Regulasi Emosi & Interaksi', items: itemsGenz.filter(i => i.dimension === 'Regulasi Emosi & Interaksi') },
+      { name: 'Optimisme dan Tujuan (Goals)', items: itemsGenz.filter(i => i.dimension === 'Optimisme dan Tujuan (Goals)') }
+    ];
+
+    const genzScale = {
+      scale_id: 'skala-genz',
+      scale_name: 'Skala Gen-Z - Skala Kepercayaan Diri',
+      parent_scale_id: rootScale.scale_id,
+      is_root: false,
+      expanded: false,
+      depth: genzPos.depth,
+      branch_index: genzPos.branch_index,
+      position: { x: genzPos.x, y: genzPos.y },
+      positionLocked: true,
+      adaptation_intent: 'adaptasi untuk Gen-Z',
+      target_audience: 'Remaja dan dewasa muda (Gen-Z)',
+      language: 'id',
+      status: 'review',
+      tags: ['gen-z'],
+      dimensions: dimsGenz
+    };
+
+    // 3. Create Boomer Branch (Branch 2) - Using standard layout logic
+    const boomerPos = window.BranchPositioning.getNextBranchPosition(rootScale, 1);
+    const itemsBoomer = MOCK_ITEMS.filter(i => i.scale_group === 'boomer');
+    const dimsBoomer = [
+      { name: 'Kepercayaan Diri pada Usia Boomer', items: itemsBoomer.filter(i => i.dimension === 'Kepercayaan Diri pada Usia Boomer') },
+      { name: 'Regulasi Emosi dan Interaksi Sosial', items: itemsBoomer.filter(i => i.dimension === 'Regulasi Emosi dan Interaksi Sosial') },
+      { name: 'Optimisme dan Makna Hidup', items: itemsBoomer.filter(i => i.dimension === 'Optimisme dan Makna Hidup') }
+    ];
+
+    const boomerScale = {
+      scale_id: 'skala-boomer',
+      scale_name: 'Skala Boomer - Skala Kepercayaan Diri',
+      parent_scale_id: rootScale.scale_id,
+      is_root: false,
+      expanded: false,
+      depth: boomerPos.depth,
+      branch_index: boomerPos.branch_index,
+      position: { x: boomerPos.x, y: boomerPos.y },
+      positionLocked: true,
+      adaptation_intent: 'adaptasi untuk generasi Boomer',
+      target_audience: 'Dewasa lanjut usia (Boomer)',
+      language: 'id',
+      tags: ['boomer'],
+      dimensions: dimsBoomer
+    };
+
+    // 4. Load scale graph in one step (fresh history) into its own project
+    const loaded = await loadIntoWorkspace(rootScale.scale_name, () => {
+      window.ScaleStore.loadScales([rootScale, genzScale, boomerScale]);
+      state.canvasState.activeScaleId = rootScale.scale_id;
+
+      // Select root scale for preview (this sets items, updates button label, etc.)
+      selectScale(rootScale.scale_id);
+      return true;
+    });
+    if (!loaded) return;
+
+    console.log('[MLPA] Mock data loaded: Root + 2 Branches');
+
+    // Transition to main app
+    showScreen(2);
+  }
+
+  // ==================== FLOW EDITOR (Screen 3) ====================
+
+  const DEBUG_FLOW_EDITOR = false; // Set to false to hide debug info
+  const LAYOUT_ANIMATION_MS = 350;   // Matches .flow-box.layout-moving transition
+  const BOX_DRAG_THRESHOLD = 4;      // Screen pixels before a header press becomes a drag
+  const KEYBOARD_PAN_STEP = 80;      // Screen pixels per Shift+arrow press
+
+  const flowEditor = {
+    canvas: null,
+    boxesContainer: null,
+    connectionsLayer: null,
+    connectionLabelsLayer: null,   // Intent labels, above the boxes so they can be clicked
+    isPanning: false,
+    panMoved: false,
+    panStart: { x: 0, y: 0 },
+    debugPanel: null,
+
+    // Edit mode state
+    activeEditItem: null,
+    editBackupText: '',
+
+    // Loading animation state
+    loadingDotsInterval: null,
+
+    init() {
+      this.canvas = document.getElementById('flow-canvas');
+      this.worldLayer = document.getElementById('flow-world');
+      this.boxesContainer = document.getElementById('flow-boxes');
+      this.connectionsLayer = document.getElementById('flow-connections');
+      this.connectionLabelsLayer = document.getElementById('flow-connection-labels');
+
+      // init runs on every visit to screen 3: the bind* methods with a *Bound
+      // flag (zoom, minimap, selection, panels, ...) attach their listeners once
+      if (this.canvas) {
+        this.bindPanning();
+        this.bindZoom();
+        this.bindMinimap();
+        this.bindSelection();
+        this.bindFlowBoxEvents();
+        this.bindTreeKeyboard();
+        // Apply pan/zoom restored from a saved session
+        this.updateCanvasTransform();
+      }
+
+      this.bindVersionPanel();
+      this.bindLineagePanel();
+      this.bindMetadataPanel();
+      this.bindIntentPanel();
+      // Store events are ignored off screen 3; catch up on entry
+      this.refreshVersionPanel();
+      this.refreshLineagePanel();
+      this.refreshMetadataPanel();
+      this.refreshIntentPanel();
+
+      // Bind branching popup
+      const branchCloseBtn = document.getElementById('branching-popup-close');
+      if (branchCloseBtn) {
+        branchCloseBtn.addEventListener('click', () => this.closeBranchingPopup());
+      }
+
+      // Bind branching submit button (use mousedown for immediate response)
+      const branchSubmitBtn = document.getElementById('branching-submit');
+      if (branchSubmitBtn) {
+        branchSubmitBtn.addEventListener('mousedown', (e) => {
+          e.preventDefault();  // Prevent focus issues
+          this.handleBranchingSubmit();
+        });
+      }
+
+      // Bind global export
+      const exportBtn = document.getElementById('global-export-btn');
+      if (exportBtn) {
+        exportBtn.addEventListener('click', () => this.exportAllScales());
+      }
+
+      // Bind add source scale (extra root from CSV)
+      const addRootBtn = document.getElementById('add-root-btn');
+      const addRootInput = document.getElementById('add-root-input');
+      if (addRootBtn && addRootInput) {
+        addRootBtn.addEventListener('click', () => addRootInput.click());
+        addRootInput.addEventListener('change', (e) => {
+          const file = e.target.files[0];
+          e.target.value = '';  // Same file can be picked again
+          this.addRootFromCSV(file);
+        });
+      }
+
+      // Initialize debug panel
+      if (DEBUG_FLOW_EDITOR) {
+        this.initDebugPanel();
+      }
+    },
+
+    bindPanning() {
+      this.canvas.addEventListener('mousedown', (e) => {
+        // Only pan if clicking on canvas background, not on flow boxes
+        if (e.target === this.canvas || e.target === this.boxesContainer) {
+          // Shift + drag draws a selection rectangle instead
+          if (e.shiftKey) {
+            this.startRubberBand(e);
+            return;
+          }
+          this.isPanning = true;
+          this.panMoved = false;
+          this.panStart = { x: e.clientX - state.canvasState.pan.x, y: e.clientY - state.canvasState.pan.y };
+          this.canvas.style.cursor = 'grabbing';
+        }
+      });
+
+      document.addEventListener('mousemove', (e) => {
+        if (!this.isPanning) return;
+        this.panMoved = true;
+        state.canvasState.pan.x = e.clientX - this.panStart.x;
+        state.canvasState.pan.y = e.clientY - this.panStart.y;
+        this.updateCanvasTransform();
+      });
+
+      document.addEventListener('mouseup', () => {
+        if (this.isPanning) {
+          this.isPanning = false;
+          this.canvas.style.cursor = 'grab';
+          // A click on the empty canvas (no pan) clears the multi-selection
+          if (!this.panMoved) {
+            this.clearSelection();
+            return;
+          }
+          requestAutosave();
+        }
+      });
+    },
+
+    updateCanvasTransform() {
+      const { pan, zoom } = state.canvasState;
+      if (this.worldLayer) {
+        this.worldLayer.style.transform = `translate(${pan.x}px, ${pan.y}px) scale(${zoom})`;
+      }
+
+      const zoomLabel = document.getElementById('zoom-reset');
+      if (zoomLabel) {
+        zoomLabel.textContent = `${Math.round(zoom * 100)}%`;
+      }
+
+      this.renderMinimap();
+      this.scheduleCulling();
+    },
+
+    // ==================== ZOOM ====================
+    // Arithmetic lives in ViewportMath (layout/viewportMath.js). World layer:
+    // screen = world × zoom + pan, so every screen → world conversion in the
+    // flow editor goes through ViewportMath.screenToWorld.
+
+    zoomBound: false,
+
+    bindZoom() {
+      if (this.zoomBound) return;
+      this.zoomBound = true;
+
+      // Wheel zooms around the cursor; trackpad pinch arrives as ctrl + wheel
+      // with small deltas, so it is amplified to feel like a pinch
+      this.canvas.addEventListener('wheel', (e) => {
+        // Popups and panels keep their own scrolling
+        if (!e.ctrlKey && e.target.closest('.branching-popup, .version-panel')) return;
+        e.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+        const deltaY = e.deltaY * (e.deltaMode === 1 ? 16 : 1) * (e.ctrlKey ? 8 : 1);
+        const zoom = window.ViewportMath.zoomFromWheel(state.canvasState.zoom, deltaY);
+        this.zoomTo(zoom, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+      }, { passive: false });
+
+      const step = window.ViewportMath.ZOOM_LIMITS.STEP;
+      document.getElementById('zoom-in')
+        ?.addEventListener('click', () => this.zoomTo(state.canvasState.zoom * step));
+      document.getElementById('zoom-out')
+        ?.addEventListener('click', () => this.zoomTo(state.canvasState.zoom / step));
+      document.getElementById('zoom-reset')
+        ?.addEventListener('click', () => this.zoomTo(window.ViewportMath.ZOOM_LIMITS.DEFAULT));
+      document.getElementById('zoom-fit-all')
+        ?.addEventListener('click', () => this.fitAll());
+      document.getElementById('zoom-fit-selected')
+        ?.addEventListener('click', () => this.fitSelected());
+      document.getElementById('tidy-layout-btn')
+        ?.addEventListener('click', () => this.tidyLayout());
+      document.getElementById('drag-subtree-toggle')
+        ?.addEventListener('click', () => this.toggleDragWithDescendants());
+    },
+
+    // Zoom keeping one canvas-relative screen point fixed (default: canvas center)
+    zoomTo(zoom, anchor) {
+      if (!this.canvas) return;
+      const rect = this.canvas.getBoundingClientRect();
+      const point = anchor || { x: rect.width / 2, y: rect.height / 2 };
+      this.setViewport(window.ViewportMath.zoomAt(state.canvasState, point, zoom));
+    },
+
+    setViewport({ pan, zoom }) {
+      state.canvasState.pan.x = pan.x;
+      state.canvasState.pan.y = pan.y;
+      state.canvasState.zoom = zoom;
+      this.updateCanvasTransform();
+      this.repositionAnchoredPopups();
+      requestAutosave();
+    },
+
+    // Frame the given flow boxes; false when none of them is shown
+    // (scales inside a folded subtree are skipped)
+    fitToScales(scaleIds) {
+      if (!this.canvas) return false;
+
+      const rects = scaleIds
+        .filter(scaleId => !this.foldState.hidden.has(scaleId))
+        .map(scaleId => this.getBoxWorldRect(scaleId))
+        .filter(Boolean);
+
+      const bounds = window.ViewportMath.getBounds(rects);
+      if (!bounds) return false;
+
+      const rect = this.canvas.getBoundingClientRect();
+      this.setViewport(window.ViewportMath.fitBounds(bounds, { width: rect.width, height: rect.height }));
+      return true;
+    },
+
+    fitAll() {
+      this.fitToScales(Array.from(this.getVisibleScales().keys()));
+    },
+
+    // Selection: the multi-selection, else the box an open popup/panel belongs
+    // to, else the previewed scale
+    fitSelected() {
+      if (this.multiSelection.size > 0 && this.fitToScales(Array.from(this.multiSelection))) return;
+
+      const anchored = this.worldLayer?.querySelector('[data-anchor-scale-id]:not(.hidden)');
+      const scaleId = anchored?.dataset.anchorScaleId || state.selectedScaleId;
+
+      if (!scaleId || !this.fitToScales([scaleId])) {
+        this.showNotification('Pilih skala terlebih dahulu');
+      }
+    },
+
+    updateCanvasBounds() {
+      if (!this.boxesContainer) return;
+
+      let maxBottom = 0;
+
+      document.querySelectorAll('.flow-box').forEach(box => {
+        const bottom = box.offsetTop + box.offsetHeight;
+        if (bottom > maxBottom) maxBottom = bottom;
+      });
+
+      // Add padding buffer (100px)
+      const requiredHeight = maxBottom + 100;
+
+      // Ensure minimum height matches viewport
+      const minHeight = this.canvas ? this.canvas.clientHeight : window.innerHeight;
+      const finalHeight = Math.max(requiredHeight, minHeight);
+
+      this.boxesContainer.style.height = `${finalHeight}px`;
+    },
+
+    // ScaleStore subscriber (batched, see flushStoreEvents)
+    handleStoreChanges(events) {
+      // A cleared store (project switch) starts the canvas over
+      const cleared = events.some(event => event.type === window.ScaleStore.EVENTS.CLEARED);
+      if (cleared) this.resetRenderedBoxes();
+
+      // Screen 3 reconciles every box on entry (switchInnerScreen)
+      if (state.currentScreen !== 3) return;
+
+      this.refreshVersionPanel();
+      this.refreshLineagePanel();
+      this.refreshMetadataPanel();
+      this.refreshIntentPanel();
+
+      if (cleared) {
+        this.renderAll();
+        return;
+      }
+
+      // Only the boxes named in the events are reconciled
+      const scaleIds = new Set();
+      events.forEach(event => event.scaleIds.forEach(scaleId => scaleIds.add(scaleId)));
+      this.renderScales(scaleIds);
+    },
+
+    // ==================== RENDERING (keyed reconcile) ====================
+    // Boxes are never rebuilt wholesale: FlowBoxReconciler
+    // (ui/renderer/flowBoxReconciler.js) compares each scale with the record of
+    // what it last rendered and patches only what changed, so edit mode, hover
+    // and selection survive store events. Listeners are delegated on
+    // #flow-boxes (bindFlowBoxEvents) and connector paths are keyed by child.
+    // Boxes away from the viewport are placeholders (ViewportCulling,
+    // layout/viewportCulling.js); connectors use stored positions and the
+    // remembered sizes in boxSizes, never DOM measurement. Scales below a
+    // folded subtree (subtreeCollapsed) get no box and no connector.
+
+    renderedBoxes: new Map(),   // scale_id → FlowBoxRecord
+    boxSizes: new Map(),        // scale_id → { width, height } of the last full render
+    cullingFrame: null,
+    foldState: { hidden: new Set(), descendantCounts: new Map() },  // ScaleGraph.getSubtreeFoldState
+
+    // Every scale (screen entry, debug tests); also drops boxes of missing scales
+    renderAll() {
+      this.renderScales(null);
+    },
+
+    /**
+     * Reconcile the boxes of the given scales (null = all) and redraw only the
+     * connectors that touch a changed box.
+     * @param {Iterable<string>|null} scaleIds
+     */
+    renderScales(scaleIds) {
+      if (!this.boxesContainer) return;
+      const scales = state.canvasState.scales;
+
+      (scaleIds === null ? Array.from(scales.keys()) : Array.from(scaleIds)).forEach(scaleId => {
+        const scale = scales.get(scaleId);
+        // Auto-position ONLY if position is undefined AND not locked
+        // Invariant: Branched scales have positionLocked=true and are never auto-positioned
+        if (scale && !scale.position && !scale.positionLocked && this.canvas) {
+          const canvasHeight = this.canvas.clientHeight || window.innerHeight;
+          const estimatedBoxHeight = 120;
+          scale.position = {
+            x: 100,
+            y: (canvasHeight - estimatedBoxHeight) * 0.5
+          };
+        }
+      });
+
+      // A fold shows or hides whole subtrees and changes ancestors' counts:
+      // reconcile those scales along with the ones named
+      const previousFold = this.foldState;
+      this.foldState = window.ScaleGraph.getSubtreeFoldState(scales);
+      if (scaleIds !== null) {
+        scaleIds = new Set(scaleIds);
+        scales.forEach((scale, scaleId) => {
+          if (previousFold.hidden.has(scaleId) !== this.foldState.hidden.has(scaleId) ||
+            previousFold.descendantCounts.get(scaleId) !== this.foldState.descendantCounts.get(scaleId)) {
+            scaleIds.add(scaleId);
+          }
+        });
+      }
+      const visibleScales = this.getVisibleScales();
+
+      // An item edit inside a box that goes away cannot be kept
+      const editScaleId = this.activeEditItem?.closest('.flow-box')?.dataset.scaleId;
+      if (editScaleId && !visibleScales.has(editScaleId)) {
+        this.cancelActiveEdit();
+      }
+
+      // Hidden scales are absent from visibleScales, so their boxes are removed
+      const treeFocus = this.getTreeFocus();
+      const result = window.FlowBoxReconciler.reconcileFlowBoxes(this.boxesContainer, visibleScales, this.renderedBoxes, {
+        scaleIds,
+        preserveItem: this.activeEditItem,
+        placeholderSizes: this.getPlaceholderSizes(),
+        descendantCounts: this.foldState.descendantCounts
+      });
+      result.removed.forEach(scaleId => {
+        if (!scales.has(scaleId)) this.boxSizes.delete(scaleId);
+      });
+      this.measureBoxSizes(result.changed);
+
+      this.renderSelection();   // Also redraws the minimap
+      this.renderTreeSemantics(treeFocus);
+      // Every named scale: an intent edit changes its label but not its box
+      this.renderConnections(scaleIds);
+
+      // Tidy layout just moved boxes: slide them from where they were
+      if (this.layoutAnimationFrom) {
+        this.animateLayoutChange(this.layoutAnimationFrom);
+        this.layoutAnimationFrom = null;
+      }
+
+      // Update debug panel
+      if (DEBUG_FLOW_EDITOR) {
+        this.updateDebugPanel();
+      }
+
+      // Update virtual canvas bounds
+      this.updateCanvasBounds();
+    },
+
+    // Scales not hidden by a folded ancestor (as of the last render)
+    getVisibleScales() {
+      const hidden = this.foldState.hidden;
+      if (hidden.size === 0) return state.canvasState.scales;
+
+      const visible = new Map();
+      state.canvasState.scales.forEach((scale, scaleId) => {
+        if (!hidden.has(scaleId)) visible.set(scaleId, scale);
+      });
+      return visible;
+    },
+
+    // Culled scales → placeholder size. Boxes being edited or dragged stay full
+    getPlaceholderSizes() {
+      const placeholders = new Map();
+      // A hidden canvas has no viewport to cull against
+      if (!this.canvas || this.canvas.clientWidth === 0) return placeholders;
+
+      const scales = this.getVisibleScales();
+      const culling = window.ViewportCulling;
+      const viewportRect = window.ViewportMath.getVisibleWorldRect(state.canvasState, {
+        width: this.canvas.clientWidth,
+        height: this.canvas.clientHeight
+      });
+      const visible = culling.computeVisibleScaleIds(scales, viewportRect, this.boxSizes, state.canvasState.zoom);
+      this.boxesContainer.querySelectorAll('.flow-box.flow-edit-mode').forEach(box => visible.add(box.dataset.scaleId));
+      this.boxDrag?.moving.forEach(entry => visible.add(entry.scaleId));
+      // Replacing the keyboard-focused box would drop its focus
+      if (this.focusedScaleId) visible.add(this.focusedScaleId);
+
+      scales.forEach((scale, scaleId) => {
+        if (visible.has(scaleId)) return;
+        const rect = culling.getScaleBoxRect(scale, this.boxSizes.get(scaleId));
+        placeholders.set(scaleId, { width: rect.width, height: rect.height });
+      });
+      return placeholders;
+    },
+
+    // Pan/zoom: swap boxes between placeholder and full once per frame
+    scheduleCulling() {
+      if (this.cullingFrame !== null) return;
+      this.cullingFrame = requestAnimationFrame(() => {
+        this.cullingFrame = null;
+        if (state.currentScreen !== 3 || !this.boxesContainer) return;
+
+        const placeholders = this.getPlaceholderSizes();
+        const switched = [];
+        this.renderedBoxes.forEach((record, scaleId) => {
+          if (record.placeholder !== placeholders.has(scaleId)) switched.push(scaleId);
+        });
+        if (switched.length > 0) this.renderScales(switched);
+      });
+    },
+
+    // Remember the size of fully rendered boxes (read once after they change)
+    measureBoxSizes(scaleIds) {
+      const boxes = new Map();
+      Array.from(this.boxesContainer.children).forEach(box => boxes.set(box.dataset.scaleId, box));
+
+      Array.from(scaleIds).forEach(scaleId => {
+        const box = boxes.get(scaleId);
+        if (!box || this.renderedBoxes.get(scaleId)?.placeholder !== false) return;
+        this.boxSizes.set(scaleId, { width: box.offsetWidth, height: box.offsetHeight });
+      });
+    },
+
+    // World rect of a box from its stored (or live dragged) position and remembered size
+    getBoxWorldRect(scaleId) {
+      const scale = state.canvasState.scales.get(scaleId);
+      const livePosition = this.boxDrag?.livePositions.get(scaleId);
+      return window.ViewportCulling.getScaleBoxRect(scale, this.boxSizes.get(scaleId), livePosition);
+    },
+
+    // Forget every rendered box (the next render builds them from scratch)
+    resetRenderedBoxes() {
+      this.cancelActiveEdit();
+      this.closeRubricPortal();
+      this.renderedBoxes.clear();
+      this.boxSizes.clear();
+      this.foldState = { hidden: new Set(), descendantCounts: new Map() };
+      this.multiSelection.clear();
+      this.focusedScaleId = null;
+      this.treeOutline = new Map();
+      if (this.boxesContainer) this.boxesContainer.innerHTML = '';
+      if (this.connectionsLayer) this.connectionsLayer.innerHTML = '';
+      if (this.connectionLabelsLayer) this.connectionLabelsLayer.innerHTML = '';
+    },
+
+    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
+    createFlowBoxHtml(scale) {
+      return window.FlowBoxRenderer.createFlowBoxHtml(scale);
     },
-    {
-      item_id: '2',
-      origin_item_id: '2',
-      text: 'Saya merasa bernilai dan dihargai oleh orang lain',
-      baseline_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Oleh orang lain', 'Sudut pandang orang pertama'],
-      current_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Oleh orang lain', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri',
-      scale_group: 'asli'
+
+    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
+    createDimensionHtml(dimension, index, startItemIndex, scale) {
+      return window.FlowBoxRenderer.createDimensionHtml(dimension, index, startItemIndex, scale);
     },
-    {
-      item_id: '3',
-      origin_item_id: '3',
-      text: 'Saya dapat mengatasi masalah dengan baik dan tenang',
-      baseline_rubric: ['Mengatasi masalah', 'Ketenangan', 'Dapat', 'Sudut pandang orang pertama'],
-      current_rubric: ['Mengatasi masalah', 'Ketenangan', 'Dapat', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri',
-      scale_group: 'asli'
+
+    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
+    createItemHtml(item, itemIndex, scale) {
+      return window.FlowBoxRenderer.createItemHtml(item, itemIndex, scale);
     },
-    // Dimension 2: Regulasi Emosi (items 4-7)
-    {
-      item_id: '4',
-      origin_item_id: '4',
-      text: 'Saya mampu mengekspresikan perasaan saya dengan jelas',
-      baseline_rubric: ['Ekspresi perasaan', 'Kejelasan', 'Mampu', 'Sudut pandang orang pertama'],
-      current_rubric: ['Ekspresi perasaan', 'Kejelasan', 'Mampu', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi',
-      scale_group: 'asli'
+
+    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
+    createRubricPopupHtml(item) {
+      return window.FlowBoxRenderer.createRubricPopupHtml(item);
     },
-    {
-      item_id: '5',
-      origin_item_id: '5',
-      text: 'Saya merasa nyaman ketika berinteraksi dengan orang baru',
-      baseline_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
-      current_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi',
-      scale_group: 'asli'
+
+    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
+    getIntegrityClass(item, scale) {
+      return window.FlowBoxRenderer.getIntegrityClass(item, scale);
     },
-    {
-      item_id: '6',
-      origin_item_id: '6',
-      text: 'Saya dapat menerima kritik dengan sikap terbuka',
-      baseline_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Dapat', 'Sudut pandang orang pertama'],
-      current_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Dapat', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi',
-      scale_group: 'asli'
+
+    // Delegated once on #flow-boxes: boxes and items are patched in and out by
+    // the reconciler, so nothing is bound to them directly
+    flowBoxEventsBound: false,
+    activeRubricPopup: null,    // { itemBox, popup, onScroll }
+
+    // Tool buttons: selector → action on the box's scale
+    flowBoxToolActions: {
+      '.branch-btn': (editor, scaleId) => editor.openBranchingPopup(scaleId),
+      '.history-btn': (editor, scaleId) => editor.openVersionPanel(scaleId),
+      '.compare-btn': (editor, scaleId) => openCompareModal(null, scaleId),
+      '.pin-btn': (editor, scaleId) => editor.togglePositionPin(scaleId),
+      '.metadata-btn': (editor, scaleId) => editor.openMetadataPanel(scaleId),
+      '.export-btn': (editor, scaleId) => editor.exportScale(scaleId),
+      '.duplicate-btn': (editor, scaleId) => editor.duplicateScale(scaleId, false),
+      '.duplicate-subtree-btn': (editor, scaleId) => editor.duplicateScale(scaleId, true),
+      '.delete-btn': (editor, scaleId) => editor.handleDeleteScale(scaleId),
+      // The drag happens on mousedown; a plain click should not reach the box
+      '.reparent-handle': () => {}
     },
-    {
-      item_id: '7',
-      origin_item_id: '7',
-      text: 'Saya mampu mengelola stres dengan efektif',
-      baseline_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Sudut pandang orang pertama'],
-      current_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi',
-      scale_group: 'asli'
+
+    bindFlowBoxEvents() {
+      if (this.flowBoxEventsBound || !this.boxesContainer) return;
+      this.flowBoxEventsBound = true;
+      const container = this.boxesContainer;
+
+      // Connector labels open the intent panel of their branch
+      const openLabel = (e) => {
+        const label = e.target.closest('.flow-connection-label');
+        if (!label) return;
+        e.preventDefault();
+        e.stopPropagation();
+        this.openIntentPanel(label.dataset.childId);
+      };
+      this.connectionLabelsLayer?.addEventListener('click', openLabel);
+      this.connectionLabelsLayer?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') openLabel(e);
+      });
+
+      // Expanding/collapsing animates the content padding: re-measure once it settles
+      container.addEventListener('transitionend', (e) => {
+        if (e.propertyName !== 'padding-bottom' || !e.target.classList.contains('flow-box-content')) return;
+        const scaleId = e.target.closest('.flow-box')?.dataset.scaleId;
+        if (!scaleId) return;
+        this.measureBoxSizes([scaleId]);
+        this.renderConnections([scaleId]);
+      });
+
+      container.addEventListener('mousedown', (e) => {
+        const flowBox = e.target.closest('.flow-box');
+        if (!flowBox) return;
+
+        // Reparent: drag the handle onto another flow box
+        if (e.target.closest('.flow-box-tools .reparent-handle')) {
+          this.startReparentDrag(e, flowBox.dataset.scaleId);
+          return;
+        }
+
+        // Dragging the header moves the box; a plain click still toggles it
+        if (e.target.closest('.flow-box-header')) {
+          this.startBoxDrag(e, flowBox.dataset.scaleId);
+        }
+      });
+
+      container.addEventListener('click', (e) => {
+        const flowBox = e.target.closest('.flow-box');
+        if (!flowBox) return;
+        const scaleId = flowBox.dataset.scaleId;
+
+        // Edit mode toggle (flow-level permission)
+        const editModeBtn = e.target.closest('.edit-mode-btn');
+        if (editModeBtn) {
+          e.stopPropagation();
+          this.toggleEditMode(flowBox, editModeBtn);
+          return;
+        }
+
+        for (const [selector, action] of Object.entries(this.flowBoxToolActions)) {
+          if (e.target.closest(`.flow-box-tools ${selector}`)) {
+            e.stopPropagation();
+            action(this, scaleId);
+            return;
+          }
+        }
+
+        // Subtree fold toggle / hidden-count badge
+        if (e.target.closest('.subtree-toggle')) {
+          e.stopPropagation();
+          this.toggleSubtree(scaleId);
+          return;
+        }
+
+        // Item edit confirm/cancel
+        const confirmBtn = e.target.closest('.item-edit-confirm');
+        const cancelBtn = e.target.closest('.item-edit-cancel');
+        if (confirmBtn || cancelBtn) {
+          e.stopPropagation();
+          const itemBox = e.target.closest('.item-box');
+          if (confirmBtn) this.confirmItemEdit(itemBox);
+          else this.cancelItemEdit(itemBox);
+          return;
+        }
+
+        // Toggle expand/collapse
+        if (e.target.closest('.flow-box-header')) {
+          if (this.suppressHeaderClick) {
+            this.suppressHeaderClick = false;
+            return;
+          }
+          this.toggleExpanded(flowBox);
+          return;
+        }
+
+        // Item click: lineage panel (in edit mode, clicks belong to editing)
+        const item = e.target.closest('.item-box');
+        if (item) {
+          if (flowBox.classList.contains('flow-edit-mode') || item.classList.contains('editing')) return;
+          this.openLineagePanel(scaleId, item.dataset.itemId);
+        }
+      });
+
+      // Item double-click to edit
+      container.addEventListener('dblclick', (e) => {
+        const item = e.target.closest('.item-box');
+        if (item && !item.classList.contains('editing')) {
+          this.startItemEdit(item);
+        }
+      });
+
+      // Click handler for edit mode interactions
+      document.addEventListener('click', (e) => {
+        const clickedItem = e.target.closest('.item-box');
+        const activeEditBox = document.querySelector('.flow-box.flow-edit-mode');
+
+        // Handle click on item in edit mode
+        if (clickedItem && activeEditBox && activeEditBox.contains(clickedItem)) {
+          // If clicking on a different item than the one being edited
+          if (this.activeEditItem && this.activeEditItem !== clickedItem) {
+            this.confirmOrRevertEdit();
+          }
+
+          // Start editing this item if not already
+          if (!clickedItem.classList.contains('item-editing')) {
+            e.stopPropagation();
+            this.startEditItem(clickedItem);
+          }
+          return;
+        }
+
+        // Click outside active edit item → confirm if dirty
+        if (this.activeEditItem && !this.activeEditItem.contains(e.target)) {
+          this.confirmOrRevertEdit();
+        }
+
+        // Click outside flow box in edit mode → exit edit mode
+        if (activeEditBox && !activeEditBox.contains(e.target)) {
+          activeEditBox.classList.remove('flow-edit-mode');
+          this.showNotification('Edit item dinonaktifkan');
+        }
+      });
+
+      // Rubric popup portal (escapes stacking context); mouseover/out bubble,
+      // mouseenter/leave do not
+      container.addEventListener('mouseover', (e) => {
+        const itemBox = e.target.closest('.item-box');
+        if (itemBox && itemBox !== this.activeRubricPopup?.itemBox) {
+          this.openRubricPortal(itemBox);
+        }
+      });
+
+      container.addEventListener('mouseout', (e) => {
+        const itemBox = this.activeRubricPopup?.itemBox;
+        if (itemBox && !itemBox.contains(e.relatedTarget)) {
+          this.closeRubricPortal();
+        }
+      });
     },
-    // Dimension 3: Optimisme (items 8-10)
-    {
-      item_id: '8',
-      origin_item_id: '8',
-      text: 'Saya merasa optimis tentang masa depan saya',
-      baseline_rubric: ['Optimisme', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
-      current_rubric: ['Optimisme', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
-      dimension: 'Optimisme',
-      scale_group: 'asli'
+
+    toggleExpanded(flowBox) {
+      const scaleId = flowBox.dataset.scaleId;
+      const scale = state.canvasState.scales.get(scaleId);
+      if (!scale) return;
+
+      scale.expanded = !scale.expanded;
+      flowBox.classList.toggle('flow-mode-collapsed', !scale.expanded);
+      requestAutosave();
+
+      // Update canvas bounds and this box's size and connectors after animation completes
+      setTimeout(() => {
+        this.updateCanvasBounds();
+        this.measureBoxSizes([scaleId]);
+        this.renderConnections([scaleId]);
+      }, 350);
     },
-    {
-      item_id: '9',
-      origin_item_id: '9',
-      text: 'Saya merasa puas dengan pencapaian hidup saya sejauh ini',
-      baseline_rubric: ['Kepuasan', 'Pencapaian Hidup', 'Merasa', 'Sudut Pandang Orang Pertama', 'Waktu: Sejauh Ini'],
-      current_rubric: ['Kepuasan', 'Pencapaian Hidup', 'Merasa', 'Sudut Pandang Orang Pertama', 'Waktu: Sejauh Ini'],
-      dimension: 'Optimisme',
-      scale_group: 'asli'
+
+    toggleEditMode(flowBox, btn) {
+      const scaleId = flowBox.dataset.scaleId;
+      const scale = state.canvasState.scales.get(scaleId);
+
+      const isEntering = !flowBox.classList.contains('flow-edit-mode');
+
+      if (isEntering) {
+        // Exit edit mode on any other flow boxes first (confirm their active edits)
+        document.querySelectorAll('.flow-box.flow-edit-mode').forEach(box => {
+          this.confirmOrRevertEdit();
+          box.classList.remove('flow-edit-mode');
+        });
+
+        // Auto-expand if collapsed
+        if (scale && !scale.expanded) {
+          scale.expanded = true;
+          flowBox.classList.remove('flow-mode-collapsed');
+          setTimeout(() => {
+            this.updateCanvasBounds();
+            this.measureBoxSizes([scaleId]);
+            this.renderConnections([scaleId]);
+          }, 350);
+        }
+
+        // Enter edit mode
+        flowBox.classList.add('flow-edit-mode');
+        this.showEditTooltip(btn);
+      } else {
+        // Confirm any active edit before exiting
+        this.confirmOrRevertEdit();
+        flowBox.classList.remove('flow-edit-mode');
+        this.showNotification('Edit item dinonaktifkan');
+      }
+    },
+
+    openRubricPortal(itemBox) {
+      this.closeRubricPortal();
+
+      const rubricData = itemBox.querySelector('.rubric-popup');
+      if (!rubricData) return;
+
+      // Create portal popup in body
+      const popup = document.createElement('div');
+      popup.className = 'rubric-popup-portal';
+      popup.innerHTML = rubricData.innerHTML;
+      document.body.appendChild(popup);
+
+      // Position using getBoundingClientRect
+      const positionPopup = () => {
+        const rect = itemBox.getBoundingClientRect();
+        popup.style.position = 'fixed';
+        popup.style.top = `${rect.top + (rect.height / 2)}px`;
+        popup.style.left = `${rect.right + 12}px`;
+        popup.style.transform = 'translateY(-50%)';
+        popup.style.opacity = '1';
+        popup.style.visibility = 'visible';
+      };
+
+      positionPopup();
+
+      // Update position on scroll/pan
+      window.addEventListener('scroll', positionPopup, { passive: true });
+      this.activeRubricPopup = { itemBox, popup, onScroll: positionPopup };
+    },
+
+    closeRubricPortal() {
+      const active = this.activeRubricPopup;
+      if (!active) return;
+      this.activeRubricPopup = null;
+      active.popup.remove();
+      window.removeEventListener('scroll', active.onScroll);
+    },
+
+    startItemEdit(itemBox) {
+      const textSpan = itemBox.querySelector('.item-text');
+      const input = itemBox.querySelector('.item-edit-input');
+      input.value = textSpan.textContent;
+      itemBox.classList.add('editing');
+      input.focus();
+    },
+
+    confirmItemEdit(itemBox) {
+      const input = itemBox.querySelector('.item-edit-input');
+      const textSpan = itemBox.querySelector('.item-text');
+      const newText = input.value.trim();
+
+      if (newText && newText !== textSpan.textContent) {
+        textSpan.textContent = newText;
+        // TODO: Regenerate current_rubric via AI
+        console.log('[MLPA] Item edited, rubric regeneration needed');
+      }
+
+      itemBox.classList.remove('editing');
+    },
+
+    cancelItemEdit(itemBox) {
+      itemBox.classList.remove('editing');
+    },
+
+    openBranchingPopup(scaleId) {
+      if (state.canvasState.branchingElsewhereScaleIds.has(scaleId)) {
+        this.showNotification('Skala ini sedang dicabangkan di tab lain');
+        return;
+      }
+
+      state.canvasState.branchingFromScaleId = scaleId;
+      const popup = document.getElementById('branching-popup');
+      if (!popup) return;
+
+      // Popups and panels anchor to the right of a flow box
+      this.closeVersionPanel();
+      this.closeMetadataPanel();
+      this.closeIntentPanel();
+
+      this.positionBesideFlowBox(popup, scaleId);
+      popup.classList.remove('hidden');
+    },
+
+    // Place a world-layer popup to the right of a flow box, vertically centered.
+    // The popup is counter-scaled so it stays readable at any zoom level.
+    positionBesideFlowBox(popup, scaleId) {
+      // Get the flow box DOM element for accurate dimensions
+      const flowBox = document.querySelector(`.flow-box[data-scale-id="${scaleId}"]`);
+      const canvas = this.canvas;
+
+      if (flowBox && canvas) {
+        const flowBoxRect = flowBox.getBoundingClientRect();
+        const canvasRect = canvas.getBoundingClientRect();
+        const zoom = state.canvasState.zoom;
+
+        // Convert screen coords to world coords
+        const anchor = window.ViewportMath.screenToWorld({
+          x: flowBoxRect.right - canvasRect.left + 16,
+          y: flowBoxRect.top + flowBoxRect.height / 2 - canvasRect.top
+        }, state.canvasState);
+
+        // Position popup to the right of flow box in world space
+        popup.style.left = `${anchor.x}px`;
+        popup.style.top = `${anchor.y}px`;
+        popup.style.transformOrigin = '0 50%';
+        popup.style.transform = `translateY(-50%) scale(${1 / zoom})`;
+        popup.dataset.anchorScaleId = scaleId;
+      }
+    },
+
+    // ==================== TIDY LAYOUT ====================
+    // Positions come from TidyLayout (layout/tidyLayout.js) using the remembered
+    // box sizes; the move is one undoable ScaleStore.updateScales write.
+
+    layoutAnimationFrom: null,   // scale_id → previous position, consumed by renderAll
+    layoutAnimationTimer: null,
+
+    tidyLayout() {
+      const scales = state.canvasState.scales;
+      if (scales.size === 0 || !this.boxesContainer) return;
+
+      this.cancelActiveEdit();
+
+      // Remembered sizes: culled boxes keep the size of their last full render.
+      // Folded subtrees are left out and travel with their folded scale
+      const positions = window.TidyLayout.computeTidyLayout(this.getVisibleScales(), this.boxSizes);
+      this.getFoldedSubtreeMoves(positions).forEach((position, scaleId) => positions.set(scaleId, position));
+      const updates = new Map();
+      const previous = new Map();
+      positions.forEach((position, scaleId) => {
+        const current = scales.get(scaleId).position;
+        if (current && current.x === position.x && current.y === position.y) return;
+        updates.set(scaleId, { position });
+        previous.set(scaleId, current);
+      });
+
+      if (updates.size === 0) {
+        this.showNotification('Tata letak sudah rapi');
+        return;
+      }
+
+      this.layoutAnimationFrom = previous;
+      if (!window.ScaleStore.updateScales(updates, { label: 'Rapikan tata letak' })) {
+        this.layoutAnimationFrom = null;
+        return;
+      }
+      this.showNotification(`${updates.size} skala dirapikan`);
     },
-    {
-      item_id: '10',
-      origin_item_id: '10',
-      text: 'Saya merasa memiliki tujuan hidup yang jelas',
-      baseline_rubric: ['Tujuan hidup', 'Merasa', 'Sudut pandang orang pertama'],
-      current_rubric: ['Tujuan hidup', 'Merasa', 'Sudut pandang orang pertama'],
-      dimension: 'Optimisme',
-      scale_group: 'asli'
+
+    // Positions for the hidden descendants of folded scales that move to the
+    // given positions: each keeps its offset from its folded ancestor
+    getFoldedSubtreeMoves(positions) {
+      const scales = state.canvasState.scales;
+      const moves = new Map();
+      positions.forEach((position, scaleId) => {
+        const scale = scales.get(scaleId);
+        if (!scale?.subtreeCollapsed || !scale.position) return;
+        const dx = position.x - scale.position.x;
+        const dy = position.y - scale.position.y;
+        if (dx === 0 && dy === 0) return;
+
+        window.ScaleGraph.getDescendants(scales, scaleId).forEach(descendantId => {
+          const descendant = scales.get(descendantId);
+          if (moves.has(descendantId) || positions.has(descendantId) || !descendant.position) return;
+          moves.set(descendantId, { x: descendant.position.x + dx, y: descendant.position.y + dy });
+        });
+      });
+      return moves;
     },
 
-    // === SKALA GEN-Z (Branch 1) ===
-    // Dimension 1
-    {
-      item_id: 'skala-asli-branch-1-item-1',
-      origin_item_id: '1',
-      text: 'Saya berani mencoba hal baru tanpa ragu',
-      baseline_rubric: ['Kepercayaan diri', 'Menghadapi tantangan', 'Merasa', 'Konteks: Situasi baru', 'Sudut pandang orang pertama'],
-      current_rubric: ['Keberanian', 'Mencoba hal baru', 'Tanpa keraguan', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri & Keberanian',
-      scale_group: 'genz'
+    // FLIP: start moved boxes at their old place, then let CSS slide them home.
+    // Connectors are hidden while boxes move and redrawn when they arrive.
+    animateLayoutChange(previous) {
+      const moved = [];
+      previous.forEach((from, scaleId) => {
+        const scale = state.canvasState.scales.get(scaleId);
+        const box = this.boxesContainer.querySelector(`.flow-box[data-scale-id="${scaleId}"]`);
+        if (!from || !scale?.position || !box) return;
+
+        box.style.transform = `translate(${from.x - scale.position.x}px, ${from.y - scale.position.y}px)`;
+        moved.push(box);
+      });
+      if (moved.length === 0) return;
+
+      this.connectionsLayer?.classList.add('layout-animating');
+      this.connectionLabelsLayer?.classList.add('layout-animating');
+      this.boxesContainer.getBoundingClientRect();  // Commit the start positions
+      moved.forEach(box => {
+        box.classList.add('layout-moving');
+        box.style.transform = '';
+      });
+
+      clearTimeout(this.layoutAnimationTimer);
+      this.layoutAnimationTimer = setTimeout(() => {
+        moved.forEach(box => box.classList.remove('layout-moving'));
+        this.connectionsLayer?.classList.remove('layout-animating');
+        this.connectionLabelsLayer?.classList.remove('layout-animating');
+        this.renderConnections();
+      }, LAYOUT_ANIMATION_MS);
     },
-    {
-      item_id: 'skala-asli-branch-1-item-2',
-      origin_item_id: '2',
-      text: 'Saya merasa dihargai dan berarti di lingkungan saya',
-      baseline_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Oleh orang lain', 'Sudut pandang orang pertama'],
-      current_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Konteks: Lingkungan', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri & Keberanian',
-      scale_group: 'genz'
+
+    // Fold/unfold a scale's subtree (saved with the scale, one undo step)
+    toggleSubtree(scaleId) {
+      const scale = state.canvasState.scales.get(scaleId);
+      if (!scale) return;
+
+      const collapsed = !scale.subtreeCollapsed;
+      window.ScaleStore.updateScale(scaleId, { subtreeCollapsed: collapsed }, {
+        label: collapsed ? `Ciutkan subpohon "${scale.scale_name}"` : `Bentangkan subpohon "${scale.scale_name}"`
+      });
     },
-    {
-      item_id: 'skala-asli-branch-1-item-3',
-      origin_item_id: '3',
-      text: 'Saya bisa mengatasi masalah dengan kepala dingin dan percaya diri',
-      baseline_rubric: ['Mengatasi masalah', 'Ketenangan', 'Dapat', 'Sudut pandang orang pertama'],
-      current_rubric: ['Mengatasi masalah', 'Ketenangan', 'Kepercayaan diri', 'Bisa', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri & Keberanian',
-      scale_group: 'genz'
+
+    togglePositionPin(scaleId) {
+      const scale = state.canvasState.scales.get(scaleId);
+      if (!scale) return;
+
+      const pinned = !scale.positionPinned;
+      window.ScaleStore.updateScale(scaleId, { positionPinned: pinned }, {
+        label: pinned ? `Sematkan posisi "${scale.scale_name}"` : `Lepas sematan "${scale.scale_name}"`
+      });
     },
-    // Dimension 2
-    {
-      item_id: 'skala-asli-branch-1-item-4',
-      origin_item_id: '4',
-      text: 'Saya bisa mengekspresikan perasaan saya secara jujur dan jelas',
-      baseline_rubric: ['Ekspresi perasaan', 'Kejelasan', 'Mampu', 'Sudut pandang orang pertama'],
-      current_rubric: ['Ekspresi perasaan', 'Kejujuran', 'Kejelasan', 'Bisa', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi & Interaksi',
-      scale_group: 'genz'
+
+    // ==================== MINIMAP ====================
+    // Drawn from stored positions (MinimapGeometry) and canvasState pan/zoom,
+    // never from flow box DOM. Redrawn by renderAll (store events) and by
+    // updateCanvasTransform (pan/zoom).
+
+    minimapBound: false,
+    minimapProjection: null,
+    minimapDrag: null,   // { projection } frozen while dragging, so the map holds still
+
+    bindMinimap() {
+      if (this.minimapBound) return;
+      this.minimapBound = true;
+
+      const svg = document.getElementById('minimap-svg');
+      if (!svg) return;
+
+      svg.addEventListener('mousedown', (e) => {
+        if (e.button !== 0 || !this.minimapProjection) return;
+        e.preventDefault();
+        e.stopPropagation();
+        this.minimapDrag = { projection: this.minimapProjection };
+        this.panFromMinimap(e);
+      });
+
+      document.addEventListener('mousemove', (e) => {
+        if (this.minimapDrag) this.panFromMinimap(e);
+      });
+
+      document.addEventListener('mouseup', () => {
+        if (!this.minimapDrag) return;
+        this.minimapDrag = null;
+        this.renderMinimap();
+      });
+
+      // Canvas size changes the viewport rectangle
+      window.addEventListener('resize', () => this.renderMinimap());
     },
-    {
-      item_id: 'skala-asli-branch-1-item-5',
-      origin_item_id: '5',
-      text: 'Saya merasa nyaman dan tidak awkward saat bertemu orang baru',
-      baseline_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
-      current_rubric: ['Kenyamanan', 'Tidak canggung', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi & Interaksi',
-      scale_group: 'genz'
+
+    renderMinimap() {
+      const minimap = document.getElementById('minimap');
+      const svg = document.getElementById('minimap-svg');
+      if (!minimap || !svg || !this.canvas) return;
+
+      const scales = this.getVisibleScales();
+      minimap.classList.toggle('hidden', scales.size === 0);
+      if (scales.size === 0) return;
+
+      const geometry = window.MinimapGeometry;
+      const { WIDTH, HEIGHT } = geometry.MINIMAP_LAYOUT;
+      const viewportRect = window.ViewportMath.getVisibleWorldRect(state.canvasState, {
+        width: this.canvas.clientWidth,
+        height: this.canvas.clientHeight
+      });
+
+      this.minimapProjection = this.minimapDrag?.projection
+        || geometry.createMinimapProjection(geometry.getMinimapWorldBounds(scales.values(), viewportRect));
+
+      svg.setAttribute('width', WIDTH);
+      svg.setAttribute('height', HEIGHT);
+      svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+      svg.innerHTML = window.MinimapRenderer.createMinimapSvgContent(
+        scales, viewportRect, this.minimapProjection,
+        { selectedScaleId: state.selectedScaleId, multiSelectedIds: this.multiSelection }
+      );
     },
-    {
-      item_id: 'skala-asli-branch-1-item-6',
-      origin_item_id: '6',
-      text: 'Saya bisa menerima kritik tanpa baper dan belajar darinya',
-      baseline_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Dapat', 'Sudut pandang orang pertama'],
-      current_rubric: ['Penerimaan kritik', 'Stabilitas emosi', 'Belajar', 'Bisa', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi & Interaksi',
-      scale_group: 'genz'
+
+    // Center the canvas on the world point under the cursor in the minimap
+    panFromMinimap(e) {
+      const svg = document.getElementById('minimap-svg');
+      if (!svg || !this.canvas) return;
+
+      const rect = svg.getBoundingClientRect();
+      const world = window.MinimapGeometry.projectFromMinimap(
+        { x: e.clientX - rect.left, y: e.clientY - rect.top },
+        this.minimapDrag?.projection || this.minimapProjection
+      );
+
+      this.setViewport(window.ViewportMath.centerOn(world, {
+        width: this.canvas.clientWidth,
+        height: this.canvas.clientHeight
+      }, state.canvasState.zoom));
     },
-    {
-      item_id: 'skala-asli-branch-1-item-7',
-      origin_item_id: '7',
-      text: 'Saya mampu mengatur stres agar tidak merasa overwhelmed',
-      baseline_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Sudut pandang orang pertama'],
-      current_rubric: ['Pengelolaan stres', 'Menghindari kewalahan', 'Mampu', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi & Interaksi',
-      scale_group: 'genz'
+
+    // Re-anchor open popups/panels after a zoom (pan moves them with the world)
+    repositionAnchoredPopups() {
+      this.worldLayer?.querySelectorAll('[data-anchor-scale-id]:not(.hidden)').forEach(popup => {
+        this.positionBesideFlowBox(popup, popup.dataset.anchorScaleId);
+      });
     },
-    // Dimension 3
-    {
-      item_id: 'skala-asli-branch-1-item-8',
-      origin_item_id: '8',
-      text: 'Saya optimis tentang masa depan dan peluang yang akan datang',
-      baseline_rubric: ['Optimisme', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
-      current_rubric: ['Optimisme', 'Peluang', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
-      dimension: 'Optimisme dan Tujuan (Goals)',
-      scale_group: 'genz'
+
+    closeBranchingPopup() {
+      const popup = document.getElementById('branching-popup');
+      popup?.classList.add('hidden');
+      const input = document.getElementById('branching-input');
+      if (input) input.value = '';
+
+      // Stop loading animation if popup closed during processing
+      this.stopLoadingDots();
+
+      // Reset button state
+      const submitBtn = document.getElementById('branching-submit');
+      if (submitBtn) {
+        submitBtn.disabled = false;
+        submitBtn.querySelector('span').textContent = 'Buat Cabang Baru';
+      }
     },
-    {
-      item_id: 'skala-asli-branch-1-item-9',
-      origin_item_id: '9',
-      text: 'Saya merasa bangga dan puas dengan pencapaian saya sejauh ini',
-      baseline_rubric: ['Kepuasan', 'Pencapaian hidup', 'Merasa', 'Waktu: Sejauh ini', 'Sudut pandang orang pertama'],
-      current_rubric: ['Kepuasan', 'Kebanggaan', 'Pencapaian', 'Merasa', 'Waktu: Sejauh ini', 'Sudut pandang orang pertama'],
-      dimension: 'Optimisme dan Tujuan (Goals)',
-      scale_group: 'genz'
+
+    // ============================================================================
+    // BRANCHING FLOWBOX POSITIONING (LAYOUT ENGINE - LOCKED)
+    // ============================================================================
+    // This layout system has been tested and verified stable. Do not modify
+    // positioning logic without running tests 1-5 from system.md.
+    //
+    // Key Invariants:
+    // 1. Positions are computed from branch_index, not DOM or sibling count
+    // 2. Branched scales have positionLocked=true to prevent auto-repositioning
+    // 3. renderAll() never mutates positions of locked scales
+    // 4. Layout is position-driven, not iteration-order dependent
+    // 5. Child positions are absolute snapshots, not relative to parent
+    //
+    // Tests Passed:
+    // - Test 1: Mutation resistance (Object.freeze)
+    // - Test 2: Parent movement propagation
+    // - Test 4: Reorder stress test
+    // - Test 5: Child-of-child (nesting)
+    // ============================================================================
+
+    // Deterministic child-row positioning for branched scales
+    // Invariant: Position is computed from branch_index only (no DOM reads, no sibling scan)
+    // Layout: Symmetric alternating around parent Y (up, down, further up, further down)
+    // DELEGATED to BranchPositioning module (layout/branchPositioning.js)
+    getNextBranchPosition(sourceScaleId, branch_index) {
+      // Fetch parent scale from state and delegate to pure module function
+      const source = state.canvasState.scales.get(sourceScaleId);
+      return window.BranchPositioning.getNextBranchPosition(source, branch_index);
     },
-    {
-      item_id: 'skala-asli-branch-1-item-10',
-      origin_item_id: '10',
-      text: 'Saya memiliki tujuan hidup atau goals yang jelas untuk dicapai',
-      baseline_rubric: ['Tujuan hidup', 'Kejelasan', 'Memiliki', 'Sudut pandang orang pertama'],
-      current_rubric: ['Tujuan hidup', 'Goals', 'Kejelasan', 'Memiliki', 'Sudut pandang orang pertama'],
-      dimension: 'Optimisme dan Tujuan (Goals)',
-      scale_group: 'genz'
+
+    // ============================================================================
+    // GPT SCALE GENERATION (V1: Dimensions only)
+    // ============================================================================
+    // Invariant: If GPT succeeds, the resulting scale must be renderable
+    // without triggering any layout recomputation.
+
+    /**
+     * Validate GPT response has required fields (V2)
+     * @returns {{ valid: boolean, error?: string }}
+     */
+    validateGptScale(gptResult, sourceScale) {
+      if (!gptResult) return { valid: false, error: 'No response' };
+      if (gptResult.error) return { valid: false, error: gptResult.error };
+      if (!gptResult.scale_name || typeof gptResult.scale_name !== 'string') {
+        return { valid: false, error: 'Missing scale_name' };
+      }
+      if (!Array.isArray(gptResult.dimensions) || gptResult.dimensions.length === 0) {
+        return { valid: false, error: 'Missing or empty dimensions' };
+      }
+
+      // V2: Validate items
+      for (let i = 0; i < gptResult.dimensions.length; i++) {
+        const dim = gptResult.dimensions[i];
+        if (!dim.name || typeof dim.name !== 'string') {
+          return { valid: false, error: `Dimension ${i + 1} missing name` };
+        }
+        if (!Array.isArray(dim.items) || dim.items.length === 0) {
+          return { valid: false, error: `Dimension "${dim.name}" has no items` };
+        }
+        for (let j = 0; j < dim.items.length; j++) {
+          const item = dim.items[j];
+          if (!item.text || typeof item.text !== 'string') {
+            return { valid: false, error: `Item ${j + 1} in "${dim.name}" missing text` };
+          }
+        }
+      }
+
+      // ============================================================================
+      // SAFETY INVARIANT: Dimension and item count checks (warn only, don't fail)
+      // ============================================================================
+      if (sourceScale) {
+        // Check dimension count
+        if (gptResult.dimensions.length !== sourceScale.dimensions.length) {
+          console.warn(
+            `[MLPA Safety] Dimension count mismatch: ` +
+            `expected=${sourceScale.dimensions.length}, got=${gptResult.dimensions.length}`
+          );
+        }
+
+        // Check item count per dimension
+        for (let i = 0; i < Math.min(gptResult.dimensions.length, sourceScale.dimensions.length); i++) {
+          const gptDim = gptResult.dimensions[i];
+          const sourceDim = sourceScale.dimensions[i];
+          if (gptDim.items.length !== sourceDim.items.length) {
+            console.warn(
+              `[MLPA Safety] Item count mismatch in dimension "${gptDim.name}": ` +
+              `expected=${sourceDim.items.length}, got=${gptDim.items.length}`
+            );
+          }
+        }
+      }
+
+      return { valid: true };
+    },
+
+    /**
+     * Expand GPT items with rubrics (V2)
+     * DELEGATED to OpenAIScaleAdapter module (adapters/openAiScale.js)
+     * @param {Array} gptDimensions - [{ name, items: [{ text, current_rubric? }] }]
+     * @param {string} scaleId - Scale ID for namespacing
+     * @param {Array} sourceDimensions - Source dimensions for origin_item_id and baseline_rubric mapping
+     * @returns {Array} Full dimensions with all required fields
+     */
+    expandWithMockRubrics(gptDimensions, scaleId, sourceDimensions) {
+      // Delegate to pure module function
+      return window.OpenAIScaleAdapter.expandWithRubrics(gptDimensions, scaleId, sourceDimensions);
     },
 
-    // === SKALA BOOMER (Branch 2) ===
-    // Dimension 1
-    {
-      item_id: 'skala-asli-branch-2-item-1',
-      origin_item_id: '1',
-      text: 'Saya merasa percaya diri menghadapi perubahan dan tantangan yang muncul pada usia saya',
-      baseline_rubric: ['Kepercayaan diri', 'Menghadapi tantangan', 'Merasa', 'Konteks: Situasi baru', 'Sudut pandang orang pertama'],
-      current_rubric: ['Kepercayaan diri', 'Menghadapi perubahan', 'Menghadapi tantangan', 'Merasa', 'Konteks: Usia', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri pada Usia Boomer',
-      scale_group: 'boomer'
-    },
-    {
-      item_id: 'skala-asli-branch-2-item-2',
-      origin_item_id: '2',
-      text: 'Saya merasa dihargai dan dianggap berarti oleh keluarga dan komunitas saya',
-      baseline_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Oleh orang lain', 'Sudut pandang orang pertama'],
-      current_rubric: ['Nilai diri', 'Dihargai', 'Merasa', 'Konteks: Keluarga', 'Konteks: Komunitas', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri pada Usia Boomer',
-      scale_group: 'boomer'
+    /**
+     * Show error notification toast
+     */
+    showBranchingError(message) {
+      console.error('[MLPA Branching]', message);
+      // Simple alert for now - can be upgraded to toast later
+      alert('Gagal membuat cabang: ' + message);
     },
-    {
-      item_id: 'skala-asli-branch-2-item-3',
-      origin_item_id: '3',
-      text: 'Saya mampu menyelesaikan masalah sehari-hari dan menghadapi situasi sulit dengan tenang',
-      baseline_rubric: ['Mengatasi masalah', 'Ketenangan', 'Dapat', 'Sudut pandang orang pertama'],
-      current_rubric: ['Menyelesaikan masalah', 'Menghadapi situasi sulit', 'Ketenangan', 'Mampu', 'Konteks: Sehari-hari', 'Sudut pandang orang pertama'],
-      dimension: 'Kepercayaan Diri pada Usia Boomer',
-      scale_group: 'boomer'
+
+    /**
+     * Start animated loading dots on button
+     * @param {HTMLElement} button - The submit button element
+     * @param {string} baseText - Base text without dots (e.g., "Memproses")
+     */
+    startLoadingDots(button, baseText = 'Memproses') {
+      // Clear any existing interval
+      this.stopLoadingDots();
+
+      let dotCount = 0;
+      const spanElement = button.querySelector('span');
+
+      // Immediate update
+      spanElement.textContent = baseText + '.';
+
+      // Start interval (cycles every 400ms)
+      this.loadingDotsInterval = setInterval(() => {
+        dotCount = (dotCount + 1) % 3;  // 0, 1, 2, 0, 1, 2...
+        const dots = '.'.repeat(dotCount + 1);  // ., .., ...
+        spanElement.textContent = baseText + dots;
+      }, 400);
     },
-    // Dimension 2
-    {
-      item_id: 'skala-asli-branch-2-item-4',
-      origin_item_id: '4',
-      text: 'Saya dapat mengungkapkan perasaan saya kepada keluarga atau teman dengan jujur dan tepat',
-      baseline_rubric: ['Ekspresi perasaan', 'Kejelasan', 'Mampu', 'Sudut pandang orang pertama'],
-      current_rubric: ['Ekspresi perasaan', 'Kejujuran', 'Ketepatan', 'Dapat', 'Konteks: Keluarga/teman', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi dan Interaksi Sosial',
-      scale_group: 'boomer'
+
+    /**
+     * Stop loading dots animation
+     */
+    stopLoadingDots() {
+      if (this.loadingDotsInterval) {
+        clearInterval(this.loadingDotsInterval);
+        this.loadingDotsInterval = null;
+      }
     },
-    {
-      item_id: 'skala-asli-branch-2-item-5',
-      origin_item_id: '5',
-      text: 'Saya merasa nyaman saat berinteraksi dengan orang baru, termasuk yang berasal dari generasi berbeda',
-      baseline_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Sudut pandang orang pertama'],
-      current_rubric: ['Kenyamanan', 'Interaksi sosial', 'Merasa', 'Konteks: Orang baru', 'Konteks: Generasi berbeda', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi dan Interaksi Sosial',
-      scale_group: 'boomer'
+
+    async handleBranchingSubmit() {
+      // Guard: prevent double-submission
+      if (state.canvasState.isBranchingInProgress) {
+        console.log('[MLPA Branching] Already in progress - ignoring');
+        return;
+      }
+
+      // Get input
+      const input = document.getElementById('branching-input');
+      const submitBtn = document.getElementById('branching-submit');
+      const adaptationIntent = input?.value?.trim();
+
+      // Guard: empty input
+      if (!adaptationIntent) {
+        console.log('[MLPA Branching] Empty input - doing nothing');
+        return;
+      }
+
+      // Get source scale
+      const sourceScaleId = state.canvasState.branchingFromScaleId;
+      const sourceScale = state.canvasState.scales.get(sourceScaleId);
+
+      if (!sourceScale) {
+        console.error('[MLPA Branching] Source scale not found');
+        return;
+      }
+
+      // Another tab is already branching this scale
+      if (state.canvasState.branchingElsewhereScaleIds.has(sourceScaleId)) {
+        this.showBranchingError('Skala ini sedang dicabangkan di tab lain. Coba lagi nanti.');
+        return;
+      }
+
+      // Set lock BEFORE any async operation
+      window.CanvasStateOps.setBranchingInProgress(state.canvasState, true);
+      let releaseTabLock = null;
+
+      // Show loading state with animated dots
+      if (submitBtn) {
+        submitBtn.disabled = true;
+        this.startLoadingDots(submitBtn, 'Memproses');
+      }
+
+      try {
+        // Cross-tab lock for this source scale (atomic; the check above is only a fast path)
+        releaseTabLock = await window.TabSyncService.acquireBranchLock(sourceScaleId);
+        if (!releaseTabLock) {
+          this.showBranchingError('Skala ini sedang dicabangkan di tab lain. Coba lagi nanti.');
+          return;
+        }
+
+        // Call GPT to adapt dimensions
+        console.log('[MLPA Branching] Calling GPT for adaptation...');
+        const gptResult = await OpenAIAPI.adaptScale(sourceScale.scale_name, sourceScale.dimensions, adaptationIntent);
+
+        // Another tab may have deleted or edited the source while GPT was working
+        // (remote changes replace the scale object): continue from the current one
+        const currentSource = state.canvasState.scales.get(sourceScaleId);
+        if (!currentSource) {
+          this.showBranchingError('Skala sumber telah dihapus di tab lain.');
+          return;
+        }
+
+        // Validate GPT response (V2: includes items) against the source it is mapped onto
+        const validation = this.validateGptScale(gptResult, currentSource);
+        if (!validation.valid) {
+          this.showBranchingError(validation.error);
+          return;
+        }
+
+        // Generate unique branch ID and compute branch index
+        // (first free ones: branches may have been moved, copied or deleted)
+        const scales = state.canvasState.scales;
+        let branchNumber = 1;
+        while (scales.has(window.ScaleAssembler.generateBranchId(sourceScaleId, branchNumber))) {
+          branchNumber++;
+        }
+        const newScaleId = window.ScaleAssembler.generateBranchId(sourceScaleId, branchNumber);
+        const branch_index = window.ScaleGraph.getFreeBranchIndex(scales, sourceScaleId);
+
+        // Compute position using deterministic formula
+        const newPosition = this.getNextBranchPosition(sourceScaleId, branch_index);
+
+        // Expand GPT items with mock rubrics (V2)
+        const fullDimensions = this.expandWithMockRubrics(gptResult.dimensions, newScaleId, currentSource.dimensions);
+
+        // Assemble final scale
+        const newScale = {
+          scale_id: newScaleId,
+          scale_name: gptResult.scale_name,
+          parent_scale_id: sourceScaleId,
+          is_root: false,
+          expanded: false,
+          depth: newPosition.depth,
+          branch_index: newPosition.branch_index,
+          position: { x: newPosition.x, y: newPosition.y },
+          positionLocked: true,
+          adaptation_intent: adaptationIntent,
+          dimensions: fullDimensions
+        };
+
+        // A new branch of a folded scale would be hidden: unfold first
+        if (currentSource.subtreeCollapsed) {
+          window.ScaleStore.updateScale(sourceScaleId, { subtreeCollapsed: false }, {
+            label: `Bentangkan subpohon "${currentSource.scale_name}"`
+          });
+        }
+
+        // Add to canvas state (only on success)
+        window.ScaleStore.addScale(newScale, { label: `Buat cabang "${newScale.scale_name}"` });
+
+        // Close popup and clear input (canvas re-renders from the store event)
+        this.closeBranchingPopup();
+
+        console.log('[MLPA Branching] Branch created successfully:', newScaleId);
+
+      } catch (error) {
+        console.error('[MLPA Branching] Error:', error);
+        // Show user-friendly message from structured error
+        const errorMessage = error.message || error.type || 'Terjadi kesalahan. Coba lagi.';
+        this.showBranchingError(errorMessage);
+      } finally {
+        // Release locks (the new branch has already been sent to other tabs)
+        releaseTabLock?.();
+        window.CanvasStateOps.setBranchingInProgress(state.canvasState, false);
+
+        // Reset button state
+        if (submitBtn) {
+          this.stopLoadingDots();
+          submitBtn.disabled = false;
+          submitBtn.querySelector('span').textContent = 'Buat Cabang Baru';
+        }
+      }
     },
-    {
-      item_id: 'skala-asli-branch-2-item-6',
-      origin_item_id: '6',
-      text: 'Saya menerima masukan atau kritik dari orang lain dengan sikap terbuka dan bijaksana',
-      baseline_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Dapat', 'Sudut pandang orang pertama'],
-      current_rubric: ['Penerimaan kritik', 'Keterbukaan', 'Kebijaksanaan', 'Menerima', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi dan Interaksi Sosial',
-      scale_group: 'boomer'
+
+    // ============================================================================
+    // VERSION HISTORY PANEL (VersionHistory + ScaleDiff)
+    // ============================================================================
+
+    versionPanelScaleId: null,
+    versionCompare: { from: null, to: null },
+    versionPanelLatestId: null,
+    versionPanelBound: false,
+
+    bindVersionPanel() {
+      if (this.versionPanelBound) return;
+      this.versionPanelBound = true;
+
+      document.getElementById('version-panel-close')
+        ?.addEventListener('click', () => this.closeVersionPanel());
+
+      document.getElementById('version-compare-from')?.addEventListener('change', (e) => {
+        this.versionCompare.from = e.target.value;
+        this.renderVersionPanel();
+      });
+
+      document.getElementById('version-compare-to')?.addEventListener('change', (e) => {
+        this.versionCompare.to = e.target.value;
+        this.renderVersionPanel();
+      });
     },
-    {
-      item_id: 'skala-asli-branch-2-item-7',
-      origin_item_id: '7',
-      text: 'Saya mampu mengelola stres terkait kesehatan, tanggung jawab keluarga, atau perubahan hidup secara efektif',
-      baseline_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Sudut pandang orang pertama'],
-      current_rubric: ['Pengelolaan stres', 'Efektivitas', 'Mampu', 'Konteks: Kesehatan', 'Konteks: Keluarga', 'Konteks: Perubahan hidup', 'Sudut pandang orang pertama'],
-      dimension: 'Regulasi Emosi dan Interaksi Sosial',
-      scale_group: 'boomer'
+
+    openVersionPanel(scaleId) {
+      const panel = document.getElementById('version-panel');
+      if (!panel) return;
+
+      this.closeBranchingPopup();
+      this.closeLineagePanel();
+      this.closeMetadataPanel();
+      this.closeIntentPanel();
+
+      // Default comparison: previous version → current version
+      const versions = window.VersionHistory.getVersions(scaleId);
+      const latest = versions[versions.length - 1];
+      const previous = versions[versions.length - 2] || latest;
+
+      this.versionPanelScaleId = scaleId;
+      this.versionCompare = { from: previous?.version_id || null, to: latest?.version_id || null };
+      this.versionPanelLatestId = latest?.version_id || null;
+
+      this.renderVersionPanel();
+      this.positionBesideFlowBox(panel, scaleId);
+      panel.classList.remove('hidden');
     },
-    // Dimension 3
-    {
-      item_id: 'skala-asli-branch-2-item-8',
-      origin_item_id: '8',
-      text: 'Saya merasa optimis tentang kualitas hidup dan kesejahteraan saya di masa mendatang',
-      baseline_rubric: ['Optimisme', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
-      current_rubric: ['Optimisme', 'Kualitas hidup', 'Kesejahteraan', 'Merasa', 'Waktu: Masa depan', 'Sudut pandang orang pertama'],
-      dimension: 'Optimisme dan Makna Hidup',
-      scale_group: 'boomer'
+
+    closeVersionPanel() {
+      document.getElementById('version-panel')?.classList.add('hidden');
+      this.versionPanelScaleId = null;
     },
-    {
-      item_id: 'skala-asli-branch-2-item-9',
-      origin_item_id: '9',
-      text: 'Saya merasa puas dan bangga dengan pencapaian hidup serta peran yang telah saya jalani',
-      baseline_rubric: ['Kepuasan', 'Pencapaian hidup', 'Merasa', 'Waktu: Sejauh ini', 'Sudut pandang orang pertama'],
-      current_rubric: ['Kepuasan', 'Kebanggaan', 'Pencapaian hidup', 'Peran', 'Merasa', 'Sudut pandang orang pertama'],
-      dimension: 'Optimisme dan Makna Hidup',
-      scale_group: 'boomer'
+
+    // Called from handleStoreChanges: new versions may have been recorded
+    refreshVersionPanel() {
+      if (!this.versionPanelScaleId) return;
+
+      if (!window.ScaleStore.hasScale(this.versionPanelScaleId)) {
+        this.closeVersionPanel();
+        return;
+      }
+
+      this.renderVersionPanel();
     },
-    {
-      item_id: 'skala-asli-branch-2-item-10',
-      origin_item_id: '10',
-      text: 'Saya memiliki tujuan atau kegiatan yang memberi arti dan semangat pada kehidupan saya saat ini',
-      baseline_rubric: ['Tujuan hidup', 'Kejelasan', 'Memiliki', 'Sudut pandang orang pertama'],
-      current_rubric: ['Tujuan hidup', 'Kegiatan bermakna', 'Semangat', 'Memiliki', 'Waktu: Saat ini', 'Sudut pandang orang pertama'],
-      dimension: 'Optimisme dan Makna Hidup',
-      scale_group: 'boomer'
-    }
-  ];
 
-  // Mock scale structure
-  // Mock scale structure (Root only)
-  function createMockScale() {
-    // Filter items for Asli
-    const itemsAsli = MOCK_ITEMS.filter(i => i.scale_group === 'asli');
+    renderVersionPanel() {
+      const scaleId = this.versionPanelScaleId;
+      const scale = state.canvasState.scales.get(scaleId);
+      if (!scale) return;
+
+      const versions = window.VersionHistory.getVersions(scaleId);
+      const ids = versions.map(v => v.version_id);
+      const latestId = ids[ids.length - 1] || null;
+
+      // Keep following the newest version if the user was looking at it
+      if (this.versionCompare.to === this.versionPanelLatestId) {
+        this.versionCompare.to = latestId;
+      }
+      this.versionPanelLatestId = latestId;
+
+      // Versions can be trimmed (MAX_VERSIONS_PER_SCALE); fall back to the ends
+      if (!ids.includes(this.versionCompare.to)) this.versionCompare.to = latestId;
+      if (!ids.includes(this.versionCompare.from)) this.versionCompare.from = ids[0] || null;
+
+      const title = document.getElementById('version-panel-title');
+      if (title) title.textContent = `Riwayat Versi · ${scale.scale_name}`;
+
+      const list = document.getElementById('version-list');
+      if (list) {
+        list.innerHTML = window.VersionPanelRenderer.createVersionListHtml(versions);
+        list.querySelectorAll('.version-restore-btn').forEach(btn => {
+          btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const row = e.target.closest('.version-row');
+            this.restoreVersion(scaleId, row.dataset.versionId);
+          });
+        });
+      }
+
+      const fromSelect = document.getElementById('version-compare-from');
+      const toSelect = document.getElementById('version-compare-to');
+      if (fromSelect) {
+        fromSelect.innerHTML = window.VersionPanelRenderer.createVersionOptionsHtml(versions, this.versionCompare.from);
+      }
+      if (toSelect) {
+        toSelect.innerHTML = window.VersionPanelRenderer.createVersionOptionsHtml(versions, this.versionCompare.to);
+      }
 
-    // Group items by dimension
-    const dimensions = [
-      { name: 'Kepercayaan Diri', items: itemsAsli.filter(i => i.dimension === 'Kepercayaan Diri') },
-      { name: 'Regulasi Emosi', items: itemsAsli.filter(i => i.dimension === 'Regulasi Emosi') },
-      { name: 'Optimisme', items: itemsAsli.filter(i => i.dimension === 'Optimisme') }
-    ];
+      const diffContainer = document.getElementById('version-diff');
+      if (diffContainer) {
+        const fromVersion = window.VersionHistory.getVersion(scaleId, this.versionCompare.from);
+        const toVersion = window.VersionHistory.getVersion(scaleId, this.versionCompare.to);
+        diffContainer.innerHTML = fromVersion && toVersion
+          ? window.VersionPanelRenderer.createVersionDiffHtml(
+            window.ScaleDiff.diffScaleSnapshots(fromVersion.snapshot, toVersion.snapshot)
+          )
+          : '';
+      }
+    },
 
-    return {
-      scale_id: 'skala-asli',
-      scale_name: 'Skala Asli - Skala Kepercayaan Diri',
-      parent_scale_id: null,
-      is_root: true,
-      expanded: false,
-      depth: 0,
-      position: { x: 100, y: 250 },
-      dimensions: dimensions
-    };
-  }
+    restoreVersion(scaleId, versionId) {
+      // Same guards as undo/redo: don't rewrite a scale under a GPT call or an open edit
+      if (state.canvasState.isBranchingInProgress) {
+        this.showNotification('Tunggu hingga pembuatan cabang selesai');
+        return;
+      }
+      this.cancelActiveEdit();
 
-  function handleLoadMock() {
-    console.log('[MLPA] Loading mock data for testing...');
+      const version = window.VersionHistory.getVersion(scaleId, versionId);
+      const snapshot = window.VersionHistory.getSnapshot(scaleId, versionId);
+      if (!version || !snapshot) return;
 
-    // 1. Create and set Root Scale
-    const rootScale = createMockScale();
-    state.canvasState.scales.set(rootScale.scale_id, rootScale);
-    state.canvasState.activeScaleId = rootScale.scale_id;
+      // Restoring is itself a write: undoable, and recorded as a new version
+      window.ScaleStore.updateScale(scaleId, snapshot, {
+        label: `Pulihkan versi v${version.number} "${snapshot.scale_name}"`
+      });
 
-    // 2. Create Gen-Z Branch (Branch 1) - Using standard layout logic
-    const genzPos = flowEditor.getNextBranchPosition(rootScale.scale_id, 0);
-    const itemsGenz = MOCK_ITEMS.filter(i => i.scale_group === 'genz');
-    const dimsGenz = [
-      { name: 'Kepercayaan Diri & Keberanian', items: itemsGenz.filter(i => i.dimension === 'Kepercayaan Diri & Keberanian') },
-      { name: 'Regulasi Emosi & Interaksi', items: itemsGenz.filter(i => i.dimension === 'Regulasi Emosi & Interaksi') },
-      { name: 'Optimisme dan Tujuan (Goals)', items: itemsGenz.filter(i => i.dimension === 'Optimisme dan Tujuan (Goals)') }
-    ];
+      this.showNotification(`Versi v${version.number} dipulihkan`);
+      console.log('[MLPA] Version restored:', versionId);
+    },
 
-    const genzScale = {
-      scale_id: 'skala-genz',
-      scale_name: 'Skala Gen-Z - Skala Kepercayaan Diri',
-      parent_scale_id: rootScale.scale_id,
-      is_root: false,
-      expanded: false,
-      depth: genzPos.depth,
-      branch_index: genzPos.branch_index,
-      position: { x: genzPos.x, y: genzPos.y },
-      positionLocked: true,
-      dimensions: dimsGenz
-    };
-    state.canvasState.scales.set(genzScale.scale_id, genzScale);
+    // ============================================================================
+    // ITEM LINEAGE PANEL (ScaleGraph.getItemAncestry / getItemDescendants)
+    // ============================================================================
 
-    // 3. Create Boomer Branch (Branch 2) - Using standard layout logic
-    const boomerPos = flowEditor.getNextBranchPosition(rootScale.scale_id, 1);
-    const itemsBoomer = MOCK_ITEMS.filter(i => i.scale_group === 'boomer');
-    const dimsBoomer = [
-      { name: 'Kepercayaan Diri pada Usia Boomer', items: itemsBoomer.filter(i => i.dimension === 'Kepercayaan Diri pada Usia Boomer') },
-      { name: 'Regulasi Emosi dan Interaksi Sosial', items: itemsBoomer.filter(i => i.dimension === 'Regulasi Emosi dan Interaksi Sosial') },
-      { name: 'Optimisme dan Makna Hidup', items: itemsBoomer.filter(i => i.dimension === 'Optimisme dan Makna Hidup') }
-    ];
+    lineageItem: null,   // { scaleId, itemId }
+    lineagePanelBound: false,
 
-    const boomerScale = {
-      scale_id: 'skala-boomer',
-      scale_name: 'Skala Boomer - Skala Kepercayaan Diri',
-      parent_scale_id: rootScale.scale_id,
-      is_root: false,
-      expanded: false,
-      depth: boomerPos.depth,
-      branch_index: boomerPos.branch_index,
-      position: { x: boomerPos.x, y: boomerPos.y },
-      positionLocked: true,
-      dimensions: dimsBoomer
-    };
-    state.canvasState.scales.set(boomerScale.scale_id, boomerScale);
+    bindLineagePanel() {
+      if (this.lineagePanelBound) return;
+      this.lineagePanelBound = true;
 
-    // Select root scale for preview (this sets items, updates button label, etc.)
-    selectScale(rootScale.scale_id);
+      document.getElementById('lineage-panel-close')
+        ?.addEventListener('click', () => this.closeLineagePanel());
+    },
 
-    console.log('[MLPA] Mock data loaded: Root + 2 Branches');
+    openLineagePanel(scaleId, itemId) {
+      const panel = document.getElementById('lineage-panel');
+      if (!panel || !itemId) return;
 
-    // Transition to main app
-    showScreen(2);
-  }
+      this.closeBranchingPopup();
+      this.closeVersionPanel();
+      this.closeMetadataPanel();
+      this.closeIntentPanel();
+
+      this.lineageItem = { scaleId, itemId };
+      this.renderLineagePanel();
+      this.positionBesideFlowBox(panel, scaleId);
+      panel.classList.remove('hidden');
+    },
 
-  // ==================== FLOW EDITOR (Screen 3) ====================
+    closeLineagePanel() {
+      document.getElementById('lineage-panel')?.classList.add('hidden');
+      this.lineageItem = null;
+    },
 
-  const DEBUG_FLOW_EDITOR = false; // Set to false to hide debug info
+    // Called from handleStoreChanges: texts, rubrics or branches may have changed
+    refreshLineagePanel() {
+      if (!this.lineageItem) return;
 
-  const flowEditor = {
-    canvas: null,
-    boxesContainer: null,
-    connectionsLayer: null,
-    isPanning: false,
-    panStart: { x: 0, y: 0 },
-    debugPanel: null,
+      const scale = state.canvasState.scales.get(this.lineageItem.scaleId);
+      if (!scale || !window.ScaleTransform.findItemInScale(scale, this.lineageItem.itemId)) {
+        this.closeLineagePanel();
+        return;
+      }
 
-    // Edit mode state
-    activeEditItem: null,
-    editBackupText: '',
+      this.renderLineagePanel();
+    },
 
-    // Loading animation state
-    loadingDotsInterval: null,
+    renderLineagePanel() {
+      const { scaleId, itemId } = this.lineageItem;
+      const scales = state.canvasState.scales;
 
-    init() {
-      this.canvas = document.getElementById('flow-canvas');
-      this.worldLayer = document.getElementById('flow-world');
-      this.boxesContainer = document.getElementById('flow-boxes');
-      this.connectionsLayer = document.getElementById('flow-connections');
+      const ancestry = window.ScaleGraph.getItemAncestry(scales, scaleId, itemId);
+      const descendants = window.ScaleGraph.getItemDescendants(scales, scaleId, itemId);
 
-      if (this.canvas) {
-        this.bindPanning();
+      const content = document.getElementById('lineage-content');
+      if (content) {
+        content.innerHTML = window.LineagePanelRenderer.createLineageHtml(ancestry, descendants);
       }
+    },
 
-      // Bind branching popup
-      const branchCloseBtn = document.getElementById('branching-popup-close');
-      if (branchCloseBtn) {
-        branchCloseBtn.addEventListener('click', () => this.closeBranchingPopup());
+    // ============================================================================
+    // SCALE METADATA PANEL (audience, language, intent, status, author, tags)
+    // ============================================================================
+
+    metadataPanelScaleId: null,
+    metadataFormDirty: false,
+    metadataPanelBound: false,
+
+    bindMetadataPanel() {
+      if (this.metadataPanelBound) return;
+      this.metadataPanelBound = true;
+
+      document.getElementById('metadata-panel-close')
+        ?.addEventListener('click', () => this.closeMetadataPanel());
+
+      document.getElementById('metadata-save')
+        ?.addEventListener('click', () => this.saveMetadata());
+
+      const form = document.getElementById('metadata-form');
+      form?.addEventListener('input', () => {
+        this.metadataFormDirty = true;
+      });
+      // Enter in a text field saves
+      form?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveMetadata();
+      });
+    },
+
+    openMetadataPanel(scaleId) {
+      const panel = document.getElementById('metadata-panel');
+      if (!panel) return;
+
+      this.closeBranchingPopup();
+      this.closeVersionPanel();
+      this.closeLineagePanel();
+      this.closeIntentPanel();
+
+      this.metadataPanelScaleId = scaleId;
+      this.renderMetadataPanel();
+      this.positionBesideFlowBox(panel, scaleId);
+      panel.classList.remove('hidden');
+    },
+
+    closeMetadataPanel() {
+      document.getElementById('metadata-panel')?.classList.add('hidden');
+      this.metadataPanelScaleId = null;
+      this.metadataFormDirty = false;
+    },
+
+    // Called from handleStoreChanges: undo, restore or another tab may have
+    // changed the scale. Unsaved input is kept.
+    refreshMetadataPanel() {
+      if (!this.metadataPanelScaleId) return;
+
+      if (!window.ScaleStore.hasScale(this.metadataPanelScaleId)) {
+        this.closeMetadataPanel();
+        return;
       }
 
-      // Bind branching submit button (use mousedown for immediate response)
-      const branchSubmitBtn = document.getElementById('branching-submit');
-      if (branchSubmitBtn) {
-        branchSubmitBtn.addEventListener('mousedown', (e) => {
-          e.preventDefault();  // Prevent focus issues
-          this.handleBranchingSubmit();
+      if (!this.metadataFormDirty) this.renderMetadataPanel();
+    },
+
+    renderMetadataPanel() {
+      const scale = state.canvasState.scales.get(this.metadataPanelScaleId);
+      const form = document.getElementById('metadata-form');
+      if (!scale || !form) return;
+
+      const title = document.getElementById('metadata-panel-title');
+      if (title) title.textContent = `Metadata · ${scale.scale_name}`;
+
+      form.innerHTML = window.MetadataPanelRenderer.createMetadataFormHtml(scale);
+      this.metadataFormDirty = false;
+    },
+
+    saveMetadata() {
+      const scaleId = this.metadataPanelScaleId;
+      const scale = state.canvasState.scales.get(scaleId);
+      const form = document.getElementById('metadata-form');
+      if (!scale || !form) return;
+
+      // Same guard as restoreVersion: don't rewrite a scale under an open edit
+      this.cancelActiveEdit();
+
+      const updates = window.ScaleMetadata.normalizeMetadataInput(
+        Object.fromEntries(new FormData(form).entries())
+      );
+
+      try {
+        window.ScaleStore.updateScale(scaleId, updates, {
+          label: `Ubah metadata "${scale.scale_name}"`
         });
+      } catch (error) {
+        console.error('[MLPA] Metadata rejected:', error);
+        this.showNotification('Metadata tidak valid');
+        return;
       }
 
-      // Bind global export
-      const exportBtn = document.getElementById('global-export-btn');
-      if (exportBtn) {
-        exportBtn.addEventListener('click', () => this.exportAllScales());
-      }
+      this.closeMetadataPanel();
+      this.showNotification('Metadata disimpan');
+      console.log('[MLPA] Metadata saved:', scaleId);
+    },
 
-      // Initialize debug panel
-      if (DEBUG_FLOW_EDITOR) {
-        this.initDebugPanel();
-      }
+    // ============================================================================
+    // ADAPTATION INTENT PANEL (opened from a connector label)
+    // ============================================================================
+    // Shows the full adaptation_intent of a branch. "Jalankan ulang" adapts the
+    // parent again with the edited intent and replaces the branch's name and
+    // dimensions in one undoable write (the old content stays in its version
+    // history). It takes the same locks as branching.
+
+    intentPanelScaleId: null,
+    intentPanelBound: false,
+
+    bindIntentPanel() {
+      if (this.intentPanelBound) return;
+      this.intentPanelBound = true;
+
+      document.getElementById('intent-panel-close')
+        ?.addEventListener('click', () => this.closeIntentPanel());
+      document.getElementById('intent-rerun')
+        ?.addEventListener('click', () => this.handleIntentRerun());
     },
 
-    bindPanning() {
-      this.canvas.addEventListener('mousedown', (e) => {
-        // Only pan if clicking on canvas background, not on flow boxes
-        if (e.target === this.canvas || e.target === this.boxesContainer) {
-          this.isPanning = true;
-          this.panStart = { x: e.clientX - state.canvasState.pan.x, y: e.clientY - state.canvasState.pan.y };
-          this.canvas.style.cursor = 'grabbing';
-        }
-      });
+    openIntentPanel(scaleId) {
+      const panel = document.getElementById('intent-panel');
+      const scale = state.canvasState.scales.get(scaleId);
+      if (!panel || !scale) return;
 
-      document.addEventListener('mousemove', (e) => {
-        if (!this.isPanning) return;
-        state.canvasState.pan.x = e.clientX - this.panStart.x;
-        state.canvasState.pan.y = e.clientY - this.panStart.y;
-        this.updateCanvasTransform();
-      });
+      this.closeBranchingPopup();
+      this.closeVersionPanel();
+      this.closeLineagePanel();
+      this.closeMetadataPanel();
 
-      document.addEventListener('mouseup', () => {
-        if (this.isPanning) {
-          this.isPanning = false;
-          this.canvas.style.cursor = 'grab';
-        }
-      });
+      this.intentPanelScaleId = scaleId;
+      this.renderIntentPanelSource();
+      const input = document.getElementById('intent-input');
+      if (input) input.value = scale.adaptation_intent || '';
+
+      this.positionBesideFlowBox(panel, scaleId);
+      panel.classList.remove('hidden');
     },
 
-    updateCanvasTransform() {
-      if (this.worldLayer) {
-        this.worldLayer.style.transform = `translate(${state.canvasState.pan.x}px, ${state.canvasState.pan.y}px)`;
+    closeIntentPanel() {
+      document.getElementById('intent-panel')?.classList.add('hidden');
+      this.intentPanelScaleId = null;
+    },
+
+    // Called from handleStoreChanges: the branch or its parent may be gone or renamed.
+    // The edited intent is kept.
+    refreshIntentPanel() {
+      if (!this.intentPanelScaleId) return;
+
+      const scale = state.canvasState.scales.get(this.intentPanelScaleId);
+      if (!scale || !state.canvasState.scales.has(scale.parent_scale_id)) {
+        this.closeIntentPanel();
+        return;
       }
+      this.renderIntentPanelSource();
     },
 
-    updateCanvasBounds() {
-      if (!this.boxesContainer) return;
+    renderIntentPanelSource() {
+      const scales = state.canvasState.scales;
+      const scale = scales.get(this.intentPanelScaleId);
+      const source = document.getElementById('intent-panel-source');
+      if (!scale || !source) return;
 
-      let maxBottom = 0;
+      const parent = scales.get(scale.parent_scale_id);
+      source.textContent = `${parent?.scale_name ?? '?'} → ${scale.scale_name}`;
+    },
 
-      document.querySelectorAll('.flow-box').forEach(box => {
-        const bottom = box.offsetTop + box.offsetHeight;
-        if (bottom > maxBottom) maxBottom = bottom;
-      });
+    async handleIntentRerun() {
+      if (state.canvasState.isBranchingInProgress) {
+        this.showNotification('Tunggu hingga pembuatan cabang selesai');
+        return;
+      }
 
-      // Add padding buffer (100px)
-      const requiredHeight = maxBottom + 100;
+      const scales = state.canvasState.scales;
+      const scaleId = this.intentPanelScaleId;
+      const scale = scales.get(scaleId);
+      const parentId = scale?.parent_scale_id;
+      const parent = scales.get(parentId);
+      const input = document.getElementById('intent-input');
+      const button = document.getElementById('intent-rerun');
+      const intent = input?.value?.trim();
+      if (!scale || !parent || !intent) return;
+
+      if (state.canvasState.branchingElsewhereScaleIds.has(parentId)) {
+        this.showNotification('Skala induk sedang dicabangkan di tab lain');
+        return;
+      }
+      // New items get new IDs: the children's origin_item_id links would dangle
+      if (window.ScaleGraph.getChildren(scales, scaleId).length > 0) {
+        this.showNotification('Cabang yang memiliki turunan tidak dapat dijalankan ulang');
+        return;
+      }
+      if (!confirm(`Nama dan item "${scale.scale_name}" akan diganti hasil adaptasi baru dari "${parent.scale_name}". ` +
+        'Isi sekarang tetap tersimpan di Riwayat Versi. Lanjutkan?')) return;
+
+      window.CanvasStateOps.setBranchingInProgress(state.canvasState, true);
+      let releaseTabLock = null;
+      if (button) {
+        button.disabled = true;
+        this.startLoadingDots(button, 'Memproses');
+      }
 
-      // Ensure minimum height matches viewport
-      const minHeight = this.canvas ? this.canvas.clientHeight : window.innerHeight;
-      const finalHeight = Math.max(requiredHeight, minHeight);
+      try {
+        releaseTabLock = await window.TabSyncService.acquireBranchLock(parentId);
+        if (!releaseTabLock) {
+          this.showNotification('Skala induk sedang dicabangkan di tab lain');
+          return;
+        }
 
-      this.boxesContainer.style.height = `${finalHeight}px`;
-    },
+        const gptResult = await OpenAIAPI.adaptScale(parent.scale_name, parent.dimensions, intent);
+        const validation = this.validateGptScale(gptResult, parent);
+        if (!validation.valid) {
+          alert('Gagal menjalankan ulang: ' + validation.error);
+          return;
+        }
 
-    renderAll() {
-      if (!this.boxesContainer) return;
-      this.boxesContainer.innerHTML = '';
+        // Another tab may have deleted or moved the branch while GPT was working
+        const current = scales.get(scaleId);
+        const currentParent = current && scales.get(current.parent_scale_id);
+        if (!current || current.parent_scale_id !== parentId || !currentParent ||
+          window.ScaleGraph.getChildren(scales, scaleId).length > 0) {
+          alert('Gagal menjalankan ulang: cabang atau induknya telah berubah di tab lain.');
+          return;
+        }
 
-      state.canvasState.scales.forEach((scale) => {
-        // Auto-position ONLY if position is undefined AND not locked
-        // Invariant: Branched scales have positionLocked=true and are never auto-positioned
-        if (!scale.position && !scale.positionLocked && this.canvas) {
-          const canvasHeight = this.canvas.clientHeight || window.innerHeight;
-          const estimatedBoxHeight = 120;
-          scale.position = {
-            x: 100,
-            y: (canvasHeight - estimatedBoxHeight) * 0.5
-          };
+        const updates = {
+          scale_name: gptResult.scale_name,
+          adaptation_intent: intent,
+          dimensions: this.expandWithMockRubrics(gptResult.dimensions, scaleId, currentParent.dimensions)
+        };
+
+        // updateScale only checks metadata: check the new content like a new branch
+        try {
+          window.Invariants.validateScale({ ...current, ...updates });
+          window.Invariants.validateBranchedScale({ ...current, ...updates });
+        } catch (error) {
+          alert('Gagal menjalankan ulang: ' + error.message);
+          return;
+        }
+
+        window.ScaleStore.updateScale(scaleId, updates, { label: `Jalankan ulang "${current.scale_name}"` });
+
+        this.closeIntentPanel();
+        this.showNotification('Cabang diperbarui dengan intensi baru');
+        console.log('[MLPA Branching] Branch re-run:', scaleId);
+      } catch (error) {
+        console.error('[MLPA Branching] Re-run error:', error);
+        alert('Gagal menjalankan ulang: ' + (error.message || error.type || 'Terjadi kesalahan. Coba lagi.'));
+      } finally {
+        releaseTabLock?.();
+        window.CanvasStateOps.setBranchingInProgress(state.canvasState, false);
+        if (button) {
+          this.stopLoadingDots();
+          button.disabled = false;
+          button.querySelector('span').textContent = 'Jalankan Ulang dengan Intensi Ini';
         }
+      }
+    },
+
+    // ============================================================================
+    // BOX DRAG (move a flow box by its header)
+    // ============================================================================
+    // Boxes follow the cursor (a selected box takes the whole multi-selection
+    // along; each with its subtree when "Seret beserta turunan" is on),
+    // connectors re-route on every move and the drop is saved as one undoable
+    // write. Snapping math lives in DragSnapping (layout/dragSnapping.js);
+    // holding Alt disables it.
+
+    boxDrag: null,        // { scaleId, startX, startY, moving, others, group, started, livePositions, onMove, onEnd }
+    dragWithDescendants: false,
+    suppressHeaderClick: false,
+
+    startBoxDrag(e, scaleId) {
+      if (e.button !== 0 || this.boxDrag || this.reparentDrag) return;
+
+      const scale = state.canvasState.scales.get(scaleId);
+      if (!scale?.position) return;
+
+      // A selected box moves the whole selection along
+      const baseIds = this.multiSelection.has(scaleId) ? Array.from(this.multiSelection) : [scaleId];
+      const movingSet = new Set(baseIds);
+      if (this.dragWithDescendants) {
+        baseIds.forEach(id => {
+          window.ScaleGraph.getDescendants(state.canvasState.scales, id).forEach(descendantId => movingSet.add(descendantId));
+        });
+      }
 
-        const flowBoxHtml = this.createFlowBoxHtml(scale);
-        this.boxesContainer.insertAdjacentHTML('beforeend', flowBoxHtml);
+      // Stored world rects (culled boxes included); boxes do not resize while dragging
+      const moving = [];
+      const others = [];
+      this.boxesContainer.querySelectorAll('.flow-box').forEach(box => {
+        const rect = this.getBoxWorldRect(box.dataset.scaleId);
+        if (!rect) return;
+        if (movingSet.has(box.dataset.scaleId)) {
+          moving.push({ scaleId: box.dataset.scaleId, box, origin: { x: rect.x, y: rect.y }, rect });
+        } else {
+          others.push(rect);
+        }
       });
 
-      this.bindFlowBoxEvents();
-      this.renderConnections();
+      this.boxDrag = {
+        scaleId,
+        startX: e.clientX,
+        startY: e.clientY,
+        moving,
+        others,
+        group: baseIds.length > 1,
+        started: false,
+        delta: { x: 0, y: 0 },
+        livePositions: new Map(),  // scale_id → position while dragging (read by getBoxWorldRect)
+        onMove: (moveEvent) => this.moveBoxDrag(moveEvent),
+        onEnd: () => this.endBoxDrag()
+      };
 
-      // Update debug panel
-      if (DEBUG_FLOW_EDITOR) {
-        this.updateDebugPanel();
+      document.addEventListener('mousemove', this.boxDrag.onMove);
+      document.addEventListener('mouseup', this.boxDrag.onEnd);
+    },
+
+    moveBoxDrag(e) {
+      const drag = this.boxDrag;
+      if (!drag) return;
+
+      // Small movements stay a click (expand/collapse)
+      if (!drag.started) {
+        if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < BOX_DRAG_THRESHOLD) return;
+        drag.started = true;
+        this.cancelActiveEdit();
+        drag.moving.forEach(({ box }) => box.classList.add('box-dragging'));
       }
+      e.preventDefault();
 
-      // Update virtual canvas bounds
-      this.updateCanvasBounds();
-    },
+      const zoom = state.canvasState.zoom;
+      const lead = drag.moving.find(entry => entry.scaleId === drag.scaleId);
+      const raw = {
+        ...lead.rect,
+        x: lead.origin.x + (e.clientX - drag.startX) / zoom,
+        y: lead.origin.y + (e.clientY - drag.startY) / zoom
+      };
 
-    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
-    createFlowBoxHtml(scale) {
-      return window.FlowBoxRenderer.createFlowBoxHtml(scale);
-    },
+      const snap = e.altKey
+        ? { x: Math.round(raw.x), y: Math.round(raw.y), guides: [] }
+        : window.DragSnapping.snapBoxPosition(raw, drag.others, zoom);
+      drag.delta = { x: snap.x - lead.origin.x, y: snap.y - lead.origin.y };
 
-    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
-    createDimensionHtml(dimension, index, startItemIndex, scale) {
-      return window.FlowBoxRenderer.createDimensionHtml(dimension, index, startItemIndex, scale);
-    },
+      drag.moving.forEach(({ scaleId, box, origin }) => {
+        const position = { x: origin.x + drag.delta.x, y: origin.y + drag.delta.y };
+        drag.livePositions.set(scaleId, position);
+        box.style.left = `${position.x}px`;
+        box.style.top = `${position.y}px`;
+      });
 
-    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
-    createItemHtml(item, itemIndex, scale) {
-      return window.FlowBoxRenderer.createItemHtml(item, itemIndex, scale);
+      this.renderConnections(drag.moving.map(entry => entry.scaleId));
+      this.renderSnapGuides(snap.guides);
     },
 
-    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
-    createRubricPopupHtml(item) {
-      return window.FlowBoxRenderer.createRubricPopupHtml(item);
-    },
+    endBoxDrag() {
+      const drag = this.boxDrag;
+      if (!drag) return;
+      this.boxDrag = null;
 
-    // DELEGATED to FlowBoxRenderer module (ui/renderer/flowBoxRenderer.js)
-    getIntegrityClass(item, scale) {
-      return window.FlowBoxRenderer.getIntegrityClass(item, scale);
-    },
+      document.removeEventListener('mousemove', drag.onMove);
+      document.removeEventListener('mouseup', drag.onEnd);
+      if (!drag.started) return;
 
-    bindFlowBoxEvents() {
-      // Toggle expand/collapse
-      document.querySelectorAll('.flow-box-header').forEach(header => {
-        header.addEventListener('click', (e) => {
-          const flowBox = e.target.closest('.flow-box');
-          const scaleId = flowBox.dataset.scaleId;
-          const scale = state.canvasState.scales.get(scaleId);
-          if (scale) {
-            scale.expanded = !scale.expanded;
-            flowBox.classList.toggle('flow-mode-collapsed', !scale.expanded);
-
-            // Update canvas bounds after animation completes
-            setTimeout(() => this.updateCanvasBounds(), 350);
-          }
-        });
-      });
+      // The header's click (if the drop ends on it) follows this mouseup
+      this.suppressHeaderClick = true;
+      setTimeout(() => { this.suppressHeaderClick = false; });
+      drag.moving.forEach(({ box }) => box.classList.remove('box-dragging'));
 
-      // Edit mode toggle (flow-level permission)
-      document.querySelectorAll('.edit-mode-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const flowBox = e.target.closest('.flow-box');
-          const scaleId = flowBox.dataset.scaleId;
-          const scale = state.canvasState.scales.get(scaleId);
-
-          const isEntering = !flowBox.classList.contains('flow-edit-mode');
-
-          if (isEntering) {
-            // Exit edit mode on any other flow boxes first (confirm their active edits)
-            document.querySelectorAll('.flow-box.flow-edit-mode').forEach(box => {
-              this.confirmOrRevertEdit();
-              box.classList.remove('flow-edit-mode');
-            });
-
-            // Auto-expand if collapsed
-            if (scale && !scale.expanded) {
-              scale.expanded = true;
-              flowBox.classList.remove('flow-mode-collapsed');
-              setTimeout(() => this.updateCanvasBounds(), 350);
-            }
-
-            // Enter edit mode
-            flowBox.classList.add('flow-edit-mode');
-            this.showEditTooltip(btn);
-          } else {
-            // Confirm any active edit before exiting
-            this.confirmOrRevertEdit();
-            flowBox.classList.remove('flow-edit-mode');
-            this.showNotification('Edit item dinonaktifkan');
-          }
+      if (drag.delta.x === 0 && drag.delta.y === 0) {
+        this.renderConnections(drag.moving.map(entry => entry.scaleId));
+        return;
+      }
+
+      const scale = state.canvasState.scales.get(drag.scaleId);
+      const positions = new Map(drag.moving.map(({ scaleId, origin }) => [
+        scaleId, { x: origin.x + drag.delta.x, y: origin.y + drag.delta.y }
+      ]));
+      // Hidden descendants of folded boxes keep their offset
+      this.getFoldedSubtreeMoves(positions).forEach((position, scaleId) => positions.set(scaleId, position));
+
+      if (positions.size === 1) {
+        window.ScaleStore.updateScale(drag.scaleId, { position: positions.get(drag.scaleId) }, {
+          label: `Geser "${scale.scale_name}"`
         });
+      } else {
+        const label = drag.group
+          ? `Geser ${drag.moving.length} skala`
+          : `Geser "${scale.scale_name}" beserta turunannya`;
+        window.ScaleStore.updateScales(
+          new Map(Array.from(positions, ([scaleId, position]) => [scaleId, { position }])),
+          { label }
+        );
+      }
+    },
+
+    // Alignment guides are drawn into the connector layer (cleared by renderConnections)
+    renderSnapGuides(guides) {
+      if (!this.connectionsLayer) return;
+      guides.forEach(guide => {
+        const [x1, y1, x2, y2] = guide.axis === 'x'
+          ? [guide.value, guide.from, guide.value, guide.to]
+          : [guide.from, guide.value, guide.to, guide.value];
+        this.connectionsLayer.insertAdjacentHTML('beforeend',
+          `<line class="flow-snap-guide" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" />`
+        );
       });
+    },
 
-      // Click handler for edit mode interactions
-      document.addEventListener('click', (e) => {
-        const clickedItem = e.target.closest('.item-box');
-        const activeEditBox = document.querySelector('.flow-box.flow-edit-mode');
+    toggleDragWithDescendants() {
+      this.dragWithDescendants = !this.dragWithDescendants;
+      const button = document.getElementById('drag-subtree-toggle');
+      button?.classList.toggle('active', this.dragWithDescendants);
+      button?.setAttribute('aria-pressed', String(this.dragWithDescendants));
+    },
 
-        // Handle click on item in edit mode
-        if (clickedItem && activeEditBox && activeEditBox.contains(clickedItem)) {
-          // If clicking on a different item than the one being edited
-          if (this.activeEditItem && this.activeEditItem !== clickedItem) {
-            this.confirmOrRevertEdit();
-          }
+    // ============================================================================
+    // KEYBOARD NAVIGATION (ARIA tree)
+    // ============================================================================
+    // #flow-boxes is an ARIA tree and every box a treeitem. The boxes are flat,
+    // absolutely positioned siblings, so the hierarchy is given by aria-level,
+    // aria-setsize and aria-posinset from ScaleGraph.getTreeOutline. One box is
+    // in the tab order (roving tabindex); arrows move along the outline and pan
+    // just enough to show the box. Letters run the box's tool actions.
+
+    focusedScaleId: null,     // Box in the tab order (view state, not saved)
+    treeOutline: new Map(),   // ScaleGraph.getTreeOutline of the visible scales
+    treeKeyboardBound: false,
+
+    // Letter → tool button (flowBoxToolActions) of the focused box
+    treeShortcutTools: {
+      b: '.branch-btn',
+      s: '.export-btn',
+      h: '.history-btn',
+      c: '.compare-btn',
+      m: '.metadata-btn'
+    },
 
-          // Start editing this item if not already
-          if (!clickedItem.classList.contains('item-editing')) {
-            e.stopPropagation();
-            this.startEditItem(clickedItem);
-          }
-          return;
-        }
+    bindTreeKeyboard() {
+      if (this.treeKeyboardBound || !this.boxesContainer) return;
+      this.treeKeyboardBound = true;
+      const container = this.boxesContainer;
 
-        // Click outside active edit item → confirm if dirty
-        if (this.activeEditItem && !this.activeEditItem.contains(e.target)) {
-          this.confirmOrRevertEdit();
-        }
+      container.addEventListener('keydown', (e) => {
+        // Undo/redo and browser shortcuts pass through
+        if (e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
 
-        // Click outside flow box in edit mode → exit edit mode
-        if (activeEditBox && !activeEditBox.contains(e.target)) {
-          activeEditBox.classList.remove('flow-edit-mode');
-          this.showNotification('Edit item dinonaktifkan');
+        if (e.target.classList.contains('item-box')) {
+          this.handleItemKeydown(e);
+        } else if (e.target.classList.contains('flow-box')) {
+          this.handleTreeKeydown(e);
         }
       });
 
-      // Branch button
-      document.querySelectorAll('.branch-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const flowBox = e.target.closest('.flow-box');
-          const scaleId = flowBox.dataset.scaleId;
-          this.openBranchingPopup(scaleId);
-        });
+      // A click (or any focus) inside a box makes it the tab stop
+      container.addEventListener('focusin', (e) => {
+        const flowBox = e.target.closest('.flow-box');
+        if (flowBox) this.setTreeTabStop(flowBox.dataset.scaleId);
       });
 
-      // Per-scale export
-      document.querySelectorAll('.flow-box-tools .export-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const flowBox = e.target.closest('.flow-box');
-          const scaleId = flowBox.dataset.scaleId;
-          this.exportScale(scaleId);
-        });
+      // Escape in a popup or panel beside a box closes it and returns to the box
+      this.worldLayer?.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        const panel = e.target.closest('.branching-popup, .version-panel');
+        if (!panel) return;
+        e.stopPropagation();
+        const scaleId = panel.dataset.anchorScaleId;
+        this.closeBranchingPopup();
+        this.closeVersionPanel();
+        this.closeLineagePanel();
+        this.closeMetadataPanel();
+        this.closeIntentPanel();
+        if (scaleId) this.focusScale(scaleId);
       });
 
-      // Delete button
-      document.querySelectorAll('.flow-box-tools .delete-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const flowBox = e.target.closest('.flow-box');
-          const scaleId = flowBox.dataset.scaleId;
-          this.handleDeleteScale(scaleId);
-        });
+      // Branching submits on mousedown; the keyboard submits with Ctrl+Enter in
+      // the input or Enter/Space on the button (a click with detail 0)
+      document.getElementById('branching-input')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+          e.preventDefault();
+          this.handleBranchingSubmit();
+        }
       });
-
-      // Item double-click to edit
-      document.querySelectorAll('.item-box').forEach(item => {
-        item.addEventListener('dblclick', (e) => {
-          if (!item.classList.contains('editing')) {
-            this.startItemEdit(item);
-          }
-        });
+      document.getElementById('branching-submit')?.addEventListener('click', (e) => {
+        if (e.detail === 0) this.handleBranchingSubmit();
       });
+    },
 
-      // Item edit confirm/cancel
-      document.querySelectorAll('.item-edit-confirm').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const itemBox = e.target.closest('.item-box');
-          this.confirmItemEdit(itemBox);
-        });
-      });
+    handleTreeKeydown(e) {
+      const flowBox = e.target;
+      const scaleId = flowBox.dataset.scaleId;
+      const scale = state.canvasState.scales.get(scaleId);
+      const entry = this.treeOutline.get(scaleId);
+      if (!scale || !entry) return;
 
-      document.querySelectorAll('.item-edit-cancel').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const itemBox = e.target.closest('.item-box');
-          this.cancelItemEdit(itemBox);
-        });
-      });
+      // Shift + arrows pan the canvas
+      const panDirections = { ArrowLeft: [1, 0], ArrowRight: [-1, 0], ArrowUp: [0, 1], ArrowDown: [0, -1] };
+      if (e.shiftKey && panDirections[e.key]) {
+        e.preventDefault();
+        const [dx, dy] = panDirections[e.key];
+        const { pan, zoom } = state.canvasState;
+        this.setViewport({ pan: { x: pan.x + dx * KEYBOARD_PAN_STEP, y: pan.y + dy * KEYBOARD_PAN_STEP }, zoom });
+        return;
+      }
 
-      // Rubric popup portal (escapes stacking context)
-      let activeRubricPopup = null;
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      const outlineIds = Array.from(this.treeOutline.keys());
+      const hasDescendants = this.foldState.descendantCounts.has(scaleId);
+      const zoomStep = window.ViewportMath.ZOOM_LIMITS.STEP;
+      let targetId = null;
+
+      switch (key) {
+        case 'ArrowLeft':
+          targetId = entry.parentId;
+          break;
+        case 'ArrowRight':
+          // A folded subtree opens first (WAI-ARIA tree pattern)
+          if (hasDescendants && scale.subtreeCollapsed === true) {
+            this.toggleSubtree(scaleId);
+          } else {
+            targetId = entry.children[0] ?? null;
+          }
+          break;
+        case 'ArrowUp':
+          targetId = entry.siblings[entry.posInSet - 2] ?? null;
+          break;
+        case 'ArrowDown':
+          targetId = entry.siblings[entry.posInSet] ?? null;
+          break;
+        case 'Home':
+          targetId = outlineIds[0];
+          break;
+        case 'End':
+          targetId = outlineIds[outlineIds.length - 1];
+          break;
+        case 'Enter':
+          this.toggleExpanded(flowBox);
+          break;
+        case ' ':
+          this.toggleInSelection(scaleId);
+          break;
+        case 'Delete':
+        case 'Backspace':
+          if (this.multiSelection.size > 1 && this.multiSelection.has(scaleId)) {
+            this.deleteSelection();
+          } else {
+            this.handleDeleteScale(scaleId);
+          }
+          break;
+        case 'e': {
+          const editModeBtn = flowBox.querySelector('.edit-mode-btn');
+          if (!editModeBtn) break;   // Placeholder box
+          this.toggleEditMode(flowBox, editModeBtn);
+          if (flowBox.classList.contains('flow-edit-mode')) this.focusItem(flowBox.querySelector('.item-box'));
+          break;
+        }
+        case 'i':
+          if (!scale.expanded) this.toggleExpanded(flowBox);
+          this.focusItem(flowBox.querySelector('.item-box'));
+          break;
+        case 'f':
+          if (hasDescendants) this.toggleSubtree(scaleId);
+          break;
+        case '+':
+        case '=':
+          this.zoomTo(state.canvasState.zoom * zoomStep);
+          break;
+        case '-':
+          this.zoomTo(state.canvasState.zoom / zoomStep);
+          break;
+        default: {
+          const tool = this.treeShortcutTools[key];
+          if (!tool || e.shiftKey) return;
+          this.flowBoxToolActions[tool](this, scaleId);
+          if (key === 'b') document.getElementById('branching-input')?.focus({ preventScroll: true });
+        }
+      }
 
-      document.querySelectorAll('.item-box').forEach(itemBox => {
-        itemBox.addEventListener('mouseenter', (e) => {
-          const rubricData = itemBox.querySelector('.rubric-popup');
-          if (!rubricData) return;
+      e.preventDefault();
+      if (targetId) this.focusScale(targetId);
+    },
 
-          // Remove existing popup
-          if (activeRubricPopup) {
-            activeRubricPopup.remove();
-            activeRubricPopup = null;
+    // Items of the focused box: up/down/Home/End move, Enter edits (edit mode) or
+    // opens the lineage, Escape/left go back to the box
+    handleItemKeydown(e) {
+      const itemBox = e.target;
+      const flowBox = itemBox.closest('.flow-box');
+      if (!flowBox) return;
+      const items = Array.from(flowBox.querySelectorAll('.item-box'));
+      const index = items.indexOf(itemBox);
+
+      switch (e.key) {
+        case 'ArrowUp':
+          this.focusItem(items[index - 1]);
+          break;
+        case 'ArrowDown':
+          this.focusItem(items[index + 1]);
+          break;
+        case 'Home':
+          this.focusItem(items[0]);
+          break;
+        case 'End':
+          this.focusItem(items[items.length - 1]);
+          break;
+        case 'Enter':
+          if (flowBox.classList.contains('flow-edit-mode')) {
+            this.startEditItem(itemBox);
+          } else {
+            this.openLineagePanel(flowBox.dataset.scaleId, itemBox.dataset.itemId);
           }
+          break;
+        case 'Escape':
+          e.stopPropagation();   // Not a "clear selection" Escape
+          if (flowBox.classList.contains('flow-edit-mode')) {
+            this.toggleEditMode(flowBox, flowBox.querySelector('.edit-mode-btn'));
+          }
+          flowBox.focus({ preventScroll: true });
+          break;
+        case 'ArrowLeft':
+          flowBox.focus({ preventScroll: true });
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    },
 
-          // Create portal popup in body
-          const popup = document.createElement('div');
-          popup.className = 'rubric-popup-portal';
-          popup.innerHTML = rubricData.innerHTML;
-          document.body.appendChild(popup);
-          activeRubricPopup = popup;
-
-          // Position using getBoundingClientRect
-          const positionPopup = () => {
-            const rect = itemBox.getBoundingClientRect();
-            popup.style.position = 'fixed';
-            popup.style.top = `${rect.top + (rect.height / 2)}px`;
-            popup.style.left = `${rect.right + 12}px`;
-            popup.style.transform = 'translateY(-50%)';
-            popup.style.opacity = '1';
-            popup.style.visibility = 'visible';
-          };
+    setTreeTabStop(scaleId) {
+      this.focusedScaleId = scaleId;
+      this.boxesContainer?.querySelectorAll('.flow-box[tabindex="0"]').forEach(box => {
+        if (box.dataset.scaleId !== scaleId) box.setAttribute('tabindex', '-1');
+      });
+      document.querySelector(`.flow-box[data-scale-id="${scaleId}"]`)?.setAttribute('tabindex', '0');
+    },
 
-          positionPopup();
+    // Keyboard focus on a scale's box, panning just enough to show it
+    focusScale(scaleId) {
+      if (!this.treeOutline.has(scaleId) || !this.canvas) return;
+      this.setTreeTabStop(scaleId);
 
-          // Update position on scroll/pan
-          const updateHandler = () => positionPopup();
-          window.addEventListener('scroll', updateHandler, { passive: true });
-          itemBox._rubricScrollHandler = updateHandler;
-        });
+      const rect = this.getBoxWorldRect(scaleId);
+      if (rect) this.revealWorldRect(rect);
+      // A culled box stays a placeholder until the next frame: draw it in full now
+      if (this.renderedBoxes.get(scaleId)?.placeholder) this.renderScales([scaleId]);
 
-        itemBox.addEventListener('mouseleave', () => {
-          if (activeRubricPopup) {
-            activeRubricPopup.remove();
-            activeRubricPopup = null;
-          }
-          if (itemBox._rubricScrollHandler) {
-            window.removeEventListener('scroll', itemBox._rubricScrollHandler);
-            delete itemBox._rubricScrollHandler;
-          }
-        });
-      });
+      document.querySelector(`.flow-box[data-scale-id="${scaleId}"]`)?.focus({ preventScroll: true });
     },
 
-    startItemEdit(itemBox) {
-      const textSpan = itemBox.querySelector('.item-text');
-      const input = itemBox.querySelector('.item-edit-input');
-      input.value = textSpan.textContent;
-      itemBox.classList.add('editing');
-      input.focus();
+    focusItem(itemBox) {
+      if (!itemBox) return;
+      itemBox.focus({ preventScroll: true });
+
+      // Items of a tall box can lie outside the canvas
+      const canvasRect = this.canvas.getBoundingClientRect();
+      const rect = itemBox.getBoundingClientRect();
+      const zoom = state.canvasState.zoom;
+      const topLeft = window.ViewportMath.screenToWorld({
+        x: rect.left - canvasRect.left,
+        y: rect.top - canvasRect.top
+      }, state.canvasState);
+      this.revealWorldRect({ ...topLeft, width: rect.width / zoom, height: rect.height / zoom });
     },
 
-    confirmItemEdit(itemBox) {
-      const input = itemBox.querySelector('.item-edit-input');
-      const textSpan = itemBox.querySelector('.item-text');
-      const newText = input.value.trim();
+    revealWorldRect(rect) {
+      const viewport = window.ViewportMath.revealBounds(state.canvasState, rect, {
+        width: this.canvas.clientWidth,
+        height: this.canvas.clientHeight
+      });
+      const { pan } = state.canvasState;
+      if (viewport.pan.x !== pan.x || viewport.pan.y !== pan.y) this.setViewport(viewport);
+    },
 
-      if (newText && newText !== textSpan.textContent) {
-        textSpan.textContent = newText;
-        // TODO: Regenerate current_rubric via AI
-        console.log('[MLPA] Item edited, rubric regeneration needed');
+    // Where keyboard focus is inside the tree (before a reconcile may replace it)
+    getTreeFocus() {
+      const active = document.activeElement;
+      if (!active || !this.boxesContainer?.contains(active)) return null;
+      const flowBox = active.closest('.flow-box');
+      if (!flowBox) return null;
+      return {
+        scaleId: flowBox.dataset.scaleId,
+        itemId: active.classList.contains('item-box') ? active.dataset.itemId : null
+      };
+    },
+
+    // After each render: ARIA tree attributes of every box, the tab stop, and
+    // focus back on a box or item the reconciler replaced or removed
+    renderTreeSemantics(treeFocus) {
+      const scales = this.getVisibleScales();
+      const previousOutline = this.treeOutline;
+      this.treeOutline = window.ScaleGraph.getTreeOutline(scales);
+
+      // A deleted or folded-away scale hands the tab stop to its nearest shown ancestor
+      let focusedId = this.focusedScaleId;
+      const visited = new Set();
+      while (focusedId && !this.treeOutline.has(focusedId) && !visited.has(focusedId)) {
+        visited.add(focusedId);
+        focusedId = state.canvasState.scales.get(focusedId)?.parent_scale_id
+          ?? previousOutline.get(focusedId)?.parentId
+          ?? null;
       }
+      if (!focusedId || !this.treeOutline.has(focusedId)) {
+        focusedId = this.treeOutline.keys().next().value ?? null;
+      }
+      this.focusedScaleId = focusedId;
+
+      this.boxesContainer.querySelectorAll('.flow-box').forEach(box => {
+        const scaleId = box.dataset.scaleId;
+        const scale = scales.get(scaleId);
+        const entry = this.treeOutline.get(scaleId);
+        box.setAttribute('tabindex', scaleId === focusedId ? '0' : '-1');
+        if (!scale || !entry) return;
+
+        box.setAttribute('aria-level', String(entry.level));
+        box.setAttribute('aria-setsize', String(entry.siblings.length));
+        box.setAttribute('aria-posinset', String(entry.posInSet));
+        box.setAttribute('aria-label', this.getTreeItemLabel(scale));
+        if (this.foldState.descendantCounts.has(scaleId)) {
+          box.setAttribute('aria-expanded', String(scale.subtreeCollapsed !== true));
+        } else {
+          box.removeAttribute('aria-expanded');
+        }
+      });
 
-      itemBox.classList.remove('editing');
+      if (treeFocus && focusedId && !this.boxesContainer.contains(document.activeElement)) {
+        const flowBox = this.boxesContainer.querySelector(`.flow-box[data-scale-id="${focusedId}"]`);
+        const item = treeFocus.itemId && treeFocus.scaleId === focusedId
+          ? flowBox?.querySelector(`.item-box[data-item-id="${treeFocus.itemId}"]`)
+          : null;
+        (item || flowBox)?.focus({ preventScroll: true });
+      }
     },
 
-    cancelItemEdit(itemBox) {
-      itemBox.classList.remove('editing');
+    // Screen reader name of a box: scale name, item count and, for branches, the intent
+    getTreeItemLabel(scale) {
+      const itemCount = (Array.isArray(scale.dimensions) ? scale.dimensions : [])
+        .reduce((sum, dimension) => sum + (Array.isArray(dimension?.items) ? dimension.items.length : 0), 0);
+      const parts = [scale.scale_name || 'Tanpa nama', `${itemCount} item`];
+      if (scale.adaptation_intent?.trim()) parts.push(`intensi: ${scale.adaptation_intent.trim()}`);
+      return parts.join(', ');
     },
 
-    openBranchingPopup(scaleId) {
-      state.canvasState.branchingFromScaleId = scaleId;
-      const popup = document.getElementById('branching-popup');
-      if (!popup) return;
+    // ============================================================================
+    // MULTI-SELECT (shift-click / shift-drag rubber band, bulk actions)
+    // ============================================================================
+    // The multi-selection is view state only: it is never saved and is pruned
+    // when scales disappear. Bulk actions each go through the store as one
+    // undoable write (removeScalesCascade / updateScales).
+
+    multiSelection: new Set(),
+    selectionBound: false,
+    rubberBand: null,     // { origin, base, rects, onMove, onEnd }
+
+    bindSelection() {
+      if (this.selectionBound) return;
+      this.selectionBound = true;
+
+      // Shift-click toggles a box; captured so the header/item handlers do not run
+      this.boxesContainer?.addEventListener('click', (e) => {
+        if (!e.shiftKey) return;
+        const flowBox = e.target.closest('.flow-box');
+        if (!flowBox || e.target.closest('button, input, textarea, select, [contenteditable="true"]')) return;
+        e.stopPropagation();
+        e.preventDefault();
+        this.toggleInSelection(flowBox.dataset.scaleId);
+      }, true);
 
-      // Get the flow box DOM element for accurate dimensions
-      const flowBox = document.querySelector(`.flow-box[data-scale-id="${scaleId}"]`);
-      const canvas = this.canvas;
+      document.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape' || state.currentScreen !== 3 || this.multiSelection.size === 0) return;
+        if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+        this.clearSelection();
+      });
 
-      if (flowBox && canvas) {
-        const flowBoxRect = flowBox.getBoundingClientRect();
-        const canvasRect = canvas.getBoundingClientRect();
-        const panX = state.canvasState.pan.x;
-        const panY = state.canvasState.pan.y;
+      const statusSelect = document.getElementById('selection-status');
+      if (statusSelect) {
+        const metadata = window.ScaleMetadata;
+        statusSelect.insertAdjacentHTML('beforeend', metadata.SCALE_STATUSES
+          .map(value => `<option value="${value}">${metadata.SCALE_STATUS_LABELS[value]}</option>`)
+          .join(''));
+        statusSelect.addEventListener('change', () => {
+          if (statusSelect.value) this.setSelectionStatus(statusSelect.value);
+          statusSelect.value = '';
+        });
+      }
 
-        // Convert screen coords to world coords
-        const worldRight = flowBoxRect.right - canvasRect.left - panX;
-        const worldCenterY = flowBoxRect.top + flowBoxRect.height / 2 - canvasRect.top - panY;
+      const tagInput = document.getElementById('selection-tag');
+      tagInput?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') this.addSelectionTags(tagInput.value);
+      });
+      document.getElementById('selection-tag-add')
+        ?.addEventListener('click', () => this.addSelectionTags(tagInput?.value));
+
+      document.getElementById('selection-delete')
+        ?.addEventListener('click', () => this.deleteSelection());
+      document.getElementById('selection-export')
+        ?.addEventListener('click', () => this.exportSelection());
+      document.getElementById('selection-image')
+        ?.addEventListener('click', () => openImageExportModal('selection'));
+      document.getElementById('selection-collapse')
+        ?.addEventListener('click', () => this.setSelectionExpanded(false));
+      document.getElementById('selection-expand')
+        ?.addEventListener('click', () => this.setSelectionExpanded(true));
+      document.getElementById('selection-clear')
+        ?.addEventListener('click', () => this.clearSelection());
+    },
 
-        // Position popup to the right of flow box in world space
-        popup.style.left = `${worldRight + 16}px`;
-        popup.style.top = `${worldCenterY}px`;
-        popup.style.transform = 'translateY(-50%)';
+    toggleInSelection(scaleId) {
+      if (this.multiSelection.has(scaleId)) {
+        this.multiSelection.delete(scaleId);
+      } else {
+        this.multiSelection.add(scaleId);
       }
+      this.renderSelection();
+    },
 
-      popup.classList.remove('hidden');
+    clearSelection() {
+      if (this.multiSelection.size === 0) return;
+      this.multiSelection.clear();
+      this.renderSelection();
     },
 
-    closeBranchingPopup() {
-      const popup = document.getElementById('branching-popup');
-      popup?.classList.add('hidden');
-      const input = document.getElementById('branching-input');
-      if (input) input.value = '';
+    // Box highlight, selection bar and minimap (drops ids of removed scales)
+    renderSelection() {
+      const scales = this.getVisibleScales();
+      this.multiSelection.forEach(scaleId => {
+        if (!scales.has(scaleId)) this.multiSelection.delete(scaleId);
+      });
 
-      // Stop loading animation if popup closed during processing
-      this.stopLoadingDots();
+      this.boxesContainer?.querySelectorAll('.flow-box').forEach(box => {
+        box.classList.toggle('multi-selected', this.multiSelection.has(box.dataset.scaleId));
+        box.setAttribute('aria-selected', String(this.multiSelection.has(box.dataset.scaleId)));
+      });
 
-      // Reset button state
-      const submitBtn = document.getElementById('branching-submit');
-      if (submitBtn) {
-        submitBtn.disabled = false;
-        submitBtn.querySelector('span').textContent = 'Buat Cabang Baru';
-      }
+      const bar = document.getElementById('selection-bar');
+      const count = document.getElementById('selection-count');
+      bar?.classList.toggle('hidden', this.multiSelection.size === 0);
+      if (count) count.textContent = `${this.multiSelection.size} skala dipilih`;
+
+      this.renderMinimap();
     },
 
-    // ============================================================================
-    // BRANCHING FLOWBOX POSITIONING (LAYOUT ENGINE - LOCKED)
-    // ============================================================================
-    // This layout system has been tested and verified stable. Do not modify
-    // positioning logic without running tests 1-5 from system.md.
-    //
-    // Key Invariants:
-    // 1. Positions are computed from branch_index, not DOM or sibling count
-    // 2. Branched scales have positionLocked=true to prevent auto-repositioning
-    // 3. renderAll() never mutates positions of locked scales
-    // 4. Layout is position-driven, not iteration-order dependent
-    // 5. Child positions are absolute snapshots, not relative to parent
-    //
-    // Tests Passed:
-    // - Test 1: Mutation resistance (Object.freeze)
-    // - Test 2: Parent movement propagation
-    // - Test 4: Reorder stress test
-    // - Test 5: Child-of-child (nesting)
-    // ============================================================================
+    startRubberBand(e) {
+      if (e.button !== 0 || this.rubberBand) return;
+      e.preventDefault();
 
-    // Deterministic child-row positioning for branched scales
-    // Invariant: Position is computed from branch_index only (no DOM reads, no sibling scan)
-    // Layout: Symmetric alternating around parent Y (up, down, further up, further down)
-    // DELEGATED to BranchPositioning module (layout/branchPositioning.js)
-    getNextBranchPosition(sourceScaleId, branch_index) {
-      // Fetch parent scale from state and delegate to pure module function
-      const source = state.canvasState.scales.get(sourceScaleId);
-      return window.BranchPositioning.getNextBranchPosition(source, branch_index);
+      const canvasRect = this.canvas.getBoundingClientRect();
+      // offset* are world values, like in fitToScales
+      const rects = Array.from(this.boxesContainer.querySelectorAll('.flow-box')).map(box => ({
+        scaleId: box.dataset.scaleId,
+        x: box.offsetLeft,
+        y: box.offsetTop,
+        width: box.offsetWidth,
+        height: box.offsetHeight
+      }));
+
+      this.rubberBand = {
+        origin: { x: e.clientX - canvasRect.left, y: e.clientY - canvasRect.top },
+        base: new Set(this.multiSelection),
+        rects,
+        onMove: (moveEvent) => this.moveRubberBand(moveEvent),
+        onEnd: () => this.endRubberBand()
+      };
+
+      document.addEventListener('mousemove', this.rubberBand.onMove);
+      document.addEventListener('mouseup', this.rubberBand.onEnd);
     },
 
-    // ============================================================================
-    // GPT SCALE GENERATION (V1: Dimensions only)
-    // ============================================================================
-    // Invariant: If GPT succeeds, the resulting scale must be renderable
-    // without triggering any layout recomputation.
+    // Selection = what was selected before + every box the rectangle touches
+    moveRubberBand(e) {
+      const band = this.rubberBand;
+      if (!band) return;
+      e.preventDefault();
 
-    /**
-     * Validate GPT response has required fields (V2)
-     * @returns {{ valid: boolean, error?: string }}
-     */
-    validateGptScale(gptResult, sourceScale) {
-      if (!gptResult) return { valid: false, error: 'No response' };
-      if (gptResult.error) return { valid: false, error: gptResult.error };
-      if (!gptResult.scale_name || typeof gptResult.scale_name !== 'string') {
-        return { valid: false, error: 'Missing scale_name' };
-      }
-      if (!Array.isArray(gptResult.dimensions) || gptResult.dimensions.length === 0) {
-        return { valid: false, error: 'Missing or empty dimensions' };
+      const canvasRect = this.canvas.getBoundingClientRect();
+      const point = { x: e.clientX - canvasRect.left, y: e.clientY - canvasRect.top };
+      const screenRect = {
+        x: Math.min(point.x, band.origin.x),
+        y: Math.min(point.y, band.origin.y),
+        width: Math.abs(point.x - band.origin.x),
+        height: Math.abs(point.y - band.origin.y)
+      };
+
+      const element = document.getElementById('selection-rect');
+      if (element) {
+        element.classList.remove('hidden');
+        Object.assign(element.style, {
+          left: `${screenRect.x}px`,
+          top: `${screenRect.y}px`,
+          width: `${screenRect.width}px`,
+          height: `${screenRect.height}px`
+        });
       }
 
-      // V2: Validate items
-      for (let i = 0; i < gptResult.dimensions.length; i++) {
-        const dim = gptResult.dimensions[i];
-        if (!dim.name || typeof dim.name !== 'string') {
-          return { valid: false, error: `Dimension ${i + 1} missing name` };
-        }
-        if (!Array.isArray(dim.items) || dim.items.length === 0) {
-          return { valid: false, error: `Dimension "${dim.name}" has no items` };
-        }
-        for (let j = 0; j < dim.items.length; j++) {
-          const item = dim.items[j];
-          if (!item.text || typeof item.text !== 'string') {
-            return { valid: false, error: `Item ${j + 1} in "${dim.name}" missing text` };
-          }
+      const topLeft = window.ViewportMath.screenToWorld(screenRect, state.canvasState);
+      const bottomRight = window.ViewportMath.screenToWorld(
+        { x: screenRect.x + screenRect.width, y: screenRect.y + screenRect.height }, state.canvasState
+      );
+
+      this.multiSelection = new Set(band.base);
+      band.rects.forEach(rect => {
+        const touches = rect.x < bottomRight.x && rect.x + rect.width > topLeft.x
+          && rect.y < bottomRight.y && rect.y + rect.height > topLeft.y;
+        if (touches) this.multiSelection.add(rect.scaleId);
+      });
+      this.renderSelection();
+    },
+
+    endRubberBand() {
+      const band = this.rubberBand;
+      if (!band) return;
+      this.rubberBand = null;
+
+      document.removeEventListener('mousemove', band.onMove);
+      document.removeEventListener('mouseup', band.onEnd);
+      document.getElementById('selection-rect')?.classList.add('hidden');
+    },
+
+    // Delete every selected scale with its descendants (one combined cascade set)
+    deleteSelection() {
+      const prep = window.FlowEditorController.prepareBulkDelete(this.multiSelection, state.canvasState.scales);
+
+      if (!prep.canDelete) {
+        if (prep.error === 'root_protected') {
+          alert('Skala utama (Root) tidak dapat dihapus.');
         }
+        return;
       }
 
-      // ============================================================================
-      // SAFETY INVARIANT: Dimension and item count checks (warn only, don't fail)
-      // ============================================================================
-      if (sourceScale) {
-        // Check dimension count
-        if (gptResult.dimensions.length !== sourceScale.dimensions.length) {
-          console.warn(
-            `[MLPA Safety] Dimension count mismatch: ` +
-            `expected=${sourceScale.dimensions.length}, got=${gptResult.dimensions.length}`
-          );
-        }
+      const rootNote = prep.skippedRoots.length > 0
+        ? `\n\n${prep.skippedRoots.length} skala utama (Root) dalam pilihan tidak ikut dihapus.`
+        : '';
+      if (!confirm(`Apakah Anda yakin ingin menghapus ${prep.count} skala (termasuk turunannya)?${rootNote}`)) return;
 
-        // Check item count per dimension
-        for (let i = 0; i < Math.min(gptResult.dimensions.length, sourceScale.dimensions.length); i++) {
-          const gptDim = gptResult.dimensions[i];
-          const sourceDim = sourceScale.dimensions[i];
-          if (gptDim.items.length !== sourceDim.items.length) {
-            console.warn(
-              `[MLPA Safety] Item count mismatch in dimension "${gptDim.name}": ` +
-              `expected=${sourceDim.items.length}, got=${gptDim.items.length}`
-            );
-          }
-        }
+      this.closeBranchingPopup();
+      window.FlowEditorController.executeDelete(prep.toDelete, state.canvasState.scales, state.canvasState);
+      this.showNotification(`${prep.count} skala dihapus`);
+    },
+
+    exportSelection() {
+      const selected = listScalesInTreeOrder().filter(scale => this.multiSelection.has(scale.scale_id));
+      if (selected.length === 0) return;
+      this.downloadCSV(this.buildScalesCsvRows(selected), 'MLPA_Skala_Terpilih.csv');
+    },
+
+    // Write per-scale updates for the selection as one undoable step
+    // (scales the callback returns null for are left out)
+    updateSelection(buildUpdates, label) {
+      const updatesById = new Map();
+      this.multiSelection.forEach(scaleId => {
+        const scale = state.canvasState.scales.get(scaleId);
+        const updates = scale && buildUpdates(scale);
+        if (updates) updatesById.set(scaleId, updates);
+      });
+
+      if (updatesById.size === 0) {
+        this.showNotification('Tidak ada perubahan');
+        return false;
       }
 
-      return { valid: true };
+      try {
+        return window.ScaleStore.updateScales(updatesById, { label: label(updatesById.size) });
+      } catch (error) {
+        console.error('[MLPA] Bulk update rejected:', error);
+        this.showNotification('Perubahan tidak valid');
+        return false;
+      }
     },
 
-    /**
-     * Expand GPT items with rubrics (V2)
-     * DELEGATED to OpenAIScaleAdapter module (adapters/openAiScale.js)
-     * @param {Array} gptDimensions - [{ name, items: [{ text, current_rubric? }] }]
-     * @param {string} scaleId - Scale ID for namespacing
-     * @param {Array} sourceDimensions - Source dimensions for origin_item_id and baseline_rubric mapping
-     * @returns {Array} Full dimensions with all required fields
-     */
-    expandWithMockRubrics(gptDimensions, scaleId, sourceDimensions) {
-      // Delegate to pure module function
-      return window.OpenAIScaleAdapter.expandWithRubrics(gptDimensions, scaleId, sourceDimensions);
+    setSelectionStatus(status) {
+      const metadata = window.ScaleMetadata;
+      const changed = this.updateSelection(
+        scale => (metadata.getScaleStatus(scale) === status ? null : { status }),
+        count => `Ubah status ${count} skala menjadi "${metadata.SCALE_STATUS_LABELS[status]}"`
+      );
+      if (changed) this.showNotification(`Status diubah: ${metadata.SCALE_STATUS_LABELS[status]}`);
     },
 
-    /**
-     * Show error notification toast
-     */
-    showBranchingError(message) {
-      console.error('[MLPA Branching]', message);
-      // Simple alert for now - can be upgraded to toast later
-      alert('Gagal membuat cabang: ' + message);
+    addSelectionTags(input) {
+      const tags = window.ScaleMetadata.parseTags(input);
+      if (tags.length === 0) return;
+
+      const changed = this.updateSelection(
+        scale => {
+          const current = scale.tags || [];
+          const merged = window.ScaleMetadata.parseTags([...current, ...tags]);
+          return merged.length === current.length ? null : { tags: merged };
+        },
+        count => `Tambah tag ${tags.join(', ')} ke ${count} skala`
+      );
+
+      const tagInput = document.getElementById('selection-tag');
+      if (tagInput) tagInput.value = '';
+      if (changed) this.showNotification(`Tag ditambahkan: ${tags.join(', ')}`);
     },
 
-    /**
-     * Start animated loading dots on button
-     * @param {HTMLElement} button - The submit button element
-     * @param {string} baseText - Base text without dots (e.g., "Memproses")
-     */
-    startLoadingDots(button, baseText = 'Memproses') {
-      // Clear any existing interval
-      this.stopLoadingDots();
+    setSelectionExpanded(expanded) {
+      this.updateSelection(
+        scale => (Boolean(scale.expanded) === expanded ? null : { expanded }),
+        count => `${expanded ? 'Bentangkan' : 'Ciutkan'} ${count} skala`
+      );
+    },
 
-      let dotCount = 0;
-      const spanElement = button.querySelector('span');
+    // ============================================================================
+    // REPARENT (drag a flow box onto a new parent)
+    // ============================================================================
 
-      // Immediate update
-      spanElement.textContent = baseText + '.';
+    reparentDrag: null,   // { scaleId, box, startX, startY, targetBox, onMove, onEnd }
 
-      // Start interval (cycles every 400ms)
-      this.loadingDotsInterval = setInterval(() => {
-        dotCount = (dotCount + 1) % 3;  // 0, 1, 2, 0, 1, 2...
-        const dots = '.'.repeat(dotCount + 1);  // ., .., ...
-        spanElement.textContent = baseText + dots;
-      }, 400);
+    reparentErrorMessages: {
+      cycle: 'Skala tidak dapat dipindahkan ke bawah turunannya sendiri',
+      same_parent: 'Skala sudah berada di bawah induk ini',
+      root_protected: 'Skala akar tidak dapat dipindahkan',
+      scale_not_found: 'Skala tidak ditemukan',
+      parent_not_found: 'Skala induk tidak ditemukan',
+      lineage_unmapped: 'Item skala ini tidak memiliki padanan di induk baru (garis turunan berbeda)'
     },
 
-    /**
-     * Stop loading dots animation
-     */
-    stopLoadingDots() {
-      if (this.loadingDotsInterval) {
-        clearInterval(this.loadingDotsInterval);
-        this.loadingDotsInterval = null;
+    startReparentDrag(e, scaleId) {
+      if (e.button !== 0 || this.reparentDrag) return;
+      e.preventDefault();
+      e.stopPropagation();
+
+      const box = document.querySelector(`.flow-box[data-scale-id="${scaleId}"]`);
+      if (!box) return;
+
+      this.reparentDrag = {
+        scaleId,
+        box,
+        startX: e.clientX,
+        startY: e.clientY,
+        targetBox: null,
+        onMove: (moveEvent) => this.moveReparentDrag(moveEvent),
+        onEnd: (upEvent) => this.endReparentDrag(upEvent)
+      };
+
+      box.classList.add('reparent-dragging');
+      document.addEventListener('mousemove', this.reparentDrag.onMove);
+      document.addEventListener('mouseup', this.reparentDrag.onEnd);
+    },
+
+    moveReparentDrag(e) {
+      const drag = this.reparentDrag;
+      if (!drag) return;
+
+      // Visual only: the stored position changes when the drop is accepted.
+      // The box lives in the zoomed world layer, so screen deltas are unscaled
+      const zoom = state.canvasState.zoom;
+      drag.box.style.transform = `translate(${(e.clientX - drag.startX) / zoom}px, ${(e.clientY - drag.startY) / zoom}px)`;
+
+      // The dragged box ignores pointer events, so this finds what is underneath
+      const targetBox = document.elementFromPoint(e.clientX, e.clientY)?.closest('.flow-box') || null;
+      if (targetBox === drag.targetBox) return;
+
+      drag.targetBox?.classList.remove('reparent-target', 'reparent-invalid');
+      drag.targetBox = targetBox;
+
+      if (targetBox) {
+        const check = window.ScaleGraph.validateReparent(
+          state.canvasState.scales,
+          drag.scaleId,
+          targetBox.dataset.scaleId
+        );
+        targetBox.classList.add(check.valid ? 'reparent-target' : 'reparent-invalid');
       }
     },
 
-    async handleBranchingSubmit() {
-      // Guard: prevent double-submission
+    endReparentDrag() {
+      const drag = this.reparentDrag;
+      if (!drag) return;
+      this.reparentDrag = null;
+
+      document.removeEventListener('mousemove', drag.onMove);
+      document.removeEventListener('mouseup', drag.onEnd);
+      drag.box.classList.remove('reparent-dragging');
+      drag.box.style.transform = '';
+      drag.targetBox?.classList.remove('reparent-target', 'reparent-invalid');
+
+      // Dropped on empty canvas (or back on itself): nothing to do
+      if (!drag.targetBox || drag.targetBox === drag.box) return;
+
+      this.reparentScale(drag.scaleId, drag.targetBox.dataset.scaleId);
+    },
+
+    reparentScale(scaleId, newParentId) {
+      // Same guard as undo/redo: the GPT result would attach to a stale layout
       if (state.canvasState.isBranchingInProgress) {
-        console.log('[MLPA Branching] Already in progress - ignoring');
+        this.showNotification('Tunggu hingga pembuatan cabang selesai');
         return;
       }
 
-      // Get input
-      const input = document.getElementById('branching-input');
-      const submitBtn = document.getElementById('branching-submit');
-      const adaptationIntent = input?.value?.trim();
-
-      // Guard: empty input
-      if (!adaptationIntent) {
-        console.log('[MLPA Branching] Empty input - doing nothing');
+      const plan = window.FlowEditorController.prepareReparent(scaleId, newParentId, state.canvasState.scales);
+      if (!plan.canReparent) {
+        this.showNotification(this.reparentErrorMessages[plan.error] || 'Skala tidak dapat dipindahkan');
         return;
       }
 
-      // Get source scale
-      const sourceScaleId = state.canvasState.branchingFromScaleId;
-      const sourceScale = state.canvasState.scales.get(sourceScaleId);
+      this.cancelActiveEdit();
 
-      if (!sourceScale) {
-        console.error('[MLPA Branching] Source scale not found');
-        return;
+      const scale = state.canvasState.scales.get(scaleId);
+      const newParent = state.canvasState.scales.get(newParentId);
+      const moved = window.ScaleStore.reparentScale(scaleId, newParentId, plan.layout, {
+        label: `Pindahkan "${scale.scale_name}" ke "${newParent.scale_name}"`
+      });
+
+      if (moved) {
+        this.showNotification(`Dipindahkan ke "${newParent.scale_name}"`);
+        console.log('[MLPA] Scale reparented:', scaleId, '→', newParentId);
       }
+    },
 
-      // Set lock BEFORE any async operation
-      state.canvasState.isBranchingInProgress = true;
+    // ============================================================================
+    // ADD SOURCE SCALE (extra root from CSV, same canvas)
+    // ============================================================================
 
-      // Show loading state with animated dots
-      if (submitBtn) {
-        submitBtn.disabled = true;
-        this.startLoadingDots(submitBtn, 'Memproses');
+    isAddingRoot: false,
+
+    async addRootFromCSV(file) {
+      if (!file || this.isAddingRoot) return;
+
+      if (!isCSVFile(file)) {
+        this.showNotification('Format tidak didukung. Gunakan file CSV.');
+        return;
       }
 
-      try {
-        // Call GPT to adapt dimensions
-        console.log('[MLPA Branching] Calling GPT for adaptation...');
-        const gptResult = await OpenAIAPI.adaptScale(sourceScale.scale_name, sourceScale.dimensions, adaptationIntent);
+      const button = document.getElementById('add-root-btn');
+      this.isAddingRoot = true;
+      button?.classList.add('processing');
+      this.showNotification('Memproses skala...');
 
-        // Validate GPT response (V2: includes items)
-        const validation = this.validateGptScale(gptResult, sourceScale);
-        if (!validation.valid) {
-          this.showBranchingError(validation.error);
+      try {
+        const result = await structureCSVFile(file, { scaleId: 'imported-scale' });
+        if (result.rejected) {
+          this.showNotification(result.rejected);
           return;
         }
+        if (result.cancelled) return;
+
+        // ID and position are taken now: the graph may have changed during GPT
+        const scales = state.canvasState.scales;
+        let number = 1;
+        let scaleId = 'imported-scale';
+        while (scales.has(scaleId)) {
+          scaleId = `imported-scale-${++number}`;
+        }
+        const position = window.RootPositioning.getNextRootPosition(scales.values());
 
-        // Generate unique branch ID and compute branch index
-        const branchCount = Array.from(state.canvasState.scales.keys())
-          .filter(id => id.startsWith(sourceScaleId + '-branch')).length + 1;
-        const newScaleId = `${sourceScaleId}-branch-${branchCount}`;
-        const branch_index = branchCount - 1;
+        const rootScale = {
+          ...result.scale,
+          scale_id: scaleId,
+          position: { x: position.x, y: position.y }
+        };
 
-        // Compute position using deterministic formula
-        const newPosition = this.getNextBranchPosition(sourceScaleId, branch_index);
+        const added = window.ScaleStore.addScale(rootScale, {
+          label: `Tambah skala sumber "${rootScale.scale_name}"`
+        });
+        if (!added) return;
 
-        // Expand GPT items with mock rubrics (V2)
-        const fullDimensions = this.expandWithMockRubrics(gptResult.dimensions, newScaleId, sourceScale.dimensions);
+        // Bring the new tree into view (it lands below the existing ones)
+        state.canvasState.pan.y = window.RootPositioning.ROOT_LAYOUT.DEFAULT_Y - position.y * state.canvasState.zoom;
+        this.updateCanvasTransform();
+        requestAutosave();
 
-        // Assemble final scale
-        const newScale = {
-          scale_id: newScaleId,
-          scale_name: gptResult.scale_name,
-          parent_scale_id: sourceScaleId,
-          is_root: false,
-          expanded: false,
-          depth: newPosition.depth,
-          branch_index: newPosition.branch_index,
-          position: { x: newPosition.x, y: newPosition.y },
-          positionLocked: true,
-          dimensions: fullDimensions
-        };
+        this.showNotification(`Skala sumber "${rootScale.scale_name}" ditambahkan`);
+        console.log('[MLPA] Extra root added:', scaleId);
+      } catch (error) {
+        console.error('[MLPA] Extra root processing error:', error);
+        this.showNotification(error.message || 'Terjadi kesalahan. Coba lagi.');
+      } finally {
+        this.isAddingRoot = false;
+        button?.classList.remove('processing');
+      }
+    },
 
-        // Add to canvas state (only on success)
-        state.canvasState.scales.set(newScaleId, newScale);
+    // ============================================================================
+    // DUPLICATE (manual copies, no GPT)
+    // ============================================================================
 
-        // Close popup and clear input
-        this.closeBranchingPopup();
+    duplicateScale(scaleId, includeDescendants) {
+      // Same guard as reparent: the GPT result would attach to a stale layout
+      if (state.canvasState.isBranchingInProgress) {
+        this.showNotification('Tunggu hingga pembuatan cabang selesai');
+        return;
+      }
 
-        // Re-render canvas
-        this.renderAll();
+      const plan = window.FlowEditorController.prepareDuplicate(
+        scaleId,
+        state.canvasState.scales,
+        includeDescendants
+      );
+      if (!plan.canDuplicate) {
+        this.showNotification(plan.error === 'root_subtree'
+          ? 'Skala akar hanya dapat diduplikat tanpa turunannya'
+          : 'Skala tidak dapat diduplikat');
+        return;
+      }
 
-        console.log('[MLPA Branching] Branch created successfully:', newScaleId);
+      const scale = state.canvasState.scales.get(scaleId);
+      const added = window.ScaleStore.addScales(plan.copies, {
+        label: includeDescendants
+          ? `Duplikat "${scale.scale_name}" beserta turunannya`
+          : `Duplikat "${scale.scale_name}"`
+      });
 
-      } catch (error) {
-        console.error('[MLPA Branching] Error:', error);
-        // Show user-friendly message from structured error
-        const errorMessage = error.message || error.type || 'Terjadi kesalahan. Coba lagi.';
-        this.showBranchingError(errorMessage);
-      } finally {
-        // Release lock
-        state.canvasState.isBranchingInProgress = false;
+      if (added) {
+        this.showNotification(plan.copies.length > 1
+          ? `${plan.copies.length} skala diduplikat`
+          : 'Skala diduplikat');
+        console.log('[MLPA] Scale duplicated:', scaleId, '→', plan.copies.map(copy => copy.scale_id));
+      }
+    },
 
-        // Reset button state
-        if (submitBtn) {
-          this.stopLoadingDots();
-          submitBtn.disabled = false;
-          submitBtn.querySelector('span').textContent = 'Buat Cabang Baru';
-        }
+    // ============================================================================
+    // UNDO / REDO (ScaleStore history)
+    // ============================================================================
+
+    undo() {
+      this.applyHistoryStep('undo', 'Diurungkan', 'Tidak ada aksi untuk diurungkan');
+    },
+
+    redo() {
+      this.applyHistoryStep('redo', 'Diulangi', 'Tidak ada aksi untuk diulangi');
+    },
+
+    applyHistoryStep(direction, doneText, emptyText) {
+      // Don't rewrite the graph under an in-flight GPT branch
+      if (state.canvasState.isBranchingInProgress) {
+        this.showNotification('Tunggu hingga pembuatan cabang selesai');
+        return;
+      }
+
+      // Discard uncommitted item text so it can't be written back after the step
+      this.cancelActiveEdit();
+
+      const label = direction === 'undo' ? window.ScaleStore.undo() : window.ScaleStore.redo();
+      if (!label) {
+        this.showNotification(emptyText);
+        return;
+      }
+
+      // Branching popup may point at a scale that no longer exists
+      if (!window.ScaleStore.hasScale(state.canvasState.branchingFromScaleId)) {
+        this.closeBranchingPopup();
       }
+
+      this.showNotification(`${doneText}: ${label}`);
+      console.log(`[MLPA] ${direction}:`, label);
     },
 
     // TEST 2: Parent movement propagation test
@@ -2079,6 +5295,7 @@
       // Reverse the Map order
       const entries = Array.from(state.canvasState.scales.entries()).reverse();
       state.canvasState.scales = new Map(entries);
+      window.ScaleStore.init(state.canvasState);
 
       console.log('[TEST 4] After:', Array.from(state.canvasState.scales.keys()));
       console.log('[TEST 4] Forcing re-render...');
@@ -2095,7 +5312,9 @@
       const scale = state.canvasState.scales.get(scaleId);
       if (!scale) return;
 
-      const rows = [['scale_id', 'dimension_name', 'item_id', 'origin_item_id', 'item_text', 'baseline_rubric', 'current_rubric']];
+      const rows = [['scale_id', 'dimension_name', 'item_id', 'origin_item_id', 'item_text', 'baseline_rubric', 'current_rubric',
+        ...window.ScaleMetadata.METADATA_CSV_COLUMNS]];
+      const metadataValues = window.ScaleMetadata.getMetadataCsvValues(scale);
 
       scale.dimensions.forEach(dim => {
         dim.items.forEach(item => {
@@ -2106,7 +5325,8 @@
             item.origin_item_id,
             item.text,
             (item.baseline_rubric || []).join(';'),
-            (item.current_rubric || []).join(';')
+            (item.current_rubric || []).join(';'),
+            ...metadataValues
           ]);
         });
       });
@@ -2115,27 +5335,40 @@
     },
 
     exportAllScales() {
-      const rows = [['scale_id', 'scale_name', 'parent_scale_id', 'dimension_name', 'item_id', 'origin_item_id', 'item_text', 'baseline_rubric', 'current_rubric']];
+      this.downloadCSV(this.buildScalesCsvRows(listScalesInTreeOrder()), 'MLPA_Semua_Skala.csv');
+    },
 
-      state.canvasState.scales.forEach(scale => {
+    // One row per item, with the scale's tree position and metadata repeated
+    buildScalesCsvRows(scaleList) {
+      const rows = [['scale_id', 'scale_name', 'parent_scale_id', 'root_scale_id', 'dimension_name', 'item_id', 'origin_item_id', 'item_text', 'baseline_rubric', 'current_rubric',
+        ...window.ScaleMetadata.METADATA_CSV_COLUMNS]];
+      const scales = state.canvasState.scales;
+
+      // Callers pass tree order: each root followed by its subtree
+      scaleList.forEach(scale => {
+        const scaleId = scale.scale_id;
+        const rootId = window.ScaleGraph.getRootId(scales, scaleId);
+        const metadataValues = window.ScaleMetadata.getMetadataCsvValues(scale);
         scale.dimensions.forEach(dim => {
           dim.items.forEach(item => {
             rows.push([
               scale.scale_id,
               scale.scale_name,
               scale.parent_scale_id || '',
+              rootId,
               dim.name,
               item.item_id,
               item.origin_item_id,
               item.text,
               (item.baseline_rubric || []).join(';'),
-              (item.current_rubric || []).join(';')
+              (item.current_rubric || []).join(';'),
+              ...metadataValues
             ]);
           });
         });
       });
 
-      this.downloadCSV(rows, 'MLPA_Semua_Skala.csv');
+      return rows;
     },
 
     // ============================================================================
@@ -2168,13 +5401,12 @@
       // 3. Close popup first
       this.closeBranchingPopup();
 
-      // 4. Execute deletion via controller
+      // 4. Execute deletion via controller (canvas re-renders from the store event)
       if (window.FlowEditorController) {
         window.FlowEditorController.executeDelete(
           prep.toDelete,
           state.canvasState.scales,
-          state.canvasState,
-          () => this.renderAll()
+          state.canvasState
         );
       }
     },
@@ -2187,6 +5419,10 @@
         return;
       }
 
+      const metadataColumns = window.ScaleMetadata.METADATA_CSV_COLUMNS;
+      const metadataValues = window.ScaleMetadata.getMetadataCsvValues(scale);
+      const metadataRow = Object.fromEntries(metadataColumns.map((column, i) => [column, metadataValues[i]]));
+
       // Flatten all items from all dimensions
       const allItems = [];
       let itemCounter = 1;
@@ -2199,13 +5435,14 @@
           allItems.push({
             item_id: itemCounter++,
             dimension: dimensionName,
-            item_text: item.text || ''
+            item_text: item.text || '',
+            ...metadataRow
           });
         });
       });
 
-      // Convert to CSV
-      const csvContent = this.convertToCSV(allItems, ['item_id', 'dimension', 'item_text']);
+      // Convert to CSV (scale metadata repeated on every row)
+      const csvContent = this.convertToCSV(allItems, ['item_id', 'dimension', 'item_text', ...metadataColumns]);
 
       // Generate filename
       const filename = `${this.sanitizeFilename(scale.scale_name || 'scale')}.csv`;
@@ -2290,12 +5527,17 @@
     },
 
     handleEditKeydown(e) {
+      // Keyboard focus goes back to the item (the text stops being editable)
+      const itemBox = this.activeEditItem;
       if (e.key === 'Enter') {
         e.preventDefault();
         this.confirmOrRevertEdit();
+        itemBox?.focus({ preventScroll: true });
       } else if (e.key === 'Escape') {
         e.preventDefault();
+        e.stopPropagation();   // Not a "clear selection" Escape
         this.cancelActiveEdit();
+        itemBox?.focus({ preventScroll: true });
       }
     },
 
@@ -2324,18 +5566,7 @@
         const flowBox = this.activeEditItem.closest('.flow-box');
         const scaleId = flowBox.dataset.scaleId;
         const itemId = this.activeEditItem.dataset.itemId;
-        const scale = state.canvasState.scales.get(scaleId);
-
-        if (scale) {
-          for (const dim of scale.dimensions || []) {
-            for (const it of dim.items || []) {
-              if (it.item_id === itemId) {
-                it.text = newText;
-                break;
-              }
-            }
-          }
-        }
+        window.ScaleStore.updateItemText(scaleId, itemId, newText);
 
         // Update DOM second
         itemContent.textContent = newText;
@@ -2429,53 +5660,80 @@
     // Connectors are rendered AFTER layout, never during position calculation.
     // They read DOM positions and derive relationships from scale state.
 
-    renderConnections() {
+    /**
+     * Draw parent → child connectors and their adaptation intent labels. With
+     * scale IDs, only the connectors that touch those boxes (their own link and
+     * their children's links) are replaced; without, the layers are redrawn
+     * from scratch.
+     * @param {Iterable<string>} [scaleIds]
+     */
+    renderConnections(scaleIds = null) {
       if (!this.connectionsLayer) return;
-      this.connectionsLayer.innerHTML = '';
-
-      // Get canvas offset for screen → world space conversion
-      const canvasRect = this.canvas?.getBoundingClientRect();
-      if (!canvasRect) return;
-
-      const panX = state.canvasState.pan.x;
-      const panY = state.canvasState.pan.y;
-
-      // Iterate through scales and draw connections to parents
-      state.canvasState.scales.forEach((scale) => {
-        if (!scale.parent_scale_id) return;  // Skip root scales
-
-        const parentScale = state.canvasState.scales.get(scale.parent_scale_id);
-        if (!parentScale) return;
-
-        // Get DOM elements
-        const parentEl = document.querySelector(`.flow-box[data-scale-id="${scale.parent_scale_id}"]`);
-        const childEl = document.querySelector(`.flow-box[data-scale-id="${scale.scale_id}"]`);
-        if (!parentEl || !childEl) return;
+      // Hidden (folded) scales count as missing: their connectors are removed
+      const scales = this.getVisibleScales();
+      const renderer = window.ConnectionRenderer;
+
+      // Child IDs whose connector must be (re)drawn
+      let childIds;
+      if (scaleIds === null) {
+        this.connectionsLayer.innerHTML = '';
+        if (this.connectionLabelsLayer) this.connectionLabelsLayer.innerHTML = '';
+        childIds = new Set(scales.keys());
+      } else {
+        const touched = new Set(scaleIds);
+        childIds = new Set();
+        scales.forEach(scale => {
+          if (touched.has(scale.scale_id) || touched.has(scale.parent_scale_id)) childIds.add(scale.scale_id);
+        });
+        touched.forEach(scaleId => {
+          if (!scales.has(scaleId)) childIds.add(scaleId);
+        });
+        // Alignment guides belong to the drag that is redrawing
+        this.connectionsLayer.querySelectorAll('.flow-snap-guide').forEach(guide => guide.remove());
+      }
+      if (childIds.size === 0) return;
 
-        // Get bounding rects (screen space)
-        const parentRect = parentEl.getBoundingClientRect();
-        const childRect = childEl.getBoundingClientRect();
+      const existing = new Map();
+      const existingLabels = new Map();
+      if (scaleIds !== null) {
+        this.connectionsLayer.querySelectorAll('.flow-connection-line').forEach(path => {
+          if (childIds.has(path.dataset.childId)) existing.set(path.dataset.childId, path);
+        });
+        this.connectionLabelsLayer?.querySelectorAll('.flow-connection-label').forEach(label => {
+          if (childIds.has(label.dataset.childId)) existingLabels.set(label.dataset.childId, label);
+        });
+      }
 
-        // Convert to world space (subtract canvas offset and pan)
-        const px = parentRect.right - canvasRect.left - panX;
-        const py = parentRect.top + parentRect.height / 2 - canvasRect.top - panY;
-        const cx = childRect.left - canvasRect.left - panX;
-        const cy = childRect.top + childRect.height / 2 - canvasRect.top - panY;
+      // Geometry from stored positions and remembered sizes (culled boxes included)
+      childIds.forEach(childId => {
+        const scale = scales.get(childId);
+        const hasParent = scale?.parent_scale_id && scales.has(scale.parent_scale_id);
+        const parentRect = hasParent ? this.getBoxWorldRect(scale.parent_scale_id) : null;
+        const childRect = hasParent ? this.getBoxWorldRect(childId) : null;
+        const connection = renderer.buildConnectionPath(parentRect, childRect);
+
+        const path = existing.get(childId);
+        if (!connection) {
+          path?.remove();
+        } else if (path) {
+          path.setAttribute('d', connection.path);
+        } else {
+          this.connectionsLayer.insertAdjacentHTML('beforeend',
+            renderer.createConnectionPathHtml(connection.path, childId)
+          );
+        }
 
-        // Create bezier path
-        const path = this.createBezierPath(px, py, cx, cy);
-        this.connectionsLayer.insertAdjacentHTML('beforeend',
-          `<path class="flow-connection-line" d="${path}" />`
-        );
+        // Intent label: replaced whole (position, text and tooltip)
+        existingLabels.get(childId)?.remove();
+        const intent = connection && scale.adaptation_intent?.trim();
+        if (intent && this.connectionLabelsLayer) {
+          this.connectionLabelsLayer.insertAdjacentHTML('beforeend',
+            renderer.createConnectionLabelHtml(connection, childId, intent)
+          );
+        }
       });
     },
 
-    // DELEGATED to ConnectionGeometry module (layout/connectionGeometry.js)
-    createBezierPath(px, py, cx, cy) {
-      // Delegate to pure module function
-      return window.ConnectionGeometry.createBezierPath(px, py, cx, cy);
-    },
-
     // Debug Panel Functions
     initDebugPanel() {
       // Create debug panel element
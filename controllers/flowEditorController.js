@@ -19,11 +19,13 @@ const FlowEditorController = (function () {
      * @param {Set<string>} toDelete - Scale IDs to delete
      * @param {Map<string, Scale>} scales - Scales Map
      * @param {Object} canvasState - Canvas state for activeScaleId
-     * @param {Function} renderFn - Render callback
+     * @param {Function} [renderFn] - Render callback (not needed when ScaleStore subscribers render)
      */
     function executeDelete(toDelete, scales, canvasState, renderFn) {
-        // Use state ops for mutations
-        if (window.CanvasStateOps) {
+        // Prefer ScaleStore (atomic, recorded for undo), then state ops
+        if (window.ScaleStore) {
+            window.ScaleStore.removeScalesCascade(toDelete);
+        } else if (window.CanvasStateOps) {
             window.CanvasStateOps.removeScales(scales, toDelete);
             window.CanvasStateOps.clearActiveScaleIfDeleted(canvasState, toDelete);
         } else {
@@ -77,6 +79,42 @@ const FlowEditorController = (function () {
         };
     }
 
+    /**
+     * Prepare deleting several selected scales at once.
+     * The cascade sets of all deletable scales are merged, so a scale that is
+     * also a descendant of another selected scale is only counted once.
+     * Roots are skipped (root protection) and reported back.
+     *
+     * @param {Iterable<string>} scaleIds - Selected scale IDs
+     * @param {Map<string, Scale>} scales - Scales Map
+     * @returns {{ canDelete: boolean, toDelete: Set, count: number, skippedRoots: string[], error?: string }}
+     */
+    function prepareBulkDelete(scaleIds, scales) {
+        const toDelete = new Set();
+        const skippedRoots = [];
+
+        Array.from(scaleIds).forEach(scaleId => {
+            const prep = prepareDelete(scaleId, scales);
+            if (prep.canDelete) {
+                prep.toDelete.forEach(id => toDelete.add(id));
+            } else if (prep.error === 'root_protected') {
+                skippedRoots.push(scaleId);
+            }
+        });
+
+        if (toDelete.size === 0) {
+            return {
+                canDelete: false,
+                toDelete,
+                count: 0,
+                skippedRoots,
+                error: skippedRoots.length > 0 ? 'root_protected' : 'no_scale_id'
+            };
+        }
+
+        return { canDelete: true, toDelete, count: toDelete.size, skippedRoots };
+    }
+
     /**
      * Prepare branching operation (validation only).
      * 
@@ -104,19 +142,16 @@ const FlowEditorController = (function () {
      * 
      * @param {Object} gptResult - GPT response
      * @param {Scale} sourceScale - Source scale
-     * @param {Map<string, Scale>} scales - Scales Map (for counting)
+     * @param {Map<string, Scale>} scales - Scales Map (for free ID and branch_index)
      * @param {Function} expandRubricsFn - Rubric expansion function
      * @returns {Scale} New scale object
      */
     function assembleBranchScale(gptResult, sourceScale, scales, expandRubricsFn) {
         const sourceScaleId = sourceScale.scale_id;
 
-        // Count existing branches
-        const branchCount = Array.from(scales.keys())
-            .filter(id => id.startsWith(sourceScaleId + '-branch')).length + 1;
-
-        const newScaleId = `${sourceScaleId}-branch-${branchCount}`;
-        const branch_index = branchCount - 1;
+        // First free ID and slot (branches may have been moved, copied or deleted)
+        const newScaleId = nextFreeBranchId(sourceScaleId, scales, new Set());
+        const branch_index = window.ScaleGraph.getFreeBranchIndex(scales, sourceScaleId);
 
         // Calculate position
         const newPosition = window.BranchPositioning
@@ -142,15 +177,159 @@ const FlowEditorController = (function () {
         };
     }
 
+    /**
+     * Prepare moving a scale (and its subtree) under a new parent.
+     * The moved scale takes the first free branch_index of the new parent and
+     * its BranchPositioning slot; descendants keep their offsets to it.
+     * 
+     * @param {string} scaleId - Scale to move
+     * @param {string} newParentId - New parent scale ID
+     * @param {Map<string, Scale>} scales - Scales Map
+     * @returns {{ canReparent: boolean, layout?: Object<string, Object>, error?: string }}
+     *          layout: scale_id → { depth, branch_index?, position } for ScaleStore.reparentScale
+     */
+    function prepareReparent(scaleId, newParentId, scales) {
+        const check = window.ScaleGraph.validateReparent(scales, scaleId, newParentId);
+        if (!check.valid) {
+            return { canReparent: false, error: check.error };
+        }
+
+        const scale = scales.get(scaleId);
+        const newParent = scales.get(newParentId);
+        const branch_index = window.ScaleGraph.getFreeBranchIndex(scales, newParentId, scaleId);
+
+        const newPosition = window.BranchPositioning
+            ? window.BranchPositioning.getNextBranchPosition(newParent, branch_index)
+            : { x: newParent.position.x + 550, y: newParent.position.y, depth: (newParent.depth || 0) + 1 };
+
+        const dx = newPosition.x - scale.position.x;
+        const dy = newPosition.y - scale.position.y;
+        const dDepth = newPosition.depth - (scale.depth || 0);
+
+        const layout = {
+            [scaleId]: {
+                depth: newPosition.depth,
+                branch_index,
+                position: { x: newPosition.x, y: newPosition.y }
+            }
+        };
+
+        window.ScaleGraph.getDescendants(scales, scaleId).forEach(id => {
+            const descendant = scales.get(id);
+            layout[id] = {
+                depth: (descendant.depth || 0) + dDepth,
+                position: { x: descendant.position.x + dx, y: descendant.position.y + dy }
+            };
+        });
+
+        return { canReparent: true, layout };
+    }
+
+    /**
+     * First unused branch ID under a parent.
+     * @private
+     */
+    function nextFreeBranchId(parentId, scales, taken) {
+        let number = 1;
+        let id = window.ScaleAssembler.generateBranchId(parentId, number);
+        while (scales.has(id) || taken.has(id)) {
+            id = window.ScaleAssembler.generateBranchId(parentId, ++number);
+        }
+        return id;
+    }
+
+    /**
+     * Prepare copies of a scale (optionally with its subtree) for manual
+     * adaptation. The copy becomes a sibling of the original in the first free
+     * BranchPositioning slot; a root is copied as its own branch. Copied
+     * descendants keep their offsets to the copied scale.
+     * Pure assembly - no state mutation.
+     *
+     * @param {string} scaleId - Scale to copy
+     * @param {Map<string, Scale>} scales - Scales Map
+     * @param {boolean} includeDescendants - Copy the whole subtree
+     * @returns {{ canDuplicate: boolean, copies?: Scale[], error?: string }}
+     *          copies: parents before children, ready for ScaleStore.addScales
+     */
+    function prepareDuplicate(scaleId, scales, includeDescendants) {
+        const scale = scales.get(scaleId);
+        if (!scale) {
+            return { canDuplicate: false, error: 'scale_not_found' };
+        }
+
+        // Copying a root's subtree under itself would nest the whole graph
+        if (scale.is_root && includeDescendants) {
+            return { canDuplicate: false, error: 'root_subtree' };
+        }
+
+        const parentId = scale.is_root ? scale.scale_id : scale.parent_scale_id;
+        const parent = scales.get(parentId);
+        if (!parent) {
+            return { canDuplicate: false, error: 'parent_not_found' };
+        }
+
+        const branch_index = window.ScaleGraph.getFreeBranchIndex(scales, parentId);
+        const newPosition = window.BranchPositioning
+            ? window.BranchPositioning.getNextBranchPosition(parent, branch_index)
+            : { x: parent.position.x + 550, y: parent.position.y, depth: (parent.depth || 0) + 1 };
+
+        const dx = newPosition.x - scale.position.x;
+        const dy = newPosition.y - scale.position.y;
+        const dDepth = newPosition.depth - (scale.depth || 0);
+
+        const taken = new Set();
+        const copiedIds = new Map();       // original scale_id → copy scale_id
+        const copiedItemIds = new Map();   // original item_id → copy item_id
+        const copies = [];
+
+        const topId = nextFreeBranchId(parentId, scales, taken);
+        taken.add(topId);
+        copiedIds.set(scaleId, topId);
+
+        const top = window.ScaleAssembler.duplicateScale(scale, topId, parentId, {
+            x: newPosition.x,
+            y: newPosition.y,
+            depth: newPosition.depth,
+            branch_index
+        });
+        top.scale.scale_name = `${scale.scale_name} (salinan)`;
+        top.itemIdMap.forEach((copyId, originalId) => copiedItemIds.set(originalId, copyId));
+        copies.push(top.scale);
+
+        if (includeDescendants) {
+            // getDescendants is breadth-first: every parent is copied before its children
+            window.ScaleGraph.getDescendants(scales, scaleId).forEach(id => {
+                const original = scales.get(id);
+                const copyParentId = copiedIds.get(original.parent_scale_id);
+                const copyId = nextFreeBranchId(copyParentId, scales, taken);
+                taken.add(copyId);
+                copiedIds.set(id, copyId);
+
+                const copy = window.ScaleAssembler.duplicateScale(original, copyId, copyParentId, {
+                    x: original.position.x + dx,
+                    y: original.position.y + dy,
+                    depth: (original.depth || 0) + dDepth,
+                    branch_index: original.branch_index
+                }, copiedItemIds);
+                copy.itemIdMap.forEach((copyItemId, originalId) => copiedItemIds.set(originalId, copyItemId));
+                copies.push(copy.scale);
+            });
+        }
+
+        return { canDuplicate: true, copies };
+    }
+
     /**
      * Add new scale and re-render.
      * 
      * @param {Scale} newScale - Scale to add
      * @param {Map<string, Scale>} scales - Scales Map
-     * @param {Function} renderFn - Render callback
+     * @param {Function} [renderFn] - Render callback (not needed when ScaleStore subscribers render)
      */
     function addScaleAndRender(newScale, scales, renderFn) {
-        if (window.CanvasStateOps) {
+        if (window.ScaleStore) {
+            window.ScaleStore.addScale(newScale);
+        } else if (window.CanvasStateOps) {
             window.CanvasStateOps.addScale(scales, newScale);
         } else {
             scales.set(newScale.scale_id, newScale);
@@ -167,7 +346,10 @@ const FlowEditorController = (function () {
     return {
         executeDelete,
         prepareDelete,
+        prepareBulkDelete,
         prepareBranch,
+        prepareReparent,
+        prepareDuplicate,
         assembleBranchScale,
         addScaleAndRender
     };
@@ -191,6 +191,40 @@ const PreviewController = (function () {
         return result;
     }
 
+    /**
+     * Decide how the preview reacts to a batch of ScaleStore change events.
+     * Pure decision - app.js applies it.
+     *
+     * - 'refresh'  : selected scale changed → rebuild items, keep answers
+     * - 'reselect' : selected scale is gone → select scaleId (root) from scratch
+     * - 'none'     : preview unaffected
+     *
+     * @param {ScaleStoreEvent[]} events - Batched change events
+     * @param {string|null} selectedScaleId - Scale currently shown in the preview
+     * @param {Map} scales - Scales Map (after the changes)
+     * @returns {{ action: 'none'|'refresh'|'reselect', scaleId?: string }}
+     */
+    function resolveStoreChange(events, selectedScaleId, scales) {
+        if (!selectedScaleId) {
+            return { action: 'none' };
+        }
+
+        if (!scales.has(selectedScaleId)) {
+            const roots = findRoots(scales);
+            return roots.length > 0
+                ? { action: 'reselect', scaleId: roots[0] }
+                : { action: 'none' };
+        }
+
+        const touched = events.some(event =>
+            event.type === 'cleared' || event.scaleIds.includes(selectedScaleId)
+        );
+
+        return touched
+            ? { action: 'refresh', scaleId: selectedScaleId }
+            : { action: 'none' };
+    }
+
     // ---------------------------------------------------------------------------
     // PUBLIC API
     // ---------------------------------------------------------------------------
@@ -203,7 +237,8 @@ const PreviewController = (function () {
         calculateScore,
         buildScaleTree,
         findRoots,
-        handleScaleSelection
+        handleScaleSelection,
+        resolveStoreChange
     };
 })();
 
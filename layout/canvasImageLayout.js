@@ -0,0 +1,217 @@
+/**
+ * MLPA Prototype - Canvas Image Layout Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Lay out the scale graph (or a part of it) for a standalone
+ *                 image export: box sizes, wrapped text lines and positions
+ * Inputs: Scales Map, the scale IDs to export, mode ('compact' | 'detailed')
+ * Outputs: Image layout (box rects with text lines, parent → child links, size)
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access (text is wrapped with an average glyph width, never measured)
+ *   - NO state mutation
+ *   - NO rendering (CanvasImageRenderer turns the layout into SVG)
+ * Invariants this module guarantees:
+ *   - Compact boxes sit at their stored positions (the canvas arrangement)
+ *   - Detailed boxes are placed by TidyLayout with their own sizes, so long
+ *     item lists never overlap
+ *   - Links only join two exported scales
+ *   - Every box lies at least PADDING inside the image
+ *   - Same inputs always produce same outputs
+ */
+
+// ============================================================================
+// IMAGE LAYOUT CONSTANTS
+// ============================================================================
+
+const CANVAS_IMAGE_LAYOUT = Object.freeze({
+  PADDING: 40,              // Margin around the graph
+  COMPACT_WIDTH: 240,       // Box width, compact mode (names only)
+  DETAILED_WIDTH: 380,      // Box width, detailed mode (dimensions and items)
+  BOX_PADDING: 12,
+  TITLE_LINE_HEIGHT: 18,
+  DIMENSION_LINE_HEIGHT: 16,
+  ITEM_LINE_HEIGHT: 15,
+  SECTION_GAP: 8,           // Space above each dimension
+  ITEM_INDENT: 20,          // Room for the item number
+  CHAR_WIDTH: 6.6,          // Average glyph width of 12px sans-serif
+  TITLE_CHAR_WIDTH: 7.6     // Average glyph width of 13px semibold sans-serif
+});
+
+// ============================================================================
+// TEXT
+// ============================================================================
+
+/**
+ * Wrap text on spaces into lines of at most maxChars characters (longer words
+ * are cut).
+ *
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]} At least one line
+ */
+function wrapImageText(text, maxChars) {
+  const words = String(text ?? '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+
+  words.forEach(word => {
+    while (word.length > maxChars) {
+      if (line) {
+        lines.push(line);
+        line = '';
+      }
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+    }
+    if (!word) return;
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+
+  if (line || lines.length === 0) lines.push(line);
+  return lines;
+}
+
+// ============================================================================
+// BOXES (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Size and text lines of one exported box. Line positions are relative to the
+ * box's top-left corner; y is the text baseline.
+ *
+ * @param {Scale} scale
+ * @param {'compact'|'detailed'} mode
+ * @returns {{width: number, height: number, lines: Array<{kind: string, text: string, x: number, y: number}>}}
+ *          kind: 'title' | 'dimension' | 'item-number' | 'item'
+ */
+function layoutImageBox(scale, mode) {
+  const L = CANVAS_IMAGE_LAYOUT;
+  const width = mode === 'detailed' ? L.DETAILED_WIDTH : L.COMPACT_WIDTH;
+  const textWidth = width - L.BOX_PADDING * 2;
+  const lines = [];
+  let y = L.BOX_PADDING;
+
+  wrapImageText(scale.scale_name || 'Tanpa nama', Math.floor(textWidth / L.TITLE_CHAR_WIDTH)).forEach(text => {
+    y += L.TITLE_LINE_HEIGHT;
+    lines.push({ kind: 'title', text, x: L.BOX_PADDING, y: y - 5 });
+  });
+
+  if (mode === 'detailed') {
+    const itemChars = Math.floor((textWidth - L.ITEM_INDENT) / L.CHAR_WIDTH);
+    let itemNumber = 1;
+
+    (Array.isArray(scale.dimensions) ? scale.dimensions : []).forEach(dimension => {
+      y += L.SECTION_GAP;
+      wrapImageText(dimension?.name || 'Tanpa dimensi', Math.floor(textWidth / L.CHAR_WIDTH)).forEach(text => {
+        y += L.DIMENSION_LINE_HEIGHT;
+        lines.push({ kind: 'dimension', text, x: L.BOX_PADDING, y: y - 4 });
+      });
+
+      (Array.isArray(dimension?.items) ? dimension.items : []).forEach(item => {
+        wrapImageText(item?.text, itemChars).forEach((text, i) => {
+          y += L.ITEM_LINE_HEIGHT;
+          if (i === 0) lines.push({ kind: 'item-number', text: `${itemNumber}.`, x: L.BOX_PADDING, y: y - 4 });
+          lines.push({ kind: 'item', text, x: L.BOX_PADDING + L.ITEM_INDENT, y: y - 4 });
+        });
+        itemNumber++;
+      });
+    });
+  }
+
+  return { width, height: y + L.BOX_PADDING, lines };
+}
+
+/**
+ * Layout of the exported part of the graph, shifted so it starts at PADDING.
+ *
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {Iterable<string>|null} scaleIds - Scales to export (null = all)
+ * @param {'compact'|'detailed'} mode
+ * @returns {CanvasImageLayout|null} null when nothing is exported
+ *
+ * @typedef {Object} CanvasImageLayout
+ * @property {number} width
+ * @property {number} height
+ * @property {Array<{scaleId: string, isRoot: boolean, x: number, y: number, width: number,
+ *           height: number, lines: Array}>} boxes - In scales Map order
+ * @property {Array<{parentId: string, childId: string}>} links
+ */
+function computeCanvasImageLayout(scales, scaleIds, mode) {
+  const L = CANVAS_IMAGE_LAYOUT;
+  const exported = new Map();
+  (scaleIds === null ? Array.from(scales.keys()) : Array.from(scaleIds)).forEach(scaleId => {
+    if (scales.has(scaleId)) exported.set(scaleId, scales.get(scaleId));
+  });
+  if (exported.size === 0) return null;
+
+  const boxes = new Map();
+  exported.forEach((scale, scaleId) => boxes.set(scaleId, layoutImageBox(scale, mode)));
+
+  // Tidy positions for detailed boxes, and for any scale never placed on the canvas
+  let tidy = null;
+  const needsTidy = mode === 'detailed' || Array.from(exported.values()).some(scale => !scale.position);
+  if (needsTidy) {
+    tidy = window.TidyLayout.computeTidyLayout(exported, boxes);
+  }
+  const positionOf = (scale, scaleId) => (mode !== 'detailed' && scale.position) || tidy.get(scaleId);
+
+  let minX = Infinity;
+  let minY = Infinity;
+  exported.forEach((scale, scaleId) => {
+    const position = positionOf(scale, scaleId);
+    minX = Math.min(minX, position.x);
+    minY = Math.min(minY, position.y);
+  });
+
+  let width = 0;
+  let height = 0;
+  const placed = Array.from(exported.entries()).map(([scaleId, scale]) => {
+    const position = positionOf(scale, scaleId);
+    const box = boxes.get(scaleId);
+    const x = position.x - minX + L.PADDING;
+    const y = position.y - minY + L.PADDING;
+    width = Math.max(width, x + box.width + L.PADDING);
+    height = Math.max(height, y + box.height + L.PADDING);
+    return { scaleId, isRoot: Boolean(scale.is_root), x, y, ...box };
+  });
+
+  const links = [];
+  exported.forEach((scale, scaleId) => {
+    if (scale.parent_scale_id && exported.has(scale.parent_scale_id)) {
+      links.push({ parentId: scale.parent_scale_id, childId: scaleId });
+    }
+  });
+
+  return { width: Math.ceil(width), height: Math.ceil(height), boxes: placed, links };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Browser global export
+if (typeof window !== 'undefined') {
+  window.CanvasImageLayout = {
+    wrapImageText,
+    layoutImageBox,
+    computeCanvasImageLayout,
+    CANVAS_IMAGE_LAYOUT
+  };
+}
+
+// CommonJS export (for future module systems)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    wrapImageText,
+    layoutImageBox,
+    computeCanvasImageLayout,
+    CANVAS_IMAGE_LAYOUT
+  };
+}
@@ -30,6 +30,20 @@ function createBezierPath(px, py, cx, cy) {
     return `M ${px} ${py} C ${c1x} ${c1y}, ${c2x} ${c2y}, ${cx} ${cy}`;
 }
 
+/**
+ * Point halfway along a path from createBezierPath (t = 0.5). The control
+ * points mirror each other, so this is the midpoint of the two ends.
+ * 
+ * @param {number} px - Parent X coordinate
+ * @param {number} py - Parent Y coordinate
+ * @param {number} cx - Child X coordinate
+ * @param {number} cy - Child Y coordinate
+ * @returns {{ x: number, y: number }}
+ */
+function getBezierMidpoint(px, py, cx, cy) {
+    return { x: (px + cx) / 2, y: (py + cy) / 2 };
+}
+
 /**
  * Calculate connection endpoints from parent and child positions.
  * This is a coordinate helper - still a pure function.
@@ -57,6 +71,7 @@ function calculateConnectionEndpoints(parentPos, childPos, parentSize, childSize
 if (typeof window !== 'undefined') {
     window.ConnectionGeometry = {
         createBezierPath,
+        getBezierMidpoint,
         calculateConnectionEndpoints
     };
 }
@@ -65,6 +80,7 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         createBezierPath,
+        getBezierMidpoint,
         calculateConnectionEndpoints
     };
 }
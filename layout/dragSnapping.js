@@ -0,0 +1,140 @@
+/**
+ * MLPA Prototype - Drag Snapping Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Snap a dragged flow box to other boxes' edges/centers or to the grid
+ * Inputs: World rect of the dragged box, world rects of the other boxes, zoom
+ * Outputs: { x, y, guides } snapped top-left position plus alignment guides
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access (app.js measures the boxes)
+ *   - NO state mutation (app.js saves the drop through ScaleStore)
+ *   - NO rendering of guides
+ * Invariants this module guarantees:
+ *   - Alignment wins over the grid; each axis snaps independently
+ *   - The snap distance is constant on screen (divided by zoom)
+ *   - Same inputs always produce same outputs
+ */
+
+// ============================================================================
+// SNAP CONSTANTS
+// ============================================================================
+
+const SNAP_SETTINGS = Object.freeze({
+  GRID: 24,                 // Same spacing as the canvas background dots
+  ALIGN_THRESHOLD: 8        // Screen pixels within which edges/centers align
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Left/center/right (or top/middle/bottom) coordinates of a rect on one axis.
+ * @private
+ */
+function snapAnchorsOf(rect, axis) {
+  const start = axis === 'x' ? rect.x : rect.y;
+  const size = axis === 'x' ? rect.width : rect.height;
+  return [start, start + size / 2, start + size];
+}
+
+/**
+ * Closest alignment of the moving rect with any other rect on one axis.
+ * @private
+ */
+function findSnapAlignment(rect, others, axis, threshold) {
+  const moving = snapAnchorsOf(rect, axis);
+  let best = null;
+
+  others.forEach(other => {
+    snapAnchorsOf(other, axis).forEach(target => {
+      moving.forEach(anchor => {
+        const delta = target - anchor;
+        if (Math.abs(delta) > threshold) return;
+        if (!best || Math.abs(delta) < Math.abs(best.delta)) {
+          best = { delta, value: target, other };
+        }
+      });
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Guide line along an aligned coordinate, spanning both rects.
+ * @private
+ */
+function createSnapGuide(axis, value, rect, other) {
+  const cross = axis === 'x' ? 'y' : 'x';
+  const size = axis === 'x' ? 'height' : 'width';
+  return {
+    axis,
+    value,
+    from: Math.min(rect[cross], other[cross]),
+    to: Math.max(rect[cross] + rect[size], other[cross] + other[size])
+  };
+}
+
+// ============================================================================
+// SNAPPING (PURE FUNCTION)
+// ============================================================================
+
+/**
+ * Snap a dragged box. Per axis: align an edge or center with another box
+ * when one is within ALIGN_THRESHOLD screen pixels, otherwise round the
+ * top-left corner to the grid.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} rect - Dragged box (unsnapped, world)
+ * @param {Array<{x: number, y: number, width: number, height: number}>} others - Boxes that stay put
+ * @param {number} [zoom] - Current zoom (keeps the threshold constant on screen)
+ * @returns {{x: number, y: number, guides: Array<{axis: 'x'|'y', value: number, from: number, to: number}>}}
+ *          guides: axis 'x' = vertical line at x = value, from/to along y (and vice versa)
+ */
+function snapBoxPosition(rect, others, zoom = 1) {
+  const threshold = SNAP_SETTINGS.ALIGN_THRESHOLD / zoom;
+  const guides = [];
+  let { x, y } = rect;
+
+  const alignX = findSnapAlignment(rect, others, 'x', threshold);
+  if (alignX) {
+    x += alignX.delta;
+  } else {
+    x = Math.round(x / SNAP_SETTINGS.GRID) * SNAP_SETTINGS.GRID;
+  }
+
+  const alignY = findSnapAlignment(rect, others, 'y', threshold);
+  if (alignY) {
+    y += alignY.delta;
+  } else {
+    y = Math.round(y / SNAP_SETTINGS.GRID) * SNAP_SETTINGS.GRID;
+  }
+
+  const snapped = { ...rect, x, y };
+  if (alignX) guides.push(createSnapGuide('x', alignX.value, snapped, alignX.other));
+  if (alignY) guides.push(createSnapGuide('y', alignY.value, snapped, alignY.other));
+
+  return { x, y, guides };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Browser global export
+if (typeof window !== 'undefined') {
+  window.DragSnapping = {
+    snapBoxPosition,
+    SNAP_SETTINGS
+  };
+}
+
+// CommonJS export (for future module systems)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    snapBoxPosition,
+    SNAP_SETTINGS
+  };
+}
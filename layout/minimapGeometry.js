@@ -0,0 +1,188 @@
+/**
+ * MLPA Prototype - Minimap Geometry Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Project the scale graph and the canvas viewport onto the minimap
+ * Inputs: Scales (stored positions), visible world rectangle
+ * Outputs: Minimap rectangles, link endpoints, projection objects
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access (box sizes are estimated, never measured)
+ *   - NO state mutation
+ *   - NO rendering
+ * Invariants this module guarantees:
+ *   - Scale rectangles come from scale.position only
+ *   - The projection keeps aspect ratio and fits every scale plus the viewport
+ *   - projectFromMinimap(projectToMinimap(p)) === p
+ *   - Same inputs always produce same outputs
+ */
+
+// ============================================================================
+// MINIMAP CONSTANTS
+// ============================================================================
+
+const MINIMAP_LAYOUT = Object.freeze({
+  WIDTH: 200,               // Minimap size in screen pixels
+  HEIGHT: 140,
+  PADDING: 6,
+  BOX_WIDTH: 400            // Estimated flow box width (min 320, max 480)
+});
+
+// ============================================================================
+// WORLD GEOMETRY (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * World rectangle of a scale's flow box, from its stored position.
+ *
+ * @param {Scale} scale
+ * @returns {{x: number, y: number, width: number, height: number}|null} null without position
+ */
+function getScaleWorldRect(scale) {
+  if (!scale?.position) return null;
+  return {
+    x: scale.position.x,
+    y: scale.position.y,
+    width: MINIMAP_LAYOUT.BOX_WIDTH,
+    // Same height estimate branch positioning lays boxes out with
+    height: window.BranchPositioning.LAYOUT_CONSTANTS.ESTIMATED_HEIGHT
+  };
+}
+
+/**
+ * World rectangle the minimap must show: every scale plus the viewport.
+ *
+ * @param {Iterable<Scale>} scales - Map values or array
+ * @param {{x: number, y: number, width: number, height: number}} viewportRect - Visible world rect
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getMinimapWorldBounds(scales, viewportRect) {
+  const rects = Array.from(scales)
+    .map(getScaleWorldRect)
+    .filter(Boolean);
+  rects.push(viewportRect);
+
+  return window.ViewportMath.getBounds(rects);
+}
+
+// ============================================================================
+// PROJECTION (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Uniform scale + offset that fits a world rectangle into the minimap, centered.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} bounds - World rect to show
+ * @returns {{scale: number, offsetX: number, offsetY: number}} minimap = world × scale + offset
+ */
+function createMinimapProjection(bounds) {
+  const { WIDTH, HEIGHT, PADDING } = MINIMAP_LAYOUT;
+  const scale = Math.min(
+    (WIDTH - PADDING * 2) / Math.max(1, bounds.width),
+    (HEIGHT - PADDING * 2) / Math.max(1, bounds.height)
+  );
+
+  return {
+    scale,
+    offsetX: (WIDTH - bounds.width * scale) / 2 - bounds.x * scale,
+    offsetY: (HEIGHT - bounds.height * scale) / 2 - bounds.y * scale
+  };
+}
+
+/**
+ * World point → minimap point.
+ *
+ * @param {{x: number, y: number}} point
+ * @param {{scale: number, offsetX: number, offsetY: number}} projection
+ * @returns {{x: number, y: number}}
+ */
+function projectToMinimap(point, projection) {
+  return {
+    x: point.x * projection.scale + projection.offsetX,
+    y: point.y * projection.scale + projection.offsetY
+  };
+}
+
+/**
+ * Minimap point → world point (click / drag target).
+ *
+ * @param {{x: number, y: number}} point
+ * @param {{scale: number, offsetX: number, offsetY: number}} projection
+ * @returns {{x: number, y: number}}
+ */
+function projectFromMinimap(point, projection) {
+  return {
+    x: (point.x - projection.offsetX) / projection.scale,
+    y: (point.y - projection.offsetY) / projection.scale
+  };
+}
+
+/**
+ * World rectangle → minimap rectangle.
+ *
+ * @param {{x: number, y: number, width: number, height: number}} rect
+ * @param {{scale: number, offsetX: number, offsetY: number}} projection
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function projectRectToMinimap(rect, projection) {
+  const topLeft = projectToMinimap(rect, projection);
+  return {
+    x: topLeft.x,
+    y: topLeft.y,
+    width: rect.width * projection.scale,
+    height: rect.height * projection.scale
+  };
+}
+
+/**
+ * Minimap endpoints of a parent link: right-center of the parent box to
+ * left-center of the child box (same anchors as the canvas connectors).
+ *
+ * @param {Scale} parentScale
+ * @param {Scale} childScale
+ * @param {{scale: number, offsetX: number, offsetY: number}} projection
+ * @returns {{x1: number, y1: number, x2: number, y2: number}|null} null if either lacks a position
+ */
+function getMinimapLink(parentScale, childScale, projection) {
+  const parentRect = getScaleWorldRect(parentScale);
+  const childRect = getScaleWorldRect(childScale);
+  if (!parentRect || !childRect) return null;
+
+  const from = projectToMinimap({ x: parentRect.x + parentRect.width, y: parentRect.y + parentRect.height / 2 }, projection);
+  const to = projectToMinimap({ x: childRect.x, y: childRect.y + childRect.height / 2 }, projection);
+
+  return { x1: from.x, y1: from.y, x2: to.x, y2: to.y };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Browser global export
+if (typeof window !== 'undefined') {
+  window.MinimapGeometry = {
+    MINIMAP_LAYOUT,
+    getScaleWorldRect,
+    getMinimapWorldBounds,
+    createMinimapProjection,
+    projectToMinimap,
+    projectFromMinimap,
+    projectRectToMinimap,
+    getMinimapLink
+  };
+}
+
+// CommonJS export (for future module systems)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MINIMAP_LAYOUT,
+    getScaleWorldRect,
+    getMinimapWorldBounds,
+    createMinimapProjection,
+    projectToMinimap,
+    projectFromMinimap,
+    projectRectToMinimap,
+    getMinimapLink
+  };
+}
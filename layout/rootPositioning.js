@@ -0,0 +1,89 @@
+/**
+ * MLPA Prototype - Root Positioning Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Place an additional root scale on a canvas that already holds other trees
+ * Inputs: Positions of the scales already on the canvas
+ * Outputs: { x, y, depth } position object for the new root
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO state mutation
+ *   - NO rendering
+ *   - NO branch placement (branchPositioning.js owns that)
+ * Invariants this module guarantees:
+ *   - A new root lands below every existing scale, in the same column as the first root
+ *   - Its first upward branch layers fit between it and the existing trees
+ *   - Same inputs always produce same outputs
+ */
+
+// ============================================================================
+// ROOT LAYOUT CONSTANTS
+// ============================================================================
+
+const ROOT_LAYOUT = Object.freeze({
+  DEFAULT_X: 100,           // Same column as an uploaded root
+  DEFAULT_Y: 250,
+  CLEARANCE_ROWS: 2         // Upward branch layers kept free above a new root
+});
+
+// ============================================================================
+// ROOT POSITIONING (PURE FUNCTION)
+// ============================================================================
+
+/**
+ * Calculate the position of a new root below all existing scales.
+ * Branch index 0 and 2 of the new root (one and two rows up) stay clear of
+ * the lowest existing flow box.
+ *
+ * @param {Iterable<Scale>} scales - Scales already on the canvas (Map values or array)
+ * @param {Object} [constants] - Optional override for branch layout constants
+ * @returns {{ x: number, y: number, depth: number }}
+ */
+function getNextRootPosition(scales, constants) {
+  const { ROW_HEIGHT } = constants || window.BranchPositioning.LAYOUT_CONSTANTS;
+
+  let maxY = null;
+  let rootX = null;
+
+  for (const scale of scales) {
+    if (!scale || !scale.position) continue;
+
+    maxY = maxY === null ? scale.position.y : Math.max(maxY, scale.position.y);
+    if (rootX === null && (scale.is_root || !scale.parent_scale_id)) {
+      rootX = scale.position.x;
+    }
+  }
+
+  // Empty canvas: the usual upload position
+  if (maxY === null) {
+    return { x: ROOT_LAYOUT.DEFAULT_X, y: ROOT_LAYOUT.DEFAULT_Y, depth: 0 };
+  }
+
+  return {
+    x: rootX ?? ROOT_LAYOUT.DEFAULT_X,
+    y: maxY + (ROOT_LAYOUT.CLEARANCE_ROWS + 1) * ROW_HEIGHT,
+    depth: 0
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Browser global export
+if (typeof window !== 'undefined') {
+  window.RootPositioning = {
+    getNextRootPosition,
+    ROOT_LAYOUT
+  };
+}
+
+// CommonJS export (for future module systems)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getNextRootPosition,
+    ROOT_LAYOUT
+  };
+}
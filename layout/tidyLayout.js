@@ -0,0 +1,289 @@
+/**
+ * MLPA Prototype - Tidy Layout Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Non-overlapping positions for the whole forest (opt-in "Rapikan")
+ * Inputs: Scales Map, measured flow box sizes, pinned flags on scales
+ * Outputs: Map of scale_id → { x, y } (top-left, world space)
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access (app.js measures the boxes and passes their sizes)
+ *   - NO state mutation (app.js writes the result through ScaleStore.updateScales)
+ *   - NO rendering or animation
+ * Invariants this module guarantees:
+ *   - Generations form columns: every box of one depth shares an x
+ *   - Sibling subtrees never overlap (Reingold–Tilford style contour packing)
+ *   - A parent is centered on its first and last child
+ *   - Pinned scales (positionPinned) keep their position; their subtree is laid
+ *     out tidily around them and is left out of the parent's packing
+ *   - Separate trees are stacked top to bottom in their current order, and
+ *     moved further down past any pinned group they would overlap
+ *   - Same inputs always produce same outputs
+ */
+
+// ============================================================================
+// TIDY LAYOUT CONSTANTS
+// ============================================================================
+
+const TIDY_LAYOUT = Object.freeze({
+  COLUMN_GAP: 150,          // Horizontal room for connectors between generations
+  SIBLING_GAP: 24,          // Vertical gap between neighbouring subtrees (= VERTICAL_GAP)
+  TREE_GAP: 96,             // Vertical gap between separate trees
+  DEFAULT_WIDTH: 400,       // Used when a box was not measured
+  DEFAULT_HEIGHT: 180
+});
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Measured size of a box, or the default estimate.
+ * @private
+ */
+function tidySizeOf(sizes, scaleId) {
+  const size = sizes.get(scaleId);
+  return {
+    width: size?.width || TIDY_LAYOUT.DEFAULT_WIDTH,
+    height: size?.height || TIDY_LAYOUT.DEFAULT_HEIGHT
+  };
+}
+
+/**
+ * Pack one subtree. Returns its contour: for every level below (and including)
+ * the node, the top and bottom extent relative to the node's center. Child
+ * center offsets (relative to their parent's center) are written to `offsets`.
+ * @private
+ */
+function tidyPackSubtree(scaleId, context) {
+  const { height } = tidySizeOf(context.sizes, scaleId);
+  const contour = [{ top: -height / 2, bottom: height / 2 }];
+
+  const children = context.childrenOf(scaleId).filter(childId => !context.isPinned(childId));
+  if (children.length === 0) return contour;
+
+  const below = [];   // Merged contour of the children placed so far
+  const placed = [];
+
+  children.forEach(childId => {
+    const childContour = tidyPackSubtree(childId, context);
+
+    // Push the child down until no shared level overlaps what is already placed
+    let offset = 0;
+    if (placed.length > 0) {
+      offset = -Infinity;
+      const shared = Math.min(below.length, childContour.length);
+      for (let level = 0; level < shared; level++) {
+        offset = Math.max(offset, below[level].bottom + TIDY_LAYOUT.SIBLING_GAP - childContour[level].top);
+      }
+    }
+    placed.push(offset);
+
+    childContour.forEach((extent, level) => {
+      const top = extent.top + offset;
+      const bottom = extent.bottom + offset;
+      below[level] = below[level]
+        ? { top: Math.min(below[level].top, top), bottom: Math.max(below[level].bottom, bottom) }
+        : { top, bottom };
+    });
+  });
+
+  const center = (placed[0] + placed[placed.length - 1]) / 2;
+  children.forEach((childId, i) => context.offsets.set(childId, placed[i] - center));
+  below.forEach(extent => contour.push({ top: extent.top - center, bottom: extent.bottom - center }));
+
+  return contour;
+}
+
+/**
+ * Members of an anchor group in breadth-first order with their relative depth.
+ * A group stops at pinned descendants (they anchor groups of their own).
+ * @private
+ */
+function tidyGroupMembers(anchorId, context) {
+  const members = [{ scaleId: anchorId, depth: 0 }];
+  for (let i = 0; i < members.length; i++) {
+    const { scaleId, depth } = members[i];
+    context.childrenOf(scaleId)
+      .filter(childId => !context.isPinned(childId))
+      .forEach(childId => members.push({ scaleId: childId, depth: depth + 1 }));
+  }
+  return members;
+}
+
+/**
+ * Absolute positions of a packed group, given where its anchor's left edge
+ * and vertical center go.
+ * @private
+ */
+function tidyPlaceGroup(anchorId, anchorX, anchorCenterY, context, positions) {
+  const members = tidyGroupMembers(anchorId, context);
+
+  // Column x per relative depth: widest box of the previous column + gap
+  const columnWidths = [];
+  members.forEach(({ scaleId, depth }) => {
+    columnWidths[depth] = Math.max(columnWidths[depth] || 0, tidySizeOf(context.sizes, scaleId).width);
+  });
+  const columnX = [anchorX];
+  for (let depth = 1; depth < columnWidths.length; depth++) {
+    columnX[depth] = columnX[depth - 1] + columnWidths[depth - 1] + TIDY_LAYOUT.COLUMN_GAP;
+  }
+
+  const centers = new Map([[anchorId, anchorCenterY]]);
+  members.forEach(({ scaleId, depth }) => {
+    if (scaleId !== anchorId) {
+      const parentId = context.scales.get(scaleId).parent_scale_id;
+      centers.set(scaleId, centers.get(parentId) + context.offsets.get(scaleId));
+    }
+    const { height } = tidySizeOf(context.sizes, scaleId);
+    positions.set(scaleId, {
+      x: Math.round(columnX[depth]),
+      y: Math.round(centers.get(scaleId) - height / 2)
+    });
+  });
+}
+
+/**
+ * Box rectangles of a placed group (world space).
+ * @private
+ */
+function tidyGroupRects(anchorId, context, positions) {
+  return tidyGroupMembers(anchorId, context).map(({ scaleId }) => {
+    const { x, y } = positions.get(scaleId);
+    const { width, height } = tidySizeOf(context.sizes, scaleId);
+    return { left: x, right: x + width, top: y, bottom: y + height };
+  });
+}
+
+/**
+ * How far a group must move down so none of its boxes comes within
+ * SIBLING_GAP of an obstacle box (0 when it is already clear).
+ * @private
+ */
+function tidyClearance(rects, obstacles) {
+  let shift = 0;
+  rects.forEach(rect => {
+    obstacles.forEach(obstacle => {
+      const overlaps = rect.left < obstacle.right && obstacle.left < rect.right &&
+        rect.top < obstacle.bottom + TIDY_LAYOUT.SIBLING_GAP &&
+        obstacle.top < rect.bottom + TIDY_LAYOUT.SIBLING_GAP;
+      if (overlaps) {
+        shift = Math.max(shift, obstacle.bottom + TIDY_LAYOUT.SIBLING_GAP - rect.top);
+      }
+    });
+  });
+  return shift;
+}
+
+// ============================================================================
+// TIDY LAYOUT (PURE FUNCTION)
+// ============================================================================
+
+/**
+ * Compute tidy, non-overlapping positions for every scale of the forest.
+ *
+ * Each tree keeps its root column; the first tree (topmost root) keeps its
+ * root's vertical center and the others are stacked below it. Pinned scales
+ * stay where they are and their unpinned descendants are arranged around them;
+ * a stacked tree that would overlap such a pinned group moves down past it.
+ *
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {Map<string, {width: number, height: number}>} sizes - Measured flow box sizes
+ * @returns {Map<string, {x: number, y: number}>} New top-left position per scale
+ */
+function computeTidyLayout(scales, sizes) {
+  const children = new Map();
+  scales.forEach(scale => {
+    const parentId = scale.parent_scale_id;
+    if (!parentId || !scales.has(parentId)) return;
+    if (!children.has(parentId)) children.set(parentId, []);
+    children.get(parentId).push(scale.scale_id);
+  });
+
+  // Siblings keep their current top-to-bottom order
+  const byCurrentOrder = (a, b) => {
+    const scaleA = scales.get(a);
+    const scaleB = scales.get(b);
+    return ((scaleA.position?.y ?? 0) - (scaleB.position?.y ?? 0))
+      || ((scaleA.branch_index ?? 0) - (scaleB.branch_index ?? 0));
+  };
+  children.forEach(list => list.sort(byCurrentOrder));
+
+  const context = {
+    scales,
+    sizes,
+    offsets: new Map(),
+    childrenOf: scaleId => children.get(scaleId) || [],
+    isPinned: scaleId => scales.get(scaleId)?.positionPinned === true
+  };
+
+  const positions = new Map();
+  const roots = Array.from(scales.values())
+    .filter(scale => !scale.parent_scale_id || !scales.has(scale.parent_scale_id))
+    .map(scale => scale.scale_id)
+    .sort(byCurrentOrder);
+
+  // Pinned anchors: roots and inner scales the user pinned
+  const obstacles = [];
+  Array.from(scales.keys())
+    .filter(context.isPinned)
+    .forEach(scaleId => {
+      const scale = scales.get(scaleId);
+      tidyPackSubtree(scaleId, context);
+      tidyPlaceGroup(
+        scaleId,
+        scale.position?.x ?? 0,
+        (scale.position?.y ?? 0) + tidySizeOf(sizes, scaleId).height / 2,
+        context,
+        positions
+      );
+      obstacles.push(...tidyGroupRects(scaleId, context, positions));
+    });
+
+  // Unpinned trees: stacked in current order
+  let previousBottom = null;
+  roots.filter(rootId => !context.isPinned(rootId)).forEach(rootId => {
+    const root = scales.get(rootId);
+    const contour = tidyPackSubtree(rootId, context);
+    const top = Math.min(...contour.map(extent => extent.top));
+    const bottom = Math.max(...contour.map(extent => extent.bottom));
+
+    let centerY = previousBottom === null
+      ? (root.position?.y ?? 0) + tidySizeOf(sizes, rootId).height / 2
+      : previousBottom + TIDY_LAYOUT.TREE_GAP - top;
+
+    // Move down past pinned groups until no box overlaps one (each step
+    // clears at least one obstacle, and the tree only ever moves down)
+    let shift;
+    do {
+      tidyPlaceGroup(rootId, root.position?.x ?? 0, centerY, context, positions);
+      shift = Math.ceil(tidyClearance(tidyGroupRects(rootId, context, positions), obstacles));
+      centerY += shift;
+    } while (shift > 0);
+
+    previousBottom = centerY + bottom;
+  });
+
+  return positions;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Browser global export
+if (typeof window !== 'undefined') {
+  window.TidyLayout = {
+    computeTidyLayout,
+    TIDY_LAYOUT
+  };
+}
+
+// CommonJS export (for future module systems)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    computeTidyLayout,
+    TIDY_LAYOUT
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * MLPA Prototype - Viewport Culling Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Decide which flow boxes are near enough to the viewport to be
+ *                 rendered in full, and give every box a world rectangle without
+ *                 reading the DOM
+ * Inputs: Scales (stored positions), remembered box sizes, visible world rectangle, zoom
+ * Outputs: World rectangles, the set of scale IDs to render in full
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access (app.js measures rendered boxes and passes their sizes)
+ *   - NO state mutation
+ *   - NO rendering (FlowBoxReconciler draws placeholders for culled boxes)
+ * Invariants this module guarantees:
+ *   - A box's rect is its stored position plus its remembered (else estimated) size
+ *   - The margin around the viewport is constant on screen (divided by zoom)
+ *   - Same inputs always produce same outputs
+ */
+
+// ============================================================================
+// CULLING CONSTANTS
+// ============================================================================
+
+const CULLING_SETTINGS = Object.freeze({
+  MARGIN: 300,              // Screen pixels around the viewport still rendered in full
+  DEFAULT_WIDTH: 400,       // Estimate for boxes never rendered in full (min 320, max 480)
+  DEFAULT_HEIGHT: 180       // = BranchPositioning ESTIMATED_HEIGHT
+});
+
+// ============================================================================
+// GEOMETRY (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * World rectangle of a scale's flow box from its stored position and size.
+ *
+ * @param {Scale} scale
+ * @param {{width: number, height: number}} [size] - Remembered size (estimate if missing)
+ * @param {{x: number, y: number}} [position] - Position override (box being dragged)
+ * @returns {{x: number, y: number, width: number, height: number}|null} null without position
+ */
+function getScaleBoxRect(scale, size, position) {
+  const origin = position || scale?.position;
+  if (!origin) return null;
+  return {
+    x: origin.x,
+    y: origin.y,
+    width: size?.width || CULLING_SETTINGS.DEFAULT_WIDTH,
+    height: size?.height || CULLING_SETTINGS.DEFAULT_HEIGHT
+  };
+}
+
+/**
+ * Whether two rectangles overlap (touching edges do not count).
+ *
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @returns {boolean}
+ */
+function rectsIntersect(a, b) {
+  return a.x < b.x + b.width && a.x + a.width > b.x
+    && a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+// ============================================================================
+// CULLING (PURE FUNCTION)
+// ============================================================================
+
+/**
+ * Scales whose box lies within the visible world rectangle grown by MARGIN
+ * screen pixels. Scales without a position are always included (they are
+ * positioned when rendered).
+ *
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {{x: number, y: number, width: number, height: number}} viewportRect - Visible world rect
+ * @param {Map<string, {width: number, height: number}>} sizes - Remembered box sizes
+ * @param {number} [zoom] - Current zoom (keeps the margin constant on screen)
+ * @returns {Set<string>} Scale IDs to render in full
+ */
+function computeVisibleScaleIds(scales, viewportRect, sizes, zoom = 1) {
+  const margin = CULLING_SETTINGS.MARGIN / zoom;
+  const area = {
+    x: viewportRect.x - margin,
+    y: viewportRect.y - margin,
+    width: viewportRect.width + margin * 2,
+    height: viewportRect.height + margin * 2
+  };
+
+  const visible = new Set();
+  scales.forEach((scale, scaleId) => {
+    const rect = getScaleBoxRect(scale, sizes.get(scaleId));
+    if (!rect || rectsIntersect(rect, area)) visible.add(scaleId);
+  });
+  return visible;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Browser global export
+if (typeof window !== 'undefined') {
+  window.ViewportCulling = {
+    getScaleBoxRect,
+    rectsIntersect,
+    computeVisibleScaleIds,
+    CULLING_SETTINGS
+  };
+}
+
+// CommonJS export (for future module systems)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getScaleBoxRect,
+    rectsIntersect,
+    computeVisibleScaleIds,
+    CULLING_SETTINGS
+  };
+}
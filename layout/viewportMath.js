@@ -0,0 +1,266 @@
+/**
+ * MLPA Prototype - Viewport Math Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Pan/zoom arithmetic of the flow canvas viewport
+ * Inputs: Viewport { pan: {x, y}, zoom }, screen points, world rectangles
+ * Outputs: Converted points and rectangles, new viewport objects
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access (callers pass canvas-relative points and sizes)
+ *   - NO state mutation (callers write canvasState.pan / canvasState.zoom)
+ *   - NO rendering
+ * Invariants this module guarantees:
+ *   - screen = world × zoom + pan (the world layer is translated, then scaled from 0,0)
+ *   - Zoom always lies within ZOOM_LIMITS
+ *   - Same inputs always produce same outputs
+ */
+
+// ============================================================================
+// ZOOM CONSTANTS
+// ============================================================================
+
+const ZOOM_LIMITS = Object.freeze({
+  MIN: 0.2,
+  MAX: 2,
+  DEFAULT: 1,
+  STEP: 1.2,              // Factor per zoom button press
+  WHEEL_SENSITIVITY: 0.0015, // Zoom factor per wheel delta pixel
+  FIT_PADDING: 48         // Screen pixels kept free around fitted content
+});
+
+// ============================================================================
+// CONVERSION (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Clamp a zoom factor to ZOOM_LIMITS (non-numbers become the default).
+ *
+ * @param {number} zoom
+ * @returns {number}
+ */
+function clampZoom(zoom) {
+  if (typeof zoom !== 'number' || !Number.isFinite(zoom) || zoom <= 0) {
+    return ZOOM_LIMITS.DEFAULT;
+  }
+  return Math.min(ZOOM_LIMITS.MAX, Math.max(ZOOM_LIMITS.MIN, zoom));
+}
+
+/**
+ * Convert a canvas-relative screen point to world coordinates.
+ *
+ * @param {{x: number, y: number}} point - Screen point relative to the canvas
+ * @param {{pan: {x: number, y: number}, zoom: number}} viewport
+ * @returns {{x: number, y: number}}
+ */
+function screenToWorld(point, viewport) {
+  const zoom = clampZoom(viewport.zoom);
+  return {
+    x: (point.x - viewport.pan.x) / zoom,
+    y: (point.y - viewport.pan.y) / zoom
+  };
+}
+
+/**
+ * Convert a world point to canvas-relative screen coordinates.
+ *
+ * @param {{x: number, y: number}} point - World point
+ * @param {{pan: {x: number, y: number}, zoom: number}} viewport
+ * @returns {{x: number, y: number}}
+ */
+function worldToScreen(point, viewport) {
+  const zoom = clampZoom(viewport.zoom);
+  return {
+    x: point.x * zoom + viewport.pan.x,
+    y: point.y * zoom + viewport.pan.y
+  };
+}
+
+// ============================================================================
+// ZOOM (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Zoom to a new factor while keeping one screen point fixed (cursor, pinch
+ * center or canvas center).
+ *
+ * @param {{pan: {x: number, y: number}, zoom: number}} viewport - Current viewport
+ * @param {{x: number, y: number}} anchor - Canvas-relative screen point that must not move
+ * @param {number} zoom - Requested zoom (clamped)
+ * @returns {{pan: {x: number, y: number}, zoom: number}} New viewport
+ */
+function zoomAt(viewport, anchor, zoom) {
+  const nextZoom = clampZoom(zoom);
+  const world = screenToWorld(anchor, viewport);
+
+  return {
+    pan: {
+      x: anchor.x - world.x * nextZoom,
+      y: anchor.y - world.y * nextZoom
+    },
+    zoom: nextZoom
+  };
+}
+
+/**
+ * Zoom factor for a wheel event delta (negative delta = zoom in).
+ *
+ * @param {number} zoom - Current zoom
+ * @param {number} deltaY - WheelEvent.deltaY in pixels
+ * @returns {number} New zoom (clamped)
+ */
+function zoomFromWheel(zoom, deltaY) {
+  return clampZoom(clampZoom(zoom) * Math.exp(-deltaY * ZOOM_LIMITS.WHEEL_SENSITIVITY));
+}
+
+/**
+ * Union of world rectangles.
+ *
+ * @param {Array<{x: number, y: number, width: number, height: number}>} rects
+ * @returns {{x: number, y: number, width: number, height: number}|null} null for no rects
+ */
+function getBounds(rects) {
+  if (!rects || rects.length === 0) return null;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  rects.forEach(rect => {
+    minX = Math.min(minX, rect.x);
+    minY = Math.min(minY, rect.y);
+    maxX = Math.max(maxX, rect.x + rect.width);
+    maxY = Math.max(maxY, rect.y + rect.height);
+  });
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
+
+/**
+ * Viewport that shows a world rectangle centered in the canvas, as large as
+ * fits (never above ZOOM_LIMITS.MAX, so a single box is not blown up).
+ *
+ * @param {{x: number, y: number, width: number, height: number}} bounds - World rectangle
+ * @param {{width: number, height: number}} size - Canvas size in screen pixels
+ * @param {number} [padding] - Screen pixels kept free on every side
+ * @returns {{pan: {x: number, y: number}, zoom: number}}
+ */
+function fitBounds(bounds, size, padding = ZOOM_LIMITS.FIT_PADDING) {
+  const availableWidth = Math.max(1, size.width - padding * 2);
+  const availableHeight = Math.max(1, size.height - padding * 2);
+  const zoom = clampZoom(Math.min(
+    availableWidth / Math.max(1, bounds.width),
+    availableHeight / Math.max(1, bounds.height),
+    ZOOM_LIMITS.DEFAULT
+  ));
+
+  return {
+    pan: {
+      x: size.width / 2 - (bounds.x + bounds.width / 2) * zoom,
+      y: size.height / 2 - (bounds.y + bounds.height / 2) * zoom
+    },
+    zoom
+  };
+}
+
+/**
+ * Viewport at the given zoom that centers a world point in the canvas.
+ *
+ * @param {{x: number, y: number}} point - World point
+ * @param {{width: number, height: number}} size - Canvas size in screen pixels
+ * @param {number} zoom - Zoom to keep (clamped)
+ * @returns {{pan: {x: number, y: number}, zoom: number}}
+ */
+function centerOn(point, size, zoom) {
+  const nextZoom = clampZoom(zoom);
+  return {
+    pan: {
+      x: size.width / 2 - point.x * nextZoom,
+      y: size.height / 2 - point.y * nextZoom
+    },
+    zoom: nextZoom
+  };
+}
+
+/**
+ * Viewport at the current zoom that brings a world rectangle into view with the
+ * smallest pan change (keyboard focus moving to another box). A rectangle
+ * larger than the canvas is aligned to its top-left corner.
+ *
+ * @param {{pan: {x: number, y: number}, zoom: number}} viewport - Current viewport
+ * @param {{x: number, y: number, width: number, height: number}} bounds - World rectangle
+ * @param {{width: number, height: number}} size - Canvas size in screen pixels
+ * @param {number} [padding] - Screen pixels kept free on every side
+ * @returns {{pan: {x: number, y: number}, zoom: number}} Same pan if already in view
+ */
+function revealBounds(viewport, bounds, size, padding = ZOOM_LIMITS.FIT_PADDING) {
+  const zoom = clampZoom(viewport.zoom);
+  const shift = (pan, start, length, available) => {
+    const screenStart = start * zoom + pan;
+    const screenEnd = screenStart + length * zoom;
+    if (screenStart < padding || length * zoom > available - padding * 2) return pan + padding - screenStart;
+    if (screenEnd > available - padding) return pan + (available - padding) - screenEnd;
+    return pan;
+  };
+
+  return {
+    pan: {
+      x: shift(viewport.pan.x, bounds.x, bounds.width, size.width),
+      y: shift(viewport.pan.y, bounds.y, bounds.height, size.height)
+    },
+    zoom
+  };
+}
+
+/**
+ * World rectangle currently visible in the canvas.
+ *
+ * @param {{pan: {x: number, y: number}, zoom: number}} viewport
+ * @param {{width: number, height: number}} size - Canvas size in screen pixels
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getVisibleWorldRect(viewport, size) {
+  const zoom = clampZoom(viewport.zoom);
+  const topLeft = screenToWorld({ x: 0, y: 0 }, viewport);
+  return { x: topLeft.x, y: topLeft.y, width: size.width / zoom, height: size.height / zoom };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+// Browser global export
+if (typeof window !== 'undefined') {
+  window.ViewportMath = {
+    ZOOM_LIMITS,
+    clampZoom,
+    screenToWorld,
+    worldToScreen,
+    zoomAt,
+    zoomFromWheel,
+    getBounds,
+    fitBounds,
+    centerOn,
+    revealBounds,
+    getVisibleWorldRect
+  };
+}
+
+// CommonJS export (for future module systems)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ZOOM_LIMITS,
+    clampZoom,
+    screenToWorld,
+    worldToScreen,
+    zoomAt,
+    zoomFromWheel,
+    getBounds,
+    fitBounds,
+    centerOn,
+    revealBounds,
+    getVisibleWorldRect
+  };
+}
@@ -73,6 +73,81 @@ function expandDimensionsBasic(gptDimensions, scaleId, sourceDimensions) {
     });
 }
 
+/**
+ * Deep-clone a scale under a new ID for manual adaptation (no GPT).
+ * Items get fresh IDs and rubric_source 'manual'; baseline_rubric is kept.
+ * origin_item_id is remapped through originIdMap when it points into a
+ * copied subtree, so a copied child derives from the copied parent. A copy
+ * placed under its own source derives from the source items directly.
+ * Descriptive metadata is copied; status restarts as draft and ScaleStore
+ * stamps fresh timestamps.
+ *
+ * @param {Scale} sourceScale - Scale to copy
+ * @param {string} scaleId - ID of the copy
+ * @param {string} parentScaleId - Parent of the copy
+ * @param {{x: number, y: number, depth: number, branch_index: number}} position - Computed position
+ * @param {Map<string, string>} [originIdMap] - Copied item IDs: original item_id → new item_id
+ * @returns {{ scale: Scale, itemIdMap: Map<string, string> }} Copy + its own item ID mapping
+ */
+function duplicateScale(sourceScale, scaleId, parentScaleId, position, originIdMap = new Map()) {
+    const itemIdMap = new Map();
+    const underSource = parentScaleId === sourceScale.scale_id;
+    let itemCounter = 1;
+
+    const dimensions = (sourceScale.dimensions || []).map(dim => ({
+        ...dim,
+        items: (dim.items || []).map(item => {
+            const newItemId = `${scaleId}-item-${itemCounter++}`;
+            itemIdMap.set(item.item_id, newItemId);
+
+            const origin = underSource
+                ? item.item_id
+                : originIdMap.get(item.origin_item_id) || item.origin_item_id;
+
+            return {
+                ...item,
+                item_id: newItemId,
+                origin_item_id: origin,
+                baseline_rubric: [...(item.baseline_rubric || [])],
+                current_rubric: [...(item.current_rubric || [])],
+                rubric_source: 'manual'
+            };
+        })
+    }));
+
+    return {
+        scale: {
+            scale_id: scaleId,
+            scale_name: sourceScale.scale_name,
+            parent_scale_id: parentScaleId,
+            is_root: false,
+            expanded: false,
+            depth: position.depth,
+            branch_index: position.branch_index,
+            position: { x: position.x, y: position.y },
+            positionLocked: true,
+            ...copyDescriptiveMetadata(sourceScale),
+            dimensions
+        },
+        itemIdMap
+    };
+}
+
+/**
+ * Metadata that describes a scale's content (not its review state or age).
+ * @private
+ */
+function copyDescriptiveMetadata(sourceScale) {
+    const copy = {};
+    window.ScaleMetadata.METADATA_TEXT_FIELDS.forEach(field => {
+        if (sourceScale[field]) copy[field] = sourceScale[field];
+    });
+    if (Array.isArray(sourceScale.tags) && sourceScale.tags.length > 0) {
+        copy.tags = [...sourceScale.tags];
+    }
+    return copy;
+}
+
 /**
  * Generate a unique branch ID.
  * 
@@ -108,6 +183,7 @@ if (typeof window !== 'undefined') {
     window.ScaleAssembler = {
         assembleNewScale,
         expandDimensionsBasic,
+        duplicateScale,
         generateBranchId,
         validateScaleShape
     };
@@ -117,6 +193,7 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         assembleNewScale,
         expandDimensionsBasic,
+        duplicateScale,
         generateBranchId,
         validateScaleShape
     };
@@ -0,0 +1,290 @@
+/**
+ * MLPA Prototype - Scale Compare Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Side-by-side comparison of any two scales of a graph
+ * Inputs: Scales Map, two scale IDs
+ * Outputs: Comparison objects (plain data, ready for rendering)
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO state mutation
+ *   - NO rendering
+ * Invariants this module guarantees:
+ *   - Items are aligned by lineage: origin_item_id walked back to the item of
+ *     the nearest common ancestor scale (never by position or text)
+ *   - Every item of either scale appears exactly once in the output
+ *   - Input scales are never modified
+ */
+
+// ============================================================================
+// COMPARISON SHAPE
+// ============================================================================
+/**
+ * @typedef {Object} CompareSide
+ * @property {string} item_id
+ * @property {string} text
+ * @property {string} dimension
+ * @property {string[]} baseline_rubric
+ * @property {string[]} current_rubric
+ */
+
+/**
+ * @typedef {Object} WordDiffPart
+ * @property {'same'|'added'|'removed'} type - Relative to the left text
+ * @property {string} text - Words separated by single spaces
+ */
+
+/**
+ * @typedef {Object} TraitDiff
+ * @property {string[]} kept - In both lists
+ * @property {string[]} added - Only in the second list
+ * @property {string[]} removed - Only in the first list
+ */
+
+/**
+ * @typedef {Object} ItemComparison
+ * @property {string|null} lineage_item_id - Common ancestor item both sides derive from
+ * @property {'added'|'removed'|'moved'|'changed'|'unchanged'} status - 'moved' = other dimension
+ * @property {string[]} changes - Differing fields: 'text' | 'rubric' | 'dimension'
+ * @property {CompareSide|null} left - null when the item only exists on the right
+ * @property {CompareSide|null} right - null when the item only exists on the left
+ * @property {WordDiffPart[]} words - Left text → right text (aligned pairs only)
+ * @property {{left: TraitDiff, right: TraitDiff, between: TraitDiff}|null} rubric -
+ *           baseline → current per side, and left current → right current
+ */
+
+/**
+ * @typedef {Object} ScaleComparison
+ * @property {string} left_scale_id
+ * @property {string} right_scale_id
+ * @property {string|null} common_ancestor_id - null: different trees, nothing aligns
+ * @property {ItemComparison[]} items - Right order first, then left-only items in left order
+ * @property {{added: number, removed: number, moved: number, changed: number, unchanged: number}} summary
+ */
+
+// ============================================================================
+// WORD DIFF (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Word-level diff of two texts (longest common subsequence of words).
+ * Whitespace is normalized: joining one side's parts with single spaces
+ * gives back that side's words.
+ *
+ * @param {string} fromText - Left text
+ * @param {string} toText - Right text
+ * @returns {WordDiffPart[]} Consecutive parts of the same type are merged
+ */
+function diffWords(fromText, toText) {
+    const tokenize = text => String(text ?? '').split(/\s+/).filter(Boolean);
+    const from = tokenize(fromText);
+    const to = tokenize(toText);
+
+    // lcs[i][j] = common words of from[i..] and to[j..]
+    const lcs = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+    for (let i = from.length - 1; i >= 0; i--) {
+        for (let j = to.length - 1; j >= 0; j--) {
+            lcs[i][j] = from[i] === to[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += ` ${text}`;
+        } else {
+            parts.push({ type, text });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < from.length && j < to.length) {
+        if (from[i] === to[j]) {
+            push('same', to[j]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('removed', from[i++]);
+        } else {
+            push('added', to[j++]);
+        }
+    }
+    while (i < from.length) push('removed', from[i++]);
+    while (j < to.length) push('added', to[j++]);
+
+    return parts;
+}
+
+/**
+ * Compare two trait lists as sets, keeping each list's order.
+ *
+ * @param {string[]} fromTraits
+ * @param {string[]} toTraits
+ * @returns {TraitDiff}
+ */
+function diffTraits(fromTraits, toTraits) {
+    const from = Array.isArray(fromTraits) ? fromTraits : [];
+    const to = Array.isArray(toTraits) ? toTraits : [];
+
+    return {
+        kept: to.filter(trait => from.includes(trait)),
+        added: to.filter(trait => !from.includes(trait)),
+        removed: from.filter(trait => !to.includes(trait))
+    };
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Items of a scale with their dimension, in display order.
+ * @private
+ */
+function compareFlatItems(scale) {
+    const entries = [];
+    (scale?.dimensions || []).forEach(dim => {
+        (dim.items || []).forEach(item => entries.push({
+            item_id: item.item_id,
+            text: item.text ?? '',
+            dimension: dim.name ?? '',
+            baseline_rubric: Array.isArray(item.baseline_rubric) ? item.baseline_rubric : [],
+            current_rubric: Array.isArray(item.current_rubric) ? item.current_rubric : []
+        }));
+    });
+    return entries;
+}
+
+/**
+ * Item of the common ancestor scale an item derives from, or null when its
+ * lineage breaks (or never reaches the ancestor) on the way up.
+ * @private
+ */
+function compareLineageKey(scales, scaleId, itemId, ancestorId) {
+    if (!ancestorId) return null;
+    if (scaleId === ancestorId) return itemId;
+
+    const ancestry = window.ScaleGraph.getItemAncestry(scales, scaleId, itemId);
+    const step = ancestry.find(entry => entry.scale.scale_id === ancestorId);
+    return step ? step.item.item_id : null;
+}
+
+/**
+ * @private
+ */
+function compareSameTraits(a, b) {
+    return a.length === b.length && a.every((trait, i) => trait === b[i]);
+}
+
+// ============================================================================
+// COMPARE (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Compare two scales side by side. Items are paired when they derive from the
+ * same item of the nearest common ancestor scale; when several items on one
+ * side share an ancestor item they pair up in display order and the rest are
+ * reported as added/removed.
+ *
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} leftScaleId - Left scale (the reference)
+ * @param {string} rightScaleId - Right scale
+ * @returns {ScaleComparison}
+ */
+function compareScales(scales, leftScaleId, rightScaleId) {
+    const ancestorId = window.ScaleGraph.getCommonAncestor(scales, leftScaleId, rightScaleId);
+    const leftItems = compareFlatItems(scales.get(leftScaleId));
+    const rightItems = compareFlatItems(scales.get(rightScaleId));
+
+    // lineage item ID → left items still waiting for a partner (display order)
+    const leftByKey = new Map();
+    const leftKeys = new Map();
+    leftItems.forEach(item => {
+        const key = compareLineageKey(scales, leftScaleId, item.item_id, ancestorId);
+        leftKeys.set(item, key);
+        if (key === null) return;
+        if (!leftByKey.has(key)) leftByKey.set(key, []);
+        leftByKey.get(key).push(item);
+    });
+
+    const items = [];
+    const paired = new Set();
+    const summary = { added: 0, removed: 0, moved: 0, changed: 0, unchanged: 0 };
+
+    rightItems.forEach(right => {
+        const key = compareLineageKey(scales, rightScaleId, right.item_id, ancestorId);
+        const left = key !== null ? (leftByKey.get(key) || []).shift() : null;
+
+        if (!left) {
+            items.push({ lineage_item_id: key, status: 'added', changes: [], left: null, right, words: [], rubric: null });
+            summary.added++;
+            return;
+        }
+
+        paired.add(left);
+
+        const changes = [];
+        if (left.text !== right.text) changes.push('text');
+        if (!compareSameTraits(left.current_rubric, right.current_rubric)) changes.push('rubric');
+        if (left.dimension !== right.dimension) changes.push('dimension');
+
+        const status = changes.includes('dimension')
+            ? 'moved'
+            : changes.length > 0 ? 'changed' : 'unchanged';
+
+        items.push({
+            lineage_item_id: key,
+            status,
+            changes,
+            left,
+            right,
+            words: diffWords(left.text, right.text),
+            rubric: {
+                left: diffTraits(left.baseline_rubric, left.current_rubric),
+                right: diffTraits(right.baseline_rubric, right.current_rubric),
+                between: diffTraits(left.current_rubric, right.current_rubric)
+            }
+        });
+        summary[status]++;
+    });
+
+    leftItems.forEach(left => {
+        if (paired.has(left)) return;
+        items.push({ lineage_item_id: leftKeys.get(left), status: 'removed', changes: [], left, right: null, words: [], rubric: null });
+        summary.removed++;
+    });
+
+    return {
+        left_scale_id: leftScaleId,
+        right_scale_id: rightScaleId,
+        common_ancestor_id: ancestorId,
+        items,
+        summary
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.ScaleCompare = {
+        diffWords,
+        diffTraits,
+        compareScales
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        diffWords,
+        diffTraits,
+        compareScales
+    };
+}
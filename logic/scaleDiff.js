@@ -0,0 +1,152 @@
+/**
+ * MLPA Prototype - Scale Diff Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Item-by-item comparison of two scale snapshots
+ * Inputs: Scale snapshots ({ scale_name, dimensions })
+ * Outputs: Diff objects (plain data, ready for rendering)
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO state mutation
+ *   - NO rendering
+ * Invariants this module guarantees:
+ *   - Items are matched by item_id (never by position)
+ *   - Input snapshots are never modified
+ *   - Every item of either snapshot appears exactly once in the output
+ */
+
+// ============================================================================
+// DIFF SHAPE
+// ============================================================================
+/**
+ * @typedef {Object} ItemDiff
+ * @property {string} item_id - Item ID
+ * @property {'added'|'removed'|'changed'|'unchanged'} status
+ * @property {string[]} changes - Changed fields: 'text' | 'rubric' | 'dimension'
+ * @property {{text: string, dimension: string, rubric: string[]}|null} from - null when added
+ * @property {{text: string, dimension: string, rubric: string[]}|null} to - null when removed
+ */
+
+/**
+ * @typedef {Object} ScaleDiff
+ * @property {{from: string, to: string}|null} nameChange - null when the name is unchanged
+ * @property {ItemDiff[]} items - "to" order first, then removed items in "from" order
+ * @property {{added: number, removed: number, changed: number, unchanged: number}} summary
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Index a snapshot's items by item_id.
+ * @private
+ * @returns {Map<string, {text: string, dimension: string, rubric: string[]}>}
+ */
+function indexItems(snapshot) {
+    const index = new Map();
+    const dimensions = Array.isArray(snapshot?.dimensions) ? snapshot.dimensions : [];
+
+    dimensions.forEach(dim => {
+        (dim.items || []).forEach(item => {
+            index.set(item.item_id, {
+                text: item.text ?? '',
+                dimension: dim.name ?? '',
+                rubric: Array.isArray(item.current_rubric) ? item.current_rubric : []
+            });
+        });
+    });
+
+    return index;
+}
+
+/**
+ * @private
+ */
+function sameRubric(a, b) {
+    return a.length === b.length && a.every((entry, i) => entry === b[i]);
+}
+
+// ============================================================================
+// DIFF (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Compare two snapshots of the same scale.
+ *
+ * @param {{scale_name: string, dimensions: Dimension[]}} fromSnapshot - Older version
+ * @param {{scale_name: string, dimensions: Dimension[]}} toSnapshot - Newer version
+ * @returns {ScaleDiff}
+ */
+function diffScaleSnapshots(fromSnapshot, toSnapshot) {
+    const fromItems = indexItems(fromSnapshot);
+    const toItems = indexItems(toSnapshot);
+    const items = [];
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+    toItems.forEach((to, itemId) => {
+        const from = fromItems.get(itemId) || null;
+
+        if (!from) {
+            items.push({ item_id: itemId, status: 'added', changes: [], from: null, to });
+            summary.added++;
+            return;
+        }
+
+        const changes = [];
+        if (from.text !== to.text) changes.push('text');
+        if (!sameRubric(from.rubric, to.rubric)) changes.push('rubric');
+        if (from.dimension !== to.dimension) changes.push('dimension');
+
+        const status = changes.length > 0 ? 'changed' : 'unchanged';
+        items.push({ item_id: itemId, status, changes, from, to });
+        summary[status]++;
+    });
+
+    fromItems.forEach((from, itemId) => {
+        if (!toItems.has(itemId)) {
+            items.push({ item_id: itemId, status: 'removed', changes: [], from, to: null });
+            summary.removed++;
+        }
+    });
+
+    const fromName = fromSnapshot?.scale_name ?? '';
+    const toName = toSnapshot?.scale_name ?? '';
+
+    return {
+        nameChange: fromName !== toName ? { from: fromName, to: toName } : null,
+        items,
+        summary
+    };
+}
+
+/**
+ * Check whether a diff contains any change at all.
+ *
+ * @param {ScaleDiff} diff - Result of diffScaleSnapshots
+ * @returns {boolean}
+ */
+function hasChanges(diff) {
+    return Boolean(diff.nameChange) ||
+        diff.summary.added + diff.summary.removed + diff.summary.changed > 0;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.ScaleDiff = {
+        diffScaleSnapshots,
+        hasChanges
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        diffScaleSnapshots,
+        hasChanges
+    };
+}
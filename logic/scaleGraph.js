@@ -166,6 +166,7 @@ function isRoot(scale) {
 
 /**
  * Get the root scale (first root if multiple exist).
+ * Use findRoots/getRootId where every root matters.
  * 
  * @param {Map<string, Scale>} scales - Map of scale_id → Scale
  * @returns {Scale|null} Root scale object or null
@@ -179,6 +180,27 @@ function getRootScale(scales) {
     return null;
 }
 
+/**
+ * Get the root a scale belongs to (a canvas may hold several roots).
+ * A scale whose parent is missing counts as its own root.
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} scaleId - Scale ID
+ * @returns {string|null} Root scale ID, or null if scaleId is unknown
+ */
+function getRootId(scales, scaleId) {
+    const visited = new Set();
+    let current = scales.get(scaleId);
+    if (!current) return null;
+
+    while (current.parent_scale_id && scales.has(current.parent_scale_id) && !visited.has(current.scale_id)) {
+        visited.add(current.scale_id);
+        current = scales.get(current.parent_scale_id);
+    }
+
+    return current.scale_id;
+}
+
 /**
  * Get siblings of a scale (same parent).
  * 
@@ -216,6 +238,359 @@ function getParent(scales, scaleId) {
     return scales.get(scale.parent_scale_id) || null;
 }
 
+/**
+ * Check whether a scale lies below another (strict descendant).
+ * Walks parent links upward and stops on a repeated ID, so corrupted
+ * cyclic data cannot loop forever.
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} ancestorId - Possible ancestor
+ * @param {string} scaleId - Scale to test
+ * @returns {boolean} True if scaleId is a descendant of ancestorId
+ */
+function isDescendant(scales, ancestorId, scaleId) {
+    const visited = new Set();
+    let current = scales.get(scaleId);
+
+    while (current && current.parent_scale_id && !visited.has(current.scale_id)) {
+        if (current.parent_scale_id === ancestorId) return true;
+        visited.add(current.scale_id);
+        current = scales.get(current.parent_scale_id);
+    }
+
+    return false;
+}
+
+/**
+ * Find the nearest scale both scales descend from (a scale counts as its
+ * own ancestor, so a parent and its branch share the parent).
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} scaleIdA - First scale
+ * @param {string} scaleIdB - Second scale
+ * @returns {string|null} Common ancestor ID, or null for scales of different trees
+ */
+function getCommonAncestor(scales, scaleIdA, scaleIdB) {
+    const lineageA = new Set();
+    let current = scales.get(scaleIdA);
+    while (current && !lineageA.has(current.scale_id)) {
+        lineageA.add(current.scale_id);
+        current = current.parent_scale_id ? scales.get(current.parent_scale_id) : null;
+    }
+
+    const visited = new Set();
+    current = scales.get(scaleIdB);
+    while (current && !visited.has(current.scale_id)) {
+        if (lineageA.has(current.scale_id)) return current.scale_id;
+        visited.add(current.scale_id);
+        current = current.parent_scale_id ? scales.get(current.parent_scale_id) : null;
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a scale may be moved under a new parent.
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} scaleId - Scale to move
+ * @param {string} newParentId - Proposed parent
+ * @returns {{ valid: boolean, error?: string }} error: 'scale_not_found' |
+ *          'parent_not_found' | 'root_protected' | 'same_parent' | 'cycle' |
+ *          'lineage_unmapped' (see mapReparentOrigins)
+ */
+function validateReparent(scales, scaleId, newParentId) {
+    const scale = scales.get(scaleId);
+    if (!scale) return { valid: false, error: 'scale_not_found' };
+    if (!scales.has(newParentId)) return { valid: false, error: 'parent_not_found' };
+    if (scale.is_root || !scale.parent_scale_id) return { valid: false, error: 'root_protected' };
+    if (scale.parent_scale_id === newParentId) return { valid: false, error: 'same_parent' };
+
+    // Under itself or its own descendant would detach the subtree into a cycle
+    if (newParentId === scaleId || isDescendant(scales, scaleId, newParentId)) {
+        return { valid: false, error: 'cycle' };
+    }
+
+    if (!mapReparentOrigins(scales, scaleId, newParentId).valid) {
+        return { valid: false, error: 'lineage_unmapped' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Lowest branch_index not used by the children of a parent.
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} parentId - Parent scale ID
+ * @param {string} [excludeId] - Child to ignore (the one being moved)
+ * @returns {number} Free branch index
+ */
+function getFreeBranchIndex(scales, parentId, excludeId = null) {
+    const used = new Set();
+
+    for (const [id, scale] of scales) {
+        if (id !== excludeId && scale.parent_scale_id === parentId) {
+            used.add(scale.branch_index);
+        }
+    }
+
+    let index = 0;
+    while (used.has(index)) index++;
+    return index;
+}
+
+// ============================================================================
+// SUBTREE FOLDING
+// ============================================================================
+// A scale with subtreeCollapsed hides all of its descendants on the canvas
+// (nested folds included); the scale itself stays visible.
+
+/**
+ * Fold state of the whole graph in one walk.
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @returns {{ hidden: Set<string>, descendantCounts: Map<string, number> }}
+ *          hidden: scales below a folded ancestor;
+ *          descendantCounts: number of descendants of every scale that has children
+ */
+function getSubtreeFoldState(scales) {
+    const tree = buildScaleTree(scales);
+    const hidden = new Set();
+    const descendantCounts = new Map();
+
+    const visit = (scaleId, isHidden) => {
+        if (isHidden) hidden.add(scaleId);
+        const hidesChildren = isHidden || scales.get(scaleId).subtreeCollapsed === true;
+
+        let count = 0;
+        (tree.get(scaleId) || []).forEach(childId => {
+            count += 1 + visit(childId, hidesChildren);
+        });
+        if (count > 0) descendantCounts.set(scaleId, count);
+        return count;
+    };
+
+    // Roots, and orphans whose parent is missing, start a walk
+    for (const [id, scale] of scales) {
+        if (!scale.parent_scale_id || !scales.has(scale.parent_scale_id)) visit(id, false);
+    }
+
+    return { hidden, descendantCounts };
+}
+
+// ============================================================================
+// TREE OUTLINE (keyboard navigation, ARIA tree)
+// ============================================================================
+// Roots and siblings are ordered as they appear on the canvas: top to bottom
+// by stored position, then left to right, then in Map order.
+
+/**
+ * @private
+ */
+function compareOutlineOrder(scales, idA, idB) {
+    const a = scales.get(idA).position;
+    const b = scales.get(idB).position;
+    if (!a || !b) return 0;
+    return (a.y - b.y) || (a.x - b.x);
+}
+
+/**
+ * Outline of the graph as a tree: level, parent, ordered children and
+ * position among siblings of every scale reachable from a root (orphans
+ * whose parent is missing count as roots).
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale (pass only the
+ *        visible scales to leave folded subtrees out)
+ * @returns {Map<string, TreeOutlineEntry>} In depth-first order (first entry = first root)
+ *
+ * @typedef {Object} TreeOutlineEntry
+ * @property {number} level - 1 for roots
+ * @property {string|null} parentId - null for roots
+ * @property {string[]} children - Ordered child IDs
+ * @property {string[]} siblings - Ordered IDs of the scale's set (itself included);
+ *           roots form one set
+ * @property {number} posInSet - 1-based position in siblings
+ */
+function getTreeOutline(scales) {
+    const tree = buildScaleTree(scales);
+    const outline = new Map();
+    const sortIds = ids => ids.slice().sort((idA, idB) => compareOutlineOrder(scales, idA, idB));
+
+    const visit = (scaleId, parentId, level, siblings) => {
+        if (outline.has(scaleId)) return;  // Corrupted cyclic data
+        const children = sortIds(tree.get(scaleId) || []);
+        outline.set(scaleId, {
+            level,
+            parentId,
+            children,
+            siblings,
+            posInSet: siblings.indexOf(scaleId) + 1
+        });
+        children.forEach(childId => visit(childId, scaleId, level + 1, children));
+    };
+
+    const roots = [];
+    for (const [id, scale] of scales) {
+        if (!scale.parent_scale_id || !scales.has(scale.parent_scale_id)) roots.push(id);
+    }
+    const sortedRoots = sortIds(roots);
+    sortedRoots.forEach(rootId => visit(rootId, null, 1, sortedRoots));
+
+    return outline;
+}
+
+// ============================================================================
+// ITEM LINEAGE
+// ============================================================================
+// origin_item_id points one level up: to the item_id of an item in the parent
+// scale. These walks follow those links across generations.
+
+/**
+ * @private
+ */
+function graphFindItem(scale, itemId) {
+    for (const dim of scale?.dimensions || []) {
+        for (const item of dim.items || []) {
+            if (item.item_id === itemId) return item;
+        }
+    }
+    return null;
+}
+
+/**
+ * Walk an item's ancestry back to the root scale.
+ * Stops early where the link is broken (origin 'unknown', parent missing).
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} scaleId - Scale holding the item
+ * @param {string} itemId - Item ID
+ * @returns {Array<{scale: Scale, item: Item}>} Oldest generation first, the item
+ *          itself last; empty if the item does not exist
+ */
+function getItemAncestry(scales, scaleId, itemId) {
+    let scale = scales.get(scaleId);
+    let item = graphFindItem(scale, itemId);
+    if (!item) return [];
+
+    const path = [{ scale, item }];
+    const visited = new Set([scaleId]);
+
+    while (scale.parent_scale_id && !visited.has(scale.parent_scale_id)) {
+        const parent = scales.get(scale.parent_scale_id);
+        const parentItem = graphFindItem(parent, item.origin_item_id);
+        if (!parentItem) break;
+
+        visited.add(parent.scale_id);
+        scale = parent;
+        item = parentItem;
+        path.unshift({ scale, item });
+    }
+
+    return path;
+}
+
+/**
+ * List every version derived from an item, across all branches below its scale.
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} scaleId - Scale holding the item
+ * @param {string} itemId - Item ID
+ * @returns {Array<{scale: Scale, item: Item, parent_item_id: string, generation: number}>}
+ *          Depth-first: each version right after the one it derives from
+ *          (generation 1 = direct branches); empty for a leaf item
+ */
+function getItemDescendants(scales, scaleId, itemId) {
+    if (!graphFindItem(scales.get(scaleId), itemId)) return [];
+
+    const descendants = [];
+    // scale_id:item_id pairs already listed (guards against cyclic data)
+    const seen = new Set([`${scaleId}:${itemId}`]);
+
+    const visit = (parentScaleId, parentItemId, generation) => {
+        getChildren(scales, parentScaleId).forEach(childId => {
+            (scales.get(childId).dimensions || []).forEach(dim => {
+                (dim.items || []).forEach(item => {
+                    const key = `${childId}:${item.item_id}`;
+                    if (item.origin_item_id !== parentItemId || seen.has(key)) return;
+                    seen.add(key);
+
+                    descendants.push({
+                        scale: scales.get(childId),
+                        item,
+                        parent_item_id: parentItemId,
+                        generation
+                    });
+                    visit(childId, item.item_id, generation + 1);
+                });
+            });
+        });
+    };
+
+    visit(scaleId, itemId, 1);
+    return descendants;
+}
+
+/**
+ * Map the items of a scale being moved onto the items of its new parent.
+ * An item's old origin is walked up to the common ancestor of the old and
+ * new parent, then down the new parent's line to the item derived from the
+ * same ancestor item. Items without lineage in the old parent (new items,
+ * origin 'unknown') keep their origin.
+ * 
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {string} scaleId - Scale to move
+ * @param {string} newParentId - Proposed parent
+ * @returns {{ valid: boolean, origins: Map<string, string>, unmapped: string[] }}
+ *          origins: item_id → new origin_item_id; unmapped: item IDs with lineage
+ *          but no counterpart in the new parent (also every linked item when
+ *          the parents belong to different trees); valid when none are unmapped
+ */
+function mapReparentOrigins(scales, scaleId, newParentId) {
+    const origins = new Map();
+    const unmapped = [];
+    const scale = scales.get(scaleId);
+    const commonId = scale?.parent_scale_id
+        ? getCommonAncestor(scales, scale.parent_scale_id, newParentId)
+        : null;
+
+    // Scales from just below the common ancestor down to the new parent
+    const descent = [];
+    const visited = new Set();
+    let current = scales.get(newParentId);
+    while (current && current.scale_id !== commonId && !visited.has(current.scale_id)) {
+        visited.add(current.scale_id);
+        descent.unshift(current);
+        current = current.parent_scale_id ? scales.get(current.parent_scale_id) : null;
+    }
+
+    (scale?.dimensions || []).forEach(dim => {
+        (dim.items || []).forEach(item => {
+            const ancestry = getItemAncestry(scales, scaleId, item.item_id);
+            if (ancestry.length < 2) return;
+
+            const anchor = ancestry.find(step => step.scale.scale_id === commonId);
+            let originId = anchor ? anchor.item.item_id : null;
+
+            for (const step of descent) {
+                if (!originId) break;
+                const derived = (step.dimensions || [])
+                    .flatMap(stepDim => stepDim.items || [])
+                    .find(stepItem => stepItem.origin_item_id === originId);
+                originId = derived ? derived.item_id : null;
+            }
+
+            if (originId) {
+                origins.set(item.item_id, originId);
+            } else {
+                unmapped.push(item.item_id);
+            }
+        });
+    });
+
+    return { valid: unmapped.length === 0, origins, unmapped };
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -230,8 +605,18 @@ if (typeof window !== 'undefined') {
         findRoots,
         isRoot,
         getRootScale,
+        getRootId,
         getSiblings,
-        getParent
+        getParent,
+        isDescendant,
+        getCommonAncestor,
+        validateReparent,
+        getFreeBranchIndex,
+        getSubtreeFoldState,
+        getTreeOutline,
+        getItemAncestry,
+        getItemDescendants,
+        mapReparentOrigins
     };
 }
 
@@ -245,8 +630,18 @@ if (typeof module !== 'undefined' && module.exports) {
         findRoots,
         isRoot,
         getRootScale,
+        getRootId,
         getSiblings,
-        getParent
+        getParent,
+        isDescendant,
+        getCommonAncestor,
+        validateReparent,
+        getFreeBranchIndex,
+        getSubtreeFoldState,
+        getTreeOutline,
+        getItemAncestry,
+        getItemDescendants,
+        mapReparentOrigins
     };
 }
 
@@ -0,0 +1,777 @@
+/**
+ * MLPA Prototype - Scale Merge Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Three-way merge of two scale graphs that share at least one root
+ * Inputs: Scale arrays: ours (open project), theirs (other file), base (optional common ancestor)
+ * Outputs: Merge plans (merged graph + conflicts) and resolved scale arrays
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO state mutation
+ *   - NO rendering
+ * Invariants this module guarantees:
+ *   - Scales are matched by scale_id; items by origin_item_id (item_id when the
+ *     origin is missing or not unique)
+ *   - Input arrays and scales are never modified (results are deep copies)
+ *   - With a base, a change made on one side only is taken without a conflict;
+ *     without a base, every difference between the sides is a conflict
+ *   - Scale metadata (audience, language, intent, author, status) merges like the
+ *     name; tags never conflict: both sides' tags are kept, minus tags one side
+ *     removed since the base
+ *   - Branches added independently under the same scale_id are both kept
+ *     (theirs is renamed, with its subtree, item IDs and lineage)
+ *   - Every non-root scale of a result has its parent in the result,
+ *     and results are ordered parents before children
+ */
+
+// ============================================================================
+// MERGE SHAPES
+// ============================================================================
+/**
+ * @typedef {Object} MergeConflict
+ * @property {string} conflict_id - Stable key for resolution choices
+ * @property {string} scale_id - Scale in the merged graph
+ * @property {string} scale_name - Scale name (ours), for display
+ * @property {'scale_name'|'target_audience'|'language'|'adaptation_intent'|'author'|'status'|'text'|'rubric'} field
+ * @property {string|null} item_id - Item in the merged graph (null for scale fields)
+ * @property {string|string[]|null} ours - Value in the open project (kept by default)
+ * @property {string|string[]|null} theirs - Value in the other file (null = not set)
+ * @property {string|string[]|null} base - Value in the base file, null when unknown
+ * @property {string} [theirs_rubric_source] - rubric_source of theirs (rubric conflicts),
+ *           taken together with the rubric
+ */
+
+/**
+ * @typedef {Object} MergeReport
+ * @property {string[]} added_scales - Scales taken from theirs (merged IDs)
+ * @property {Array<{from: string, to: string}>} renamed_scales - Theirs scales renamed on collision
+ * @property {string[]} removed_scales - Scales deleted in theirs and untouched in ours
+ * @property {number} items_taken - Item fields taken from theirs without conflict
+ * @property {number} metadata_taken - Scale metadata fields (and tag lists) taken from theirs
+ * @property {number} items_added - Items added from theirs
+ * @property {number} items_removed - Items deleted on one side and untouched on the other
+ */
+
+/**
+ * @typedef {Object} MergePlan
+ * @property {boolean} valid
+ * @property {string} [error] - Why the graphs cannot be merged
+ * @property {Scale[]} scales - Merged graph, conflicts holding the ours value
+ * @property {MergeConflict[]} conflicts
+ * @property {MergeReport} report
+ * @property {boolean} hasBase - Whether a base was used
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Scale fields merged like scale_name (tags are merged as a set)
+const MERGE_METADATA_FIELDS = ['target_audience', 'language', 'adaptation_intent', 'author', 'status'];
+
+/**
+ * @private
+ */
+function mergeClone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * @private
+ */
+function mergeSameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Deep-copied scales keyed by scale_id, in input order.
+ * @private
+ */
+function mergeToMap(scales) {
+    const map = new Map();
+    (scales || []).forEach(scale => map.set(scale.scale_id, mergeClone(scale)));
+    return map;
+}
+
+/**
+ * Root scale IDs of one graph (a canvas may hold several source scales).
+ * @private
+ */
+function mergeRootIds(map) {
+    return Array.from(map.values())
+        .filter(scale => scale.is_root || !scale.parent_scale_id)
+        .map(scale => scale.scale_id);
+}
+
+/**
+ * IDs of a scale and all its descendants within one graph.
+ * @private
+ */
+function mergeSubtreeIds(map, rootId) {
+    const ids = [rootId];
+    for (let i = 0; i < ids.length; i++) {
+        map.forEach((scale, id) => {
+            if (scale.parent_scale_id === ids[i]) ids.push(id);
+        });
+    }
+    return ids;
+}
+
+/**
+ * Flatten a scale's items with their dimension name.
+ * @private
+ */
+function mergeFlatItems(scale) {
+    const items = [];
+    (scale?.dimensions || []).forEach(dim => {
+        (dim.items || []).forEach(item => items.push({ item, dimension: dim.name }));
+    });
+    return items;
+}
+
+/**
+ * Metadata value as the merge compares it: unset text is null, unset status
+ * is the default status.
+ * @private
+ */
+function mergeMetadataValue(scale, field) {
+    if (!scale) return null;
+    if (field === 'status' && typeof window !== 'undefined' && window.ScaleMetadata) {
+        return window.ScaleMetadata.getScaleStatus(scale);
+    }
+    return scale[field] ?? null;
+}
+
+/**
+ * Three-way merge of tag lists (case-insensitive): the union of both sides,
+ * without tags that were in the base and are gone on one side.
+ * @private
+ */
+function mergeTags(ours, theirs, base, hasBase) {
+    const keysOf = tags => new Set((tags || []).map(tag => tag.toLowerCase()));
+    const oursKeys = keysOf(ours);
+    const theirsKeys = keysOf(theirs);
+    const removed = new Set(hasBase
+        ? Array.from(keysOf(base)).filter(key => !oursKeys.has(key) || !theirsKeys.has(key))
+        : []);
+
+    const seen = new Set();
+    return [...(ours || []), ...(theirs || [])].filter(tag => {
+        const key = tag.toLowerCase();
+        if (removed.has(key) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Versioned content of a scale (what the merge compares).
+ * @private
+ */
+function mergeContent(scale) {
+    return {
+        scale_name: scale.scale_name,
+        metadata: MERGE_METADATA_FIELDS.map(field => mergeMetadataValue(scale, field)),
+        tags: scale.tags || [],
+        items: mergeFlatItems(scale).map(({ item, dimension }) => ({
+            item_id: item.item_id,
+            text: item.text,
+            rubric: item.current_rubric || [],
+            dimension
+        }))
+    };
+}
+
+/**
+ * Three-way pick of a single value.
+ * @private
+ * @returns {{ value: *, from: 'ours'|'theirs', conflict: boolean }}
+ */
+function mergeThreeWay(ours, theirs, base, hasBase) {
+    if (mergeSameValue(ours, theirs)) return { value: ours, from: 'ours', conflict: false };
+    if (hasBase && mergeSameValue(ours, base)) return { value: theirs, from: 'theirs', conflict: false };
+    if (hasBase && mergeSameValue(theirs, base)) return { value: ours, from: 'ours', conflict: false };
+    return { value: ours, from: 'ours', conflict: true };
+}
+
+/**
+ * Match keys for items across sides: origin_item_id when it is usable and
+ * unique on every side, item_id otherwise. Same key rule for all sides.
+ * @private
+ */
+function mergeItemKeyFn(scales) {
+    const usable = new Map(); // origin → still unique on every side
+
+    scales.filter(Boolean).forEach(scale => {
+        const seen = new Map();
+        mergeFlatItems(scale).forEach(({ item }) => {
+            const origin = item.origin_item_id;
+            if (!origin || origin === 'unknown') return;
+            seen.set(origin, (seen.get(origin) || 0) + 1);
+        });
+        seen.forEach((count, origin) => {
+            usable.set(origin, (usable.get(origin) ?? true) && count === 1);
+        });
+    });
+
+    return item => (usable.get(item.origin_item_id) ? `origin:${item.origin_item_id}` : `id:${item.item_id}`);
+}
+
+/**
+ * Whether the same scale_id on both sides is the same scale (and not two
+ * branches created independently that happen to get the same generated ID).
+ * @private
+ */
+function mergeIsSameScale(ours, theirs, base) {
+    if (base || ours.is_root) return true;
+    if (ours.parent_scale_id !== theirs.parent_scale_id) return false;
+    if (ours.scale_name === theirs.scale_name) return true;
+
+    const ourTexts = new Set(mergeFlatItems(ours).map(({ item }) => item.text));
+    return mergeFlatItems(theirs).some(({ item }) => ourTexts.has(item.text));
+}
+
+/**
+ * First free `${parentId}-branch-N`.
+ * @private
+ */
+function mergeFreeBranchId(parentId, taken) {
+    let n = 1;
+    while (taken.has(`${parentId}-branch-${n}`)) n++;
+    return `${parentId}-branch-${n}`;
+}
+
+/**
+ * @private
+ */
+function mergeNextItemNumber(scale) {
+    let max = 0;
+    mergeFlatItems(scale).forEach(({ item }) => {
+        const match = /-item-(\d+)$/.exec(item.item_id);
+        if (match) max = Math.max(max, Number(match[1]));
+    });
+    return max + 1;
+}
+
+/**
+ * Point theirs' branches of a scale at an item's new ID (the item was renamed
+ * because its ID is taken in ours).
+ * @private
+ */
+function mergeRelinkChildren(theirsMap, scaleId, oldItemId, newItemId) {
+    theirsMap.forEach(scale => {
+        if (scale.parent_scale_id !== scaleId) return;
+        mergeFlatItems(scale).forEach(({ item }) => {
+            if (item.origin_item_id === oldItemId) item.origin_item_id = newItemId;
+        });
+    });
+}
+
+/**
+ * Order a scale Map parents before children (roots first).
+ * @private
+ */
+function mergeOrderParentsFirst(map) {
+    const ordered = [];
+    const placed = new Set();
+    let pending = Array.from(map.values());
+
+    while (pending.length > 0) {
+        const next = pending.filter(scale =>
+            !scale.parent_scale_id || placed.has(scale.parent_scale_id) || !map.has(scale.parent_scale_id)
+        );
+        if (next.length === 0) break; // cycle: validateMergedScales reports it
+        next.forEach(scale => {
+            ordered.push(scale);
+            placed.add(scale.scale_id);
+        });
+        pending = pending.filter(scale => !placed.has(scale.scale_id));
+    }
+
+    return ordered.concat(pending);
+}
+
+// ============================================================================
+// SCALE CONTENT MERGE
+// ============================================================================
+
+/**
+ * Merge one scale present on both sides. Layout fields come from ours.
+ * Items of theirs renamed on an ID collision are relinked in theirsMap, so
+ * the scale's branches (merged later) still derive from them.
+ * @private
+ */
+function mergeScalePair(ours, theirs, base, hasBase, conflicts, report, theirsMap) {
+    const merged = mergeClone(ours);
+    const scaleId = ours.scale_id;
+    const keyOf = mergeItemKeyFn([ours, theirs, base]);
+
+    // Scale name
+    const name = mergeThreeWay(ours.scale_name, theirs.scale_name, base?.scale_name, hasBase && Boolean(base));
+    merged.scale_name = name.value;
+    if (name.conflict) {
+        conflicts.push({
+            conflict_id: `${scaleId}::scale_name`,
+            scale_id: scaleId,
+            scale_name: ours.scale_name,
+            field: 'scale_name',
+            item_id: null,
+            ours: ours.scale_name,
+            theirs: theirs.scale_name,
+            base: base ? base.scale_name : null
+        });
+    }
+
+    // Metadata: same rule as the name; an unset value on the winning side clears it
+    MERGE_METADATA_FIELDS.forEach(field => {
+        const oursValue = mergeMetadataValue(ours, field);
+        const theirsValue = mergeMetadataValue(theirs, field);
+        const pick = mergeThreeWay(oursValue, theirsValue, mergeMetadataValue(base, field), hasBase && Boolean(base));
+
+        if (pick.conflict) {
+            conflicts.push({
+                conflict_id: `${scaleId}::${field}`,
+                scale_id: scaleId,
+                scale_name: ours.scale_name,
+                field,
+                item_id: null,
+                ours: oursValue,
+                theirs: theirsValue,
+                base: base ? mergeMetadataValue(base, field) : null
+            });
+        } else if (pick.from === 'theirs') {
+            merged[field] = pick.value;
+            report.metadata_taken++;
+        }
+    });
+
+    if (ours.tags || theirs.tags) {
+        merged.tags = mergeTags(ours.tags, theirs.tags, base?.tags, hasBase && Boolean(base));
+        if (!mergeSameValue(merged.tags, ours.tags || [])) report.metadata_taken++;
+    }
+
+    const theirsByKey = new Map(mergeFlatItems(theirs).map(entry => [keyOf(entry.item), entry]));
+    const baseByKey = new Map(mergeFlatItems(base).map(entry => [keyOf(entry.item), entry]));
+    const oursKeys = new Set();
+
+    // Items of ours: merged in place (their dimension and order are kept)
+    merged.dimensions.forEach(dim => {
+        dim.items = dim.items.filter(item => {
+            const key = keyOf(item);
+            oursKeys.add(key);
+
+            const theirsEntry = theirsByKey.get(key);
+            const baseEntry = baseByKey.get(key);
+            const itemHasBase = hasBase && Boolean(baseEntry);
+
+            if (!theirsEntry) {
+                // Deleted in theirs: follow it only if ours left the item alone
+                const untouched = itemHasBase &&
+                    item.text === baseEntry.item.text &&
+                    mergeSameValue(item.current_rubric, baseEntry.item.current_rubric);
+                if (untouched) report.items_removed++;
+                return !untouched;
+            }
+
+            const theirsItem = theirsEntry.item;
+            const fields = [
+                ['text', 'text'],
+                ['rubric', 'current_rubric']
+            ];
+
+            fields.forEach(([field, prop]) => {
+                const pick = mergeThreeWay(item[prop], theirsItem[prop], baseEntry?.item[prop], itemHasBase);
+                if (pick.conflict) {
+                    conflicts.push({
+                        conflict_id: `${scaleId}::${field}::${item.item_id}`,
+                        scale_id: scaleId,
+                        scale_name: ours.scale_name,
+                        field,
+                        item_id: item.item_id,
+                        ours: mergeClone(item[prop]),
+                        theirs: mergeClone(theirsItem[prop]),
+                        base: baseEntry ? mergeClone(baseEntry.item[prop]) : null,
+                        ...(prop === 'current_rubric' && theirsItem.rubric_source
+                            ? { theirs_rubric_source: theirsItem.rubric_source }
+                            : {})
+                    });
+                } else if (pick.from === 'theirs') {
+                    item[prop] = mergeClone(pick.value);
+                    if (prop === 'current_rubric' && theirsItem.rubric_source) {
+                        item.rubric_source = theirsItem.rubric_source;
+                    }
+                    report.items_taken++;
+                }
+            });
+
+            return true;
+        });
+    });
+
+    // Items only in theirs: added there, or deleted in ours
+    let nextItemNumber = mergeNextItemNumber(merged);
+    const usedItemIds = new Set(mergeFlatItems(merged).map(({ item }) => item.item_id));
+
+    theirsByKey.forEach(({ item, dimension }, key) => {
+        if (oursKeys.has(key)) return;
+
+        const baseEntry = baseByKey.get(key);
+        if (hasBase && baseEntry) {
+            const untouched = item.text === baseEntry.item.text &&
+                mergeSameValue(item.current_rubric, baseEntry.item.current_rubric);
+            if (untouched) {
+                report.items_removed++;
+                return;
+            }
+        }
+
+        const added = mergeClone(item);
+        if (usedItemIds.has(added.item_id)) {
+            const newItemId = `${scaleId}-item-${nextItemNumber++}`;
+            mergeRelinkChildren(theirsMap, scaleId, added.item_id, newItemId);
+            added.item_id = newItemId;
+        }
+        usedItemIds.add(added.item_id);
+
+        let targetDim = merged.dimensions.find(dim => dim.name === dimension);
+        if (!targetDim) {
+            targetDim = { name: dimension, items: [] };
+            merged.dimensions.push(targetDim);
+        }
+        added.dimension = targetDim.name;
+        targetDim.items.push(added);
+        report.items_added++;
+    });
+
+    return merged;
+}
+
+// ============================================================================
+// GRAPH MERGE (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Merge two scale graphs that share at least one root.
+ *
+ * @param {Scale[]} oursScales - Open project (wins layout, default for conflicts)
+ * @param {Scale[]} theirsScales - Other project file
+ * @param {Scale[]|null} [baseScales] - Common ancestor (e.g. the file both started from)
+ * @returns {MergePlan}
+ */
+function mergeProjects(oursScales, theirsScales, baseScales = null) {
+    const report = {
+        added_scales: [],
+        renamed_scales: [],
+        removed_scales: [],
+        items_taken: 0,
+        metadata_taken: 0,
+        items_added: 0,
+        items_removed: 0
+    };
+    const invalid = error => ({ valid: false, error, scales: [], conflicts: [], report, hasBase: false });
+
+    const ours = mergeToMap(oursScales);
+    const theirs = mergeToMap(theirsScales);
+    const base = Array.isArray(baseScales) ? mergeToMap(baseScales) : null;
+    const hasBase = Boolean(base);
+
+    const oursRoots = mergeRootIds(ours);
+    const theirsRoots = mergeRootIds(theirs);
+    if (oursRoots.length === 0 || theirsRoots.length === 0) {
+        return invalid('Proyek tidak memiliki skala akar');
+    }
+    const sharedRoots = oursRoots.filter(id => theirsRoots.includes(id));
+    if (sharedRoots.length === 0) {
+        return invalid('Kedua proyek tidak berasal dari skala akar yang sama');
+    }
+    if (base && !sharedRoots.some(id => base.has(id))) {
+        return invalid('Berkas dasar tidak memuat skala akar yang sama');
+    }
+
+    // 1. Same ID but different scale: detach theirs (with its subtree) for renaming
+    const detached = new Set();
+    theirs.forEach((theirsScale, id) => {
+        const oursScale = ours.get(id);
+        if (!oursScale || detached.has(id)) return;
+        if (!mergeIsSameScale(oursScale, theirsScale, base?.get(id))) {
+            mergeSubtreeIds(theirs, id).forEach(subId => detached.add(subId));
+        }
+    });
+
+    // 2. Scales of ours, merged with their theirs counterpart
+    const merged = new Map();
+    const conflicts = [];
+    const deletedInTheirs = new Map(); // id → ours scale (restorable as an ancestor)
+
+    // Parents first: item renames in a parent are relinked before its branches merge
+    mergeOrderParentsFirst(ours).forEach(oursScale => {
+        const id = oursScale.scale_id;
+        const theirsScale = detached.has(id) ? null : theirs.get(id);
+        const baseScale = base?.get(id);
+
+        if (!theirsScale) {
+            const untouched = !detached.has(id) && baseScale &&
+                mergeSameValue(mergeContent(oursScale), mergeContent(baseScale));
+            if (untouched) {
+                deletedInTheirs.set(id, oursScale);
+            } else {
+                merged.set(id, oursScale);
+            }
+            return;
+        }
+
+        merged.set(id, mergeScalePair(oursScale, theirsScale, baseScale, hasBase, conflicts, report, theirs));
+    });
+
+    // 3. Scales only in theirs (or detached): added there, or deleted in ours
+    const deletedInOurs = new Map();
+    const incoming = new Map();
+
+    theirs.forEach((theirsScale, id) => {
+        if (ours.has(id) && !detached.has(id)) return;
+
+        const baseScale = base?.get(id);
+        if (!detached.has(id) && baseScale &&
+            mergeSameValue(mergeContent(theirsScale), mergeContent(baseScale))) {
+            deletedInOurs.set(id, theirsScale);
+            return;
+        }
+        incoming.set(id, theirsScale);
+    });
+
+    // 4. Keep every ancestor a kept scale still needs
+    let restored = true;
+    while (restored) {
+        restored = false;
+        [...merged.values(), ...incoming.values()].forEach(scale => {
+            const parentId = scale.parent_scale_id;
+            if (!parentId || merged.has(parentId) || incoming.has(parentId)) return;
+
+            if (deletedInTheirs.has(parentId)) {
+                merged.set(parentId, deletedInTheirs.get(parentId));
+                deletedInTheirs.delete(parentId);
+                restored = true;
+            } else if (deletedInOurs.has(parentId)) {
+                incoming.set(parentId, deletedInOurs.get(parentId));
+                deletedInOurs.delete(parentId);
+                restored = true;
+            }
+        });
+    }
+    report.removed_scales = Array.from(deletedInTheirs.keys());
+
+    // 5. Rename detached theirs scales: subtree IDs, item IDs and item lineage
+    const taken = new Set([...ours.keys(), ...theirs.keys()]);
+    const idMap = new Map();   // old scale_id → new scale_id
+    const prefixMap = [];      // [oldPrefix, newPrefix] for item IDs, longest first
+
+    Array.from(incoming.keys())
+        .filter(id => detached.has(id) && !detached.has(incoming.get(id).parent_scale_id))
+        .forEach(rootId => {
+            const parentId = incoming.get(rootId).parent_scale_id;
+            const newRootId = mergeFreeBranchId(parentId, taken);
+            taken.add(newRootId);
+
+            mergeSubtreeIds(theirs, rootId).filter(id => incoming.has(id)).forEach(id => {
+                let newId = id === rootId
+                    ? newRootId
+                    : id.startsWith(`${rootId}-`) ? newRootId + id.slice(rootId.length) : `${id}-${newRootId}`;
+                while (id !== rootId && taken.has(newId)) newId = `${newId}-gabung`;
+                taken.add(newId);
+                idMap.set(id, newId);
+                prefixMap.push([id, newId]);
+            });
+        });
+    prefixMap.sort((a, b) => b[0].length - a[0].length);
+
+    const renameItemRef = ref => {
+        if (typeof ref !== 'string') return ref;
+        const hit = prefixMap.find(([oldPrefix]) => ref.startsWith(`${oldPrefix}-item-`));
+        return hit ? hit[1] + ref.slice(hit[0].length) : ref;
+    };
+
+    incoming.forEach((scale, id) => {
+        if (!idMap.has(id)) return;
+
+        scale.scale_id = idMap.get(id);
+        scale.parent_scale_id = idMap.get(scale.parent_scale_id) || scale.parent_scale_id;
+        scale.dimensions.forEach(dim => dim.items.forEach(item => {
+            item.item_id = renameItemRef(item.item_id);
+            item.origin_item_id = renameItemRef(item.origin_item_id);
+        }));
+        report.renamed_scales.push({ from: id, to: scale.scale_id });
+    });
+
+    // 6. Attach incoming subtrees: free branch_index among merged siblings
+    const incomingById = new Map(Array.from(incoming.values(), scale => [scale.scale_id, scale]));
+    const usedIndexes = new Map(); // parent_scale_id → branch indexes taken so far
+
+    merged.forEach(scale => {
+        if (!scale.parent_scale_id) return;
+        if (!usedIndexes.has(scale.parent_scale_id)) usedIndexes.set(scale.parent_scale_id, new Set());
+        usedIndexes.get(scale.parent_scale_id).add(scale.branch_index);
+    });
+
+    incomingById.forEach(scale => {
+        const parent = merged.get(scale.parent_scale_id);
+        if (!parent) return; // child of another incoming scale: moves with it
+
+        if (!usedIndexes.has(parent.scale_id)) usedIndexes.set(parent.scale_id, new Set());
+        const siblingIndexes = usedIndexes.get(parent.scale_id);
+        if (!siblingIndexes.has(scale.branch_index)) {
+            siblingIndexes.add(scale.branch_index);
+            return;
+        }
+
+        let index = 0;
+        while (siblingIndexes.has(index)) index++;
+        siblingIndexes.add(index);
+
+        const position = typeof window !== 'undefined' && window.BranchPositioning
+            ? window.BranchPositioning.getNextBranchPosition(parent, index)
+            : { x: scale.position.x, y: scale.position.y, depth: (parent.depth || 0) + 1 };
+        const dx = position.x - scale.position.x;
+        const dy = position.y - scale.position.y;
+
+        mergeSubtreeIds(incomingById, scale.scale_id).forEach(subId => {
+            const sub = incomingById.get(subId);
+            sub.position = { x: sub.position.x + dx, y: sub.position.y + dy };
+        });
+        scale.branch_index = index;
+        scale.depth = position.depth;
+    });
+
+    // 7. Source scales added only in theirs: below everything, like an extra upload
+    const rootPositioning = typeof window !== 'undefined' ? window.RootPositioning : null;
+    if (rootPositioning) {
+        const placed = Array.from(merged.values());
+
+        incomingById.forEach(scale => {
+            if (scale.parent_scale_id) return;
+
+            const position = rootPositioning.getNextRootPosition(placed);
+            const dx = position.x - scale.position.x;
+            const dy = position.y - scale.position.y;
+
+            mergeSubtreeIds(incomingById, scale.scale_id).forEach(subId => {
+                const sub = incomingById.get(subId);
+                sub.position = { x: sub.position.x + dx, y: sub.position.y + dy };
+                placed.push(sub);
+            });
+        });
+    }
+
+    incomingById.forEach((scale, id) => {
+        merged.set(id, scale);
+        report.added_scales.push(id);
+    });
+
+    return {
+        valid: true,
+        scales: mergeOrderParentsFirst(merged),
+        conflicts,
+        report,
+        hasBase
+    };
+}
+
+/**
+ * Apply conflict choices to a merge plan.
+ *
+ * @param {MergePlan} plan - Result of mergeProjects
+ * @param {Object<string, 'ours'|'theirs'>} choices - conflict_id → side (default ours)
+ * @returns {Scale[]} Resolved graph (deep copy, parents before children)
+ */
+function resolveMerge(plan, choices = {}) {
+    const scales = mergeClone(plan.scales);
+    const byId = new Map(scales.map(scale => [scale.scale_id, scale]));
+
+    plan.conflicts.forEach(conflict => {
+        if (choices[conflict.conflict_id] !== 'theirs') return;
+
+        const scale = byId.get(conflict.scale_id);
+        if (!scale) return;
+
+        if (conflict.field === 'scale_name') {
+            scale.scale_name = conflict.theirs;
+            return;
+        }
+        if (MERGE_METADATA_FIELDS.includes(conflict.field)) {
+            scale[conflict.field] = conflict.theirs;
+            return;
+        }
+
+        const entry = mergeFlatItems(scale).find(({ item }) => item.item_id === conflict.item_id);
+        if (!entry) return;
+
+        if (conflict.field === 'text') {
+            entry.item.text = conflict.theirs;
+        } else {
+            entry.item.current_rubric = mergeClone(conflict.theirs);
+            if (conflict.theirs_rubric_source) {
+                entry.item.rubric_source = conflict.theirs_rubric_source;
+            }
+        }
+    });
+
+    return scales;
+}
+
+/**
+ * Check a merged graph against the scale invariants and tree shape.
+ *
+ * @param {Scale[]} scales - Resolved graph
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validateMergedScales(scales) {
+    const ids = new Set();
+    const roots = scales.filter(scale => scale.is_root || !scale.parent_scale_id);
+
+    if (roots.length === 0) {
+        return { valid: false, error: 'Hasil gabungan tidak memiliki skala akar' };
+    }
+
+    for (const scale of scales) {
+        if (ids.has(scale.scale_id)) {
+            return { valid: false, error: `ID skala ganda: ${scale.scale_id}` };
+        }
+        ids.add(scale.scale_id);
+
+        if (!scale.is_root && !ids.has(scale.parent_scale_id)) {
+            return { valid: false, error: `Induk skala ${scale.scale_id} tidak ditemukan` };
+        }
+
+        if (typeof window !== 'undefined' && window.Invariants) {
+            try {
+                window.Invariants.validateScale(scale);
+                window.Invariants.validateBranchedScale(scale);
+            } catch (error) {
+                return { valid: false, error: `${scale.scale_id}: ${error.message}` };
+            }
+        }
+    }
+
+    return { valid: true };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.ScaleMerge = {
+        mergeProjects,
+        resolveMerge,
+        validateMergedScales
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        mergeProjects,
+        resolveMerge,
+        validateMergedScales
+    };
+}
@@ -0,0 +1,152 @@
+/**
+ * MLPA Prototype - Scale Metadata Module
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Vocabulary and normalization of the optional scale metadata fields
+ * Inputs: Scale objects, raw form values
+ * Outputs: Normalized metadata updates, display labels, CSV columns
+ * Allowed side effects: NONE (pure functions only)
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO state mutation (ScaleStore stamps created_at / updated_at)
+ *   - NO validation throws (utils/invariants.js owns that)
+ * Invariants this module guarantees:
+ *   - Normalized updates only contain editable fields
+ *   - Tags are trimmed, non-empty and unique (case-insensitive)
+ *   - Same inputs always produce same outputs
+ */
+
+// ============================================================================
+// METADATA VOCABULARY
+// ============================================================================
+
+const SCALE_STATUSES = Object.freeze(['draft', 'review', 'approved']);
+
+const SCALE_STATUS_LABELS = Object.freeze({
+    draft: 'Draf',
+    review: 'Ditinjau',
+    approved: 'Disetujui'
+});
+
+// Default when a scale carries no status (older projects, uploads)
+const DEFAULT_SCALE_STATUS = 'draft';
+
+// Free-text fields edited in the metadata panel
+const METADATA_TEXT_FIELDS = Object.freeze(['target_audience', 'language', 'adaptation_intent', 'author']);
+
+// Column order of every CSV export (tags joined with ';', like rubrics)
+const METADATA_CSV_COLUMNS = Object.freeze([
+    'target_audience',
+    'language',
+    'adaptation_intent',
+    'status',
+    'author',
+    'created_at',
+    'updated_at',
+    'tags'
+]);
+
+// ============================================================================
+// NORMALIZATION (PURE FUNCTIONS)
+// ============================================================================
+
+/**
+ * Split a tag input ("gen-z, remaja; pilot") into a clean tag list.
+ * Separators: comma or semicolon. Duplicates are dropped case-insensitively,
+ * keeping the first spelling.
+ *
+ * @param {string|string[]} input - Raw tag text or tag array
+ * @returns {string[]}
+ */
+function parseTags(input) {
+    const parts = Array.isArray(input) ? input : String(input ?? '').split(/[,;]/);
+    const seen = new Set();
+
+    return parts
+        .map(tag => String(tag ?? '').trim())
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Turn raw metadata form values into a ScaleStore.updateScale payload.
+ * Empty text fields become null (cleared); an unknown status falls back to
+ * the default. Timestamps are never taken from input.
+ *
+ * @param {Object} input - { target_audience, language, adaptation_intent, author, status, tags }
+ * @returns {Object} Updates for the editable metadata fields
+ */
+function normalizeMetadataInput(input = {}) {
+    const updates = {};
+
+    METADATA_TEXT_FIELDS.forEach(field => {
+        const value = String(input[field] ?? '').trim();
+        updates[field] = value || null;
+    });
+
+    updates.status = SCALE_STATUSES.includes(input.status) ? input.status : DEFAULT_SCALE_STATUS;
+    updates.tags = parseTags(input.tags);
+
+    return updates;
+}
+
+/**
+ * Status of a scale, with the default for scales that never set one.
+ *
+ * @param {Scale} scale
+ * @returns {string} One of SCALE_STATUSES
+ */
+function getScaleStatus(scale) {
+    return scale && SCALE_STATUSES.includes(scale.status) ? scale.status : DEFAULT_SCALE_STATUS;
+}
+
+/**
+ * Metadata values of a scale in METADATA_CSV_COLUMNS order.
+ *
+ * @param {Scale} scale
+ * @returns {string[]}
+ */
+function getMetadataCsvValues(scale) {
+    return METADATA_CSV_COLUMNS.map(column => {
+        if (column === 'status') return getScaleStatus(scale);
+        if (column === 'tags') return (scale.tags || []).join(';');
+        return scale[column] ?? '';
+    });
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.ScaleMetadata = {
+        SCALE_STATUSES,
+        SCALE_STATUS_LABELS,
+        DEFAULT_SCALE_STATUS,
+        METADATA_TEXT_FIELDS,
+        METADATA_CSV_COLUMNS,
+        parseTags,
+        normalizeMetadataInput,
+        getScaleStatus,
+        getMetadataCsvValues
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCALE_STATUSES,
+        SCALE_STATUS_LABELS,
+        DEFAULT_SCALE_STATUS,
+        METADATA_TEXT_FIELDS,
+        METADATA_CSV_COLUMNS,
+        parseTags,
+        normalizeMetadataInput,
+        getScaleStatus,
+        getMetadataCsvValues
+    };
+}
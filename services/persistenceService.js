@@ -0,0 +1,312 @@
+/**
+ * MLPA Prototype - Persistence Service
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Local storage of workspace projects and autosave in IndexedDB
+ * Inputs: Project records (autosave snapshots built by a provider registered via init)
+ * Outputs: Promises resolving to stored records (or null)
+ * Allowed side effects: IndexedDB reads/writes, debounce timer
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO rendering
+ *   - NO state mutation (app.js applies restored sessions)
+ * Invariants this module guarantees:
+ *   - Never rejects: storage failures are logged and resolve to null/false
+ *   - Bursts of requestSave() collapse into a single write
+ *   - A null snapshot (nothing loaded) never overwrites a stored project
+ *   - Autosave writes only the record named by snapshot.project_id
+ */
+
+// ============================================================================
+// PROJECT RECORD SHAPE
+// ============================================================================
+/**
+ * @typedef {Object} ProjectRecord
+ * A project document (adapters/projectFile.js) plus workspace fields.
+ * @property {string} project_id - Workspace key
+ * @property {string} name - Project name shown in the switcher
+ * @property {string} [created_at] - ISO timestamp
+ * @property {string} [saved_at] - ISO timestamp (added on save)
+ * @property {Scale[]} scales - Empty for a new project before upload
+ * @property {Object} [canvas] - { pan, zoom, active_scale_id }
+ * @property {Object} [preview] - { selected_scale_id, answers, current_item_index }
+ */
+
+const PersistenceService = (function () {
+    'use strict';
+
+    const DB_NAME = 'mlpa-prototype';
+    const DB_VERSION = 2;
+    const SESSION_STORE = 'sessions';
+    const PROJECT_STORE = 'projects';
+    const LEGACY_SESSION_KEY = 'last-session';   // v1: single autosaved graph
+    const ACTIVE_PROJECT_KEY = 'active-project';
+    const SAVE_DELAY_MS = 400;
+
+    let _dbPromise = null;
+    let _snapshotProvider = null;
+    let _saveTimer = null;
+
+    // ---------------------------------------------------------------------------
+    // DATABASE
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Open (and lazily create) the database.
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        if (_dbPromise) return _dbPromise;
+
+        _dbPromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                    db.createObjectStore(SESSION_STORE);
+                }
+                if (!db.objectStoreNames.contains(PROJECT_STORE)) {
+                    db.createObjectStore(PROJECT_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a retry on the next call if opening failed
+        _dbPromise.catch(() => { _dbPromise = null; });
+
+        return _dbPromise;
+    }
+
+    /**
+     * Run a single request against one store.
+     * @private
+     * @param {string} storeName - SESSION_STORE | PROJECT_STORE
+     * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async function runRequest(storeName, mode, makeRequest) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = makeRequest(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // ---------------------------------------------------------------------------
+    // AUTOSAVE
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Register the snapshot provider used by requestSave/flush.
+     *
+     * @param {Function} snapshotProvider - () => ProjectRecord | null
+     */
+    function init(snapshotProvider) {
+        _snapshotProvider = snapshotProvider;
+    }
+
+    /**
+     * Schedule an autosave (debounced).
+     */
+    function requestSave() {
+        if (!_snapshotProvider) return;
+
+        clearTimeout(_saveTimer);
+        _saveTimer = setTimeout(() => {
+            _saveTimer = null;
+            flush();
+        }, SAVE_DELAY_MS);
+    }
+
+    /**
+     * Save immediately, cancelling any pending debounced save.
+     *
+     * @returns {Promise<boolean>} Success
+     */
+    function flush() {
+        clearTimeout(_saveTimer);
+        _saveTimer = null;
+
+        const snapshot = _snapshotProvider ? _snapshotProvider() : null;
+        if (!snapshot || !snapshot.project_id) return Promise.resolve(false);
+
+        return saveProject(snapshot);
+    }
+
+    /**
+     * Drop a pending autosave without writing (e.g. before deleting its project).
+     */
+    function cancelPendingSave() {
+        clearTimeout(_saveTimer);
+        _saveTimer = null;
+    }
+
+    // ---------------------------------------------------------------------------
+    // PROJECT RECORDS
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Store (insert or replace) a project record.
+     *
+     * @param {ProjectRecord} record - Record to store
+     * @returns {Promise<boolean>} Success
+     */
+    async function saveProject(record) {
+        try {
+            const stored = { ...record, saved_at: new Date().toISOString() };
+            await runRequest(PROJECT_STORE, 'readwrite', store => store.put(stored, record.project_id));
+            return true;
+        } catch (error) {
+            console.warn('[PersistenceService] Project save failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Load one project record.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<ProjectRecord|null>}
+     */
+    async function loadProject(projectId) {
+        try {
+            const record = await runRequest(PROJECT_STORE, 'readonly', store => store.get(projectId));
+            return record || null;
+        } catch (error) {
+            console.warn('[PersistenceService] Could not read project:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Load every project record.
+     *
+     * @returns {Promise<ProjectRecord[]>} Records (empty on failure)
+     */
+    async function listProjects() {
+        try {
+            const records = await runRequest(PROJECT_STORE, 'readonly', store => store.getAll());
+            return records || [];
+        } catch (error) {
+            console.warn('[PersistenceService] Could not list projects:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete a project record.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<boolean>} Success
+     */
+    async function deleteProject(projectId) {
+        try {
+            await runRequest(PROJECT_STORE, 'readwrite', store => store.delete(projectId));
+            return true;
+        } catch (error) {
+            console.warn('[PersistenceService] Could not delete project:', error);
+            return false;
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // SESSION POINTERS
+    // ---------------------------------------------------------------------------
+
+    /**
+     * ID of the project that was open when the tab was last used.
+     *
+     * @returns {Promise<string|null>}
+     */
+    async function getActiveProjectId() {
+        try {
+            const id = await runRequest(SESSION_STORE, 'readonly', store => store.get(ACTIVE_PROJECT_KEY));
+            return id || null;
+        } catch (error) {
+            console.warn('[PersistenceService] Could not read active project:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Remember (or forget, with null) the open project.
+     *
+     * @param {string|null} projectId - Project ID
+     * @returns {Promise<boolean>} Success
+     */
+    async function setActiveProjectId(projectId) {
+        try {
+            await runRequest(SESSION_STORE, 'readwrite', store => projectId
+                ? store.put(projectId, ACTIVE_PROJECT_KEY)
+                : store.delete(ACTIVE_PROJECT_KEY));
+            return true;
+        } catch (error) {
+            console.warn('[PersistenceService] Could not store active project:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Read and remove the pre-workspace autosave (single graph, DB v1).
+     *
+     * @returns {Promise<Object|null>} Legacy session snapshot, if any
+     */
+    async function takeLegacySession() {
+        try {
+            const record = await runRequest(SESSION_STORE, 'readonly', store => store.get(LEGACY_SESSION_KEY));
+            if (!record) return null;
+            await runRequest(SESSION_STORE, 'readwrite', store => store.delete(LEGACY_SESSION_KEY));
+            return record;
+        } catch (error) {
+            console.warn('[PersistenceService] Could not read legacy session:', error);
+            return null;
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // PUBLIC API
+    // ---------------------------------------------------------------------------
+    return {
+        // Autosave
+        init,
+        requestSave,
+        flush,
+        cancelPendingSave,
+
+        // Project records
+        saveProject,
+        loadProject,
+        listProjects,
+        deleteProject,
+
+        // Session pointers
+        getActiveProjectId,
+        setActiveProjectId,
+        takeLegacySession
+    };
+})();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.PersistenceService = PersistenceService;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PersistenceService;
+}
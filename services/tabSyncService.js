@@ -0,0 +1,277 @@
+/**
+ * MLPA Prototype - Tab Sync Service
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Cross-tab messaging for the open project (scale writes, branching locks)
+ * Inputs: ScaleStore events + scale snapshots (publishChange), lock requests
+ * Outputs: Remote changes and lock updates via the handlers registered in init
+ * Allowed side effects: BroadcastChannel messages, Web Locks
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO rendering
+ *   - NO state mutation (app.js applies remote changes through ScaleStore)
+ * Invariants this module guarantees:
+ *   - Messages are scoped to a project: tabs on other projects ignore them
+ *   - A tab never receives its own messages (no echo loops)
+ *   - At most one tab holds the branching lock of a source scale (Web Locks);
+ *     without Web Locks, announced locks are honored best-effort
+ *   - Every acquired lock is released on release() or when the tab closes
+ *   - Degrades to a no-op when BroadcastChannel is unavailable
+ */
+
+// ============================================================================
+// MESSAGE SHAPE
+// ============================================================================
+/**
+ * @typedef {Object} TabSyncMessage
+ * @property {string} kind - 'change' | 'branch-lock' | 'hello'
+ * @property {string} tab_id - Sending tab
+ * @property {string} project_id - Project the message belongs to
+ * @property {string} [type] - ScaleStore event type ('change')
+ * @property {string} [item_id] - Edited item ('change', item-updated only)
+ * @property {Array<[string, Scale|null]>} [entries] - Scale snapshots after the write ('change')
+ * @property {string} [scale_id] - Source scale ('branch-lock')
+ * @property {boolean} [locked] - Lock state ('branch-lock')
+ */
+
+const TabSyncService = (function () {
+    'use strict';
+
+    const CHANNEL_NAME = 'mlpa-tab-sync';
+    const LOCK_PREFIX = 'mlpa-branch';
+
+    const _tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    let _channel = null;
+    let _projectId = null;
+    let _handlers = {};
+
+    // scale_id → release function, locks held by this tab
+    const _heldLocks = new Map();
+    // scale_id → tab_id, locks announced by other tabs (current project only)
+    const _remoteLocks = new Map();
+
+    // ---------------------------------------------------------------------------
+    // CHANNEL
+    // ---------------------------------------------------------------------------
+
+    /**
+     * @private
+     */
+    function post(message) {
+        if (!_channel || !_projectId) return;
+
+        try {
+            _channel.postMessage({ ...message, tab_id: _tabId, project_id: _projectId });
+        } catch (error) {
+            console.warn('[TabSync] Message not sent:', message.kind, error);
+        }
+    }
+
+    /**
+     * @private
+     */
+    function setRemoteLock(scaleId, tabId, locked) {
+        const wasLocked = _remoteLocks.has(scaleId);
+
+        if (locked) {
+            _remoteLocks.set(scaleId, tabId);
+        } else if (_remoteLocks.get(scaleId) === tabId) {
+            _remoteLocks.delete(scaleId);
+        }
+
+        if (wasLocked !== _remoteLocks.has(scaleId)) {
+            _handlers.onLockChange?.(scaleId, _remoteLocks.has(scaleId));
+        }
+    }
+
+    /**
+     * @private
+     */
+    function announceHeldLocks() {
+        _heldLocks.forEach((release, scaleId) => {
+            post({ kind: 'branch-lock', scale_id: scaleId, locked: true });
+        });
+    }
+
+    /**
+     * @private
+     */
+    function handleMessage(event) {
+        const message = event.data;
+        if (!message || message.tab_id === _tabId || message.project_id !== _projectId) return;
+
+        switch (message.kind) {
+            case 'change':
+                _handlers.onRemoteChange?.({
+                    type: message.type,
+                    itemId: message.item_id,
+                    entries: message.entries || []
+                });
+                break;
+            case 'branch-lock':
+                setRemoteLock(message.scale_id, message.tab_id, message.locked);
+                break;
+            case 'hello':
+                // A tab just opened this project: tell it what we are branching
+                announceHeldLocks();
+                break;
+            default:
+                break;
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // LIFECYCLE
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Open the channel and register handlers.
+     *
+     * @param {Object} handlers
+     * @param {Function} handlers.onRemoteChange - ({ type, itemId, entries }) => void
+     * @param {Function} handlers.onLockChange - (scaleId, lockedElsewhere) => void
+     * @returns {boolean} Whether cross-tab sync is available
+     */
+    function init(handlers = {}) {
+        _handlers = handlers;
+
+        if (_channel) return true;
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('[TabSync] BroadcastChannel unavailable - tabs will not sync');
+            return false;
+        }
+
+        _channel = new BroadcastChannel(CHANNEL_NAME);
+        _channel.onmessage = handleMessage;
+
+        // Web Locks release on their own; announced locks need an explicit goodbye
+        window.addEventListener('pagehide', () => {
+            _heldLocks.forEach((release, scaleId) => {
+                post({ kind: 'branch-lock', scale_id: scaleId, locked: false });
+            });
+        });
+
+        return true;
+    }
+
+    /**
+     * Scope messages to the open project (null = none open).
+     * Locks announced for the previous project are dropped.
+     *
+     * @param {string|null} projectId - Project ID
+     */
+    function setProjectId(projectId) {
+        if (projectId === _projectId) return;
+
+        Array.from(_remoteLocks.keys()).forEach(scaleId => {
+            _remoteLocks.delete(scaleId);
+            _handlers.onLockChange?.(scaleId, false);
+        });
+
+        _projectId = projectId || null;
+        post({ kind: 'hello' });
+    }
+
+    // ---------------------------------------------------------------------------
+    // SCALE CHANGES
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Send a local ScaleStore write to the other tabs on this project.
+     *
+     * @param {ScaleStoreEvent} event - Store event
+     * @param {Array<[string, Scale|null]>} entries - Snapshots of event.scaleIds after the write
+     */
+    function publishChange(event, entries) {
+        post({
+            kind: 'change',
+            type: event.type,
+            item_id: event.itemId,
+            entries
+        });
+    }
+
+    // ---------------------------------------------------------------------------
+    // BRANCHING LOCK
+    // ---------------------------------------------------------------------------
+
+    /**
+     * @param {string} scaleId - Source scale ID
+     * @returns {boolean} True if another tab announced a branch of this scale
+     */
+    function isLockedElsewhere(scaleId) {
+        return _remoteLocks.has(scaleId);
+    }
+
+    /**
+     * Try to take the cross-tab branching lock of a source scale. Never waits
+     * for another tab: a held lock resolves to null immediately.
+     *
+     * @param {string} scaleId - Source scale ID
+     * @returns {Promise<Function|null>} release() on success, null if held elsewhere
+     */
+    async function acquireBranchLock(scaleId) {
+        if (_heldLocks.has(scaleId) || _remoteLocks.has(scaleId)) return null;
+
+        const hold = (releaseLock) => {
+            let released = false;
+            const release = () => {
+                if (released) return;
+                released = true;
+                _heldLocks.delete(scaleId);
+                post({ kind: 'branch-lock', scale_id: scaleId, locked: false });
+                releaseLock?.();
+            };
+
+            _heldLocks.set(scaleId, release);
+            post({ kind: 'branch-lock', scale_id: scaleId, locked: true });
+            return release;
+        };
+
+        if (!navigator.locks || !_projectId) {
+            return hold(null);
+        }
+
+        const name = `${LOCK_PREFIX}:${_projectId}:${scaleId}`;
+
+        return new Promise(resolve => {
+            navigator.locks.request(name, { ifAvailable: true }, lock => {
+                if (!lock) {
+                    resolve(null);
+                    return null;
+                }
+                // The Web Lock is held until this promise settles
+                return new Promise(releaseLock => resolve(hold(releaseLock)));
+            }).catch(error => {
+                console.warn('[TabSync] Web Lock failed, using announced lock only:', error);
+                resolve(_remoteLocks.has(scaleId) ? null : hold(null));
+            });
+        });
+    }
+
+    // ---------------------------------------------------------------------------
+    // PUBLIC API
+    // ---------------------------------------------------------------------------
+    return {
+        init,
+        setProjectId,
+        publishChange,
+        isLockedElsewhere,
+        acquireBranchLock,
+        getTabId: () => _tabId
+    };
+})();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.TabSyncService = TabSyncService;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabSyncService;
+}
@@ -0,0 +1,241 @@
+/**
+ * MLPA Prototype - Workspace Service
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Named project list (create, rename, duplicate, delete, open)
+ * Inputs: Project IDs, names, project documents
+ * Outputs: Promises resolving to project records / summaries
+ * Allowed side effects: Storage via PersistenceService ONLY
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO rendering
+ *   - NO state mutation (app.js loads/unloads the canvas for a project)
+ * Invariants this module guarantees:
+ *   - Every record it writes is a valid project document with a unique project_id
+ *   - A duplicate never shares scale objects with its source (deep copy)
+ *   - Deleting the remembered active project also forgets it
+ */
+
+// ============================================================================
+// PROJECT SUMMARY SHAPE
+// ============================================================================
+/**
+ * @typedef {Object} ProjectSummary
+ * @property {string} project_id
+ * @property {string} name
+ * @property {string|null} created_at - ISO timestamp
+ * @property {string|null} saved_at - ISO timestamp of the last write
+ * @property {number} scale_count - 0 for a project that has no upload yet
+ */
+
+const WorkspaceService = (function () {
+    'use strict';
+
+    const DEFAULT_PROJECT_NAME = 'Proyek Tanpa Nama';
+
+    /**
+     * @private
+     */
+    function generateProjectId() {
+        return `project-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * @private
+     */
+    function summarize(record) {
+        return {
+            project_id: record.project_id,
+            name: record.name || DEFAULT_PROJECT_NAME,
+            created_at: record.created_at || null,
+            saved_at: record.saved_at || null,
+            scale_count: Array.isArray(record.scales) ? record.scales.length : 0
+        };
+    }
+
+    // ---------------------------------------------------------------------------
+    // QUERIES
+    // ---------------------------------------------------------------------------
+
+    /**
+     * All projects, most recently saved first.
+     *
+     * @returns {Promise<ProjectSummary[]>}
+     */
+    async function listProjects() {
+        const records = await window.PersistenceService.listProjects();
+        return records
+            .map(summarize)
+            .sort((a, b) => (b.saved_at || '').localeCompare(a.saved_at || ''));
+    }
+
+    /**
+     * Load a project for opening. Stored documents go through the same
+     * migration/validation as project files.
+     *
+     * @param {string} projectId - Project ID
+     * @returns {Promise<{ found: boolean, record?: ProjectRecord, project?: Object, error?: string }>}
+     *          project is null for an empty project (no upload yet)
+     */
+    async function openProject(projectId) {
+        const record = await window.PersistenceService.loadProject(projectId);
+        if (!record) {
+            return { found: false, error: 'Proyek tidak ditemukan' };
+        }
+
+        if (!Array.isArray(record.scales) || record.scales.length === 0) {
+            return { found: true, record, project: null };
+        }
+
+        const result = window.ProjectFile.readProjectData(record);
+        if (!result.valid) {
+            return { found: true, record, error: result.error };
+        }
+
+        return { found: true, record, project: result.project };
+    }
+
+    // ---------------------------------------------------------------------------
+    // COMMANDS
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Create a project, empty or from existing content.
+     *
+     * @param {string} [name] - Project name
+     * @param {Object} [content] - { scales, pan, zoom, activeScaleId, preview }
+     * @returns {Promise<ProjectRecord|null>} Stored record, or null if storage failed
+     */
+    async function createProject(name, content = {}) {
+        const record = {
+            ...window.ProjectFile.serializeProject({
+                scales: content.scales || [],
+                pan: content.pan,
+                zoom: content.zoom,
+                activeScaleId: content.activeScaleId,
+                name: name || DEFAULT_PROJECT_NAME
+            }),
+            project_id: generateProjectId(),
+            created_at: new Date().toISOString()
+        };
+
+        if (content.preview) {
+            record.preview = content.preview;
+        }
+
+        const saved = await window.PersistenceService.saveProject(record);
+        return saved ? record : null;
+    }
+
+    /**
+     * @param {string} projectId - Project ID
+     * @param {string} name - New name (trimmed, must not be empty)
+     * @returns {Promise<ProjectRecord|null>} Updated record
+     */
+    async function renameProject(projectId, name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return null;
+
+        const record = await window.PersistenceService.loadProject(projectId);
+        if (!record) return null;
+
+        record.name = trimmed;
+        const saved = await window.PersistenceService.saveProject(record);
+        return saved ? record : null;
+    }
+
+    /**
+     * @param {string} projectId - Project ID to copy
+     * @returns {Promise<ProjectRecord|null>} The new record
+     */
+    async function duplicateProject(projectId) {
+        const record = await window.PersistenceService.loadProject(projectId);
+        if (!record) return null;
+
+        const copy = {
+            ...JSON.parse(JSON.stringify(record)),
+            project_id: generateProjectId(),
+            name: `${record.name || DEFAULT_PROJECT_NAME} (salinan)`,
+            created_at: new Date().toISOString()
+        };
+
+        const saved = await window.PersistenceService.saveProject(copy);
+        return saved ? copy : null;
+    }
+
+    /**
+     * @param {string} projectId - Project ID
+     * @returns {Promise<boolean>} Success
+     */
+    async function deleteProject(projectId) {
+        const deleted = await window.PersistenceService.deleteProject(projectId);
+
+        if (deleted && await window.PersistenceService.getActiveProjectId() === projectId) {
+            await window.PersistenceService.setActiveProjectId(null);
+        }
+
+        return deleted;
+    }
+
+    /**
+     * Turn the pre-workspace autosave (one graph per browser) into a project.
+     * Runs once: the legacy record is removed when read.
+     *
+     * @returns {Promise<ProjectRecord|null>} The migrated project, if there was one
+     */
+    async function migrateLegacySession() {
+        const legacy = await window.PersistenceService.takeLegacySession();
+        if (!legacy) return null;
+
+        const result = window.ProjectFile.readProjectData(legacy);
+        if (!result.valid) {
+            console.warn('[WorkspaceService] Dropped invalid legacy session:', result.error);
+            return null;
+        }
+
+        const { project } = result;
+        const record = await createProject(project.name, {
+            scales: project.scales,
+            pan: project.canvas?.pan,
+            zoom: project.canvas?.zoom,
+            activeScaleId: project.canvas?.active_scale_id,
+            preview: project.preview
+        });
+
+        if (record) {
+            await window.PersistenceService.setActiveProjectId(record.project_id);
+            console.log('[WorkspaceService] Legacy session migrated to project:', record.project_id);
+        }
+
+        return record;
+    }
+
+    // ---------------------------------------------------------------------------
+    // PUBLIC API
+    // ---------------------------------------------------------------------------
+    return {
+        DEFAULT_PROJECT_NAME,
+        listProjects,
+        openProject,
+        createProject,
+        renameProject,
+        duplicateProject,
+        deleteProject,
+        migrateLegacySession,
+        getActiveProjectId: () => window.PersistenceService.getActiveProjectId(),
+        setActiveProjectId: (projectId) => window.PersistenceService.setActiveProjectId(projectId)
+    };
+})();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.WorkspaceService = WorkspaceService;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkspaceService;
+}
@@ -93,7 +93,9 @@ function clearBranchingFrom(canvasState) {
 }
 
 /**
- * Set branching lock.
+ * Set branching lock (this tab).
+ * Other tabs learn about a branch in progress through TabSyncService, which
+ * holds the cross-tab lock of the source scale for as long as this one is set.
  * 
  * @param {Object} canvasState - Canvas state object
  * @param {boolean} inProgress - Lock state
@@ -102,6 +104,21 @@ function setBranchingInProgress(canvasState, inProgress) {
     canvasState.isBranchingInProgress = inProgress;
 }
 
+/**
+ * Record that another tab started/finished branching a source scale.
+ * 
+ * @param {Object} canvasState - Canvas state object
+ * @param {string} scaleId - Source scale ID
+ * @param {boolean} locked - True while the other tab is branching it
+ */
+function setBranchingLockedElsewhere(canvasState, scaleId, locked) {
+    if (locked) {
+        canvasState.branchingElsewhereScaleIds.add(scaleId);
+    } else {
+        canvasState.branchingElsewhereScaleIds.delete(scaleId);
+    }
+}
+
 // ============================================================================
 // PREVIEW STATE OPERATIONS
 // ============================================================================
@@ -197,6 +214,7 @@ if (typeof window !== 'undefined') {
         setBranchingFrom,
         clearBranchingFrom,
         setBranchingInProgress,
+        setBranchingLockedElsewhere,
 
         // Preview
         setPreviewScale,
@@ -220,6 +238,7 @@ if (typeof module !== 'undefined' && module.exports) {
         setBranchingFrom,
         clearBranchingFrom,
         setBranchingInProgress,
+        setBranchingLockedElsewhere,
         setPreviewScale,
         resetPreviewState,
         setCurrentItemIndex,
@@ -0,0 +1,135 @@
+/**
+ * MLPA Prototype - History Stack
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Bounded undo/redo stacks of scale snapshots
+ * Inputs: History entries { label, before, after } produced by ScaleStore
+ * Outputs: Entries to re-apply, labels for UI feedback
+ * Allowed side effects: Mutation of its own internal stacks ONLY
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO rendering
+ *   - NO scale mutation (ScaleStore applies snapshots)
+ * Invariants this module guarantees:
+ *   - Pushing a new entry always clears the redo stack
+ *   - Undo stack never exceeds MAX_ENTRIES (oldest entries dropped first)
+ *   - An entry moves between stacks, it is never duplicated
+ */
+
+// ============================================================================
+// HISTORY ENTRY SHAPE
+// ============================================================================
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - Human-readable operation name (shown in UI)
+ * @property {Array<[string, Scale|null]>} before - Scale snapshots before the operation (null = did not exist)
+ * @property {Array<[string, Scale|null]>} after - Scale snapshots after the operation (null = removed)
+ */
+
+const HistoryStack = (function () {
+    'use strict';
+
+    const MAX_ENTRIES = 50;
+
+    let _undoStack = [];
+    let _redoStack = [];
+
+    /**
+     * Record a completed operation.
+     *
+     * @param {HistoryEntry} entry - Entry to record
+     */
+    function push(entry) {
+        _undoStack.push(entry);
+        if (_undoStack.length > MAX_ENTRIES) {
+            _undoStack.shift();
+        }
+        _redoStack = [];
+    }
+
+    /**
+     * Take the most recent entry for undoing.
+     *
+     * @returns {HistoryEntry|null}
+     */
+    function undo() {
+        const entry = _undoStack.pop();
+        if (!entry) return null;
+        _redoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Take the most recently undone entry for redoing.
+     *
+     * @returns {HistoryEntry|null}
+     */
+    function redo() {
+        const entry = _redoStack.pop();
+        if (!entry) return null;
+        _undoStack.push(entry);
+        return entry;
+    }
+
+    function canUndo() {
+        return _undoStack.length > 0;
+    }
+
+    function canRedo() {
+        return _redoStack.length > 0;
+    }
+
+    /**
+     * Label of the entry the next undo would revert.
+     *
+     * @returns {string|null}
+     */
+    function peekUndoLabel() {
+        return _undoStack.length > 0 ? _undoStack[_undoStack.length - 1].label : null;
+    }
+
+    /**
+     * Label of the entry the next redo would re-apply.
+     *
+     * @returns {string|null}
+     */
+    function peekRedoLabel() {
+        return _redoStack.length > 0 ? _redoStack[_redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Drop all history (e.g. when a new scale graph is loaded).
+     */
+    function clear() {
+        _undoStack = [];
+        _redoStack = [];
+    }
+
+    // ---------------------------------------------------------------------------
+    // PUBLIC API
+    // ---------------------------------------------------------------------------
+    return {
+        MAX_ENTRIES,
+        push,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        peekUndoLabel,
+        peekRedoLabel,
+        clear
+    };
+})();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.HistoryStack = HistoryStack;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryStack;
+}
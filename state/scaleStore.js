@@ -10,7 +10,22 @@
  *   - All scales pass validation before insertion
  *   - Cascade deletes are atomic
  *   - No partial state updates
- *   - Future hooks for undo/redo, persistence, minimap
+ *   - Every write is recorded in HistoryStack (undo/redo)
+ *   - Every write (including undo/redo/load) emits change events to subscribers
+ *   - Writes from other tabs (applyRemoteChange) emit with source 'remote'
+ *   - Content writes stamp created_at / updated_at; undo/redo/load/remote keep snapshot timestamps
+ *   - Views (flow editor, minimap, panels) update from change events only
+ */
+
+// ============================================================================
+// CHANGE EVENT SHAPE
+// ============================================================================
+/**
+ * @typedef {Object} ScaleStoreEvent
+ * @property {string} type - One of ScaleStore.EVENTS
+ * @property {string[]} scaleIds - Affected scale IDs (empty for 'cleared')
+ * @property {string} [itemId] - Edited item ('item-updated' only)
+ * @property {string} source - 'write' | 'undo' | 'redo' | 'load' | 'remote'
  */
 
 // ============================================================================
@@ -26,6 +41,17 @@ const ScaleStore = (function () {
     let _scales = null;
     let _canvasState = null;
 
+    // Change listeners (survive init: subscribers outlive graph reloads)
+    const _listeners = new Set();
+
+    const EVENTS = Object.freeze({
+        SCALE_ADDED: 'scale-added',
+        SCALES_REMOVED: 'scales-removed',
+        SCALE_UPDATED: 'scale-updated',
+        ITEM_UPDATED: 'item-updated',
+        CLEARED: 'cleared'
+    });
+
     // ============================================================================
     // INITIALIZATION
     // ============================================================================
@@ -82,6 +108,179 @@ const ScaleStore = (function () {
         return _scales?.size ?? 0;
     }
 
+    // ============================================================================
+    // HISTORY (Undo/Redo)
+    // ============================================================================
+    // Each write captures deep snapshots of the scales it touches, before and
+    // after the mutation. Undo/redo re-applies those snapshots wholesale, so no
+    // operation needs its own inverse.
+
+    /**
+     * Deep-clone a scale (scales are plain JSON data).
+     * 
+     * @param {Scale|null|undefined} scale - Scale to clone
+     * @returns {Scale|null}
+     */
+    function cloneScale(scale) {
+        return scale ? JSON.parse(JSON.stringify(scale)) : null;
+    }
+
+    /**
+     * Snapshot the current state of the given scale IDs.
+     * 
+     * @param {Iterable<string>} scaleIds - IDs to capture
+     * @returns {Array<[string, Scale|null]>} Snapshot entries (null = not present)
+     */
+    function captureScales(scaleIds) {
+        return Array.from(scaleIds, id => [id, cloneScale(_scales.get(id))]);
+    }
+
+    /**
+     * Record an operation in the history stack.
+     * 
+     * @param {string} label - Operation label shown to the user on undo/redo
+     * @param {Array<[string, Scale|null]>} before - Snapshot before mutation
+     * @param {Array<[string, Scale|null]>} after - Snapshot after mutation
+     */
+    function recordHistory(label, before, after) {
+        if (window.HistoryStack) {
+            window.HistoryStack.push({ label, before, after });
+        }
+    }
+
+    /**
+     * Apply snapshot entries to the store (no validation, no history).
+     * 
+     * @param {Array<[string, Scale|null]>} entries - Snapshot entries
+     * @param {string} source - Event source ('undo' | 'redo')
+     */
+    function applySnapshot(entries, source) {
+        const added = [];
+        const removed = [];
+        const updated = [];
+
+        entries.forEach(([id, snapshot]) => {
+            if (snapshot) {
+                (_scales.has(id) ? updated : added).push(id);
+                _scales.set(id, cloneScale(snapshot));
+            } else if (_scales.delete(id)) {
+                removed.push(id);
+                if (_canvasState.activeScaleId === id) {
+                    _canvasState.activeScaleId = null;
+                }
+            }
+        });
+
+        // One event per kind, so a multi-scale step still reaches listeners as a batch
+        if (removed.length > 0) emit(EVENTS.SCALES_REMOVED, removed, { source });
+        if (added.length > 0) emit(EVENTS.SCALE_ADDED, added, { source });
+        if (updated.length > 0) emit(EVENTS.SCALE_UPDATED, updated, { source });
+    }
+
+    /**
+     * Revert the most recent recorded operation.
+     * 
+     * @returns {string|null} Label of the undone operation, or null if nothing to undo
+     */
+    function undo() {
+        if (!_scales || !window.HistoryStack) return null;
+
+        const entry = window.HistoryStack.undo();
+        if (!entry) return null;
+
+        applySnapshot(entry.before, 'undo');
+
+        return entry.label;
+    }
+
+    /**
+     * Re-apply the most recently undone operation.
+     * 
+     * @returns {string|null} Label of the redone operation, or null if nothing to redo
+     */
+    function redo() {
+        if (!_scales || !window.HistoryStack) return null;
+
+        const entry = window.HistoryStack.redo();
+        if (!entry) return null;
+
+        applySnapshot(entry.after, 'redo');
+
+        return entry.label;
+    }
+
+    function canUndo() {
+        return window.HistoryStack ? window.HistoryStack.canUndo() : false;
+    }
+
+    function canRedo() {
+        return window.HistoryStack ? window.HistoryStack.canRedo() : false;
+    }
+
+    // ============================================================================
+    // CHANGE EVENTS
+    // ============================================================================
+    // Listeners are called synchronously after the mutation is complete, so
+    // they always see a consistent graph. Rendering listeners should batch.
+
+    /**
+     * Register a change listener.
+     * 
+     * @param {Function} listener - (event: ScaleStoreEvent) => void
+     * @returns {Function} Unsubscribe function
+     */
+    function subscribe(listener) {
+        _listeners.add(listener);
+        return () => unsubscribe(listener);
+    }
+
+    /**
+     * Remove a change listener.
+     * 
+     * @param {Function} listener - Listener passed to subscribe()
+     */
+    function unsubscribe(listener) {
+        _listeners.delete(listener);
+    }
+
+    /**
+     * Notify listeners. A throwing listener never breaks the write or other listeners.
+     * 
+     * @param {string} type - One of EVENTS
+     * @param {string[]} scaleIds - Affected scale IDs
+     * @param {Object} [extra] - itemId / source
+     */
+    function emit(type, scaleIds, extra = {}) {
+        const event = { type, scaleIds, source: 'write', ...extra };
+        _listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('[ScaleStore] Listener failed:', type, error);
+            }
+        });
+    }
+
+    // ============================================================================
+    // TIMESTAMPS
+    // ============================================================================
+    // Only writes stamp scales. Undo, redo, load and remote changes re-apply
+    // snapshots that already carry their own created_at / updated_at.
+
+    // Layout-only fields: changing them does not count as an update
+    const LAYOUT_FIELDS = new Set(['position', 'depth', 'branch_index', 'positionLocked', 'positionPinned', 'expanded', 'subtreeCollapsed']);
+
+    /**
+     * Stamp a scale that is new to the store (keeps an existing created_at).
+     * 
+     * @param {Scale} scale - Scale about to be inserted
+     * @param {string} now - ISO timestamp
+     */
+    function stampCreated(scale, now) {
+        if (!scale.created_at) scale.created_at = now;
+        scale.updated_at = now;
+    }
+
     // ============================================================================
     // WRITE OPERATIONS (Centralized)
     // ============================================================================
@@ -91,9 +290,11 @@ const ScaleStore = (function () {
      * Validates scale before insertion.
      * 
      * @param {Scale} scale - Scale to add
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Tambah skala ...")
      * @returns {boolean} Success
      */
-    function addScale(scale) {
+    function addScale(scale, options = {}) {
         if (!_scales) {
             console.error('[ScaleStore] Not initialized');
             return false;
@@ -107,12 +308,13 @@ const ScaleStore = (function () {
             }
         }
 
-        // future: hook undo snapshot here
-        // future: hook persistence here
+        const before = captureScales([scale.scale_id]);
 
+        stampCreated(scale, new Date().toISOString());
         _scales.set(scale.scale_id, scale);
 
-        // future: hook minimap update here
+        recordHistory(options.label || `Tambah skala "${scale.scale_name}"`, before, captureScales([scale.scale_id]));
+        emit(EVENTS.SCALE_ADDED, [scale.scale_id]);
 
         return true;
     }
@@ -121,12 +323,14 @@ const ScaleStore = (function () {
      * Remove a single scale.
      * 
      * @param {string} scaleId - Scale ID to remove
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Hapus skala ...")
      * @returns {boolean} Success
      */
-    function removeScale(scaleId) {
+    function removeScale(scaleId, options = {}) {
         if (!_scales) return false;
 
-        // future: hook undo snapshot here
+        const before = captureScales([scaleId]);
 
         const deleted = _scales.delete(scaleId);
 
@@ -135,8 +339,11 @@ const ScaleStore = (function () {
             _canvasState.activeScaleId = null;
         }
 
-        // future: hook persistence here
-        // future: hook minimap update here
+        if (deleted) {
+            const [, removed] = before[0];
+            recordHistory(options.label || `Hapus skala "${removed.scale_name}"`, before, [[scaleId, null]]);
+            emit(EVENTS.SCALES_REMOVED, [scaleId]);
+        }
 
         return deleted;
     }
@@ -146,14 +353,17 @@ const ScaleStore = (function () {
      * Atomic operation - all or nothing.
      * 
      * @param {Set<string>|Array<string>} scaleIds - IDs to remove
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Hapus N skala")
      * @returns {number} Count of removed scales
      */
-    function removeScalesCascade(scaleIds) {
+    function removeScalesCascade(scaleIds, options = {}) {
         if (!_scales) return 0;
 
         const ids = scaleIds instanceof Set ? scaleIds : new Set(scaleIds);
 
-        // future: hook undo snapshot here (capture all scales before deletion)
+        // Capture every existing scale first so the whole cascade undoes as one step
+        const before = captureScales(Array.from(ids).filter(id => _scales.has(id)));
 
         let count = 0;
         ids.forEach(id => {
@@ -167,45 +377,367 @@ const ScaleStore = (function () {
 
         console.log(`[ScaleStore] Removed ${count} scales`);
 
-        // future: hook persistence here
-        // future: hook minimap update here
+        if (count > 0) {
+            recordHistory(
+                options.label || `Hapus ${count} skala`,
+                before,
+                before.map(([id]) => [id, null])
+            );
+            emit(EVENTS.SCALES_REMOVED, before.map(([id]) => id));
+        }
 
         return count;
     }
 
     /**
      * Update a scale's properties.
+     * Metadata is validated on the updated scale before anything changes;
+     * updated_at is stamped unless only layout fields change.
      * 
      * @param {string} scaleId - Scale ID
      * @param {Object} updates - Properties to update
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Ubah skala ...")
      * @returns {boolean} Success
      */
-    function updateScale(scaleId, updates) {
+    function updateScale(scaleId, updates, options = {}) {
         if (!_scales) return false;
 
         const scale = _scales.get(scaleId);
         if (!scale) return false;
 
-        // future: hook undo snapshot here
+        if (window.Invariants) {
+            window.Invariants.validateScaleMetadata({ ...scale, ...updates });
+        }
+
+        const before = captureScales([scaleId]);
 
         Object.assign(scale, updates);
+        if (Object.keys(updates).some(key => !LAYOUT_FIELDS.has(key))) {
+            scale.updated_at = new Date().toISOString();
+        }
+
+        recordHistory(options.label || `Ubah skala "${scale.scale_name}"`, before, captureScales([scaleId]));
+        emit(EVENTS.SCALE_UPDATED, [scaleId]);
+
+        return true;
+    }
+
+    /**
+     * Update several scales as one undoable write (layout passes, bulk edits).
+     * All updates are validated before any is applied; updated_at is stamped
+     * per scale unless only layout fields change.
+     *
+     * @param {Map<string, Object>} updatesById - scale_id → properties to update
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Ubah N skala")
+     * @returns {boolean} Success (false if none of the scales exists)
+     */
+    function updateScales(updatesById, options = {}) {
+        if (!_scales) return false;
+
+        const entries = Array.from(updatesById).filter(([scaleId]) => _scales.has(scaleId));
+        if (entries.length === 0) return false;
+
+        if (window.Invariants) {
+            entries.forEach(([scaleId, updates]) => {
+                window.Invariants.validateScaleMetadata({ ..._scales.get(scaleId), ...updates });
+            });
+        }
+
+        const ids = entries.map(([scaleId]) => scaleId);
+        const before = captureScales(ids);
+        const now = new Date().toISOString();
+
+        entries.forEach(([scaleId, updates]) => {
+            const scale = _scales.get(scaleId);
+            Object.assign(scale, updates);
+            if (Object.keys(updates).some(key => !LAYOUT_FIELDS.has(key))) {
+                scale.updated_at = now;
+            }
+        });
+
+        recordHistory(options.label || `Ubah ${ids.length} skala`, before, captureScales(ids));
+        emit(EVENTS.SCALE_UPDATED, ids);
+
+        return true;
+    }
+
+    /**
+     * Add several scales as one undoable write (duplicated subtree).
+     * All scales are validated before any is inserted.
+     *
+     * @param {Scale[]} scales - New scales, parents before children
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Tambah N skala")
+     * @returns {boolean} Success
+     */
+    function addScales(scales, options = {}) {
+        if (!_scales) {
+            console.error('[ScaleStore] Not initialized');
+            return false;
+        }
+
+        if (scales.length === 0) return false;
+
+        if (window.Invariants) {
+            scales.forEach(scale => {
+                window.Invariants.validateScale(scale);
+                if (!scale.is_root) {
+                    window.Invariants.validateBranchedScale(scale);
+                }
+            });
+        }
+
+        const ids = scales.map(scale => scale.scale_id);
+        const before = captureScales(ids);
+
+        const now = new Date().toISOString();
+        scales.forEach(scale => {
+            stampCreated(scale, now);
+            _scales.set(scale.scale_id, scale);
+        });
+
+        recordHistory(options.label || `Tambah ${scales.length} skala`, before, captureScales(ids));
+        emit(EVENTS.SCALE_ADDED, ids);
+
+        return true;
+    }
+
+    /**
+     * Move a scale (with its subtree) under a new parent.
+     * Layout is computed by the caller (FlowEditorController.prepareReparent);
+     * the store guards the tree: no cycles, no moving the root, and the moved
+     * scale's items are relinked (origin_item_id) to the new parent's items.
+     * 
+     * @param {string} scaleId - Scale to move
+     * @param {string} newParentId - New parent scale ID
+     * @param {Object<string, Object>} layout - scale_id → { depth, branch_index?, position }
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Pindahkan skala ...")
+     * @returns {boolean} Success
+     */
+    function reparentScale(scaleId, newParentId, layout, options = {}) {
+        if (!_scales || !window.ScaleGraph) return false;
+
+        const check = window.ScaleGraph.validateReparent(_scales, scaleId, newParentId);
+        if (!check.valid) {
+            console.warn('[ScaleStore] Reparent rejected:', scaleId, '→', newParentId, check.error);
+            return false;
+        }
+
+        const ids = [scaleId, ...window.ScaleGraph.getDescendants(_scales, scaleId)];
+        const { origins } = window.ScaleGraph.mapReparentOrigins(_scales, scaleId, newParentId);
+
+        // Build every updated copy first: validation failure leaves the graph untouched
+        const updated = ids.map(id => {
+            const copy = { ...cloneScale(_scales.get(id)), ...(layout[id] || {}) };
+            if (id === scaleId) {
+                copy.parent_scale_id = newParentId;
+                copy.updated_at = new Date().toISOString();
+                copy.dimensions.forEach(dim => dim.items.forEach(item => {
+                    if (origins.has(item.item_id)) item.origin_item_id = origins.get(item.item_id);
+                }));
+            }
+            return copy;
+        });
+
+        if (window.Invariants) {
+            updated.forEach(scale => window.Invariants.validateBranchedScale(scale));
+        }
+
+        const before = captureScales(ids);
+        updated.forEach(scale => _scales.set(scale.scale_id, scale));
+
+        recordHistory(options.label || `Pindahkan skala "${updated[0].scale_name}"`, before, captureScales(ids));
+        emit(EVENTS.SCALE_UPDATED, ids);
+
+        return true;
+    }
+
+    /**
+     * Update a single item's text (replaces the scale with an updated copy).
+     * 
+     * @param {string} scaleId - Scale ID
+     * @param {string} itemId - Item ID within the scale
+     * @param {string} newText - New item text
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Edit teks item")
+     * @returns {boolean} Success
+     */
+    function updateItemText(scaleId, itemId, newText, options = {}) {
+        if (!_scales || !window.ScaleTransform) return false;
+
+        const scale = _scales.get(scaleId);
+        if (!scale || !window.ScaleTransform.findItemInScale(scale, itemId)) return false;
+
+        const before = captureScales([scaleId]);
+
+        const updated = window.ScaleTransform.updateItemText(scale, itemId, newText);
+        updated.updated_at = new Date().toISOString();
+        _scales.set(scaleId, updated);
+
+        recordHistory(options.label || 'Edit teks item', before, captureScales([scaleId]));
+        emit(EVENTS.ITEM_UPDATED, [scaleId], { itemId });
+
+        return true;
+    }
+
+    /**
+     * Replace the whole scale graph as one undoable write (merge result).
+     * Unlike loadScales, history is kept and this step can be undone.
+     * 
+     * @param {Scale[]} scales - New graph, parents before children
+     * @param {Object} [options]
+     * @param {string} [options.label] - History label (default: "Ganti seluruh skala")
+     * @returns {boolean} Success
+     */
+    function replaceScales(scales, options = {}) {
+        if (!_scales) {
+            console.error('[ScaleStore] Not initialized');
+            return false;
+        }
+
+        // Validate everything before touching the Map (all or nothing)
+        if (window.Invariants) {
+            scales.forEach(scale => {
+                window.Invariants.validateScale(scale);
+                window.Invariants.validateBranchedScale(scale);
+            });
+        }
+
+        const next = new Map(scales.map(scale => [scale.scale_id, scale]));
+        const ids = new Set([..._scales.keys(), ...next.keys()]);
+        const before = captureScales(ids);
 
-        // future: hook persistence here
+        const added = [];
+        const removed = [];
+        const updated = [];
+
+        ids.forEach(id => {
+            if (next.has(id)) {
+                (_scales.has(id) ? updated : added).push(id);
+                _scales.set(id, next.get(id));
+            } else {
+                _scales.delete(id);
+                removed.push(id);
+                if (_canvasState.activeScaleId === id) {
+                    _canvasState.activeScaleId = null;
+                }
+            }
+        });
+
+        recordHistory(options.label || 'Ganti seluruh skala', before, captureScales(ids));
+
+        if (removed.length > 0) emit(EVENTS.SCALES_REMOVED, removed);
+        if (added.length > 0) emit(EVENTS.SCALE_ADDED, added);
+        if (updated.length > 0) emit(EVENTS.SCALE_UPDATED, updated);
 
         return true;
     }
 
     /**
      * Clear all scales (for testing or reset).
+     * History is dropped too: its snapshots refer to a graph that no longer exists.
      */
     function clear() {
         if (!_scales) return;
 
-        // future: hook undo snapshot here
+        _scales.clear();
+
+        if (window.HistoryStack) {
+            window.HistoryStack.clear();
+        }
+
+        emit(EVENTS.CLEARED, []);
+    }
+
+    /**
+     * Replace the whole scale graph (upload, mock data).
+     * Validates every scale. Starts with empty history.
+     * 
+     * @param {Scale[]} scales - Scales to load, parents before children
+     * @returns {boolean} Success
+     */
+    function loadScales(scales) {
+        if (!_scales) {
+            console.error('[ScaleStore] Not initialized');
+            return false;
+        }
+
+        if (window.Invariants) {
+            scales.forEach(scale => {
+                window.Invariants.validateScale(scale);
+                window.Invariants.validateBranchedScale(scale);
+            });
+        }
 
         _scales.clear();
+        scales.forEach(scale => _scales.set(scale.scale_id, scale));
 
-        // future: hook persistence here
+        if (window.HistoryStack) {
+            window.HistoryStack.clear();
+        }
+
+        // Listeners see a reset followed by the new graph
+        emit(EVENTS.CLEARED, [], { source: 'load' });
+        emit(EVENTS.SCALE_ADDED, scales.map(scale => scale.scale_id), { source: 'load' });
+
+        return true;
+    }
+
+    // ============================================================================
+    // CROSS-TAB SYNC
+    // ============================================================================
+    // Another tab on the same project sends the scales its write touched
+    // (TabSyncService). They replace the local copies wholesale, like undo.
+
+    /**
+     * Snapshot scales for another tab.
+     * 
+     * @param {string[]} scaleIds - IDs to capture
+     * @returns {Array<[string, Scale|null]>} Snapshot entries (null = removed)
+     */
+    function exportScales(scaleIds) {
+        return _scales ? captureScales(scaleIds) : [];
+    }
+
+    /**
+     * Apply a write made in another tab. Not validated (the sending tab did)
+     * and not recorded. Local history is dropped: its snapshots predate the
+     * remote write, so undoing them would silently revert the other tab.
+     * 
+     * @param {Object} change
+     * @param {string} change.type - Event type of the original write
+     * @param {string} [change.itemId] - Edited item (item-updated)
+     * @param {Array<[string, Scale|null]>} change.entries - Scale snapshots
+     * @returns {boolean} True if the change was applied
+     */
+    function applyRemoteChange(change) {
+        if (!_scales) return false;
+
+        const isKnownType = Object.values(EVENTS).includes(change.type) && change.type !== EVENTS.CLEARED;
+        if (!isKnownType || !Array.isArray(change.entries) || change.entries.length === 0) {
+            console.warn('[ScaleStore] Ignored remote change:', change.type);
+            return false;
+        }
+
+        change.entries.forEach(([id, snapshot]) => {
+            if (snapshot) {
+                _scales.set(id, cloneScale(snapshot));
+            } else if (_scales.delete(id) && _canvasState.activeScaleId === id) {
+                _canvasState.activeScaleId = null;
+            }
+        });
+
+        if (window.HistoryStack) {
+            window.HistoryStack.clear();
+        }
+
+        const extra = change.itemId ? { source: 'remote', itemId: change.itemId } : { source: 'remote' };
+        emit(change.type, change.entries.map(([id]) => id), extra);
+
+        return true;
     }
 
     // ============================================================================
@@ -248,6 +780,11 @@ const ScaleStore = (function () {
         // Lifecycle
         init,
 
+        // Change events
+        EVENTS,
+        subscribe,
+        unsubscribe,
+
         // Read
         getScale,
         getAllScales,
@@ -256,10 +793,26 @@ const ScaleStore = (function () {
 
         // Write (centralized)
         addScale,
+        addScales,
         removeScale,
         removeScalesCascade,
         updateScale,
+        updateScales,
+        updateItemText,
+        reparentScale,
         clear,
+        loadScales,
+        replaceScales,
+
+        // Cross-tab sync
+        exportScales,
+        applyRemoteChange,
+
+        // History
+        undo,
+        redo,
+        canUndo,
+        canRedo,
 
         // Query
         buildCascadeDeleteSet,
@@ -24,6 +24,16 @@
  * @property {number} [branch_index] - Index among siblings (0, 1, 2, ...)
  * @property {{x: number, y: number}} position - Canvas world-space position
  * @property {boolean} [positionLocked] - If true, prevents auto-repositioning on render
+ * @property {boolean} [positionPinned] - Pinned by the user: tidy layout keeps this position
+ * @property {boolean} [subtreeCollapsed] - Descendants folded away on the canvas (scale itself stays visible)
+ * @property {string|null} [adaptation_intent] - Instruction the branch was adapted with (set on branching, editable)
+ * @property {string|null} [target_audience] - Who the scale is meant for (e.g., "Mahasiswa Gen-Z")
+ * @property {string|null} [language] - Language of the items (e.g., "id", "Bahasa Minang")
+ * @property {string} [status] - "draft" | "review" | "approved" (absent = "draft", see ScaleMetadata)
+ * @property {string|null} [author] - Who created or adapted the scale
+ * @property {string} [created_at] - ISO timestamp, stamped by ScaleStore when first added
+ * @property {string} [updated_at] - ISO timestamp, stamped by ScaleStore on every content write
+ * @property {string[]} [tags] - Free-form labels
  * @property {Dimension[]} dimensions - Array of dimension objects
  */
 
@@ -81,9 +91,11 @@ const StateManager = (function () {
         scales: new Map(),           // scale_id → Scale (CONTRACT: Map<string, Scale>)
         connections: [],             // Visual only, derived from parent_scale_id
         pan: { x: 0, y: 0 },        // Canvas viewport offset
+        zoom: 1,                    // Canvas viewport scale (ViewportMath.ZOOM_LIMITS)
         activeScaleId: null,        // Currently active scale in editor
         branchingFromScaleId: null, // Scale being branched (during popup)
-        isBranchingInProgress: false // Lock to prevent double-submission
+        isBranchingInProgress: false, // Lock to prevent double-submission
+        branchingElsewhereScaleIds: new Set() // Source scales other tabs are branching (TabSyncService)
     };
 
     // ---------------------------------------------------------------------------
@@ -123,6 +135,10 @@ const StateManager = (function () {
     // ---------------------------------------------------------------------------
 
     // Canvas
+    function getCanvasState() {
+        return canvasState;
+    }
+
     function getScales() {
         return canvasState.scales;
     }
@@ -135,6 +151,10 @@ const StateManager = (function () {
         return canvasState.pan;
     }
 
+    function getZoom() {
+        return canvasState.zoom;
+    }
+
     function getActiveScaleId() {
         return canvasState.activeScaleId;
     }
@@ -211,6 +231,10 @@ const StateManager = (function () {
         canvasState.pan.y = y;
     }
 
+    function setZoom(zoom) {
+        canvasState.zoom = zoom;
+    }
+
     function setActiveScaleId(scaleId) {
         canvasState.activeScaleId = scaleId;
     }
@@ -292,6 +316,44 @@ const StateManager = (function () {
         previewState.isCompleted = false;
     }
 
+    /**
+     * Reset the per-project canvas fields (project switch/close).
+     * Scales are NOT touched here: ScaleStore owns them (validation, events).
+     *
+     * @returns {{ pan: {x: number, y: number}, zoom: number, activeScaleId: string|null }} Outgoing view state
+     */
+    function unloadCanvasState() {
+        const outgoing = {
+            pan: { ...canvasState.pan },
+            zoom: canvasState.zoom,
+            activeScaleId: canvasState.activeScaleId
+        };
+
+        canvasState.pan.x = 0;
+        canvasState.pan.y = 0;
+        canvasState.zoom = 1;
+        canvasState.activeScaleId = null;
+        canvasState.branchingFromScaleId = null;
+        canvasState.isBranchingInProgress = false;
+
+        return outgoing;
+    }
+
+    /**
+     * Apply a project's canvas view state (after ScaleStore.loadScales).
+     * Same object identity is kept: ScaleStore and app.js hold references.
+     *
+     * @param {Object} [canvas] - Project document canvas block { pan, zoom, active_scale_id }
+     */
+    function loadCanvasState(canvas) {
+        unloadCanvasState();
+
+        canvasState.pan.x = canvas?.pan?.x || 0;
+        canvasState.pan.y = canvas?.pan?.y || 0;
+        canvasState.zoom = canvas?.zoom || 1;
+        canvasState.activeScaleId = canvas?.active_scale_id || null;
+    }
+
     /**
      * Get legacy state object for backward compatibility.
      * DEPRECATED: Use specific getters instead.
@@ -320,18 +382,23 @@ const StateManager = (function () {
     // ---------------------------------------------------------------------------
     return {
         // Canvas getters
+        getCanvasState,
         getScales,
         getScale,
         getPan,
+        getZoom,
         getActiveScaleId,
         getBranchingFromScaleId,
         isBranchingInProgress,
 
         // Canvas setters
+        loadCanvasState,
+        unloadCanvasState,
         setScale,
         deleteScale,
         clearScales,
         setPan,
+        setZoom,
         setActiveScaleId,
         setBranchingFromScaleId,
         setBranchingInProgress,
@@ -0,0 +1,254 @@
+/**
+ * MLPA Prototype - Version History
+ *
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Timestamped content snapshots per scale (version history)
+ * Inputs: ScaleStore change events (subscribed during init), saved version
+ *         lists (project/session documents)
+ * Outputs: Version lists and snapshots for the version panel and for saving
+ * Allowed side effects: Mutation of its own version lists ONLY
+ * Forbidden responsibilities:
+ *   - NO DOM access
+ *   - NO rendering
+ *   - NO scale mutation (restores go through ScaleStore.updateScale)
+ * Invariants this module guarantees:
+ *   - A version is recorded only when name, dimensions, item text or rubrics change
+ *   - Snapshots are deep copies (never alias live scales)
+ *   - Version numbers per scale only increase (also after trimming)
+ *   - History of a removed scale is kept, so undoing the delete resumes it
+ *   - The history is saved with the project (exportVersions) and survives
+ *     reloads, project switches and imports (restoreVersions)
+ */
+
+// ============================================================================
+// VERSION SHAPE
+// ============================================================================
+/**
+ * @typedef {Object} ScaleVersion
+ * @property {string} version_id - `${scale_id}-v${number}`
+ * @property {number} number - 1-based, per scale
+ * @property {string} created_at - ISO timestamp
+ * @property {string} label - Operation that produced the version
+ * @property {{scale_name: string, dimensions: Dimension[]}} snapshot - Versioned content
+ */
+
+const VersionHistory = (function () {
+    'use strict';
+
+    const MAX_VERSIONS_PER_SCALE = 50;
+
+    // scale_id → ScaleVersion[] (oldest first)
+    let _versions = new Map();
+    let _store = null;
+    let _unsubscribe = null;
+
+    // ---------------------------------------------------------------------------
+    // SNAPSHOTS
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Extract the versioned content of a scale (deep copy).
+     * Position, expansion and tree fields are layout state, not content.
+     * @private
+     */
+    function takeSnapshot(scale) {
+        return JSON.parse(JSON.stringify({
+            scale_name: scale.scale_name,
+            dimensions: scale.dimensions || []
+        }));
+    }
+
+    /**
+     * Name the operation behind an event (HistoryStack already holds it).
+     * @private
+     */
+    function labelFor(event) {
+        const history = window.HistoryStack;
+
+        switch (event.source) {
+            case 'load':
+                return 'Versi awal';
+            case 'undo':
+                return `Diurungkan: ${history?.peekRedoLabel() || 'perubahan'}`;
+            case 'redo':
+                return `Diulangi: ${history?.peekUndoLabel() || 'perubahan'}`;
+            case 'remote':
+                return 'Perubahan dari tab lain';
+            default:
+                return history?.peekUndoLabel() || 'Perubahan';
+        }
+    }
+
+    /**
+     * Append a version if the scale's content differs from its latest version.
+     * @private
+     */
+    function recordScale(scaleId, label) {
+        const scale = _store.getScale(scaleId);
+        if (!scale) return;
+
+        const snapshot = takeSnapshot(scale);
+        const versions = _versions.get(scaleId) || [];
+        const latest = versions[versions.length - 1];
+
+        if (latest && JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) {
+            return;
+        }
+
+        const number = latest ? latest.number + 1 : 1;
+        versions.push({
+            version_id: `${scaleId}-v${number}`,
+            number,
+            created_at: new Date().toISOString(),
+            label,
+            snapshot
+        });
+
+        if (versions.length > MAX_VERSIONS_PER_SCALE) {
+            versions.shift();
+        }
+
+        _versions.set(scaleId, versions);
+    }
+
+    /**
+     * ScaleStore listener.
+     * @private
+     */
+    function handleStoreEvent(event) {
+        const { EVENTS } = _store;
+
+        switch (event.type) {
+            case EVENTS.CLEARED:
+                _versions = new Map();
+                break;
+            case EVENTS.SCALE_ADDED:
+            case EVENTS.SCALE_UPDATED:
+            case EVENTS.ITEM_UPDATED: {
+                const label = labelFor(event);
+                event.scaleIds.forEach(id => recordScale(id, label));
+                break;
+            }
+            default:
+                // scales-removed: keep history for undo
+                break;
+        }
+    }
+
+    // ---------------------------------------------------------------------------
+    // PUBLIC API
+    // ---------------------------------------------------------------------------
+
+    /**
+     * Start recording versions from a store. Existing scales get a first version.
+     *
+     * @param {Object} store - ScaleStore
+     */
+    function init(store) {
+        if (_unsubscribe) _unsubscribe();
+
+        _store = store;
+        _versions = new Map();
+        _unsubscribe = store.subscribe(handleStoreEvent);
+
+        store.getAllScales()?.forEach((scale, id) => recordScale(id, 'Versi awal'));
+    }
+
+    /**
+     * All versions of a scale, oldest first.
+     *
+     * @param {string} scaleId - Scale ID
+     * @returns {ScaleVersion[]} Copy of the list (snapshots are shared, treat as read-only)
+     */
+    function getVersions(scaleId) {
+        return (_versions.get(scaleId) || []).slice();
+    }
+
+    /**
+     * A single version.
+     *
+     * @param {string} scaleId - Scale ID
+     * @param {string} versionId - Version ID
+     * @returns {ScaleVersion|null}
+     */
+    function getVersion(scaleId, versionId) {
+        return (_versions.get(scaleId) || []).find(v => v.version_id === versionId) || null;
+    }
+
+    /**
+     * Deep copy of a version's content, safe to hand to ScaleStore.updateScale.
+     *
+     * @param {string} scaleId - Scale ID
+     * @param {string} versionId - Version ID
+     * @returns {{scale_name: string, dimensions: Dimension[]}|null}
+     */
+    function getSnapshot(scaleId, versionId) {
+        const version = getVersion(scaleId, versionId);
+        return version ? JSON.parse(JSON.stringify(version.snapshot)) : null;
+    }
+
+    /**
+     * Version lists of the given scales for a project document (deep copy).
+     *
+     * @param {Iterable<string>} scaleIds - Scales to save (history of deleted
+     *        scales is not saved: their undo steps are not saved either)
+     * @returns {Object<string, ScaleVersion[]>}
+     */
+    function exportVersions(scaleIds) {
+        const saved = {};
+        for (const scaleId of scaleIds) {
+            const versions = _versions.get(scaleId);
+            if (versions && versions.length > 0) saved[scaleId] = versions;
+        }
+        return JSON.parse(JSON.stringify(saved));
+    }
+
+    /**
+     * Replace the history with saved version lists, right after the store has
+     * loaded the matching graph. Malformed versions are dropped; a scale whose
+     * content differs from its last saved version (or has none) gets a new version.
+     *
+     * @param {Object<string, ScaleVersion[]>} [saved] - From exportVersions
+     */
+    function restoreVersions(saved) {
+        _versions = new Map();
+
+        Object.entries(saved || {}).forEach(([scaleId, versions]) => {
+            if (!Array.isArray(versions) || !_store?.getScale(scaleId)) return;
+
+            const valid = versions.filter(version => version
+                && typeof version.version_id === 'string'
+                && typeof version.number === 'number'
+                && version.snapshot
+                && Array.isArray(version.snapshot.dimensions));
+            if (valid.length > 0) {
+                _versions.set(scaleId, JSON.parse(JSON.stringify(valid.slice(-MAX_VERSIONS_PER_SCALE))));
+            }
+        });
+
+        _store?.getAllScales()?.forEach((scale, id) => recordScale(id, 'Versi awal'));
+    }
+
+    return {
+        MAX_VERSIONS_PER_SCALE,
+        init,
+        getVersions,
+        getVersion,
+        getSnapshot,
+        exportVersions,
+        restoreVersions
+    };
+})();
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.VersionHistory = VersionHistory;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VersionHistory;
+}
@@ -0,0 +1,92 @@
+/**
+ * MLPA Prototype - Canvas Image Renderer
+ *
+ * Turns a CanvasImageLayout into a standalone SVG document (inline styles, no
+ * external resources) for the SVG/PNG export of the flow canvas. Connectors
+ * use the same bezier geometry as the canvas (ConnectionGeometry).
+ * NO logic decisions. NO state mutation. Never reads the DOM.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const CANVAS_IMAGE_STYLE = `
+    .image-link { fill: none; stroke: rgba(0, 0, 0, 0.15); stroke-width: 2; }
+    .image-box { fill: #ffffff; stroke: rgba(0, 0, 0, 0.15); stroke-width: 1; }
+    .image-box.root { stroke: rgba(0, 0, 0, 0.45); }
+    text { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; fill: #000000; }
+    .image-title { font-size: 13px; font-weight: 600; }
+    .image-dimension { font-size: 11px; font-weight: 600; fill: rgba(0, 0, 0, 0.5); }
+    .image-item, .image-item-number { font-size: 12px; }
+    .image-item-number { fill: rgba(0, 0, 0, 0.35); }
+`;
+
+// ============================================================================
+// SVG DOCUMENT
+// ============================================================================
+
+/**
+ * Create a standalone SVG document for an image layout.
+ *
+ * @param {CanvasImageLayout} layout - From CanvasImageLayout.computeCanvasImageLayout
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title (<title>)
+ * @returns {string} SVG markup, starting with the XML declaration
+ */
+function createCanvasImageSvg(layout, options = {}) {
+    const geometry = window.ConnectionGeometry;
+    const boxesById = new Map(layout.boxes.map(box => [box.scaleId, box]));
+
+    const linksSvg = layout.links
+        .map(({ parentId, childId }) => {
+            const parent = boxesById.get(parentId);
+            const child = boxesById.get(childId);
+            const { px, py, cx, cy } = geometry.calculateConnectionEndpoints(parent, child, parent, child);
+            return `<path class="image-link" d="${geometry.createBezierPath(px, py, cx, cy)}" />`;
+        })
+        .join('\n    ');
+
+    const boxesSvg = layout.boxes
+        .map(box => {
+            const linesSvg = box.lines
+                .map(line => `<text class="image-${line.kind}" x="${line.x}" y="${line.y}">${window.HtmlText.escapeHtml(line.text)}</text>`)
+                .join('');
+            return `<g transform="translate(${box.x} ${box.y})">` +
+                `<rect class="image-box${box.isRoot ? ' root' : ''}" width="${box.width}" height="${box.height}" rx="8" />` +
+                linesSvg +
+                '</g>';
+        })
+        .join('\n    ');
+
+    const titleSvg = options.title ? `\n  <title>${window.HtmlText.escapeHtml(options.title)}</title>` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.height}" viewBox="0 0 ${layout.width} ${layout.height}">${titleSvg}
+  <style>${CANVAS_IMAGE_STYLE}  </style>
+  <rect width="100%" height="100%" fill="#ffffff" />
+  <g class="image-links">
+    ${linksSvg}
+  </g>
+  <g class="image-boxes">
+    ${boxesSvg}
+  </g>
+</svg>
+`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.CanvasImageRenderer = {
+        createCanvasImageSvg
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createCanvasImageSvg
+    };
+}
@@ -0,0 +1,170 @@
+/**
+ * MLPA Prototype - Compare Renderer
+ *
+ * Pure HTML rendering for the side-by-side scale comparison.
+ * Accepts ScaleCompare.compareScales results as input, returns HTML strings.
+ * NO logic decisions. NO state mutation.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const COMPARE_STATUS_LABELS = {
+    added: 'Hanya di kanan',
+    removed: 'Hanya di kiri',
+    moved: 'Pindah dimensi',
+    changed: 'Diubah',
+    unchanged: 'Tetap'
+};
+
+/**
+ * One side of a word diff: shared words plus this side's own words marked.
+ * @private
+ */
+function createCompareWordsHtml(words, side) {
+    const ownType = side === 'left' ? 'removed' : 'added';
+    const tag = side === 'left' ? 'del' : 'ins';
+
+    return words
+        .filter(part => part.type === 'same' || part.type === ownType)
+        .map(part => part.type === 'same'
+            ? window.HtmlText.escapeHtml(part.text)
+            : `<${tag} class="compare-word ${ownType}">${window.HtmlText.escapeHtml(part.text)}</${tag}>`)
+        .join(' ');
+}
+
+/**
+ * Current rubric of one side, marked against its own baseline.
+ * @private
+ */
+function createCompareRubricHtml(traitDiff) {
+    const traits = [
+        ...traitDiff.kept.map(trait => `<span class="compare-trait">${window.HtmlText.escapeHtml(trait)}</span>`),
+        ...traitDiff.added.map(trait => `<span class="compare-trait added" title="Tidak ada di rubrik dasar">+${window.HtmlText.escapeHtml(trait)}</span>`),
+        ...traitDiff.removed.map(trait => `<span class="compare-trait removed" title="Hilang dari rubrik dasar">−${window.HtmlText.escapeHtml(trait)}</span>`)
+    ];
+
+    return traits.length > 0
+        ? `<div class="compare-rubric">${traits.join('')}</div>`
+        : '<div class="compare-rubric"><em>(rubrik kosong)</em></div>';
+}
+
+/**
+ * @private
+ */
+function createCompareSideHtml(entry, side) {
+    const item = entry[side];
+    if (!item) return '<div class="compare-side empty">—</div>';
+
+    const textHtml = entry.words.length > 0
+        ? createCompareWordsHtml(entry.words, side)
+        : window.HtmlText.escapeHtml(item.text);
+    const rubricHtml = entry.rubric
+        ? createCompareRubricHtml(entry.rubric[side])
+        : createCompareRubricHtml({ kept: item.current_rubric, added: [], removed: [] });
+
+    return `
+      <div class="compare-side">
+        <div class="compare-dimension">${window.HtmlText.escapeHtml(item.dimension)}</div>
+        <div class="compare-text">${textHtml}</div>
+        ${rubricHtml}
+      </div>
+    `;
+}
+
+// ============================================================================
+// COMPARE VIEW
+// ============================================================================
+
+/**
+ * Create <option> list for the scale pickers.
+ *
+ * @param {Array<{scale_id: string, scale_name: string}>} scales - In display order
+ * @param {string} selectedId - Selected scale ID
+ * @returns {string} HTML string
+ */
+function createCompareOptionsHtml(scales, selectedId) {
+    return scales.map(scale => `
+      <option value="${window.HtmlText.escapeHtml(scale.scale_id)}" ${scale.scale_id === selectedId ? 'selected' : ''}>
+        ${window.HtmlText.escapeHtml(scale.scale_name)}
+      </option>
+    `).join('');
+}
+
+/**
+ * Create the side-by-side comparison: summary, then one row per aligned item.
+ *
+ * @param {ScaleComparison} comparison - ScaleCompare.compareScales result
+ * @param {Object} names - { left, right, ancestor } scale names (ancestor null when none)
+ * @param {Object} [options]
+ * @param {boolean} [options.hideUnchanged] - Count unchanged items but do not list them
+ * @returns {string} HTML string
+ */
+function createCompareHtml(comparison, names, options = {}) {
+    const { summary } = comparison;
+
+    const ancestorHtml = comparison.common_ancestor_id
+        ? `Item dipasangkan melalui leluhur bersama <strong>${window.HtmlText.escapeHtml(names.ancestor)}</strong>`
+        : 'Kedua skala tidak memiliki leluhur bersama: item tidak dapat dipasangkan';
+
+    const summaryHtml = `
+      <div class="compare-summary">
+        <span>${ancestorHtml}</span>
+        <span>+${summary.added} · −${summary.removed} · ↔${summary.moved} pindah · ~${summary.changed} · ${summary.unchanged} tetap</span>
+      </div>
+      <div class="compare-columns compare-heading">
+        <div>${window.HtmlText.escapeHtml(names.left)}</div>
+        <div>${window.HtmlText.escapeHtml(names.right)}</div>
+      </div>
+    `;
+
+    const rowsHtml = comparison.items
+        .filter(entry => !(options.hideUnchanged && entry.status === 'unchanged'))
+        .map(entry => {
+            const betweenHtml = entry.rubric && entry.changes.includes('rubric')
+                ? `<div class="compare-between">Rubrik kanan: ${[
+                    ...entry.rubric.between.added.map(trait => `<span class="compare-trait added">+${window.HtmlText.escapeHtml(trait)}</span>`),
+                    ...entry.rubric.between.removed.map(trait => `<span class="compare-trait removed">−${window.HtmlText.escapeHtml(trait)}</span>`)
+                ].join('')}</div>`
+                : '';
+
+            return `
+      <div class="compare-row ${entry.status}">
+        <div class="compare-row-header">
+          <span>${COMPARE_STATUS_LABELS[entry.status]}</span>
+          ${entry.lineage_item_id ? `<span class="compare-lineage">${window.HtmlText.escapeHtml(entry.lineage_item_id)}</span>` : ''}
+        </div>
+        <div class="compare-columns">
+          ${createCompareSideHtml(entry, 'left')}
+          ${createCompareSideHtml(entry, 'right')}
+        </div>
+        ${betweenHtml}
+      </div>
+    `;
+        }).join('');
+
+    const emptyHtml = !rowsHtml
+        ? '<p class="version-empty">Tidak ada perbedaan</p>'
+        : '';
+
+    return summaryHtml + rowsHtml + emptyHtml;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.CompareRenderer = {
+        createCompareOptionsHtml,
+        createCompareHtml
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createCompareOptionsHtml,
+        createCompareHtml
+    };
+}
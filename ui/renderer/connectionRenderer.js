@@ -1,8 +1,8 @@
 /**
  * MLPA Prototype - Connection Renderer
  * 
- * Renders SVG connections between flow boxes.
- * Accepts DOM elements and state, performs DOM mutations.
+ * Renders SVG connections between flow boxes and their adaptation intent labels.
+ * Accepts world rectangles (stored positions and sizes), returns path data and markup.
  */
 
 // ============================================================================
@@ -10,26 +10,21 @@
 // ============================================================================
 
 /**
- * Build connection path data for a parent-child relationship.
+ * Build connection path data for a parent-child relationship: right-center of
+ * the parent box to left-center of the child box.
  * Returns path info but does NOT mutate DOM.
  * 
- * @param {Element} parentEl - Parent flow box element
- * @param {Element} childEl - Child flow box element
- * @param {DOMRect} canvasRect - Canvas bounding rect
- * @param {{x: number, y: number}} pan - Current pan offset
- * @returns {{ path: string } | null} Path data or null if cannot calculate
+ * @param {{x: number, y: number, width: number, height: number}} parentRect - Parent box (world)
+ * @param {{x: number, y: number, width: number, height: number}} childRect - Child box (world)
+ * @returns {{ path: string, px: number, py: number, cx: number, cy: number } | null} Path data or null if cannot calculate
  */
-function buildConnectionPath(parentEl, childEl, canvasRect, pan) {
-    if (!parentEl || !childEl || !canvasRect) return null;
+function buildConnectionPath(parentRect, childRect) {
+    if (!parentRect || !childRect) return null;
 
-    const parentRect = parentEl.getBoundingClientRect();
-    const childRect = childEl.getBoundingClientRect();
-
-    // Convert to world space (subtract canvas offset and pan)
-    const px = parentRect.right - canvasRect.left - pan.x;
-    const py = parentRect.top + parentRect.height / 2 - canvasRect.top - pan.y;
-    const cx = childRect.left - canvasRect.left - pan.x;
-    const cy = childRect.top + childRect.height / 2 - canvasRect.top - pan.y;
+    const px = parentRect.x + parentRect.width;
+    const py = parentRect.y + parentRect.height / 2;
+    const cx = childRect.x;
+    const cy = childRect.y + childRect.height / 2;
 
     // Use ConnectionGeometry for path calculation
     const path = window.ConnectionGeometry
@@ -52,14 +47,53 @@ function createBezierPathFallback(px, py, cx, cy) {
     return `M ${px} ${py} C ${c1x} ${c1y}, ${c2x} ${c2y}, ${cx} ${cy}`;
 }
 
+const CONNECTION_LABEL_MAX_CHARS = 28;
+
+/**
+ * Shorten a connector label to maxChars characters (ending in "…").
+ * 
+ * @param {string} text
+ * @param {number} [maxChars]
+ * @returns {string}
+ */
+function truncateConnectionLabel(text, maxChars = CONNECTION_LABEL_MAX_CHARS) {
+    const clean = String(text ?? '').replace(/\s+/g, ' ').trim();
+    return clean.length > maxChars ? `${clean.slice(0, maxChars - 1).trimEnd()}…` : clean;
+}
+
+/**
+ * Create the adaptation intent label of a connector: truncated text above the
+ * curve's midpoint, the full intent as its tooltip.
+ * 
+ * @param {{ px: number, py: number, cx: number, cy: number }} connection - From buildConnectionPath
+ * @param {string} childId - Child scale ID (keys the label like its path)
+ * @param {string} intent - Adaptation intent of the child scale
+ * @returns {string} SVG group HTML
+ */
+function createConnectionLabelHtml(connection, childId, intent) {
+    const { px, py, cx, cy } = connection;
+    const mid = window.ConnectionGeometry
+        ? window.ConnectionGeometry.getBezierMidpoint(px, py, cx, cy)
+        : { x: (px + cx) / 2, y: (py + cy) / 2 };
+    const full = window.HtmlText.escapeHtml(intent);
+
+    return `<g class="flow-connection-label" data-child-id="${childId}" transform="translate(${mid.x} ${mid.y})"
+        role="button" tabindex="0" aria-label="Intensi adaptasi: ${full}">` +
+        `<title>${full}</title>` +
+        `<text text-anchor="middle" y="-8">${window.HtmlText.escapeHtml(truncateConnectionLabel(intent))}</text>` +
+        '</g>';
+}
+
 /**
  * Create SVG path element HTML.
  * 
  * @param {string} pathD - SVG path d attribute
+ * @param {string} [childId] - Child scale ID (keys the path for incremental updates)
  * @returns {string} SVG path element HTML
  */
-function createConnectionPathHtml(pathD) {
-    return `<path class="flow-connection-line" d="${pathD}" />`;
+function createConnectionPathHtml(pathD, childId) {
+    const key = childId ? ` data-child-id="${childId}"` : '';
+    return `<path class="flow-connection-line"${key} d="${pathD}" />`;
 }
 
 // ============================================================================
@@ -69,13 +103,17 @@ function createConnectionPathHtml(pathD) {
 if (typeof window !== 'undefined') {
     window.ConnectionRenderer = {
         buildConnectionPath,
-        createConnectionPathHtml
+        createConnectionPathHtml,
+        truncateConnectionLabel,
+        createConnectionLabelHtml
     };
 }
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         buildConnectionPath,
-        createConnectionPathHtml
+        createConnectionPathHtml,
+        truncateConnectionLabel,
+        createConnectionLabelHtml
     };
 }
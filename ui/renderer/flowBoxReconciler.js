@@ -0,0 +1,319 @@
+/**
+ * MLPA Prototype - FlowBox Reconciler
+ *
+ * Keyed DOM reconcile for the flow boxes. Compares each scale with the record
+ * of what was last rendered for it and adds, removes or patches only the boxes,
+ * tool bars, metadata strips, dimensions and items that changed. Boxes the
+ * caller culls are drawn as lightweight placeholders. Markup always comes from
+ * FlowBoxRenderer. Listeners are delegated by the caller, so replaced elements
+ * need no rebinding.
+ * NO logic decisions. NO state mutation (scales are only read).
+ */
+
+// ============================================================================
+// RENDER RECORDS
+// ============================================================================
+
+/**
+ * Describe what a scale's flow box shows. Two equal descriptions render the
+ * same DOM; strings are compared, never elements.
+ *
+ * @param {Scale} scale - Scale object
+ * @param {number} [descendantCount] - Descendants of the scale (subtree toggle)
+ * @returns {FlowBoxRecord}
+ *
+ * @typedef {Object} FlowBoxRecord
+ * @property {boolean} placeholder - false for full boxes
+ * @property {string} toolsHtml
+ * @property {string} title
+ * @property {string} metaHtml
+ * @property {string} foldHtml - Subtree toggle ('' without descendants)
+ * @property {Array<{ key: string, html: string, itemsHtml: string[] }>} dimensions
+ *           key: number, name and item order (a changed key replaces the whole dimension)
+ */
+function describeFlowBox(scale, descendantCount = 0) {
+    const renderer = window.FlowBoxRenderer;
+
+    const dimensions = renderer.listFlowBoxDimensions(scale).map(({ dimension, index, startItemIndex }) => ({
+        key: JSON.stringify([index, dimension.name ?? '', dimension.items.map(item => item?.item_id ?? '')]),
+        html: renderer.createDimensionHtml(dimension, index, startItemIndex, scale),
+        itemsHtml: dimension.items.map((item, i) => renderer.createItemHtml(item, startItemIndex + i, scale))
+    }));
+
+    return {
+        placeholder: false,
+        toolsHtml: renderer.createFlowBoxToolsHtml(scale),
+        title: scale.scale_name ?? '',
+        metaHtml: renderer.createMetadataStripHtml(scale),
+        foldHtml: renderer.createSubtreeToggleHtml(scale, descendantCount),
+        dimensions
+    };
+}
+
+/**
+ * Record of a placeholder box.
+ * @private
+ */
+function describePlaceholder(scale, size) {
+    return { placeholder: true, title: scale.scale_name ?? '', width: size.width, height: size.height };
+}
+
+// ============================================================================
+// PATCHING
+// ============================================================================
+
+/**
+ * Replace an element with markup; returns the new element.
+ * @private
+ */
+function replaceWithHtml(element, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    const replacement = template.content.firstElementChild;
+    element.replaceWith(replacement);
+    return replacement;
+}
+
+/**
+ * Position and state classes that come from the scale. Classes added by the
+ * editor (edit mode, selection, dragging) and its ARIA tree attributes are
+ * left alone.
+ * @private
+ */
+function patchFlowBoxShell(box, scale) {
+    const left = `${scale.position.x}px`;
+    const top = `${scale.position.y}px`;
+    if (box.style.left !== left) box.style.left = left;
+    if (box.style.top !== top) box.style.top = top;
+    box.classList.toggle('flow-mode-collapsed', !scale.expanded);
+    box.classList.toggle('pinned', Boolean(scale.positionPinned));
+}
+
+/**
+ * Patch dimensions and items. A changed dimension key replaces that dimension;
+ * otherwise only items whose markup changed are replaced. The preserved item
+ * (being edited) is never replaced: structural changes around it wait for the
+ * next pass, which the kept record entries make happen.
+ * @private
+ * @returns {{ dimensions: Array, changed: boolean }}
+ */
+function patchFlowBoxContent(box, previous, next, preserveItem) {
+    const content = box.querySelector('.flow-box-content');
+    if (!content) return { dimensions: previous, changed: false };
+
+    const structural = previous.length !== next.length
+        || next.some((dimension, i) => dimension.key !== previous[i].key);
+    if (structural && preserveItem && content.contains(preserveItem)) {
+        return { dimensions: previous, changed: false };
+    }
+
+    let changed = structural;
+    const dimensionEls = Array.from(content.children);
+    const dimensions = next.map((dimension, i) => {
+        const element = dimensionEls[i];
+        if (!element) {
+            content.insertAdjacentHTML('beforeend', dimension.html);
+            return dimension;
+        }
+        if (!previous[i] || dimension.key !== previous[i].key) {
+            replaceWithHtml(element, dimension.html);
+            return dimension;
+        }
+
+        const itemEls = element.querySelectorAll('.item-box');
+        const itemsHtml = dimension.itemsHtml.map((html, j) => {
+            if (html === previous[i].itemsHtml[j] || !itemEls[j]) return html;
+            if (itemEls[j] === preserveItem) return previous[i].itemsHtml[j];
+            replaceWithHtml(itemEls[j], html);
+            changed = true;
+            return html;
+        });
+        return { ...dimension, itemsHtml };
+    });
+
+    dimensionEls.slice(next.length).forEach(element => element.remove());
+    return { dimensions, changed };
+}
+
+/**
+ * Patch one existing box to match its scale.
+ * @private
+ * @returns {{ record: FlowBoxRecord, changed: boolean }}
+ */
+function patchFlowBox(box, scale, record, preserveItem, descendantCount) {
+    const next = describeFlowBox(scale, descendantCount);
+    const before = { left: box.style.left, top: box.style.top, className: box.className };
+    let changed = false;
+
+    patchFlowBoxShell(box, scale);
+    if (box.style.left !== before.left || box.style.top !== before.top || box.className !== before.className) {
+        changed = true;
+    }
+
+    if (next.toolsHtml !== record.toolsHtml) {
+        const tools = box.querySelector('.flow-box-tools');
+        if (tools) replaceWithHtml(tools, next.toolsHtml);
+        changed = true;
+    }
+
+    if (next.title !== record.title) {
+        const title = box.querySelector('.flow-box-title');
+        if (title) title.textContent = next.title;
+        changed = true;
+    }
+
+    if (next.metaHtml !== record.metaHtml) {
+        const meta = box.querySelector('.flow-box-meta');
+        if (meta && next.metaHtml.trim()) {
+            replaceWithHtml(meta, next.metaHtml);
+        } else if (meta) {
+            meta.remove();
+        } else {
+            box.querySelector('.flow-box-header')?.insertAdjacentHTML('afterend', next.metaHtml);
+        }
+        changed = true;
+    }
+
+    if (next.foldHtml !== record.foldHtml) {
+        const toggle = box.querySelector('.subtree-toggle');
+        if (toggle && next.foldHtml) {
+            replaceWithHtml(toggle, next.foldHtml);
+        } else if (toggle) {
+            toggle.remove();
+        } else {
+            box.insertAdjacentHTML('beforeend', next.foldHtml);
+        }
+        changed = true;
+    }
+
+    const content = patchFlowBoxContent(box, record.dimensions, next.dimensions, preserveItem);
+    if (content.changed) changed = true;
+
+    return { record: { ...next, dimensions: content.dimensions }, changed };
+}
+
+/**
+ * Patch a placeholder box (position, classes, title and size only).
+ * @private
+ * @returns {{ record: Object, changed: boolean }}
+ */
+function patchPlaceholder(box, scale, record, size) {
+    const next = describePlaceholder(scale, size);
+    const before = { left: box.style.left, top: box.style.top, className: box.className };
+
+    patchFlowBoxShell(box, scale);
+    let changed = box.style.left !== before.left || box.style.top !== before.top || box.className !== before.className;
+
+    if (next.title !== record.title) {
+        const title = box.querySelector('.flow-box-title');
+        if (title) title.textContent = next.title;
+        changed = true;
+    }
+
+    if (next.width !== record.width || next.height !== record.height) {
+        box.style.width = `${next.width}px`;
+        box.style.height = `${next.height}px`;
+        changed = true;
+    }
+
+    return { record: next, changed };
+}
+
+// ============================================================================
+// RECONCILE
+// ============================================================================
+
+/**
+ * Bring the flow boxes in the container in line with the scales.
+ *
+ * @param {Element} container - #flow-boxes
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {Map<string, FlowBoxRecord>} records - Last rendered record per box (updated in place)
+ * @param {Object} [options]
+ * @param {Iterable<string>|null} [options.scaleIds] - Only reconcile these scales (null = all,
+ *        which also removes boxes of scales that no longer exist)
+ * @param {Element|null} [options.preserveItem] - Item element being edited; never replaced
+ * @param {Map<string, {width: number, height: number}>|null} [options.placeholderSizes] - Culled
+ *        scales, drawn as placeholders of the given size (a box switches kind by being replaced)
+ * @param {Map<string, number>|null} [options.descendantCounts] - Descendants per scale with
+ *        children (ScaleGraph.getSubtreeFoldState); drives the subtree toggle
+ * @returns {{ changed: string[], removed: string[] }}
+ *          changed: boxes added or patched (their connectors need redrawing)
+ */
+function reconcileFlowBoxes(container, scales, records, options = {}) {
+    const { scaleIds = null, preserveItem = null, placeholderSizes = null, descendantCounts = null } = options;
+    const renderer = window.FlowBoxRenderer;
+
+    const boxes = new Map();
+    Array.from(container.children).forEach(box => {
+        if (box.dataset.scaleId) boxes.set(box.dataset.scaleId, box);
+    });
+
+    const targetIds = scaleIds === null
+        ? new Set([...boxes.keys(), ...scales.keys()])
+        : new Set(scaleIds);
+
+    const changed = [];
+    const removed = [];
+
+    targetIds.forEach(scaleId => {
+        const scale = scales.get(scaleId);
+        const box = boxes.get(scaleId);
+
+        if (!scale) {
+            if (box) box.remove();
+            if (box || records.has(scaleId)) removed.push(scaleId);
+            records.delete(scaleId);
+            return;
+        }
+
+        // The box holding the edited item is never culled
+        const keepFull = preserveItem && box && box.contains(preserveItem);
+        const placeholderSize = keepFull ? null : placeholderSizes?.get(scaleId) || null;
+
+        const descendantCount = descendantCounts?.get(scaleId) || 0;
+        const record = records.get(scaleId);
+        if (!box || !record || record.placeholder !== Boolean(placeholderSize)) {
+            const html = placeholderSize
+                ? renderer.createFlowBoxPlaceholderHtml(scale, placeholderSize)
+                : renderer.createFlowBoxHtml(scale, descendantCount);
+            // Replace in place so the stacking order of the other boxes is kept
+            if (box) {
+                replaceWithHtml(box, html);
+            } else {
+                container.insertAdjacentHTML('beforeend', html);
+            }
+            records.set(scaleId, placeholderSize
+                ? describePlaceholder(scale, placeholderSize)
+                : describeFlowBox(scale, descendantCount));
+            changed.push(scaleId);
+            return;
+        }
+
+        const result = record.placeholder
+            ? patchPlaceholder(box, scale, record, placeholderSize)
+            : patchFlowBox(box, scale, record, preserveItem, descendantCount);
+        records.set(scaleId, result.record);
+        if (result.changed) changed.push(scaleId);
+    });
+
+    return { changed, removed };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.FlowBoxReconciler = {
+        reconcileFlowBoxes,
+        describeFlowBox
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        reconcileFlowBoxes,
+        describeFlowBox
+    };
+}
@@ -12,26 +12,115 @@
 
 /**
  * Create complete flowbox HTML for a scale.
+ * The box is an ARIA treeitem; its level, label and tabindex (roving focus)
+ * are set by the flow editor.
  * 
  * @param {Scale} scale - Scale object
+ * @param {number} [descendantCount] - Descendants of the scale (0 = no subtree toggle)
  * @returns {string} HTML string
  */
-function createFlowBoxHtml(scale) {
+function createFlowBoxHtml(scale, descendantCount = 0) {
+    const dimensionsHtml = listFlowBoxDimensions(scale)
+        .map(({ dimension, index, startItemIndex }) => createDimensionHtml(dimension, index, startItemIndex, scale))
+        .join('');
+
+    return `
+    <div class="flow-box flow-mode ${scale.expanded ? '' : 'flow-mode-collapsed'} ${scale.positionPinned ? 'pinned' : ''}"  
+         data-scale-id="${scale.scale_id}" role="treeitem" tabindex="-1"
+         style="left: ${scale.position.x}px; top: ${scale.position.y}px;">
+      <!-- Hover Tools -->
+      ${createFlowBoxToolsHtml(scale)}
+
+      <!-- Header -->
+      <div class="flow-box-header">
+        <span class="flow-box-title">${window.HtmlText.escapeHtml(scale.scale_name)}</span>
+        <svg class="flow-box-toggle" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M6 9l6 6 6-6" />
+        </svg>
+      </div>
+      ${createMetadataStripHtml(scale)}
+
+      <!-- Content -->
+      <div class="flow-box-content">
+        ${dimensionsHtml}
+      </div>
+      ${createSubtreeToggleHtml(scale, descendantCount)}
+    </div>
+  `;
+}
+
+/**
+ * Create the subtree fold toggle on the right edge of a box with children.
+ * Folded (subtreeCollapsed), it is a badge with the number of hidden scales.
+ * Out of the tab order: the keyboard folds with F on the focused box.
+ * 
+ * @param {Scale} scale - Scale object
+ * @param {number} descendantCount - Descendants of the scale
+ * @returns {string} HTML string ('' without descendants)
+ */
+function createSubtreeToggleHtml(scale, descendantCount) {
+    if (!descendantCount) return '';
+
+    if (scale.subtreeCollapsed === true) {
+        return `<button class="subtree-toggle folded" aria-expanded="false" tabindex="-1"
+                title="Tampilkan ${descendantCount} skala turunan">+${descendantCount}</button>`;
+    }
+    return `<button class="subtree-toggle" aria-expanded="true" tabindex="-1"
+                title="Sembunyikan ${descendantCount} skala turunan">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5">
+            <line x1="6" y1="12" x2="18" y2="12" />
+          </svg>
+        </button>`;
+}
+
+/**
+ * Create the lightweight stand-in for a flow box outside the viewport: same
+ * place and size, title only (no tools, metadata or items).
+ * 
+ * @param {Scale} scale - Scale object
+ * @param {{width: number, height: number}} size - Remembered or estimated box size
+ * @returns {string} HTML string
+ */
+function createFlowBoxPlaceholderHtml(scale, size) {
+    return `
+    <div class="flow-box flow-box-placeholder ${scale.expanded ? '' : 'flow-mode-collapsed'} ${scale.positionPinned ? 'pinned' : ''}"
+         data-scale-id="${scale.scale_id}" role="treeitem" tabindex="-1"
+         style="left: ${scale.position.x}px; top: ${scale.position.y}px; width: ${size.width}px; height: ${size.height}px;">
+      <div class="flow-box-header">
+        <span class="flow-box-title">${window.HtmlText.escapeHtml(scale.scale_name)}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Dimensions of a scale with their display number and the number of their
+ * first item (items are numbered across dimensions). Malformed entries are
+ * normalized to empty dimensions.
+ * 
+ * @param {Scale} scale - Scale object
+ * @returns {Array<{ dimension: Dimension, index: number, startItemIndex: number }>}
+ */
+function listFlowBoxDimensions(scale) {
     let globalItemIndex = 1;
     const dimensions = Array.isArray(scale.dimensions) ? scale.dimensions : [];
-    const dimensionsHtml = dimensions.map((dim, index) => {
+    return dimensions.map((dim, index) => {
         const safeDimension = dim && typeof dim === 'object' ? dim : {};
         const items = Array.isArray(safeDimension.items) ? safeDimension.items : [];
-        const html = createDimensionHtml({ ...safeDimension, items }, index + 1, globalItemIndex, scale);
+        const entry = { dimension: { ...safeDimension, items }, index: index + 1, startItemIndex: globalItemIndex };
         globalItemIndex += items.length;
-        return html;
-    }).join('');
+        return entry;
+    });
+}
 
+/**
+ * Create the hover tool bar of a flow box (depends on is_root and positionPinned).
+ * 
+ * @param {Scale} scale - Scale object
+ * @returns {string} HTML string
+ */
+function createFlowBoxToolsHtml(scale) {
     return `
-    <div class="flow-box flow-mode ${scale.expanded ? '' : 'flow-mode-collapsed'}"  
-         data-scale-id="${scale.scale_id}" 
-         style="left: ${scale.position.x}px; top: ${scale.position.y}px;">
-      <!-- Hover Tools -->
       <div class="flow-box-tools">
         <button class="flow-tool-btn edit-mode-btn" title="Edit Item">
           <img src="assets/edit_icon.png" alt="Edit">
@@ -39,7 +128,56 @@ function createFlowBoxHtml(scale) {
         <button class="flow-tool-btn export-btn" title="Simpan sebagai CSV">
           <img src="assets/save_icon.png" alt="Export">
         </button>
+        <button class="flow-tool-btn history-btn" title="Riwayat Versi">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M3 12a9 9 0 1 0 3-6.7L3 8"></path>
+            <polyline points="3 3 3 8 8 8"></polyline>
+            <polyline points="12 7 12 12 15 14"></polyline>
+          </svg>
+        </button>
+        <button class="flow-tool-btn compare-btn" title="Bandingkan Skala">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="3" y="4" width="7" height="16" rx="1"></rect>
+            <rect x="14" y="4" width="7" height="16" rx="1"></rect>
+          </svg>
+        </button>
+        <button class="flow-tool-btn metadata-btn" title="Metadata Skala">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"></path>
+            <line x1="7" y1="7" x2="7.01" y2="7"></line>
+          </svg>
+        </button>
+        <button class="flow-tool-btn pin-btn ${scale.positionPinned ? 'active' : ''}"
+                title="${scale.positionPinned ? 'Lepas sematan posisi' : 'Sematkan posisi (tidak diubah saat merapikan)'}">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <line x1="12" y1="17" x2="12" y2="22"></line>
+            <path d="M5 17h14v-1.76a2 2 0 0 0-1.11-1.79l-1.78-.9A2 2 0 0 1 15 10.76V6h1a2 2 0 0 0 0-4H8a2 2 0 0 0 0 4h1v4.76a2 2 0 0 1-1.11 1.79l-1.78.9A2 2 0 0 0 5 15.24Z"></path>
+          </svg>
+        </button>
+        <button class="flow-tool-btn duplicate-btn" title="Duplikat Skala">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+          </svg>
+        </button>
         ${!scale.is_root ? `
+        <button class="flow-tool-btn duplicate-subtree-btn" title="Duplikat Skala beserta Turunannya">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polygon points="12 2 2 7 12 12 22 7 12 2"></polygon>
+            <polyline points="2 17 12 22 22 17"></polyline>
+            <polyline points="2 12 12 17 22 12"></polyline>
+          </svg>
+        </button>
+        <button class="flow-tool-btn reparent-handle" title="Seret ke skala induk lain">
+          <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polyline points="5 9 2 12 5 15"></polyline>
+            <polyline points="9 5 12 2 15 5"></polyline>
+            <polyline points="15 19 12 22 9 19"></polyline>
+            <polyline points="19 9 22 12 19 15"></polyline>
+            <line x1="2" y1="12" x2="22" y2="12"></line>
+            <line x1="12" y1="2" x2="12" y2="22"></line>
+          </svg>
+        </button>
         <button class="flow-tool-btn delete-btn" title="Hapus Skala">
           <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <polyline points="3 6 5 6 21 6"></polyline>
@@ -50,21 +188,34 @@ function createFlowBoxHtml(scale) {
           <img src="assets/branch_button_icon.png" alt="Branch">
         </button>
       </div>
+    `;
+}
 
-      <!-- Header -->
-      <div class="flow-box-header">
-        <span class="flow-box-title">${scale.scale_name}</span>
-        <svg class="flow-box-toggle" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M6 9l6 6 6-6" />
-        </svg>
-      </div>
+/**
+ * Create the metadata strip under the header: status badge, then audience,
+ * language and tags when set.
+ * 
+ * @param {Scale} scale - Scale object
+ * @returns {string} HTML string
+ */
+function createMetadataStripHtml(scale) {
+    const metadata = window.ScaleMetadata;
+    if (!metadata) return '';
 
-      <!-- Content -->
-      <div class="flow-box-content">
-        ${dimensionsHtml}
+    const status = metadata.getScaleStatus(scale);
+    const details = [scale.target_audience, scale.language]
+        .filter(Boolean)
+        .map(value => `<span class="flow-box-meta-detail">${window.HtmlText.escapeHtml(value)}</span>`);
+    const tags = (scale.tags || [])
+        .map(tag => `<span class="flow-box-meta-tag">#${window.HtmlText.escapeHtml(tag)}</span>`);
+
+    return `
+      <div class="flow-box-meta">
+        <span class="flow-box-status status-${status}">${metadata.SCALE_STATUS_LABELS[status]}</span>
+        ${details.join('')}
+        ${tags.join('')}
       </div>
-    </div>
-  `;
+    `;
 }
 
 /**
@@ -111,7 +262,7 @@ function createItemHtml(item, itemIndex, scale) {
     const itemText = safeItem.text ?? '';
 
     return `
-    <div class="item-box ${integrityClass}" data-item-id="${itemId}">
+    <div class="item-box ${integrityClass}" data-item-id="${itemId}" tabindex="-1">
       <span class="item-text">
         <span class="item-index">i${itemIndex}: </span>
         <span class="item-content">${itemText}</span>
@@ -180,6 +331,11 @@ function getIntegrityClass(item, scale) {
 if (typeof window !== 'undefined') {
     window.FlowBoxRenderer = {
         createFlowBoxHtml,
+        createFlowBoxPlaceholderHtml,
+        createFlowBoxToolsHtml,
+        createSubtreeToggleHtml,
+        listFlowBoxDimensions,
+        createMetadataStripHtml,
         createDimensionHtml,
         createItemHtml,
         createRubricPopupHtml,
@@ -190,6 +346,11 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         createFlowBoxHtml,
+        createFlowBoxPlaceholderHtml,
+        createFlowBoxToolsHtml,
+        createSubtreeToggleHtml,
+        listFlowBoxDimensions,
+        createMetadataStripHtml,
         createDimensionHtml,
         createItemHtml,
         createRubricPopupHtml,
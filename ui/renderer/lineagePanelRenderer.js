@@ -0,0 +1,101 @@
+/**
+ * MLPA Prototype - Lineage Panel Renderer
+ *
+ * Pure HTML rendering for the item lineage panel.
+ * Accepts lineage walks (ScaleGraph.getItemAncestry / getItemDescendants)
+ * as input, returns HTML strings.
+ * NO logic decisions. NO state mutation.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * One generation of an item: branch, adaptation intent, text and rubric.
+ * @private
+ */
+function createLineageStepHtml({ scale, item }, options = {}) {
+    const integrityClass = window.FlowBoxRenderer
+        ? window.FlowBoxRenderer.getIntegrityClass(item, scale)
+        : '';
+    const rubric = item.current_rubric || [];
+    const intentHtml = scale.adaptation_intent
+        ? `<div class="lineage-intent">Adaptasi: ${window.HtmlText.escapeHtml(scale.adaptation_intent)}</div>`
+        : '';
+    const indent = options.indent ? `style="margin-left: ${options.indent * 16}px;"` : '';
+
+    return `
+      <div class="lineage-step ${integrityClass} ${options.current ? 'current' : ''}" ${indent}>
+        <div class="lineage-step-header">
+          <span class="lineage-step-scale">${window.HtmlText.escapeHtml(scale.scale_name)}</span>
+          <span class="lineage-step-kind">${scale.is_root ? 'Asal' : 'Cabang'}</span>
+        </div>
+        ${intentHtml}
+        <div class="lineage-text">${window.HtmlText.escapeHtml(item.text)}</div>
+        <div class="lineage-rubric">
+          ${rubric.length > 0
+            ? rubric.map(trait => `<span class="lineage-trait">${window.HtmlText.escapeHtml(trait)}</span>`).join('')
+            : '<em>(rubrik kosong)</em>'}
+        </div>
+      </div>
+    `;
+}
+
+// ============================================================================
+// LINEAGE PANEL
+// ============================================================================
+
+/**
+ * Create the lineage of one item: its path from the root item (oldest first,
+ * the clicked item last) and every version derived from it below.
+ *
+ * @param {Array<{scale: Scale, item: Item}>} ancestry - ScaleGraph.getItemAncestry result
+ * @param {Array<{scale: Scale, item: Item, generation: number}>} descendants - ScaleGraph.getItemDescendants result
+ * @returns {string} HTML string
+ */
+function createLineageHtml(ancestry, descendants) {
+    if (ancestry.length === 0) {
+        return '<p class="lineage-empty">Item tidak ditemukan</p>';
+    }
+
+    const pathHtml = ancestry
+        .map((step, index) => createLineageStepHtml(step, { current: index === ancestry.length - 1 }))
+        .join('<div class="lineage-arrow">↓</div>');
+
+    const brokenHtml = !ancestry[0].scale.is_root
+        ? '<p class="lineage-note">Jejak terputus: item induk tidak ditemukan.</p>'
+        : '';
+
+    const descendantsHtml = descendants.length > 0
+        ? descendants.map(step => createLineageStepHtml(step, { indent: step.generation - 1 })).join('')
+        : '<p class="lineage-empty">Belum ada versi turunan</p>';
+
+    return `
+      <div class="lineage-section">
+        <div class="lineage-section-title">Jalur dari item asal</div>
+        ${brokenHtml}
+        ${pathHtml}
+      </div>
+      <div class="lineage-section">
+        <div class="lineage-section-title">Versi turunan (${descendants.length})</div>
+        ${descendantsHtml}
+      </div>
+    `;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.LineagePanelRenderer = {
+        createLineageHtml
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createLineageHtml
+    };
+}
@@ -0,0 +1,143 @@
+/**
+ * MLPA Prototype - Merge Renderer
+ *
+ * Pure HTML rendering for the project merge dialog.
+ * Accepts merge plans (logic/scaleMerge.js) as input, returns HTML strings.
+ * NO logic decisions. NO state mutation.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Text for a conflicting value (rubrics are trait lists, status is a code).
+ * @private
+ */
+function formatMergeValue(value, field) {
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.map(window.HtmlText.escapeHtml).join(' · ') : '<em>(kosong)</em>';
+    }
+    if (value === null || value === '') return '<em>(kosong)</em>';
+    if (field === 'status' && window.ScaleMetadata) {
+        return window.HtmlText.escapeHtml(window.ScaleMetadata.SCALE_STATUS_LABELS[value] || value);
+    }
+    return window.HtmlText.escapeHtml(value);
+}
+
+const MERGE_FIELD_LABELS = {
+    scale_name: 'Nama skala',
+    target_audience: 'Audiens sasaran',
+    language: 'Bahasa',
+    adaptation_intent: 'Niat adaptasi',
+    author: 'Penulis',
+    status: 'Status',
+    text: 'Teks item',
+    rubric: 'Rubrik item'
+};
+
+// ============================================================================
+// SUMMARY
+// ============================================================================
+
+/**
+ * Create the summary of what the merge takes over without asking.
+ *
+ * @param {MergePlan} plan - Result of ScaleMerge.mergeProjects
+ * @returns {string} HTML string
+ */
+function createMergeSummaryHtml(plan) {
+    if (!plan.valid) {
+        return `<p class="merge-error">${window.HtmlText.escapeHtml(plan.error)}</p>`;
+    }
+
+    const { report } = plan;
+    const lines = [
+        `${report.added_scales.length} cabang ditambahkan`,
+        `${report.items_taken} perubahan item diambil otomatis`,
+        `${report.metadata_taken} perubahan metadata diambil otomatis`,
+        `${report.items_added} item baru`,
+        `${report.items_removed + report.removed_scales.length} penghapusan diikuti`,
+        `${plan.conflicts.length} konflik`
+    ];
+
+    const renamedHtml = report.renamed_scales.length > 0
+        ? `<p class="merge-note">Cabang dengan ID sama diganti ID-nya: ${report.renamed_scales
+            .map(rename => `${window.HtmlText.escapeHtml(rename.from)} → ${window.HtmlText.escapeHtml(rename.to)}`)
+            .join(', ')}</p>`
+        : '';
+
+    const baseHtml = plan.hasBase
+        ? ''
+        : '<p class="merge-note">Tanpa berkas dasar: setiap perbedaan dianggap konflik.</p>';
+
+    return `
+      <ul class="merge-summary">
+        ${lines.map(line => `<li>${line}</li>`).join('')}
+      </ul>
+      ${renamedHtml}
+      ${baseHtml}
+    `;
+}
+
+// ============================================================================
+// CONFLICTS
+// ============================================================================
+
+/**
+ * Create one resolution card per conflict. Radios are named by conflict_id;
+ * app.js delegates change events.
+ *
+ * @param {MergeConflict[]} conflicts - Conflicts of the plan
+ * @param {Object<string, 'ours'|'theirs'>} choices - Current choices (default ours)
+ * @returns {string} HTML string
+ */
+function createMergeConflictsHtml(conflicts, choices) {
+    if (conflicts.length === 0) return '';
+
+    return conflicts.map(conflict => {
+        const choice = choices[conflict.conflict_id] === 'theirs' ? 'theirs' : 'ours';
+        const name = window.HtmlText.escapeHtml(conflict.conflict_id);
+        const baseHtml = conflict.base !== null
+            ? `<div class="merge-conflict-base">Dasar: ${formatMergeValue(conflict.base, conflict.field)}</div>`
+            : '';
+
+        return `
+      <div class="merge-conflict">
+        <div class="merge-conflict-header">
+          ${MERGE_FIELD_LABELS[conflict.field]} · ${window.HtmlText.escapeHtml(conflict.scale_name)}
+          ${conflict.item_id ? `<span class="merge-conflict-id">${window.HtmlText.escapeHtml(conflict.item_id)}</span>` : ''}
+        </div>
+        ${baseHtml}
+        <label class="merge-option ${choice === 'ours' ? 'selected' : ''}">
+          <input type="radio" name="${name}" value="ours" ${choice === 'ours' ? 'checked' : ''}>
+          <span class="merge-option-side">Proyek ini</span>
+          <span class="merge-option-value">${formatMergeValue(conflict.ours, conflict.field)}</span>
+        </label>
+        <label class="merge-option ${choice === 'theirs' ? 'selected' : ''}">
+          <input type="radio" name="${name}" value="theirs" ${choice === 'theirs' ? 'checked' : ''}>
+          <span class="merge-option-side">Berkas rekan</span>
+          <span class="merge-option-value">${formatMergeValue(conflict.theirs, conflict.field)}</span>
+        </label>
+      </div>
+    `;
+    }).join('');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.MergeRenderer = {
+        createMergeSummaryHtml,
+        createMergeConflictsHtml
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createMergeSummaryHtml,
+        createMergeConflictsHtml
+    };
+}
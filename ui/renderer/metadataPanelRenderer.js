@@ -0,0 +1,95 @@
+/**
+ * MLPA Prototype - Metadata Panel Renderer
+ *
+ * Pure HTML rendering for the per-scale metadata form.
+ * Accepts a scale as input, returns HTML strings.
+ * NO logic decisions. NO state mutation.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * @private
+ */
+function formatMetadataTime(isoString) {
+    if (!isoString) return '—';
+    return new Date(isoString).toLocaleString('id-ID', {
+        day: '2-digit',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// ============================================================================
+// METADATA FORM
+// ============================================================================
+
+/**
+ * Create the metadata form of a scale. Field names match
+ * ScaleMetadata.normalizeMetadataInput; timestamps are read-only.
+ *
+ * @param {Scale} scale - Scale object
+ * @returns {string} HTML string
+ */
+function createMetadataFormHtml(scale) {
+    const metadata = window.ScaleMetadata;
+    const status = metadata.getScaleStatus(scale);
+    const statusOptions = metadata.SCALE_STATUSES
+        .map(value => `<option value="${value}" ${value === status ? 'selected' : ''}>${metadata.SCALE_STATUS_LABELS[value]}</option>`)
+        .join('');
+
+    return `
+      <label class="metadata-field">
+        <span class="metadata-label">Status</span>
+        <select name="status" class="metadata-input">${statusOptions}</select>
+      </label>
+      <label class="metadata-field">
+        <span class="metadata-label">Audiens sasaran</span>
+        <input name="target_audience" class="metadata-input" type="text"
+          value="${window.HtmlText.escapeHtml(scale.target_audience)}" placeholder="Contoh: Mahasiswa tingkat awal">
+      </label>
+      <label class="metadata-field">
+        <span class="metadata-label">Bahasa</span>
+        <input name="language" class="metadata-input" type="text"
+          value="${window.HtmlText.escapeHtml(scale.language)}" placeholder="Contoh: id, Bahasa Minang">
+      </label>
+      <label class="metadata-field">
+        <span class="metadata-label">Niat adaptasi</span>
+        <textarea name="adaptation_intent" class="metadata-input metadata-textarea"
+          placeholder="Instruksi yang menghasilkan cabang ini">${window.HtmlText.escapeHtml(scale.adaptation_intent)}</textarea>
+      </label>
+      <label class="metadata-field">
+        <span class="metadata-label">Penulis</span>
+        <input name="author" class="metadata-input" type="text" value="${window.HtmlText.escapeHtml(scale.author)}">
+      </label>
+      <label class="metadata-field">
+        <span class="metadata-label">Tag</span>
+        <input name="tags" class="metadata-input" type="text"
+          value="${window.HtmlText.escapeHtml((scale.tags || []).join(', '))}" placeholder="Pisahkan dengan koma">
+      </label>
+      <div class="metadata-times">
+        <span>Dibuat: ${formatMetadataTime(scale.created_at)}</span>
+        <span>Diperbarui: ${formatMetadataTime(scale.updated_at)}</span>
+      </div>
+    `;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.MetadataPanelRenderer = {
+        createMetadataFormHtml
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createMetadataFormHtml
+    };
+}
@@ -0,0 +1,76 @@
+/**
+ * MLPA Prototype - Minimap Renderer
+ *
+ * Pure SVG rendering for the flow editor minimap.
+ * Accepts scales, the visible world rectangle and a MinimapGeometry
+ * projection, returns SVG markup. Never reads flow box DOM.
+ * NO logic decisions. NO state mutation.
+ */
+
+// ============================================================================
+// MINIMAP
+// ============================================================================
+
+/**
+ * Create the minimap content: parent links, one rectangle per scale, then
+ * the viewport rectangle on top.
+ *
+ * @param {Map<string, Scale>} scales - Map of scale_id → Scale
+ * @param {{x: number, y: number, width: number, height: number}} viewportRect - Visible world rect
+ * @param {{scale: number, offsetX: number, offsetY: number}} projection - MinimapGeometry projection
+ * @param {Object} [options]
+ * @param {string|null} [options.selectedScaleId] - Scale shown in the preview (highlighted)
+ * @param {Set<string>} [options.multiSelectedIds] - Scales in the canvas multi-selection
+ * @returns {string} SVG markup (children of the minimap <svg>)
+ */
+function createMinimapSvgContent(scales, viewportRect, projection, options = {}) {
+    const geometry = window.MinimapGeometry;
+
+    const linksHtml = Array.from(scales.values())
+        .map(scale => {
+            const parent = scale.parent_scale_id ? scales.get(scale.parent_scale_id) : null;
+            const link = parent && geometry.getMinimapLink(parent, scale, projection);
+            return link
+                ? `<line class="minimap-link" x1="${link.x1}" y1="${link.y1}" x2="${link.x2}" y2="${link.y2}" />`
+                : '';
+        })
+        .join('');
+
+    const boxesHtml = Array.from(scales.values())
+        .map(scale => {
+            const worldRect = geometry.getScaleWorldRect(scale);
+            if (!worldRect) return '';
+
+            const rect = geometry.projectRectToMinimap(worldRect, projection);
+            const classes = [
+                'minimap-box',
+                scale.is_root ? 'root' : '',
+                scale.scale_id === options.selectedScaleId ? 'selected' : '',
+                options.multiSelectedIds?.has(scale.scale_id) ? 'multi-selected' : ''
+            ].filter(Boolean).join(' ');
+
+            return `<rect class="${classes}" x="${rect.x}" y="${rect.y}" width="${rect.width}" height="${rect.height}" rx="1" />`;
+        })
+        .join('');
+
+    const viewport = geometry.projectRectToMinimap(viewportRect, projection);
+    const viewportHtml = `<rect class="minimap-viewport" x="${viewport.x}" y="${viewport.y}" width="${viewport.width}" height="${viewport.height}" />`;
+
+    return linksHtml + boxesHtml + viewportHtml;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.MinimapRenderer = {
+        createMinimapSvgContent
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createMinimapSvgContent
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * MLPA Prototype - Version Panel Renderer
+ *
+ * Pure HTML rendering for the per-scale version history panel.
+ * Accepts versions and diffs as input, returns HTML strings.
+ * NO logic decisions. NO state mutation.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * @private
+ */
+function formatVersionTime(isoString) {
+    const date = new Date(isoString);
+    return date.toLocaleString('id-ID', {
+        day: '2-digit',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+}
+
+// ============================================================================
+// VERSION LIST
+// ============================================================================
+
+/**
+ * Create the version list (newest first).
+ *
+ * @param {ScaleVersion[]} versions - Versions, oldest first
+ * @returns {string} HTML string
+ */
+function createVersionListHtml(versions) {
+    if (versions.length === 0) {
+        return '<p class="version-empty">Belum ada versi tersimpan</p>';
+    }
+
+    const latestId = versions[versions.length - 1].version_id;
+
+    return versions.slice().reverse().map(version => {
+        const isCurrent = version.version_id === latestId;
+        return `
+      <div class="version-row ${isCurrent ? 'current' : ''}" data-version-id="${version.version_id}">
+        <div class="version-row-info">
+          <span class="version-row-number">v${version.number}</span>
+          <span class="version-row-label">${window.HtmlText.escapeHtml(version.label)}</span>
+          <span class="version-row-time">${formatVersionTime(version.created_at)}</span>
+        </div>
+        ${isCurrent
+                ? '<span class="version-row-current">Saat ini</span>'
+                : '<button class="version-restore-btn">Pulihkan</button>'}
+      </div>
+    `;
+    }).join('');
+}
+
+/**
+ * Create <option> list for the compare selectors (newest first).
+ *
+ * @param {ScaleVersion[]} versions - Versions, oldest first
+ * @param {string} selectedId - Selected version ID
+ * @returns {string} HTML string
+ */
+function createVersionOptionsHtml(versions, selectedId) {
+    return versions.slice().reverse().map(version => `
+      <option value="${version.version_id}" ${version.version_id === selectedId ? 'selected' : ''}>
+        v${version.number} · ${formatVersionTime(version.created_at)}
+      </option>
+    `).join('');
+}
+
+// ============================================================================
+// DIFF
+// ============================================================================
+
+const DIFF_STATUS_LABELS = {
+    added: 'Ditambahkan',
+    removed: 'Dihapus',
+    changed: 'Diubah',
+    unchanged: 'Tetap'
+};
+
+const DIFF_FIELD_LABELS = {
+    text: 'teks',
+    rubric: 'rubrik',
+    dimension: 'dimensi'
+};
+
+/**
+ * @private
+ */
+function createDiffSideHtml(side) {
+    if (!side) return '<div class="version-diff-side empty">—</div>';
+
+    const rubricHtml = side.rubric.length > 0
+        ? `<div class="version-diff-rubric">${side.rubric.map(window.HtmlText.escapeHtml).join(' · ')}</div>`
+        : '';
+
+    return `
+      <div class="version-diff-side">
+        <div class="version-diff-dimension">${window.HtmlText.escapeHtml(side.dimension)}</div>
+        <div class="version-diff-text">${window.HtmlText.escapeHtml(side.text)}</div>
+        ${rubricHtml}
+      </div>
+    `;
+}
+
+/**
+ * Create the item-by-item diff between two versions.
+ * Unchanged items are counted but not listed.
+ *
+ * @param {ScaleDiff} diff - Result of ScaleDiff.diffScaleSnapshots
+ * @returns {string} HTML string
+ */
+function createVersionDiffHtml(diff) {
+    const { summary } = diff;
+    const summaryHtml = `
+      <div class="version-diff-summary">
+        +${summary.added} · −${summary.removed} · ~${summary.changed} · ${summary.unchanged} tetap
+      </div>
+    `;
+
+    const nameHtml = diff.nameChange ? `
+      <div class="version-diff-item changed">
+        <div class="version-diff-item-header">Nama skala</div>
+        <div class="version-diff-columns">
+          <div class="version-diff-side"><div class="version-diff-text">${window.HtmlText.escapeHtml(diff.nameChange.from)}</div></div>
+          <div class="version-diff-side"><div class="version-diff-text">${window.HtmlText.escapeHtml(diff.nameChange.to)}</div></div>
+        </div>
+      </div>
+    ` : '';
+
+    const itemsHtml = diff.items
+        .filter(item => item.status !== 'unchanged')
+        .map(item => {
+            const fields = item.changes.map(field => DIFF_FIELD_LABELS[field]).join(', ');
+            return `
+      <div class="version-diff-item ${item.status}">
+        <div class="version-diff-item-header">
+          ${window.HtmlText.escapeHtml(item.item_id)} · ${DIFF_STATUS_LABELS[item.status]}${fields ? ` (${fields})` : ''}
+        </div>
+        <div class="version-diff-columns">
+          ${createDiffSideHtml(item.from)}
+          ${createDiffSideHtml(item.to)}
+        </div>
+      </div>
+    `;
+        }).join('');
+
+    const emptyHtml = !nameHtml && !itemsHtml
+        ? '<p class="version-empty">Tidak ada perbedaan</p>'
+        : '';
+
+    return summaryHtml + nameHtml + itemsHtml + emptyHtml;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.VersionPanelRenderer = {
+        createVersionListHtml,
+        createVersionOptionsHtml,
+        createVersionDiffHtml
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createVersionListHtml,
+        createVersionOptionsHtml,
+        createVersionDiffHtml
+    };
+}
@@ -0,0 +1,84 @@
+/**
+ * MLPA Prototype - Workspace Renderer
+ *
+ * Pure HTML rendering for the project switcher list.
+ * Accepts project summaries as input, returns HTML strings.
+ * NO logic decisions. NO state mutation.
+ */
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * @private
+ */
+function formatProjectMeta(project) {
+    const scales = project.scale_count > 0
+        ? `${project.scale_count} skala`
+        : 'Belum ada skala';
+    const saved = project.saved_at
+        ? `disimpan ${new Date(project.saved_at).toLocaleString('id-ID', {
+            day: '2-digit',
+            month: 'short',
+            hour: '2-digit',
+            minute: '2-digit'
+        })}`
+        : '';
+
+    return saved ? `${scales} · ${saved}` : scales;
+}
+
+// ============================================================================
+// PROJECT LIST
+// ============================================================================
+
+/**
+ * Create the project list for the workspace modal.
+ * Action buttons carry data-action; app.js delegates clicks.
+ *
+ * @param {ProjectSummary[]} projects - Projects, in display order
+ * @param {string|null} activeProjectId - Currently open project
+ * @returns {string} HTML string
+ */
+function createProjectListHtml(projects, activeProjectId) {
+    if (projects.length === 0) {
+        return '<p class="workspace-empty">Belum ada proyek tersimpan</p>';
+    }
+
+    return projects.map(project => {
+        const isActive = project.project_id === activeProjectId;
+        return `
+      <div class="workspace-project ${isActive ? 'active' : ''}" data-project-id="${project.project_id}">
+        <div class="workspace-project-info">
+          <span class="workspace-project-name">${window.HtmlText.escapeHtml(project.name)}</span>
+          <span class="workspace-project-meta">${formatProjectMeta(project)}</span>
+        </div>
+        <div class="workspace-project-actions">
+          ${isActive
+                ? '<span class="workspace-project-badge">Aktif</span>'
+                : '<button class="workspace-action-btn primary" data-action="open">Buka</button>'}
+          <button class="workspace-action-btn" data-action="rename">Ganti Nama</button>
+          <button class="workspace-action-btn" data-action="duplicate">Duplikat</button>
+          <button class="workspace-action-btn danger" data-action="delete">Hapus</button>
+        </div>
+      </div>
+    `;
+    }).join('');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.WorkspaceRenderer = {
+        createProjectListHtml
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createProjectListHtml
+    };
+}
@@ -0,0 +1,45 @@
+/**
+ * MODULE CONTRACT
+ * ----------------
+ * Responsibility: Escaping text for interpolation into HTML and SVG markup
+ * Inputs: Any value (user-entered names, item text, labels)
+ * Outputs: Markup-safe strings
+ * Allowed side effects: None (pure functions)
+ * Forbidden responsibilities: NO DOM access, NO state, NO rendering
+ * Invariants this module guarantees: &, <, > and " never reach markup unescaped
+ *   (safe in element content and double-quoted attributes)
+ */
+
+// ============================================================================
+// ESCAPING
+// ============================================================================
+
+/**
+ * Escape a value for safe interpolation into HTML/SVG markup.
+ *
+ * @param {*} value - Value to escape (null/undefined become '')
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+if (typeof window !== 'undefined') {
+    window.HtmlText = {
+        escapeHtml
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeHtml
+    };
+}
@@ -47,6 +47,43 @@ function validateScale(scale) {
     assert(Array.isArray(scale.dimensions), 'Scale must have dimensions array');
     assert(scale.position && typeof scale.position.x === 'number' && typeof scale.position.y === 'number',
         'Scale must have position {x, y}');
+    validateScaleMetadata(scale);
+}
+
+/**
+ * Validate the optional metadata fields of a scale.
+ * Absent (undefined/null) fields are always valid.
+ * 
+ * @param {Scale} scale - Scale to validate
+ * @throws If a metadata field has the wrong shape (DEV only)
+ */
+function validateScaleMetadata(scale) {
+    if (!DEV) return;
+
+    const isSet = value => value !== undefined && value !== null;
+
+    ['target_audience', 'language', 'adaptation_intent', 'author'].forEach(field => {
+        assert(!isSet(scale[field]) || typeof scale[field] === 'string', `Scale ${field} must be a string`);
+    });
+
+    // Status vocabulary lives in logic/scaleMetadata.js (loaded after this module)
+    const statuses = typeof window !== 'undefined' && window.ScaleMetadata
+        ? window.ScaleMetadata.SCALE_STATUSES
+        : null;
+    if (isSet(scale.status)) {
+        assert(typeof scale.status === 'string' && (!statuses || statuses.includes(scale.status)),
+            `Unknown scale status: ${scale.status}`);
+    }
+
+    ['created_at', 'updated_at'].forEach(field => {
+        assert(!isSet(scale[field]) || (typeof scale[field] === 'string' && !Number.isNaN(Date.parse(scale[field]))),
+            `Scale ${field} must be an ISO date string`);
+    });
+
+    if (isSet(scale.tags)) {
+        assert(Array.isArray(scale.tags) && scale.tags.every(tag => typeof tag === 'string' && tag.trim().length > 0),
+            'Scale tags must be an array of non-empty strings');
+    }
 }
 
 /**
@@ -130,6 +167,7 @@ if (typeof window !== 'undefined') {
         DEV,
         assert,
         validateScale,
+        validateScaleMetadata,
         validateBranchedScale,
         validateDimension,
         validateItem,
@@ -143,6 +181,7 @@ if (typeof module !== 'undefined' && module.exports) {
         DEV,
         assert,
         validateScale,
+        validateScaleMetadata,
         validateBranchedScale,
         validateDimension,
         validateItem,